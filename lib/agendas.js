@@ -0,0 +1,152 @@
+// lib/agendas.js - Registro de agendas cargado desde config/agendas.json
+//
+// Cada agenda hereda "defaults" (selectores, textos de botones, timeouts, cache, previsiones) y puede
+// sobrescribir cualquier parte. Formato de cache: { ttl: { horas: 30000 }, stale: { ... } }.
+// Los cambios hechos en caliente (upsert/remove) no tocan el archivo versionado: van a overridesFile
+// (bajo data/) como { agendas: { nombre: cfg }, eliminadas: [nombre] } y se aplican encima en cada load().
+const fs = require('fs');
+const path = require('path');
+
+class AgendaConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AgendaConfigError';
+  }
+}
+
+function esObjeto(v) {
+  return v && typeof v === 'object' && !Array.isArray(v);
+}
+
+function merge(base, over) {
+  const out = { ...base };
+  Object.entries(over || {}).forEach(([k, v]) => {
+    out[k] = esObjeto(v) && esObjeto(base[k]) ? merge(base[k], v) : v;
+  });
+  return out;
+}
+
+function validarAgenda(nombre, cfg) {
+  if (!/^[a-z0-9_-]+$/i.test(nombre)) {
+    throw new AgendaConfigError(`Nombre de agenda inválido: "${nombre}"`);
+  }
+  if (!esObjeto(cfg) || !cfg.url) {
+    throw new AgendaConfigError(`La agenda "${nombre}" requiere url`);
+  }
+  try {
+    new URL(cfg.url);
+  } catch (e) {
+    throw new AgendaConfigError(`URL inválida para la agenda "${nombre}": ${cfg.url}`);
+  }
+  if (cfg.previsiones !== undefined && (!Array.isArray(cfg.previsiones) || cfg.previsiones.length === 0 || cfg.previsiones.some(p => typeof p !== 'string' || !p.trim()))) {
+    throw new AgendaConfigError(`previsiones de la agenda "${nombre}" debe ser una lista de textos`);
+  }
+}
+
+class AgendaRegistry {
+  constructor({ file, overridesFile = null, log = () => {} }) {
+    this.file = file;
+    this.overridesFile = overridesFile;
+    this.log = log;
+    this.defaults = {};
+    this.base = {};
+    this.cambios = { agendas: {}, eliminadas: [] };
+    this.definiciones = {};
+    this.agendas = {};
+    this.loadedAt = null;
+    this.listeners = [];
+  }
+
+  // Lee y valida el archivo completo; si algo falla se mantiene la configuración anterior
+  load() {
+    const raw = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    const base = raw.agendas || {};
+    Object.entries(base).forEach(([nombre, cfg]) => validarAgenda(nombre, cfg));
+    const cambios = this.leerCambios();
+
+    this.defaults = raw.defaults || {};
+    this.base = base;
+    this.cambios = cambios;
+    this.definiciones = this.combinar();
+    this.recalcular();
+    this.loadedAt = new Date().toISOString();
+    this.log(`📋 Agendas cargadas desde ${this.file}: ${this.nombres().join(', ')}`);
+    return this.nombres();
+  }
+
+  leerCambios() {
+    if (!this.overridesFile) return { agendas: {}, eliminadas: [] };
+    let raw;
+    try {
+      raw = JSON.parse(fs.readFileSync(this.overridesFile, 'utf8'));
+    } catch (e) {
+      if (e.code === 'ENOENT') return { agendas: {}, eliminadas: [] };
+      throw new AgendaConfigError(`${this.overridesFile}: ${e.message}`);
+    }
+    const cambios = { agendas: raw.agendas || {}, eliminadas: raw.eliminadas || [] };
+    Object.entries(cambios.agendas).forEach(([nombre, cfg]) => validarAgenda(nombre, cfg));
+    return cambios;
+  }
+
+  combinar() {
+    const definiciones = { ...this.base, ...this.cambios.agendas };
+    this.cambios.eliminadas.forEach(nombre => { delete definiciones[nombre]; });
+    return definiciones;
+  }
+
+  recalcular() {
+    this.agendas = {};
+    Object.entries(this.definiciones).forEach(([nombre, cfg]) => {
+      this.agendas[nombre] = { nombre, ...merge(this.defaults, cfg) };
+    });
+    this.listeners.forEach(fn => fn(this));
+  }
+
+  onChange(fn) {
+    this.listeners.push(fn);
+  }
+
+  existe(nombre) {
+    return !!nombre && Object.prototype.hasOwnProperty.call(this.agendas, nombre);
+  }
+
+  get(nombre) {
+    return this.agendas[nombre] || null;
+  }
+
+  nombres() {
+    return Object.keys(this.agendas);
+  }
+
+  // Agrega o reemplaza una agenda y la persiste en overridesFile
+  upsert(nombre, cfg) {
+    validarAgenda(nombre, cfg);
+    this.guardar({
+      agendas: { ...this.cambios.agendas, [nombre]: cfg },
+      eliminadas: this.cambios.eliminadas.filter(n => n !== nombre)
+    });
+    return this.get(nombre);
+  }
+
+  remove(nombre) {
+    if (!this.definiciones[nombre]) return false;
+    const { [nombre]: _, ...agendas } = this.cambios.agendas;
+    const eliminadas = this.cambios.eliminadas.filter(n => n !== nombre);
+    if (this.base[nombre]) eliminadas.push(nombre);
+    this.guardar({ agendas, eliminadas });
+    return true;
+  }
+
+  guardar(cambios) {
+    if (!this.overridesFile) throw new AgendaConfigError('No hay archivo para guardar cambios de agendas');
+    fs.mkdirSync(path.dirname(this.overridesFile), { recursive: true });
+    const tmp = `${this.overridesFile}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(cambios, null, 2) + '\n');
+    fs.renameSync(tmp, this.overridesFile);
+    this.cambios = cambios;
+    this.definiciones = this.combinar();
+    this.recalcular();
+  }
+}
+
+module.exports = { AgendaRegistry, AgendaConfigError };
@@ -0,0 +1,285 @@
+// lib/apiV2.js - API v2: esquema estable y un único sobre de error
+//
+// Éxito: { data, meta }   Error: { error: { code, message, details } }
+// v1 (/api/...) no cambia; v2 reutiliza los mismos servicios (cache, pool).
+const express = require('express');
+const { normalizeStringNode, slug } = require('./texto');
+const { elegirUnico } = require('./matching');
+const { logger } = require('./logger');
+const { inferirDuracion, sumarMinutos } = require('./slots');
+
+const TIMEZONE = process.env.AGENDA_TIMEZONE || 'America/Santiago';
+
+/**
+ * @typedef {Object} EspecialidadV2
+ * @property {string} id                 slug estable del nombre normalizado ("kinesiologia")
+ * @property {string} nombre             texto tal como lo muestra Philaxmed
+ * @property {string} nombre_normalizado minúsculas, sin tildes, espacios colapsados
+ */
+
+/**
+ * @typedef {Object} ProfesionalV2
+ * @property {string} id
+ * @property {string} nombre
+ * @property {string} nombre_normalizado
+ * @property {{ id: string, nombre: string }} especialidad
+ */
+
+/**
+ * @typedef {Object} SlotV2
+ * @property {string} id            `${agenda}:${profesional_id}:${fecha}T${hora}`
+ * @property {string} fecha         YYYY-MM-DD
+ * @property {string} hora          HH:MM (hora local de la agenda)
+ * @property {string} inicio        ISO 8601 con offset de AGENDA_TIMEZONE
+ * @property {string} fin           ISO 8601 con offset de AGENDA_TIMEZONE
+ * @property {number} duracion_min
+ * @property {'disponible'|'ocupado'|'desconocido'} estado
+ * @property {string|null} box
+ * @property {string|null} sede
+ * @property {'presencial'|'telemedicina'|null} modalidad
+ * @property {string} profesional_id
+ */
+
+/**
+ * @typedef {Object} ErrorV2
+ * @property {string} code     AGENDA_INVALIDA | PARAMETROS_INVALIDOS | ESPECIALIDAD_NO_ENCONTRADA | ESPECIALIDAD_AMBIGUA |
+ *                             PROFESIONAL_NO_ENCONTRADO | PROFESIONAL_AMBIGUO | HORA_NO_DISPONIBLE | OCUPADO | UPSTREAM_ERROR | ERROR_INTERNO | ...
+ * @property {string} message  texto en español, apto para mostrar
+ * @property {Object} [details]
+ */
+
+class ApiError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+function offsetZona(fecha, hora) {
+  // el offset de la zona en esa fecha (cambia con horario de verano)
+  const aprox = new Date(`${fecha}T${hora}:00Z`);
+  const parte = new Intl.DateTimeFormat('en-US', { timeZone: TIMEZONE, timeZoneName: 'longOffset' })
+    .formatToParts(aprox)
+    .find(p => p.type === 'timeZoneName');
+  const m = parte && parte.value.match(/GMT([+-]\d{2}:\d{2})/);
+  return m ? m[1] : 'Z';
+}
+
+function hhmm(h) {
+  const m = /(\d{1,2}):(\d{2})/.exec(String(h || ''));
+  return m ? `${m[1].padStart(2, '0')}:${m[2]}` : null;
+}
+
+function toEspecialidad(nombre) {
+  return { id: slug(nombre), nombre, nombre_normalizado: normalizeStringNode(nombre) };
+}
+
+function toProfesional(p, especialidad) {
+  const nombre = p.nombre || p.value || String(p);
+  const espNombre = p.especialidad || especialidad;
+  return {
+    id: slug(nombre),
+    nombre,
+    nombre_normalizado: normalizeStringNode(nombre),
+    especialidad: { id: slug(espNombre), nombre: espNombre }
+  };
+}
+
+function estadoSlot(estado) {
+  const e = String(estado || '').toUpperCase();
+  if (e === 'DISPONIBLE') return 'disponible';
+  if (e === 'OCUPADO' || e === 'RESERVADO') return 'ocupado';
+  return 'desconocido';
+}
+
+function toSlots({ agenda, profesionalId, fecha }, horasObjects) {
+  const horas = horasObjects.map(h => hhmm(h.hora || h)).filter(Boolean);
+  const duracion = inferirDuracion(horas);
+  return horasObjects.map(h => {
+    const hora = hhmm(h.hora || h);
+    if (!hora) return null;
+    const dur = Number(h.duracion_min || h.duracion) || duracion;
+    const fin = sumarMinutos(hora, dur);
+    const offset = offsetZona(fecha, hora);
+    let fechaFin = fecha;
+    if (fin.diaSiguiente) {
+      const d = new Date(`${fecha}T00:00:00Z`);
+      d.setUTCDate(d.getUTCDate() + 1);
+      fechaFin = d.toISOString().split('T')[0];
+    }
+    return {
+      id: `${agenda}:${profesionalId}:${fecha}T${hora}`,
+      fecha,
+      hora,
+      inicio: `${fecha}T${hora}:00${offset}`,
+      fin: `${fechaFin}T${fin.hora}:00${offsetZona(fechaFin, fin.hora)}`,
+      duracion_min: dur,
+      // "desconocido": Philaxmed informó la hora pero no si está libre (p. ej. la lista GWT-RPC de horas)
+      estado: estadoSlot(h.estado),
+      box: h.box || null,
+      sede: h.sede || null,
+      modalidad: h.modalidad || null,
+      profesional_id: profesionalId
+    };
+  }).filter(Boolean);
+}
+
+function enviarError(res, error) {
+  if (error instanceof ApiError || (error && error.code && error.status)) {
+    if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+    return res.status(error.status).json({ error: { code: error.code, message: error.message, details: error.details || null } });
+  }
+  if (error && error.code === 'OCUPADO') {
+    res.set('Retry-After', String(error.retryAfter));
+    return res.status(503).json({ error: { code: 'OCUPADO', message: 'Servicio ocupado, reintente más tarde', details: { retry_after: error.retryAfter } } });
+  }
+  logger.error('❌ Error en API v2:', error);
+  return res.status(500).json({ error: { code: 'ERROR_INTERNO', message: (error && error.message) || 'Error interno', details: null } });
+}
+
+// Respuesta v1 con success:false -> error v2
+function exigirExito(r, code = 'UPSTREAM_ERROR', status = 502) {
+  if (!r || r.success === false) throw new ApiError(status, code, (r && r.error) || 'Philaxmed no respondió como se esperaba');
+  return r;
+}
+
+// id exacto, o el nombre con puntaje de lib/matching; lanza SeleccionError (404 / 409 con candidatos)
+function buscarPorIdONombre(tipo, items, valor) {
+  return items.find(i => i.id === valor || i.id === slug(valor)) ||
+         elegirUnico(tipo, valor, items, i => i.nombre);
+}
+
+/**
+ * servicios: { especialidades(agenda), profesionales(agenda, especialidad),
+ *              horas({ agenda, especialidad, profesional, fecha }), horasFechas(params, fechas),
+ *              reservar(params, { cliente }) }
+ * Todos devuelven el objeto de respuesta v1 (o lanzan errores con code/status).
+ */
+function crearRouterV2({ agendas, servicios, validarReserva, maxDiasRango = 14 }) {
+  const router = express.Router();
+
+  const conAgenda = (req) => {
+    if (!agendas.existe(req.params.agenda)) {
+      throw new ApiError(404, 'AGENDA_INVALIDA', 'Agenda no válida', { opciones: agendas.nombres() });
+    }
+    return req.params.agenda;
+  };
+
+  async function resolverEspecialidad(agenda, valor) {
+    const r = exigirExito(await servicios.especialidades(agenda));
+    const lista = (r.especialidades || []).map(toEspecialidad);
+    return buscarPorIdONombre('especialidad', lista, valor);
+  }
+
+  async function resolverProfesional(agenda, esp, valor) {
+    const r = exigirExito(await servicios.profesionales(agenda, esp.nombre), 'ESPECIALIDAD_NO_ENCONTRADA', 404);
+    const lista = (r.profesionales_objects || []).map(p => toProfesional(p, esp.nombre));
+    return buscarPorIdONombre('profesional', lista, valor);
+  }
+
+  const handler = (fn) => async (req, res) => {
+    try {
+      await fn(req, res);
+    } catch (error) {
+      enviarError(res, error);
+    }
+  };
+
+  router.get('/agendas', handler(async (req, res) => {
+    res.json({ data: agendas.nombres().map(id => ({ id })), meta: { total: agendas.nombres().length } });
+  }));
+
+  router.get('/agendas/:agenda/especialidades', handler(async (req, res) => {
+    const agenda = conAgenda(req);
+    const r = exigirExito(await servicios.especialidades(agenda));
+    const data = (r.especialidades || []).map(toEspecialidad);
+    res.json({ data, meta: { agenda, total: data.length } });
+  }));
+
+  router.get('/agendas/:agenda/especialidades/:especialidad/profesionales', handler(async (req, res) => {
+    const agenda = conAgenda(req);
+    const esp = await resolverEspecialidad(agenda, req.params.especialidad);
+    const r = exigirExito(await servicios.profesionales(agenda, esp.nombre), 'ESPECIALIDAD_NO_ENCONTRADA', 404);
+    const data = (r.profesionales_objects || []).map(p => toProfesional(p, esp.nombre));
+    res.json({ data, meta: { agenda, especialidad: esp, total: data.length } });
+  }));
+
+  // ?fecha=YYYY-MM-DD  o  ?desde=YYYY-MM-DD&hasta=YYYY-MM-DD
+  router.get('/agendas/:agenda/especialidades/:especialidad/profesionales/:profesional/slots', handler(async (req, res) => {
+    const agenda = conAgenda(req);
+    const { fecha, desde, hasta } = req.query;
+    const esFecha = (s) => /^\d{4}-\d{2}-\d{2}$/.test(String(s || '')) && !isNaN(Date.parse(s));
+    if ((fecha && !esFecha(fecha)) || (desde && !esFecha(desde)) || (hasta && !esFecha(hasta)) || (!!desde !== !!hasta) || (desde && desde > hasta)) {
+      throw new ApiError(400, 'PARAMETROS_INVALIDOS', 'Use fecha=YYYY-MM-DD, o desde y hasta (YYYY-MM-DD, desde <= hasta)');
+    }
+    const esp = await resolverEspecialidad(agenda, req.params.especialidad);
+    const prof = await resolverProfesional(agenda, esp, req.params.profesional);
+    const base = { agenda, especialidad: esp.nombre, profesional: prof.nombre };
+
+    let dias;
+    if (desde) {
+      const fechas = [];
+      for (const d = new Date(`${desde}T00:00:00Z`); d <= new Date(`${hasta}T00:00:00Z`); d.setUTCDate(d.getUTCDate() + 1)) {
+        fechas.push(d.toISOString().split('T')[0]);
+      }
+      if (fechas.length > maxDiasRango) {
+        throw new ApiError(400, 'PARAMETROS_INVALIDOS', `El rango no puede superar ${maxDiasRango} días`);
+      }
+      const r = exigirExito(await servicios.horasFechas(base, fechas));
+      dias = fechas.map(f => ({ fecha: f, horas_objects: r.porFecha[f].horas_objects, sin_interpretar: r.porFecha[f].sin_interpretar }));
+    } else {
+      const r = exigirExito(await servicios.horas({ ...base, fecha }));
+      dias = [{ fecha: r.fecha, horas_objects: r.horas_objects, sin_interpretar: r.sin_interpretar }];
+    }
+
+    const data = [];
+    dias.forEach(d => data.push(...toSlots({ agenda, profesionalId: prof.id, fecha: d.fecha }, d.horas_objects || [])));
+    // días cuya respuesta no se pudo interpretar: sin slots, pero no porque no haya horas
+    const sinInterpretar = dias.filter(d => d.sin_interpretar).map(d => d.fecha);
+    res.json({ data, meta: { agenda, especialidad: esp, profesional: prof, timezone: TIMEZONE, total: data.length, ...(sinInterpretar.length ? { sin_interpretar: sinInterpretar } : {}) } });
+  }));
+
+  // body: { especialidad, profesional (id o nombre), fecha, hora, paciente }
+  router.post('/agendas/:agenda/reservas', handler(async (req, res) => {
+    const agenda = conAgenda(req);
+    const body = req.body || {};
+    if (!body.especialidad || !body.profesional) {
+      throw new ApiError(400, 'PARAMETROS_INVALIDOS', 'Especialidad y profesional son requeridos');
+    }
+    const esp = await resolverEspecialidad(agenda, body.especialidad);
+    const prof = await resolverProfesional(agenda, esp, body.profesional);
+    const params = validarReserva({ ...body, agenda, especialidad: esp.nombre, profesional: prof.nombre });
+    if (params.error) {
+      const { campos, errores } = params.error;
+      throw new ApiError(400, params.error.code, params.error.error, campos ? { campos, ...(errores ? { errores } : {}) } : undefined);
+    }
+    const r = await servicios.reservar(params, { cliente: req.cliente });
+    const [slot] = toSlots({ agenda, profesionalId: prof.id, fecha: r.fecha }, [{ hora: r.hora, estado: 'OCUPADO' }]);
+    res.status(201).json({
+      data: {
+        id: r.reserva_id,
+        agenda,
+        especialidad: toEspecialidad(esp.nombre),
+        profesional: prof,
+        inicio: slot.inicio,
+        fin: slot.fin,
+        duracion_min: slot.duracion_min,
+        comprobante: r.comprobante_text,
+        ics: r.ics || null,
+        recordatorios: r.recordatorios || []
+      },
+      meta: {}
+    });
+  }));
+
+  router.use((req, res) => {
+    enviarError(res, new ApiError(404, 'NO_ENCONTRADO', `Ruta no encontrada: ${req.method} ${req.originalUrl}`));
+  });
+
+  return router;
+}
+
+module.exports = { crearRouterV2, ApiError, enviarError, toSlots, toEspecialidad, toProfesional, slug };
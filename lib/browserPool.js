@@ -0,0 +1,203 @@
+// lib/browserPool.js - Pool de trabajos concurrentes sobre un navegador compartido
+//
+// - size: cuántos scrapes (páginas) corren a la vez
+// - perAgenda: máximo simultáneo por agenda (para no saturar un mismo Philaxmed)
+// - maxQueue / queueTimeout: los que esperan; si la cola está llena se rechaza con PoolOcupadoError
+// - el navegador se recicla por páginas abiertas o memoria (RSS), esperando a que terminen los trabajos activos
+const fs = require('fs');
+
+class PoolOcupadoError extends Error {
+  constructor(message, retryAfter) {
+    super(message);
+    this.name = 'PoolOcupadoError';
+    this.code = 'OCUPADO';
+    this.retryAfter = retryAfter;
+  }
+}
+
+async function leerMemoriaMb(pid) {
+  if (!pid) return null;
+  try {
+    const status = await fs.promises.readFile(`/proc/${pid}/status`, 'utf8');
+    const m = status.match(/VmRSS:\s+(\d+)\s+kB/);
+    return m ? Math.round(Number(m[1]) / 1024) : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+class BrowserPool {
+  constructor({ launch, size = 2, perAgenda = 2, maxQueue = 20, queueTimeout = 60000, maxPages = 30, maxMemoryMb = 500, log = () => {} }) {
+    this.launch = launch;
+    this.size = size;
+    this.perAgenda = perAgenda;
+    this.maxQueue = maxQueue;
+    this.queueTimeout = queueTimeout;
+    this.maxPages = maxPages;
+    this.maxMemoryMb = maxMemoryMb;
+    this.log = log;
+
+    this.browser = null;
+    this.launching = null;
+    this.pagesSinceLaunch = 0;
+    this.restarts = 0;
+    this.launches = 0;
+    this.crashes = 0;
+    this.lastLaunchError = null;
+    this.draining = false;
+
+    this.active = 0;
+    this.activePorAgenda = {};
+    this.waiters = [];
+    this.completed = 0;
+    this.rejected = 0;
+  }
+
+  async getBrowser() {
+    if (this.browser) return this.browser;
+    if (!this.launching) {
+      this.launching = this.launch()
+        .then(b => {
+          this.browser = b;
+          this.pagesSinceLaunch = 0;
+          this.launches++;
+          this.lastLaunchError = null;
+          b.on('targetcreated', t => { if (t.type() === 'page') this.pagesSinceLaunch++; });
+          // si sigue siendo el navegador actual no lo cerramos nosotros: se cayó. Si se estaba
+          // reciclando ya no hay nada que esperar: la cola sigue con un navegador nuevo
+          b.on('disconnected', () => {
+            if (this.browser !== b) return;
+            this.browser = null;
+            this.crashes++;
+            this.draining = false;
+            this.dispatch();
+          });
+          return b;
+        }, e => {
+          this.lastLaunchError = { error: e.message, en: new Date().toISOString() };
+          throw e;
+        })
+        .finally(() => { this.launching = null; });
+    }
+    return this.launching;
+  }
+
+  // Promedio simple de espera restante para el header Retry-After (segundos)
+  retryAfter() {
+    return Math.max(1, Math.ceil((this.waiters.length + 1) / this.size) * 10);
+  }
+
+  run(handler, { agenda = '_' } = {}) {
+    if (this.waiters.length >= this.maxQueue) {
+      this.rejected++;
+      return Promise.reject(new PoolOcupadoError('Servicio ocupado, cola llena', this.retryAfter()));
+    }
+    return new Promise((resolve, reject) => {
+      const waiter = { handler, agenda, resolve, reject, enqueuedTs: Date.now(), timer: null };
+      waiter.timer = setTimeout(() => {
+        const i = this.waiters.indexOf(waiter);
+        if (i >= 0) {
+          this.waiters.splice(i, 1);
+          this.rejected++;
+          reject(new PoolOcupadoError(`Servicio ocupado, sin turno tras ${this.queueTimeout} ms`, this.retryAfter()));
+        }
+      }, this.queueTimeout);
+      this.waiters.push(waiter);
+      this.dispatch();
+    });
+  }
+
+  dispatch() {
+    if (this.draining) return;
+    for (let i = 0; i < this.waiters.length && this.active < this.size; ) {
+      const w = this.waiters[i];
+      if ((this.activePorAgenda[w.agenda] || 0) >= this.perAgenda) { i++; continue; }
+      this.waiters.splice(i, 1);
+      clearTimeout(w.timer);
+      this.execute(w);
+    }
+  }
+
+  async execute(w) {
+    this.active++;
+    this.activePorAgenda[w.agenda] = (this.activePorAgenda[w.agenda] || 0) + 1;
+    w.waitMs = Date.now() - w.enqueuedTs;
+    try {
+      w.resolve(await w.handler());
+    } catch (error) {
+      w.reject(error);
+    } finally {
+      this.active--;
+      this.activePorAgenda[w.agenda]--;
+      this.completed++;
+      await this.recycleIfNeeded().catch(() => {});
+      this.dispatch();
+    }
+  }
+
+  async recycleIfNeeded() {
+    const b = this.browser;
+    // sin navegador no hay nada que reciclar ni que esperar
+    if (!b) {
+      this.draining = false;
+      return;
+    }
+    if (!this.draining) {
+      const proc = b.process && b.process();
+      const memoriaMb = await leerMemoriaMb(proc && proc.pid);
+      // mientras se leía /proc otro trabajo pudo empezar a reciclar (o ya cerró) este navegador
+      if (this.browser !== b) {
+        if (!this.browser) this.draining = false;
+        return;
+      }
+      if (!this.draining) {
+        const porPaginas = this.pagesSinceLaunch >= this.maxPages;
+        const porMemoria = memoriaMb !== null && memoriaMb >= this.maxMemoryMb;
+        if (!porPaginas && !porMemoria) return;
+        this.log(`🔄 Reciclando navegador (${porPaginas ? `${this.pagesSinceLaunch} páginas` : `${memoriaMb} MB`}), esperando ${this.active} trabajo(s) activo(s)...`);
+        this.draining = true;
+      }
+    }
+    if (this.active > 0) return;
+    // se suelta de forma síncrona: un segundo llamador ya no lo ve
+    this.browser = null;
+    this.pagesSinceLaunch = 0;
+    this.draining = false;
+    this.restarts++;
+    try { await b.close(); } catch (e) {}
+  }
+
+  stats() {
+    return {
+      size: this.size,
+      perAgenda: this.perAgenda,
+      active: this.active,
+      activePorAgenda: { ...this.activePorAgenda },
+      waiting: this.waiters.length,
+      maxQueue: this.maxQueue,
+      completed: this.completed,
+      rejected: this.rejected,
+      browser: !!this.browser,
+      pagesSinceLaunch: this.pagesSinceLaunch,
+      restarts: this.restarts,
+      launches: this.launches,
+      crashes: this.crashes,
+      lastLaunchError: this.lastLaunchError,
+      draining: this.draining
+    };
+  }
+
+  async close() {
+    this.waiters.splice(0).forEach(w => {
+      clearTimeout(w.timer);
+      w.reject(new PoolOcupadoError('Servicio deteniéndose', 30));
+    });
+    if (this.browser) {
+      const b = this.browser;
+      this.browser = null;
+      try { await b.close(); } catch (e) {}
+    }
+  }
+}
+
+module.exports = { BrowserPool, PoolOcupadoError };
@@ -0,0 +1,199 @@
+// lib/cache.js - Backends de cache (memoria LRU / archivo JSON) y política de TTL por tipo y agenda
+//
+// Cada entrada guarda { value, ts, ttl, stale }:
+//   edad < ttl          -> fresca
+//   edad < ttl + stale  -> vencida pero servible (stale-while-revalidate)
+//   después             -> se descarta
+// reloj (defecto Date.now) permite probar las transiciones sin esperar.
+const fs = require('fs');
+const path = require('path');
+
+function estadoEntrada(entry, nowTs = Date.now()) {
+  const edad = nowTs - entry.ts;
+  if (edad < entry.ttl) return 'fresh';
+  if (edad < entry.ttl + (entry.stale || 0)) return 'stale';
+  return 'dead';
+}
+
+class MemoryLRUCache {
+  constructor({ maxEntries = 500, reloj = Date.now } = {}) {
+    this.maxEntries = maxEntries;
+    this.reloj = reloj;
+    this.map = new Map();
+    this.revalidando = new Set();
+    this.hits = 0;
+    this.misses = 0;
+    this.evictions = 0;
+  }
+
+  get(key) {
+    const entry = this.map.get(key);
+    if (!entry) {
+      this.misses++;
+      return null;
+    }
+    if (this.estado(entry) === 'dead') {
+      this.map.delete(key);
+      this.misses++;
+      return null;
+    }
+    // LRU: la entrada usada pasa al final
+    this.map.delete(key);
+    this.map.set(key, entry);
+    this.hits++;
+    return entry;
+  }
+
+  set(key, value, { ttl, stale = 0 }) {
+    this.map.delete(key);
+    this.map.set(key, { value, ts: this.reloj(), ttl, stale });
+    while (this.map.size > this.maxEntries) {
+      this.map.delete(this.map.keys().next().value);
+      this.evictions++;
+    }
+  }
+
+  delete(key) {
+    return this.map.delete(key);
+  }
+
+  estado(entry) {
+    return estadoEntrada(entry, this.reloj());
+  }
+
+  // Stale-while-revalidate: { estado: fresh|stale|miss, value }. Con una entrada vencida-servible lanza
+  // refrescar() en segundo plano, una sola vez por clave aunque lleguen varios pedidos.
+  leerSWR(key, refrescar, { alFallar = () => {}, alRevalidar = () => {} } = {}) {
+    const entry = this.get(key);
+    if (!entry) return { estado: 'miss', value: null };
+    const estado = this.estado(entry);
+    if (estado === 'stale' && !this.revalidando.has(key)) {
+      this.revalidando.add(key);
+      alRevalidar(key);
+      Promise.resolve()
+        .then(refrescar)
+        .catch(alFallar)
+        .finally(() => this.revalidando.delete(key));
+    }
+    return { estado, value: entry.value };
+  }
+
+  keys() {
+    return Array.from(this.map.keys());
+  }
+
+  purgar() {
+    const nowTs = this.reloj();
+    let n = 0;
+    for (const [k, entry] of this.map) {
+      if (estadoEntrada(entry, nowTs) === 'dead') {
+        this.map.delete(k);
+        n++;
+      }
+    }
+    return n;
+  }
+
+  stats() {
+    return { backend: 'memory', entries: this.map.size, maxEntries: this.maxEntries, hits: this.hits, misses: this.misses, evictions: this.evictions };
+  }
+}
+
+// LRU en memoria persistido a un archivo JSON (escritura diferida, atómica con rename)
+class FileCache extends MemoryLRUCache {
+  constructor({ file, maxEntries = 500, flushDelay = 2000, log = () => {}, reloj }) {
+    super({ maxEntries, reloj });
+    this.file = file;
+    this.flushDelay = flushDelay;
+    this.log = log;
+    this.timer = null;
+    this.cargar();
+  }
+
+  cargar() {
+    try {
+      const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      (data.entries || []).forEach(([k, entry]) => {
+        if (this.estado(entry) !== 'dead') this.map.set(k, entry);
+      });
+      this.log(`💾 Cache cargada desde ${this.file} (${this.map.size} entradas)`);
+    } catch (e) {
+      if (e.code !== 'ENOENT') this.log(`⚠️ No se pudo leer cache ${this.file}: ${e.message}`);
+    }
+  }
+
+  programarGuardado() {
+    if (this.timer) return;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.flush();
+    }, this.flushDelay);
+    if (this.timer.unref) this.timer.unref();
+  }
+
+  flush() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      const tmp = `${this.file}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify({ savedAt: new Date().toISOString(), entries: Array.from(this.map.entries()) }));
+      fs.renameSync(tmp, this.file);
+    } catch (e) {
+      this.log(`⚠️ No se pudo guardar cache ${this.file}: ${e.message}`);
+    }
+  }
+
+  set(key, value, opts) {
+    super.set(key, value, opts);
+    this.programarGuardado();
+  }
+
+  delete(key) {
+    const r = super.delete(key);
+    if (r) this.programarGuardado();
+    return r;
+  }
+
+  stats() {
+    return { ...super.stats(), backend: 'file', file: this.file };
+  }
+}
+
+// TTL y ventana stale por tipo, con overrides por agenda:
+// { ttl: { horas: 60000 }, stale: { especialidades: 86400000 }, agendas: { cesmed: { ttl: { horas: 30000 } } } }
+class CachePolicy {
+  constructor({ ttl = {}, stale = {}, agendas = {} } = {}) {
+    this.ttlDefaults = ttl;
+    this.staleDefaults = stale;
+    this.agendas = agendas;
+  }
+
+  setAgenda(agenda, overrides) {
+    if (overrides) this.agendas[agenda] = overrides;
+    else delete this.agendas[agenda];
+  }
+
+  valor(campo, defaults, type, agenda) {
+    const porAgenda = agenda && this.agendas[agenda] && this.agendas[agenda][campo];
+    if (porAgenda && porAgenda[type] !== undefined) return Number(porAgenda[type]);
+    return Number(defaults[type] || 0);
+  }
+
+  ttl(type, agenda) {
+    return this.valor('ttl', this.ttlDefaults, type, agenda);
+  }
+
+  stale(type, agenda) {
+    return this.valor('stale', this.staleDefaults, type, agenda);
+  }
+}
+
+function crearCache({ backend = 'memory', file, maxEntries, log, reloj }) {
+  if (backend === 'file') return new FileCache({ file, maxEntries, log, reloj });
+  return new MemoryLRUCache({ maxEntries, reloj });
+}
+
+module.exports = { MemoryLRUCache, FileCache, CachePolicy, crearCache, estadoEntrada };
@@ -0,0 +1,151 @@
+// lib/canales.js - Canales de envío de recordatorios
+//
+//   webhook   { url, secreto?, headers? }            POST JSON con el recordatorio completo (firma como las suscripciones)
+//   smtp      { host, port, secure, user, pass, from } email al paciente (lib/smtp)
+//   whatsapp  { url, token?, formato: meta|generico, plantilla?: { nombre, idioma } }
+//             meta: API de WhatsApp Cloud (o un proveedor compatible); generico: { to, message }
+// Para probar sin proveedores reales basta apuntar url/host a un servidor local.
+const { firmar } = require('./suscripciones');
+const { enviarCorreo, SmtpError } = require('./smtp');
+
+const TIPOS = ['webhook', 'smtp', 'whatsapp'];
+
+class CanalError extends Error {
+  constructor(message, { reintentable = true, status = null } = {}) {
+    super(message);
+    this.name = 'CanalError';
+    this.reintentable = reintentable;
+    this.status = status;
+  }
+}
+
+function validarCanal(nombre, cfg) {
+  if (!cfg || !TIPOS.includes(cfg.tipo)) {
+    return `El canal "${nombre}" requiere tipo (${TIPOS.join(', ')})`;
+  }
+  if (cfg.tipo === 'smtp') {
+    if (!cfg.host || !cfg.from) return `El canal "${nombre}" requiere host y from`;
+    return null;
+  }
+  try {
+    if (!['http:', 'https:'].includes(new URL(cfg.url).protocol)) throw new Error();
+  } catch (e) {
+    return `URL inválida en el canal "${nombre}"`;
+  }
+  if (cfg.tipo === 'whatsapp' && cfg.formato && !['meta', 'generico'].includes(cfg.formato)) {
+    return `formato inválido en el canal "${nombre}" (meta, generico)`;
+  }
+  return null;
+}
+
+async function postJson(fetchImpl, url, payload, headers, timeout) {
+  const body = JSON.stringify(payload);
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  let response;
+  try {
+    response = await fetchImpl(url, {
+      method: 'POST',
+      signal: controller.signal,
+      headers: { 'Content-Type': 'application/json', ...(typeof headers === 'function' ? headers(body) : headers) },
+      body
+    });
+  } catch (e) {
+    throw new CanalError(e.name === 'AbortError' ? `Timeout (${timeout} ms)` : e.message);
+  } finally {
+    clearTimeout(timer);
+  }
+  if (!response.ok) {
+    // 4xx (salvo 408/429) no mejora reintentando
+    const reintentable = response.status >= 500 || response.status === 408 || response.status === 429;
+    throw new CanalError(`HTTP ${response.status}`, { reintentable, status: response.status });
+  }
+  return { status: response.status };
+}
+
+// -> { nombre, tipo, destino(recordatorio) -> string | null, enviar(recordatorio, mensaje) -> Promise<{ ... }> }
+// mensaje: { asunto, texto, variables }
+function crearCanal(nombre, cfg, { fetchImpl = fetch, timeout = 10000, enviarCorreoImpl = enviarCorreo } = {}) {
+  const error = validarCanal(nombre, cfg);
+  if (error) throw new CanalError(error, { reintentable: false });
+
+  if (cfg.tipo === 'webhook') {
+    return {
+      nombre,
+      tipo: cfg.tipo,
+      // el sistema que recibe el webhook decide a quién avisar
+      destino: () => cfg.url,
+      enviar: (r, mensaje) => postJson(fetchImpl, cfg.url, {
+        evento: 'recordatorio',
+        recordatorio_id: r.id,
+        tipo: r.tipo,
+        agenda: r.agenda,
+        especialidad: r.especialidad,
+        profesional: r.profesional,
+        fecha: r.fecha,
+        hora: r.hora,
+        reserva_id: r.reserva_id,
+        paciente: r.paciente,
+        asunto: mensaje.asunto,
+        mensaje: mensaje.texto
+      }, (body) => {
+        const h = { 'X-Recordatorio-Id': r.id, ...(cfg.headers || {}) };
+        if (cfg.secreto) {
+          const timestamp = String(Math.floor(Date.now() / 1000));
+          h['X-Signature-Timestamp'] = timestamp;
+          h['X-Signature-256'] = firmar(cfg.secreto, timestamp, body);
+        }
+        return h;
+      }, cfg.timeout || timeout)
+    };
+  }
+
+  if (cfg.tipo === 'smtp') {
+    return {
+      nombre,
+      tipo: cfg.tipo,
+      destino: r => (r.paciente && r.paciente.email) || null,
+      enviar: async (r, mensaje) => {
+        try {
+          return await enviarCorreoImpl({ timeout, ...cfg }, { to: r.destino, asunto: mensaje.asunto, texto: mensaje.texto });
+        } catch (e) {
+          if (e instanceof SmtpError) throw new CanalError(e.message, { reintentable: e.reintentable });
+          throw e;
+        }
+      }
+    };
+  }
+
+  // whatsapp
+  const formato = cfg.formato || 'meta';
+  return {
+    nombre,
+    tipo: cfg.tipo,
+    destino: r => (r.paciente && r.paciente.telefono) || null,
+    enviar: (r, mensaje) => {
+      const to = formato === 'meta' ? r.destino.replace(/^\+/, '') : r.destino;
+      let payload = { to, message: mensaje.texto };
+      if (formato === 'meta') {
+        // fuera de la ventana de 24 h Meta sólo acepta plantillas aprobadas
+        payload = cfg.plantilla
+          ? {
+            messaging_product: 'whatsapp',
+            to,
+            type: 'template',
+            template: {
+              name: cfg.plantilla.nombre,
+              language: { code: cfg.plantilla.idioma || 'es' },
+              components: [{
+                type: 'body',
+                parameters: ['nombre', 'especialidad', 'profesional', 'cuando', 'hora'].map(k => ({ type: 'text', text: String(mensaje.variables[k] || '') }))
+              }]
+            }
+          }
+          : { messaging_product: 'whatsapp', recipient_type: 'individual', to, type: 'text', text: { body: mensaje.texto } };
+      }
+      return postJson(fetchImpl, cfg.url, payload, { ...(cfg.token ? { Authorization: `Bearer ${cfg.token}` } : {}), ...(cfg.headers || {}) }, cfg.timeout || timeout);
+    }
+  };
+}
+
+module.exports = { crearCanal, validarCanal, CanalError, TIPOS };
@@ -0,0 +1,165 @@
+// lib/clientes.js - Clientes con API key, límite de requests por minuto y cuota de trabajos en cola
+//
+// Se definen en config/clientes.json (CLIENTES_CONFIG para otra ruta) y/o en la variable API_KEYS
+// (mismo formato que "clientes"; gana sobre el archivo). Sin clientes definidos la API queda abierta.
+//
+// {
+//   "defaults": { "porMinuto": 60, "rafaga": 20, "maxCola": 5 },
+//   "clientes": {
+//     "kommo": { "keys": ["sha256:<hex>"], "porMinuto": 120 },
+//     "ops":   { "keys": ["<key en claro, mínimo 24 caracteres>"], "admin": true }
+//   }
+// }
+// keys: en claro o como "sha256:" + sha256 hex de la key (preferible: el archivo no la expone).
+// admin: acceso a /api/admin/* y /api/debug/*.
+const fs = require('fs');
+const crypto = require('crypto');
+const { PoolOcupadoError } = require('./browserPool');
+
+const DEFAULTS = { porMinuto: 60, rafaga: 20, maxCola: 5 };
+const LARGO_MINIMO_KEY = 24;
+
+class ClienteConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ClienteConfigError';
+  }
+}
+
+// Cuota de trabajos de navegador (en curso + en cola) del cliente agotada
+class CuotaColaError extends PoolOcupadoError {
+  constructor(cliente, maxCola) {
+    super(`El cliente ${cliente} ya tiene ${maxCola} trabajo(s) de navegador en curso o en cola`, 5);
+    this.name = 'CuotaColaError';
+    this.code = 'CUOTA_COLA_EXCEDIDA';
+    this.status = 429;
+  }
+}
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+function esNumeroPositivo(v) {
+  return typeof v === 'number' && Number.isFinite(v) && v > 0;
+}
+
+function validarCliente(nombre, cfg) {
+  if (!/^[a-z0-9_-]+$/i.test(nombre)) throw new ClienteConfigError(`Nombre de cliente inválido: "${nombre}"`);
+  if (!cfg || !Array.isArray(cfg.keys) || cfg.keys.length === 0) throw new ClienteConfigError(`El cliente "${nombre}" requiere keys`);
+  cfg.keys.forEach(k => {
+    if (typeof k !== 'string') throw new ClienteConfigError(`Key inválida en el cliente "${nombre}"`);
+    if (k.startsWith('sha256:') ? !/^sha256:[0-9a-f]{64}$/i.test(k) : k.length < LARGO_MINIMO_KEY) {
+      throw new ClienteConfigError(`Key inválida en el cliente "${nombre}": usar sha256:<64 hex> o al menos ${LARGO_MINIMO_KEY} caracteres`);
+    }
+  });
+  ['porMinuto', 'rafaga', 'maxCola'].forEach(campo => {
+    if (cfg[campo] !== undefined && !esNumeroPositivo(cfg[campo])) throw new ClienteConfigError(`${campo} inválido en el cliente "${nombre}"`);
+  });
+}
+
+class ClienteRegistry {
+  constructor({ file, env, log = () => {} }) {
+    this.file = file;
+    this.env = env;
+    this.log = log;
+    this.clientes = {};
+    this.porHash = new Map();
+    this.loadedAt = null;
+  }
+
+  get activo() {
+    return this.porHash.size > 0;
+  }
+
+  get hayAdmin() {
+    return Object.values(this.clientes).some(c => c.admin);
+  }
+
+  // Lee archivo + variable; si algo es inválido se mantiene la configuración anterior
+  load() {
+    let raw = {};
+    try {
+      raw = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw new ClienteConfigError(`${this.file}: ${e.message}`);
+    }
+    let desdeEnv = {};
+    try {
+      desdeEnv = this.env ? JSON.parse(this.env) : {};
+    } catch (e) {
+      throw new ClienteConfigError(`API_KEYS no es JSON válido: ${e.message}`);
+    }
+
+    const defaults = { ...DEFAULTS, ...(raw.defaults || {}) };
+    const definiciones = { ...(raw.clientes || {}), ...desdeEnv };
+    const clientes = {};
+    const porHash = new Map();
+    Object.entries(definiciones).forEach(([nombre, cfg]) => {
+      validarCliente(nombre, cfg);
+      const cliente = {
+        nombre,
+        admin: !!cfg.admin,
+        porMinuto: cfg.porMinuto || defaults.porMinuto,
+        rafaga: cfg.rafaga || defaults.rafaga,
+        maxCola: cfg.maxCola || defaults.maxCola,
+        keys: cfg.keys.length
+      };
+      cfg.keys.forEach(k => {
+        const h = k.startsWith('sha256:') ? k.slice(7).toLowerCase() : hashKey(k);
+        if (porHash.has(h)) throw new ClienteConfigError(`Key repetida en "${nombre}" y "${porHash.get(h).nombre}"`);
+        porHash.set(h, cliente);
+      });
+      clientes[nombre] = cliente;
+    });
+
+    this.clientes = clientes;
+    this.porHash = porHash;
+    this.loadedAt = new Date().toISOString();
+    this.log(this.activo
+      ? `🔑 Clientes con API key: ${Object.keys(clientes).join(', ')}`
+      : '⚠️ Sin clientes configurados: la API no exige API key');
+    return Object.keys(clientes);
+  }
+
+  autenticar(key) {
+    if (!key) return null;
+    return this.porHash.get(hashKey(key)) || null;
+  }
+
+  listar() {
+    return Object.values(this.clientes);
+  }
+}
+
+// Token bucket por cliente: "rafaga" requests seguidas, se recarga a "porMinuto"
+class LimitadorTasa {
+  constructor({ reloj = Date.now } = {}) {
+    this.reloj = reloj;
+    this.baldes = new Map();
+  }
+
+  // -> { ok, restantes, retryAfter (s) }
+  consumir(nombre, porMinuto, rafaga) {
+    const ahora = this.reloj();
+    const porMs = porMinuto / 60000;
+    const b = this.baldes.get(nombre) || { tokens: rafaga, ts: ahora };
+    b.tokens = Math.min(rafaga, b.tokens + (ahora - b.ts) * porMs);
+    b.ts = ahora;
+    this.baldes.set(nombre, b);
+    if (b.tokens >= 1) {
+      b.tokens -= 1;
+      return { ok: true, restantes: Math.floor(b.tokens), retryAfter: 0 };
+    }
+    return { ok: false, restantes: 0, retryAfter: Math.max(1, Math.ceil((1 - b.tokens) / porMs / 1000)) };
+  }
+}
+
+// X-API-Key, Authorization: Bearer o ?api_key= (para integraciones que no permiten headers)
+function leerApiKey(req) {
+  const auth = req.get('Authorization') || '';
+  const bearer = /^Bearer\s+(.+)$/i.exec(auth);
+  return req.get('X-API-Key') || (bearer && bearer[1].trim()) || (req.query && req.query.api_key) || null;
+}
+
+module.exports = { ClienteRegistry, ClienteConfigError, CuotaColaError, LimitadorTasa, leerApiKey, hashKey };
@@ -0,0 +1,183 @@
+// lib/diagnostico.js - Traza paso a paso de cada request y artefactos (screenshot + DOM) cuando falla
+//
+// Cada request /api recibe un id (X-Request-Id, se acepta el del cliente si es válido) y una traza
+// que viaja con AsyncLocalStorage hasta los flujos de Puppeteer: navegación, clicks, selectores
+// probados, tiempos y la consola de la página. Si el flujo falla se guardan screenshot y HTML en
+// <dir>/<requestId>/ junto con traza.json, y todo se consulta en GET /api/debug/:requestId.
+//
+// En memoria quedan las últimas `max` trazas; en disco solo las fallidas, hasta `ttlMs`.
+// `redactar` (lib/logger, se inyecta para no depender de él) se aplica a traza.json, al HTML guardado y a
+// lo que devuelve get(). Un screenshot no se puede redactar: quien llama decide si capturar.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const contexto = new AsyncLocalStorage();
+const ID_VALIDO = /^[A-Za-z0-9_-]{8,64}$/;
+const MAX_PASOS = 300;
+const MAX_CONSOLA = 100;
+
+class Traza {
+  constructor({ id, metodo, ruta }) {
+    this.id = id;
+    this.metodo = metodo;
+    this.ruta = ruta;
+    this.inicio = Date.now();
+    this.creada = new Date(this.inicio).toISOString();
+    this.status = null;
+    this.duracionMs = null;
+    this.pasos = [];
+    this.consola = [];
+    this.error = null;
+    this.artefactos = [];
+  }
+
+  // t = ms desde el inicio del request
+  paso(nombre, datos = {}) {
+    if (this.pasos.length >= MAX_PASOS) return;
+    this.pasos.push({ t: Date.now() - this.inicio, paso: nombre, ...datos });
+  }
+
+  registrarConsola(tipo, texto) {
+    if (this.consola.length >= MAX_CONSOLA) return;
+    this.consola.push({ t: Date.now() - this.inicio, tipo, texto: String(texto).slice(0, 500) });
+  }
+
+  // causa: etiqueta corta que decide quien llama ('layout', 'no-encontrado', 'timeout', ...)
+  fallo(error, causa = 'error') {
+    if (this.error) return;
+    this.error = { causa, mensaje: error && error.message ? error.message : String(error), code: (error && error.code) || null };
+  }
+
+  toJSON() {
+    const { inicio, ...resto } = this;
+    return resto;
+  }
+}
+
+class DiagnosticoStore {
+  constructor({ dir, max = 200, ttlMs = 1000*60*60*24, redactar = v => v, log = () => {} }) {
+    this.dir = dir;
+    this.redactar = redactar;
+    this.max = max;
+    this.ttlMs = ttlMs;
+    this.log = log;
+    this.trazas = new Map();
+  }
+
+  crear({ id, metodo, ruta }) {
+    if (!id || !ID_VALIDO.test(id) || this.trazas.has(id)) id = crypto.randomUUID();
+    const traza = new Traza({ id, metodo, ruta });
+    this.trazas.set(id, traza);
+    while (this.trazas.size > this.max) this.trazas.delete(this.trazas.keys().next().value);
+    return traza;
+  }
+
+  // Memoria primero; si el proceso se reinició, la traza.json de un request fallido
+  get(id) {
+    if (!ID_VALIDO.test(String(id || ''))) return null;
+    const traza = this.trazas.get(id);
+    if (traza) return this.redactar(traza.toJSON());
+    try {
+      return JSON.parse(fs.readFileSync(path.join(this.dir, id, 'traza.json'), 'utf8'));
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Ruta de un artefacto listado en la traza (nunca un nombre arbitrario)
+  archivo(id, nombre) {
+    const traza = this.get(id);
+    if (!traza || !traza.artefactos.some(a => a.archivo === nombre)) return null;
+    return path.join(this.dir, id, nombre);
+  }
+
+  // Screenshot + HTML de la página en el momento del fallo
+  async capturar(traza, page, motivo) {
+    if (!traza || !page) return;
+    const carpeta = path.join(this.dir, traza.id);
+    const n = String(new Set(traza.artefactos.map(a => a.archivo.split('-')[0])).size + 1).padStart(2, '0');
+    const base = `${n}-${String(motivo || 'fallo').toLowerCase().replace(/[^a-z0-9]+/g, '-').slice(0, 40)}`;
+    try {
+      fs.mkdirSync(carpeta, { recursive: true });
+      const url = page.url();
+      await page.screenshot({ path: path.join(carpeta, `${base}.png`), fullPage: true }).then(
+        () => traza.artefactos.push({ tipo: 'screenshot', archivo: `${base}.png`, url }),
+        (e) => traza.paso('artefacto-fallido', { tipo: 'screenshot', error: e.message })
+      );
+      const html = await page.content().catch(() => null);
+      if (html !== null) {
+        fs.writeFileSync(path.join(carpeta, `${base}.html`), this.redactar(html));
+        traza.artefactos.push({ tipo: 'html', archivo: `${base}.html`, url });
+      }
+      this.persistir(traza);
+    } catch (e) {
+      this.log(`⚠️ No se pudieron guardar artefactos de ${traza.id}: ${e.message}`);
+    }
+  }
+
+  persistir(traza) {
+    try {
+      const carpeta = path.join(this.dir, traza.id);
+      fs.mkdirSync(carpeta, { recursive: true });
+      fs.writeFileSync(path.join(carpeta, 'traza.json'), JSON.stringify(this.redactar(traza.toJSON()), null, 2));
+    } catch (e) {
+      this.log(`⚠️ No se pudo guardar la traza ${traza.id}: ${e.message}`);
+    }
+  }
+
+  // Borra del disco las carpetas más viejas que ttlMs
+  limpiar() {
+    let borradas = 0;
+    let carpetas = [];
+    try {
+      carpetas = fs.readdirSync(this.dir);
+    } catch (e) {
+      return 0;
+    }
+    carpetas.forEach(nombre => {
+      const carpeta = path.join(this.dir, nombre);
+      try {
+        if (Date.now() - fs.statSync(carpeta).mtimeMs > this.ttlMs) {
+          fs.rmSync(carpeta, { recursive: true, force: true });
+          borradas++;
+        }
+      } catch (e) {}
+    });
+    return borradas;
+  }
+
+  // Abre la traza y corre el resto del request dentro de su contexto
+  middleware() {
+    return (req, res, next) => {
+      if (req.path.startsWith('/debug')) return next();
+      const traza = this.crear({ id: req.get('X-Request-Id'), metodo: req.method, ruta: req.originalUrl });
+      req.requestId = traza.id;
+      res.set('X-Request-Id', traza.id);
+
+      // los errores v1 ({ success:false }) llevan el id para poder pedir /api/debug/:id
+      const json = res.json.bind(res);
+      res.json = (body) => json(body && body.success === false && !body.request_id ? { ...body, request_id: traza.id } : body);
+
+      res.on('finish', () => {
+        traza.status = res.statusCode;
+        traza.duracionMs = Date.now() - traza.inicio;
+        if (traza.error || traza.artefactos.length > 0) this.persistir(traza);
+      });
+      contexto.run(traza, next);
+    };
+  }
+}
+
+function trazaActual() {
+  return contexto.getStore() || null;
+}
+
+// Atajo para los flujos: no hace nada fuera de un request
+function paso(nombre, datos) {
+  const traza = trazaActual();
+  if (traza) traza.paso(nombre, datos);
+}
+
+module.exports = { DiagnosticoStore, Traza, trazaActual, paso };
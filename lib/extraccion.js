@@ -0,0 +1,144 @@
+// lib/extraccion.js - Extracción de especialidades, profesionales y horas a partir de lo que se lee
+// de la página (texto visible, celdas de un selector, último XHR de /onlineBooking/application).
+//
+// Sin Puppeteer: el navegador solo entrega los datos crudos (leerPagina en server.js) y aquí se
+// interpretan, así se pueden probar offline contra fixtures (test/fixtures).
+const { interpretarHoras, slotsDesdeXHR, slotsDesdeTexto, completar } = require('./slots');
+
+function lineas(texto) {
+  return String(texto || '').split('\n').map(l => l.trim()).filter(Boolean);
+}
+
+// entrada: { celdas: [{ text, title }], texto } -> [{ text, value }]
+function especialidadesDesdePagina({ celdas = [], texto = '' }) {
+  const especialidadesData = [];
+  celdas.forEach(cell => {
+    const text = (cell.text || '').trim();
+    const title = cell.title || '';
+    if (text && text.length > 3) {
+      especialidadesData.push({ text: title || text, value: title || text });
+    }
+  });
+  if (especialidadesData.length === 0) {
+    lineas(texto).forEach(l => {
+      if (l.length > 4 && !/reservar|especialidad|por especialidad/i.test(l)) {
+        especialidadesData.push({ text: l, value: l });
+      }
+    });
+  }
+  return especialidadesData;
+}
+
+// "Especialidad: KINESIOLOGÍA" -> "KINESIOLOGÍA"
+const ESPECIALIDAD_TARJETA = /especialidad\s*:\s*(.+)$/i;
+
+// entrada: { texto, celdas: [{ text }] } -> [{ nombre, value, especialidad }]
+// El nombre es la línea anterior a "Especialidad: ..." (y la especialidad, lo que esa línea dice);
+// si no hay, la primera línea de cada celda y la especialidad de la tarjeta o su segunda línea.
+function profesionalesDesdePagina({ texto = '', celdas = [] }) {
+  const profesionalesData = [];
+  const lines = lineas(texto);
+  for (let i = 0; i < lines.length; i++) {
+    if (/especialidad[:\s]/i.test(lines[i]) && i > 0) {
+      const nombre = lines[i - 1] || '';
+      if (nombre && nombre.length > 3 && !/especialidad|seleccione/i.test(nombre)) {
+        const esp = ESPECIALIDAD_TARJETA.exec(lines[i]);
+        profesionalesData.push({ nombre: nombre, value: nombre, especialidad: esp ? esp[1].trim() : '' });
+      }
+    }
+  }
+  if (profesionalesData.length === 0) {
+    celdas.forEach(el => {
+      const txt = el.text || '';
+      if (txt && txt.length > 5) {
+        // textContent junta las líneas de la tarjeta: "Ana Soto PérezEspecialidad: KINESIOLOGÍA"
+        const partes = lineas(txt);
+        const first = partes[0].split(/especialidad\s*:/i)[0].trim() || partes[0];
+        const esp = ESPECIALIDAD_TARJETA.exec(partes.find(l => ESPECIALIDAD_TARJETA.test(l)) || '');
+        profesionalesData.push({ nombre: first, value: first, especialidad: esp ? esp[1].trim() : (partes[1] || '') });
+      }
+    });
+  }
+  const seen = new Set();
+  const unique = [];
+  profesionalesData.forEach(p => {
+    const key = (p.nombre || p.value || '').trim();
+    if (key && !seen.has(key)) {
+      seen.add(key);
+      unique.push({ nombre: key, value: key, especialidad: p.especialidad || '' });
+    }
+  });
+  return unique;
+}
+
+// Horas: ver lib/slots.js. Estas variantes devuelven solo las no ocupadas, con el slot completo
+// ({ hora, hora_fin, duracion_min, estado, box, sede, modalidad })
+
+// xhr: { url, json, text } (último /onlineBooking/application) -> slots o [] si no sirve
+function horasDesdeXHR(xhr) {
+  const r = slotsDesdeXHR(xhr);
+  return r ? completar(r.slots).filter(s => s.estado !== 'OCUPADO') : [];
+}
+
+// texto visible del calendario -> slots que no dicen OCUPADO
+function horasDesdeTexto(texto) {
+  return completar(slotsDesdeTexto(texto)).filter(s => s.estado !== 'OCUPADO');
+}
+
+// El XHR manda; el DOM es el respaldo
+function horasDesdePagina(entrada) {
+  return interpretarHoras(entrada).horas;
+}
+
+// Página después de confirmar la reserva -> { tomada, confirmada, id, texto }.
+// El id sólo se toma con una etiqueta explícita ("N° de reserva", "código de reserva", "folio"):
+// el comprobante también trae RUT, teléfono y fechas. "Comprobante" o "su reserva" aparecen en
+// páginas que no son la confirmación, así que no cuentan como señal.
+const ID_RESERVA = /(?:\bn(?:[°º]|ro\.?|[uú]mero)\s*(?:de\s+)?(?:reserva|atenci[oó]n)|\bc[oó]digo\s+de\s+reserva|\bfolio|\bid\s+de\s+reserva)\s*[:#]?\s*((?=[A-Z-]*\d)[A-Z0-9][A-Z0-9-]{2,})\b/i;
+
+function resultadoReservaDesdeTexto(texto) {
+  const text = String(texto || '').trim();
+  const low = text.normalize('NFD').replace(/\p{Diacritic}/gu, '').toLowerCase();
+  const tomada = /ya (no )?(esta|se encuentra) (disponible|reservad|tomad|ocupad)|hora (ya )?(fue )?(tomada|ocupada|reservada por otro)|no esta disponible/.test(low);
+  const confirmada = /reserva (fue )?(realizada|confirmada|exitosa)|hora (fue )?(reservada|agendada) (con exito|exitosamente|correctamente)/.test(low);
+  const m = ID_RESERVA.exec(text);
+  return { tomada, confirmada, id: m ? m[1] : null, texto: text.slice(0, 2000) };
+}
+
+function normalizar(s) {
+  return String(s || '').normalize('NFD').replace(/\p{Diacritic}/gu, '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+// valor como palabra completa: "123" no está en "41234", "AB-123", "12:30" ni "12.345.678-5"
+function contieneToken(texto, valor) {
+  const v = normalizar(valor).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(?<![a-z0-9/-])(?<!\\d[.,:])${v}(?![a-z0-9/-])(?![.,:]\\d)`).test(texto);
+}
+
+// "12.345.678-5" y "12345678-5" son el mismo RUT
+function contieneRut(texto, rut) {
+  const limpio = normalizar(rut).replace(/[.\s]/g, '');
+  return contieneToken(texto.replace(/(\d)\.(?=\d{3}\b)/g, '$1'), limpio);
+}
+
+// textos de las filas con botón "anular" -> índices de las que son la reserva buscada:
+// por id como palabra completa, o por fecha (dd/mm/aaaa) + hora + RUT del paciente.
+// Más de un índice = ambigua; quien llama no debe hacer click.
+function filasDeReserva(textos, { id, rut, fecha, hora }) {
+  return textos.map(normalizar).reduce((indices, t, i) => {
+    const coincide = id
+      ? contieneToken(t, id)
+      : Boolean(fecha && hora && rut) && contieneToken(t, fecha) && contieneToken(t, hora) && contieneRut(t, rut);
+    return coincide ? indices.concat(i) : indices;
+  }, []);
+}
+
+module.exports = {
+  resultadoReservaDesdeTexto,
+  filasDeReserva,
+  especialidadesDesdePagina,
+  profesionalesDesdePagina,
+  horasDesdeXHR,
+  horasDesdeTexto,
+  horasDesdePagina
+};
@@ -0,0 +1,224 @@
+// lib/fixtures.js - Modo grabación/reproducción de los flujos de scraping para probarlos offline
+//
+// PHILAXMED_FIXTURES=record  guarda, por agenda y flujo, las respuestas que recibe la página
+//                            (documento, scripts, /onlineBooking/application), un HTML por paso,
+//                            la entrada de los extractores (lib/extraccion) y el resultado.
+// PHILAXMED_FIXTURES=replay  sirve esas respuestas desde disco con request interception; lo que
+//                            no esté grabado se aborta (nunca se sale a internet).
+// PHILAXMED_FIXTURES_DIR     carpeta raíz (por defecto test/fixtures)
+//
+// Estructura: <dir>/<agenda>/<flujo>/{ manifest.json, respuestas.json, cuerpos/, pasos/, entrada.json, esperado.json }
+const fs = require('fs');
+const path = require('path');
+const { slug } = require('./texto');
+
+const MODOS = ['off', 'record', 'replay'];
+const TIPOS_GRABADOS = ['document', 'script', 'stylesheet', 'xhr', 'fetch'];
+// prioridad de interception cooperativa: gana sobre el continue() de capturarApplicationXHR
+const PRIORIDAD_REPLAY = 10;
+
+function nombreFlujo(tipo, ...partes) {
+  return [tipo, ...partes.filter(Boolean).map(slug)].join('--');
+}
+
+function leerJson(file, porDefecto) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    if (e.code === 'ENOENT' && porDefecto !== undefined) return porDefecto;
+    throw e;
+  }
+}
+
+function escribirJson(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(data, null, 2) + '\n');
+}
+
+function esTexto(contentType) {
+  return /text|json|javascript|xml|css/i.test(contentType || '');
+}
+
+// Respuestas grabadas -> la siguiente que corresponde a cada request.
+// Primero método + URL + cuerpo exactos (en orden si se repiten); si no, la siguiente no usada
+// con el mismo método + URL (el cuerpo suele llevar fechas o tokens que cambian).
+class ReplayIndex {
+  constructor(respuestas) {
+    this.respuestas = respuestas.map((r, i) => ({ ...r, i }));
+    this.usadas = new Set();
+  }
+
+  static clave({ method, url, postData }) {
+    return `${(method || 'GET').toUpperCase()} ${url} ${postData || ''}`;
+  }
+
+  buscar(req) {
+    const exacta = ReplayIndex.clave(req);
+    const mismaUrl = (r) => (r.method || 'GET').toUpperCase() === (req.method || 'GET').toUpperCase() && r.url === req.url;
+    const candidatas = this.respuestas.filter(r => ReplayIndex.clave(r) === exacta);
+    let r = candidatas.find(c => !this.usadas.has(c.i)) || candidatas[candidatas.length - 1];
+    if (!r) {
+      const porUrl = this.respuestas.filter(mismaUrl);
+      r = porUrl.find(c => !this.usadas.has(c.i)) || porUrl[porUrl.length - 1];
+    }
+    if (!r) return null;
+    this.usadas.add(r.i);
+    return r;
+  }
+}
+
+class FixtureSession {
+  constructor({ modo = 'off', dir, agenda, flujo, log = () => {} }) {
+    if (!MODOS.includes(modo)) throw new Error(`PHILAXMED_FIXTURES inválido: ${modo} (${MODOS.join(', ')})`);
+    this.modo = modo;
+    this.root = dir;
+    this.dir = path.join(dir, agenda || '_', flujo || '_');
+    this.agenda = agenda;
+    this.flujo = flujo;
+    this.log = log;
+    this.respuestas = [];
+    this.pendientes = [];
+    this.pasos = 0;
+    this.entradas = {};
+    this.faltantes = [];
+  }
+
+  get activo() {
+    return this.modo !== 'off' && !!this.flujo;
+  }
+
+  async instalar(page) {
+    if (!this.activo) return;
+    if (this.modo === 'record') return this.instalarGrabacion(page);
+    return this.instalarReproduccion(page);
+  }
+
+  instalarGrabacion(page) {
+    fs.rmSync(path.join(this.dir, 'pasos'), { recursive: true, force: true });
+    page.on('response', (response) => {
+      const req = response.request();
+      if (!TIPOS_GRABADOS.includes(req.resourceType())) return;
+      const p = (async () => {
+        const headers = response.headers();
+        const r = { method: req.method(), url: req.url(), postData: req.postData() || null, status: response.status(), contentType: headers['content-type'] || null };
+        if (r.status >= 300 && r.status < 400) {
+          r.location = headers.location || null;
+        } else {
+          r.cuerpo = await response.buffer().catch(() => null);
+        }
+        this.respuestas.push(r);
+      })();
+      this.pendientes.push(p);
+    });
+  }
+
+  async instalarReproduccion(page) {
+    const manifest = leerJson(path.join(this.dir, 'manifest.json'));
+    const index = new ReplayIndex(leerJson(path.join(this.dir, 'respuestas.json')));
+    this.log(`📼 Reproduciendo fixture ${this.agenda}/${this.flujo}${manifest.sintetico ? ' (sintético)' : ''}`);
+    // el widget calcula "hoy" en el navegador: se congela el reloj en la fecha de grabación
+    if (manifest.grabado) {
+      await page.evaluateOnNewDocument((grabado) => {
+        const RealDate = Date;
+        const desfase = grabado - RealDate.now();
+        class FixtureDate extends RealDate {
+          constructor(...args) {
+            if (args.length === 0) super(RealDate.now() + desfase);
+            else super(...args);
+          }
+          static now() {
+            return RealDate.now() + desfase;
+          }
+        }
+        window.Date = FixtureDate;
+      }, Date.parse(manifest.grabado));
+    }
+    await page.setRequestInterception(true);
+    page.on('request', (req) => {
+      if (req.isInterceptResolutionHandled()) return;
+      const r = index.buscar({ method: req.method(), url: req.url(), postData: req.postData() });
+      if (!r) {
+        this.faltantes.push(`${req.method()} ${req.url()}`);
+        req.abort('internetdisconnected', PRIORIDAD_REPLAY).catch(() => {});
+        return;
+      }
+      const headers = { 'access-control-allow-origin': '*' };
+      if (r.location) headers.location = r.location;
+      let body = '';
+      try {
+        body = r.archivo ? this.leerCuerpo(r.archivo) : '';
+      } catch (e) {
+        this.log(`⚠️ Fixture ${this.agenda}/${this.flujo}: ${e.message}`);
+        req.abort('failed', PRIORIDAD_REPLAY).catch(() => {});
+        return;
+      }
+      req.respond({ status: r.status, headers, contentType: r.contentType || undefined, body }, PRIORIDAD_REPLAY).catch(() => {});
+    });
+  }
+
+  // rutas relativas a la carpeta del flujo, sin salir de la raíz de fixtures
+  leerCuerpo(archivo) {
+    const file = path.resolve(this.dir, archivo);
+    if (!file.startsWith(path.resolve(this.root) + path.sep)) throw new Error(`Cuerpo fuera de la carpeta de fixtures: ${archivo}`);
+    return fs.readFileSync(file);
+  }
+
+  async paso(page, nombre) {
+    if (!this.activo || this.modo !== 'record') return;
+    this.pasos++;
+    const html = await page.content().catch(() => null);
+    if (html === null) return;
+    const file = path.join(this.dir, 'pasos', `${String(this.pasos).padStart(2, '0')}-${slug(nombre)}.html`);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, html);
+  }
+
+  // lo que recibió cada extractor; en horas hay una entrada por fecha
+  entrada(clave, valor) {
+    if (!this.activo) return;
+    if (clave === 'horas') (this.entradas.horas = this.entradas.horas || []).push(valor);
+    else this.entradas[clave] = valor;
+  }
+
+  // parametros: los del scrape (el test de replay los usa para repetir la llamada)
+  async guardar({ url, parametros, resultado }) {
+    if (!this.activo || this.modo !== 'record') return;
+    await Promise.all(this.pendientes);
+    fs.rmSync(path.join(this.dir, 'cuerpos'), { recursive: true, force: true });
+
+    const respuestas = this.respuestas.map((r, i) => {
+      const { cuerpo, ...meta } = r;
+      if (!cuerpo) return meta;
+      const ext = esTexto(r.contentType) ? (/json/.test(r.contentType) ? 'json' : /html/.test(r.contentType) ? 'html' : 'txt') : 'bin';
+      const archivo = path.join('cuerpos', `${String(i + 1).padStart(3, '0')}.${ext}`);
+      fs.mkdirSync(path.join(this.dir, 'cuerpos'), { recursive: true });
+      fs.writeFileSync(path.join(this.dir, archivo), cuerpo);
+      return { ...meta, archivo };
+    });
+
+    escribirJson(path.join(this.dir, 'manifest.json'), {
+      agenda: this.agenda,
+      flujo: this.flujo,
+      url,
+      parametros,
+      grabado: new Date().toISOString(),
+      sintetico: false
+    });
+    escribirJson(path.join(this.dir, 'respuestas.json'), respuestas);
+    escribirJson(path.join(this.dir, 'entrada.json'), this.entradas);
+    escribirJson(path.join(this.dir, 'esperado.json'), resultado);
+    this.log(`📼 Fixture grabado en ${this.dir} (${respuestas.length} respuestas, ${this.pasos} pasos)`);
+  }
+}
+
+function crearSesionFixture({ agenda, flujo, log }) {
+  return new FixtureSession({
+    modo: process.env.PHILAXMED_FIXTURES || 'off',
+    dir: process.env.PHILAXMED_FIXTURES_DIR || path.join(__dirname, '..', 'test', 'fixtures'),
+    agenda,
+    flujo,
+    log
+  });
+}
+
+module.exports = { FixtureSession, ReplayIndex, crearSesionFixture, nombreFlujo, PRIORIDAD_REPLAY };
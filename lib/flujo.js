@@ -0,0 +1,383 @@
+// lib/flujo.js - Flujo guiado de reserva del lado del servidor: el bot reenvía lo que escribió el usuario
+// y recibe la siguiente pregunta con sus opciones numeradas (mismo formato que los *_text).
+//
+// agenda -> especialidad -> profesional -> fecha -> hora -> paciente (campo a campo) -> confirmacion
+// "atrás"/"volver" retrocede un paso y "cancelar" cierra la sesión. Las sesiones se guardan en un JSON
+// local (sobreviven un reinicio) y expiran tras ttlMs sin actividad.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { normalizeStringNode } = require('./texto');
+const { resolverRespuesta } = require('./resolver');
+
+const PASOS = ['agenda', 'especialidad', 'profesional', 'fecha', 'hora', 'paciente', 'confirmacion'];
+// pasos con lista: de dónde salen las opciones y cómo se interpreta la respuesta (lib/resolver)
+const LISTAS = {
+  agenda: { tipo: 'especialidades', pregunta: '¿En qué centro desea atenderse?' },
+  especialidad: { tipo: 'especialidades', pregunta: '¿Qué especialidad necesita?' },
+  profesional: { tipo: 'profesionales', pregunta: '¿Con qué profesional desea atenderse?' },
+  hora: { tipo: 'horas', pregunta: '¿Qué hora prefiere?' }
+};
+const PREGUNTAS_PACIENTE = {
+  rut: 'Indique el RUT del paciente',
+  nombre: 'Indique el nombre completo del paciente',
+  telefono: 'Indique un teléfono de contacto',
+  email: 'Indique un correo electrónico',
+  prevision: 'Indique la previsión del paciente (Fonasa, Isapre o Particular)'
+};
+
+const COMANDOS_ATRAS = /^(atras|volver|anterior)$/;
+const COMANDOS_CANCELAR = /^(cancelar|salir|terminar)$/;
+const SI = /^(si|s|ok|confirmo|confirmar|dale|correcto|de acuerdo)\b/;
+const NO = /^(no|n)\b/;
+
+const DIAS_SEMANA = ['domingo', 'lunes', 'martes', 'miercoles', 'jueves', 'viernes', 'sabado'];
+
+// Error de una dependencia (lista de la agenda que no se pudo obtener): el paso queda pendiente
+class FlujoError extends Error {
+  constructor(message, status = 502) {
+    super(message);
+    this.name = 'FlujoError';
+    this.status = status;
+  }
+}
+
+function iso(d) {
+  const p = n => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${p(d.getMonth() + 1)}-${p(d.getDate())}`;
+}
+
+// "2026-10-21", "21/10/2026", "21-10", "hoy", "mañana", "pasado mañana", "el lunes" -> "YYYY-MM-DD" | null
+function parsearFecha(respuesta, hoy = new Date()) {
+  const s = normalizeStringNode(respuesta).replace(/^(?:el|para el|para)\s+/, '');
+  const base = new Date(hoy.getFullYear(), hoy.getMonth(), hoy.getDate());
+  const mas = dias => iso(new Date(base.getFullYear(), base.getMonth(), base.getDate() + dias));
+
+  if (s === 'hoy') return mas(0);
+  if (s === 'manana') return mas(1);
+  if (s === 'pasado manana') return mas(2);
+  const dia = DIAS_SEMANA.indexOf(s.replace(/\s+(proximo|que viene)$/, ''));
+  if (dia !== -1) return mas(((dia - base.getDay() + 7) % 7) || 7);
+
+  let m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(s);
+  let [anio, mes, d] = m ? [Number(m[1]), Number(m[2]), Number(m[3])] : [];
+  if (!m) {
+    m = /^(\d{1,2})[/-](\d{1,2})(?:[/-](\d{2}|\d{4}))?$/.exec(s);
+    if (!m) return null;
+    [d, mes] = [Number(m[1]), Number(m[2])];
+    anio = m[3] ? Number(m[3].length === 2 ? '20' + m[3] : m[3]) : base.getFullYear();
+    // "05/01" en diciembre es del año siguiente
+    if (!m[3] && new Date(anio, mes - 1, d) < base) anio++;
+  }
+  const fecha = new Date(anio, mes - 1, d);
+  if (fecha.getMonth() !== mes - 1 || fecha.getDate() !== d) return null;
+  return iso(fecha);
+}
+
+function listaTexto(opciones) {
+  return opciones.map((s, i) => `${i + 1}. ${s}`).join('\n');
+}
+
+// Persistencia en un JSON local (escritura atómica), con expiración por inactividad
+class FlujoStore {
+  constructor({ file, ttlMs, reloj = Date.now }) {
+    this.file = file;
+    this.ttlMs = ttlMs;
+    this.reloj = reloj;
+    this.items = {};
+    try {
+      this.items = JSON.parse(fs.readFileSync(file, 'utf8')).flujos || {};
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+    }
+  }
+
+  expirada(s) {
+    return this.reloj() - Date.parse(s.actualizado) > this.ttlMs;
+  }
+
+  expira(s) {
+    return new Date(Date.parse(s.actualizado) + this.ttlMs).toISOString();
+  }
+
+  get(id) {
+    const s = this.items[id];
+    if (!s) return null;
+    if (this.expirada(s)) {
+      this.eliminar(id);
+      return null;
+    }
+    return s;
+  }
+
+  // cliente: quien abrió la sesión (API key); la reserva y sus recordatorios quedan a su nombre
+  crear(datos = {}, { cliente = null } = {}) {
+    const ahora = new Date(this.reloj()).toISOString();
+    const s = {
+      id: crypto.randomUUID(),
+      cliente,
+      paso: PASOS[0],
+      datos: { paciente: {}, ...datos },
+      campo: null,
+      opciones: null,
+      estado: 'activo',
+      reserva: null,
+      creado: ahora,
+      actualizado: ahora
+    };
+    this.items[s.id] = s;
+    this.guardar();
+    return s;
+  }
+
+  // guarda la sesión completa (el motor la modifica en memoria) y renueva la expiración.
+  // Una sesión borrada mientras se procesaba un paso no se revive, y una terminada
+  // (finalizada o cancelada) ya no necesita los datos del paciente
+  tocar(s) {
+    if (this.items[s.id] !== s) return null;
+    if (s.estado !== 'activo') s.datos.paciente = {};
+    s.actualizado = new Date(this.reloj()).toISOString();
+    this.items[s.id] = s;
+    this.guardar();
+    return s;
+  }
+
+  eliminar(id) {
+    if (!this.items[id]) return false;
+    delete this.items[id];
+    this.guardar();
+    return true;
+  }
+
+  // borra las sesiones vencidas -> cantidad borrada
+  limpiar() {
+    const vencidas = Object.values(this.items).filter(s => this.expirada(s)).map(s => s.id);
+    vencidas.forEach(id => delete this.items[id]);
+    if (vencidas.length > 0) this.guardar();
+    return vencidas.length;
+  }
+
+  total() {
+    return Object.keys(this.items).length;
+  }
+
+  guardar() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ flujos: this.items }, null, 2));
+    fs.renameSync(tmp, this.file);
+  }
+}
+
+// Máquina de pasos. servicios:
+//   agendas() -> [nombres]
+//   especialidades(agenda) / profesionales(agenda, especialidad) / horas({ agenda, especialidad, profesional, fecha })
+//     -> { success, especialidades | profesionales | horas, error, sin_interpretar }
+//   validarCampo(campo, valor, datos) -> { ok, valor, error }   (opcional; datos: lo elegido en la sesión)
+//   reservar({ agenda, especialidad, profesional, fecha, hora, paciente }, { cliente }) -> resultado de /api/reservar
+class FlujoMotor {
+  constructor({ servicios, camposPaciente, hoy = () => new Date() }) {
+    this.servicios = servicios;
+    this.camposPaciente = camposPaciente;
+    this.hoy = hoy;
+  }
+
+  // Carga las opciones del paso actual si faltan (paso recién alcanzado o falla anterior de la agenda)
+  async prepararPaso(s) {
+    if (s.paso === 'agenda' && s.datos.agenda) return this.irA(s, 'especialidad');
+    if (s.paso === 'paciente' && !s.campo) {
+      // datos del paciente entregados al iniciar: no se vuelven a pedir
+      s.campo = this.siguienteCampo(s);
+      if (!s.campo) return this.irA(s, 'confirmacion');
+    }
+    if (!LISTAS[s.paso] || s.opciones) return s;
+
+    const d = s.datos;
+    let opciones;
+    if (s.paso === 'agenda') {
+      opciones = this.servicios.agendas();
+    } else {
+      const r = s.paso === 'especialidad' ? await this.servicios.especialidades(d.agenda)
+        : s.paso === 'profesional' ? await this.servicios.profesionales(d.agenda, d.especialidad)
+          : await this.servicios.horas({ agenda: d.agenda, especialidad: d.especialidad, profesional: d.profesional, fecha: d.fecha });
+      if (!r.success) throw new FlujoError(r.error || 'No se pudo consultar la agenda');
+      if (r.sin_interpretar) throw new FlujoError('No se pudo interpretar la respuesta de la agenda');
+      opciones = r[LISTAS[s.paso].tipo];
+    }
+
+    if (opciones.length === 0) {
+      // sin horas ese día: se vuelve a pedir la fecha
+      if (s.paso === 'hora') return this.irA(s, 'fecha', `No hay horas disponibles el ${d.fecha}. Indique otra fecha.`);
+      throw new FlujoError(`La agenda no tiene ${s.paso === 'agenda' ? 'centros' : LISTAS[s.paso].tipo} disponibles`);
+    }
+    // una sola agenda configurada: no hay nada que preguntar
+    if (s.paso === 'agenda' && opciones.length === 1) {
+      d.agenda = opciones[0];
+      return this.irA(s, 'especialidad');
+    }
+    s.opciones = opciones;
+    return s;
+  }
+
+  async irA(s, paso, aviso = null) {
+    s.paso = paso;
+    s.opciones = null;
+    s.campo = null;
+    if (aviso) s.aviso = aviso;
+    return this.prepararPaso(s);
+  }
+
+  siguienteCampo(s) {
+    return this.camposPaciente.find(c => !s.datos.paciente[c]) || null;
+  }
+
+  // -> { aceptado, mensaje }; deja la sesión lista para preguntar()
+  async avanzar(s, respuesta) {
+    const texto = String(respuesta === undefined || respuesta === null ? '' : respuesta).trim();
+    const comando = normalizeStringNode(texto);
+    s.aviso = null;
+
+    if (COMANDOS_CANCELAR.test(comando)) {
+      s.estado = 'cancelado';
+      return { aceptado: true, mensaje: 'Reserva cancelada.' };
+    }
+    if (COMANDOS_ATRAS.test(comando)) {
+      await this.retroceder(s);
+      return { aceptado: true, mensaje: null };
+    }
+    // opciones pendientes (falló la agenda): primero hay que mostrarlas
+    if (LISTAS[s.paso] && !s.opciones) {
+      await this.prepararPaso(s);
+      return { aceptado: false, mensaje: null };
+    }
+    if (!texto) return { aceptado: false, mensaje: 'No recibimos su respuesta.' };
+
+    if (LISTAS[s.paso]) return this.elegir(s, texto);
+    if (s.paso === 'fecha') return this.fijarFecha(s, texto);
+    if (s.paso === 'paciente') return this.fijarCampo(s, texto);
+    return this.confirmar(s, comando);
+  }
+
+  async elegir(s, texto) {
+    const r = resolverRespuesta(LISTAS[s.paso].tipo, s.opciones, texto);
+    if (r.estado === 'ambiguo') {
+      // se acota la lista a los candidatos: "1" pasa a ser el primero de ellos
+      s.opciones = r.candidatos.map(c => c.valor);
+      return { aceptado: false, mensaje: 'Hay más de una opción parecida. ¿Cuál de estas?' };
+    }
+    if (r.estado !== 'match') return { aceptado: false, mensaje: 'No encontramos esa opción. Responda con el número de la lista.' };
+
+    const valor = r.match.valor;
+    const siguiente = PASOS[PASOS.indexOf(s.paso) + 1];
+    s.datos[s.paso] = valor;
+    // lo que dependía de la elección anterior ya no vale
+    PASOS.slice(PASOS.indexOf(s.paso) + 1, PASOS.indexOf('paciente')).forEach(p => { delete s.datos[p]; });
+    await this.irA(s, siguiente);
+    return { aceptado: true, mensaje: null };
+  }
+
+  async fijarFecha(s, texto) {
+    const fecha = parsearFecha(texto, this.hoy());
+    if (!fecha) return { aceptado: false, mensaje: 'No entendimos la fecha. Use por ejemplo 25/10 o "mañana".' };
+    if (fecha < iso(this.hoy())) return { aceptado: false, mensaje: 'La fecha ya pasó. Indique una fecha desde hoy.' };
+    s.datos.fecha = fecha;
+    delete s.datos.hora;
+    await this.irA(s, 'hora');
+    return { aceptado: true, mensaje: null };
+  }
+
+  async fijarCampo(s, texto) {
+    const validar = this.servicios.validarCampo || ((campo, valor) => ({ ok: true, valor }));
+    const v = validar(s.campo, texto, s.datos);
+    if (!v.ok) return { aceptado: false, mensaje: v.error };
+    s.datos.paciente[s.campo] = v.valor;
+    s.campo = this.siguienteCampo(s);
+    if (!s.campo) await this.irA(s, 'confirmacion');
+    return { aceptado: true, mensaje: null };
+  }
+
+  async confirmar(s, comando) {
+    if (NO.test(comando)) {
+      s.estado = 'cancelado';
+      return { aceptado: true, mensaje: 'Reserva cancelada.' };
+    }
+    if (!SI.test(comando)) return { aceptado: false, mensaje: 'Responda "sí" para confirmar o "no" para cancelar.' };
+
+    const { agenda, especialidad, profesional, fecha, hora, paciente } = s.datos;
+    try {
+      s.reserva = await this.servicios.reservar({ agenda, especialidad, profesional, fecha, hora, paciente }, { cliente: s.cliente });
+    } catch (error) {
+      // la hora se la llevó otro paciente: se ofrecen las que quedan
+      if (error.code === 'HORA_NO_DISPONIBLE' || error.code === 'FECHA_NO_DISPONIBLE') {
+        delete s.datos.hora;
+        await this.irA(s, error.code === 'HORA_NO_DISPONIBLE' ? 'hora' : 'fecha', error.message);
+        return { aceptado: false, mensaje: error.message };
+      }
+      throw error;
+    }
+    s.estado = 'finalizado';
+    return { aceptado: true, mensaje: `Reserva confirmada${s.reserva.reserva_id ? ` (N° ${s.reserva.reserva_id})` : ''}.` };
+  }
+
+  async retroceder(s) {
+    if (s.paso === 'paciente') {
+      // dentro de los datos del paciente se retrocede campo a campo
+      const i = this.camposPaciente.indexOf(s.campo);
+      if (i > 0) {
+        s.campo = this.camposPaciente[i - 1];
+        delete s.datos.paciente[s.campo];
+        return s;
+      }
+    }
+    if (s.paso === 'confirmacion') {
+      const ultimo = this.camposPaciente[this.camposPaciente.length - 1];
+      delete s.datos.paciente[ultimo];
+      s.paso = 'paciente';
+      s.campo = ultimo;
+      s.opciones = null;
+      return s;
+    }
+    const i = PASOS.indexOf(s.paso);
+    if (i <= 0) return this.prepararPaso(s);
+    const anterior = PASOS[i - 1];
+    // volver a la agenda cuando sólo hay una no tiene sentido
+    if (anterior === 'agenda' && this.servicios.agendas().length <= 1) return this.prepararPaso(s);
+    delete s.datos[anterior];
+    return this.irA(s, anterior);
+  }
+
+  // Vista para el bot: pregunta actual, opciones y lo elegido hasta ahora (sin datos del paciente)
+  preguntar(s) {
+    const { paciente, ...elegido } = s.datos;
+    const base = { id: s.id, estado: s.estado, paso: s.paso, datos: elegido };
+    if (s.estado !== 'activo') {
+      return { ...base, paso: null, pregunta: null, opciones: [], opciones_text: '', reserva: s.reserva };
+    }
+
+    let pregunta;
+    let opciones = [];
+    if (LISTAS[s.paso]) {
+      pregunta = LISTAS[s.paso].pregunta;
+      opciones = s.opciones || [];
+    } else if (s.paso === 'fecha') {
+      pregunta = '¿Para qué fecha? (por ejemplo 25/10, "mañana" o "el lunes")';
+    } else if (s.paso === 'paciente') {
+      pregunta = PREGUNTAS_PACIENTE[s.campo] || `Indique ${s.campo}`;
+    } else {
+      const d = s.datos;
+      pregunta = `Confirme la reserva: ${d.especialidad} con ${d.profesional} el ${d.fecha} a las ${d.hora} (${d.agenda}), ` +
+        `a nombre de ${d.paciente.nombre}. ¿Confirma? (sí/no)`;
+      opciones = ['Sí', 'No'];
+    }
+    if (s.aviso) pregunta = `${s.aviso} ${pregunta}`;
+    return {
+      ...base,
+      campo: s.paso === 'paciente' ? s.campo : undefined,
+      pregunta,
+      opciones,
+      opciones_text: listaTexto(opciones)
+    };
+  }
+}
+
+module.exports = { FlujoStore, FlujoMotor, FlujoError, PASOS, parsearFecha };
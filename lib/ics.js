@@ -0,0 +1,106 @@
+// lib/ics.js - iCalendar (RFC 5545): feed de horas libres y .ics de una reserva para "agregar al calendario"
+//
+// Las horas de la agenda son hora local de la clínica: DTSTART;TZID=<tzid>. Para America/Santiago se incluye
+// el VTIMEZONE (reglas de Chile vigentes desde 2023); para otra zona se confía en que el cliente conoce el nombre IANA.
+const crypto = require('crypto');
+
+const PRODID = '-//philaxmed-automation//Agenda//ES';
+const TZ_DEFAULT = 'America/Santiago';
+
+// Chile (tzdata "Sun>=2"): horario de verano desde el primer domingo a partir del 2 de septiembre hasta
+// el primer domingo a partir del 2 de abril; el cambio es a las 00:00 hora local
+const VTIMEZONES = {
+  'America/Santiago': [
+    'BEGIN:VTIMEZONE',
+    'TZID:America/Santiago',
+    'BEGIN:STANDARD',
+    'DTSTART:19700405T000000',
+    'TZOFFSETFROM:-0300',
+    'TZOFFSETTO:-0400',
+    'TZNAME:-04',
+    'RRULE:FREQ=YEARLY;BYMONTH=4;BYMONTHDAY=2,3,4,5,6,7,8;BYDAY=SU',
+    'END:STANDARD',
+    'BEGIN:DAYLIGHT',
+    'DTSTART:19700906T000000',
+    'TZOFFSETFROM:-0400',
+    'TZOFFSETTO:-0300',
+    'TZNAME:-03',
+    'RRULE:FREQ=YEARLY;BYMONTH=9;BYMONTHDAY=2,3,4,5,6,7,8;BYDAY=SU',
+    'END:DAYLIGHT',
+    'END:VTIMEZONE'
+  ]
+};
+
+function escapar(s) {
+  return String(s).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// Líneas de máximo 75 octetos; la continuación empieza con un espacio. No corta caracteres UTF-8.
+function plegar(linea) {
+  if (Buffer.byteLength(linea) <= 75) return linea;
+  const partes = [];
+  let actual = '';
+  let octetos = 0;
+  for (const ch of linea) {
+    const n = Buffer.byteLength(ch);
+    const max = partes.length === 0 ? 75 : 74;
+    if (octetos + n > max) {
+      partes.push(actual);
+      actual = '';
+      octetos = 0;
+    }
+    actual += ch;
+    octetos += n;
+  }
+  partes.push(actual);
+  return partes.join('\r\n ');
+}
+
+// "2026-10-20", "09:30" -> "20261020T093000"
+function fechaHoraLocal(fecha, hora) {
+  return `${fecha.replace(/-/g, '')}T${hora.replace(':', '')}00`;
+}
+
+function marcaUtc(d) {
+  return d.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// UID estable: la misma hora genera el mismo evento en cada actualización del feed
+function uid(...partes) {
+  return crypto.createHash('sha1').update(partes.join('|')).digest('hex').slice(0, 24) + '@philaxmed-automation';
+}
+
+// evento: { uid, fecha, hora, horaFin, fechaFin? (si termina al día siguiente), resumen, descripcion?, ubicacion?, estado?, transparente?, alarma? (ISO 8601 duración, p.ej. '-P1D') }
+function vevento(e, { tzid, ahora }) {
+  const lineas = [
+    'BEGIN:VEVENT',
+    `UID:${e.uid}`,
+    `DTSTAMP:${marcaUtc(ahora)}`,
+    `DTSTART;TZID=${tzid}:${fechaHoraLocal(e.fecha, e.hora)}`,
+    `DTEND;TZID=${tzid}:${fechaHoraLocal(e.fechaFin || e.fecha, e.horaFin)}`,
+    `SUMMARY:${escapar(e.resumen)}`
+  ];
+  if (e.descripcion) lineas.push(`DESCRIPTION:${escapar(e.descripcion)}`);
+  if (e.ubicacion) lineas.push(`LOCATION:${escapar(e.ubicacion)}`);
+  if (e.estado) lineas.push(`STATUS:${e.estado}`);
+  lineas.push(`TRANSP:${e.transparente ? 'TRANSPARENT' : 'OPAQUE'}`);
+  if (e.alarma) {
+    lineas.push('BEGIN:VALARM', 'ACTION:DISPLAY', `DESCRIPTION:${escapar(e.resumen)}`, `TRIGGER:${e.alarma}`, 'END:VALARM');
+  }
+  lineas.push('END:VEVENT');
+  return lineas;
+}
+
+// -> texto text/calendar (CRLF). opciones: { nombre, tzid, metodo, refrescarMin, ahora }
+function calendario(eventos, { nombre, tzid = TZ_DEFAULT, metodo = 'PUBLISH', refrescarMin, ahora = new Date() } = {}) {
+  const lineas = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${PRODID}`, 'CALSCALE:GREGORIAN', `METHOD:${metodo}`];
+  if (nombre) lineas.push(`X-WR-CALNAME:${escapar(nombre)}`, `NAME:${escapar(nombre)}`);
+  lineas.push(`X-WR-TIMEZONE:${tzid}`);
+  if (refrescarMin) lineas.push(`REFRESH-INTERVAL;VALUE=DURATION:PT${refrescarMin}M`, `X-PUBLISHED-TTL:PT${refrescarMin}M`);
+  if (eventos.length > 0 && VTIMEZONES[tzid]) lineas.push(...VTIMEZONES[tzid]);
+  eventos.forEach(e => lineas.push(...vevento(e, { tzid, ahora })));
+  lineas.push('END:VCALENDAR');
+  return lineas.map(plegar).join('\r\n') + '\r\n';
+}
+
+module.exports = { calendario, uid, escapar, plegar, TZ_DEFAULT };
@@ -0,0 +1,78 @@
+// lib/kommo.js - Integración con Kommo CRM: formato de opciones para Salesbot/widgets y
+// escritura del resultado de la reserva en los campos personalizados del lead.
+//
+// KOMMO_BASE_URL (https://<subdominio>.kommo.com o un mock local), KOMMO_TOKEN (token de larga duración)
+// KOMMO_CAMPOS = JSON { agenda, especialidad, profesional, fecha, hora, reserva_id, estado } -> field_id
+
+const DEFAULT_TIMEOUT = 10000;
+
+class KommoError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'KommoError';
+    this.status = status || null;
+  }
+}
+
+// Formato que consumen los dropdowns del widget/Salesbot: [{ nombre, value }]
+function opcionesKommo(items, campoNombre) {
+  return (items || []).map(i => {
+    if (typeof i === 'string') return { nombre: i, value: i };
+    const nombre = i[campoNombre] || i.nombre || i.text || i.hora || i.value;
+    return { nombre, value: i.value || nombre };
+  });
+}
+
+class KommoClient {
+  constructor({ baseUrl, token, campos = {}, timeout = DEFAULT_TIMEOUT, fetchImpl } = {}) {
+    this.baseUrl = baseUrl ? String(baseUrl).replace(/\/+$/, '') : null;
+    this.token = token || null;
+    this.campos = campos;
+    this.timeout = timeout;
+    this.fetch = fetchImpl || fetch;
+  }
+
+  configurado() {
+    return !!(this.baseUrl && this.token && Object.keys(this.campos).length > 0);
+  }
+
+  // datos: { agenda, especialidad, profesional, fecha, hora, reserva_id, estado }
+  valoresCampos(datos) {
+    return Object.entries(this.campos)
+      .filter(([clave, fieldId]) => fieldId && datos[clave] !== undefined && datos[clave] !== null)
+      .map(([clave, fieldId]) => ({ field_id: Number(fieldId), values: [{ value: String(datos[clave]) }] }));
+  }
+
+  async actualizarLead(leadId, datos) {
+    if (!this.configurado()) throw new KommoError('Kommo no está configurado (KOMMO_BASE_URL, KOMMO_TOKEN, KOMMO_CAMPOS)');
+    if (!/^\d+$/.test(String(leadId))) throw new KommoError(`lead_id inválido: ${leadId}`, 400);
+
+    const custom_fields_values = this.valoresCampos(datos);
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+    try {
+      const response = await this.fetch(`${this.baseUrl}/api/v4/leads/${leadId}`, {
+        method: 'PATCH',
+        signal: controller.signal,
+        headers: {
+          Authorization: `Bearer ${this.token}`,
+          'Content-Type': 'application/json',
+          Accept: 'application/json'
+        },
+        body: JSON.stringify({ custom_fields_values })
+      });
+      if (!response.ok) {
+        const text = await response.text().catch(() => '');
+        throw new KommoError(`Kommo respondió HTTP ${response.status}: ${text.slice(0, 500)}`, response.status);
+      }
+      return { lead_id: Number(leadId), campos: custom_fields_values.length };
+    } catch (e) {
+      if (e instanceof KommoError) throw e;
+      throw new KommoError(e.name === 'AbortError' ? `Timeout (${this.timeout} ms) hablando con Kommo` : e.message);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+module.exports = { KommoClient, KommoError, opcionesKommo };
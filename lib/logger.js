@@ -0,0 +1,106 @@
+// lib/logger.js - Log estructurado (una línea JSON por evento) con nivel, request_id y datos personales redactados
+//
+// LOG_LEVEL  debug | info (defecto) | warn | error
+// LOG_FORMAT json (defecto) | texto (legible, para desarrollo local)
+//
+// logger.info('✅ Reserva confirmada', { reserva_id, ms });
+// logger.error('❌ Error al obtener horas', error);
+// Los argumentos extra se tratan como console.log: objetos -> campos, Error -> error, el resto se suma al mensaje.
+// request_id y cliente salen del contexto del request (lib/diagnostico). Los eventos de Puppeteer no corren
+// en ese contexto: el handler se registra con un logger de logger.fijarContexto().
+const { trazaActual } = require('./diagnostico');
+
+const NIVELES = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// RUT con o sin puntos, email y teléfonos (móviles chilenos e internacionales con +)
+const PATRONES = [
+  [/[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi, '[email]'],
+  [/\b\d{1,2}\.\d{3}\.\d{3}-[\dkK]\b|\b\d{7,8}-[\dkK]\b/g, '[rut]'],
+  [/(?:\+?56[\s-]?)?\b9[\s-]?\d{4}[\s-]?\d{4}\b|\+\d[\d\s-]{7,14}\d/g, '[telefono]']
+];
+// campos que se ocultan completos, por nombre
+const CLAVES_SENSIBLES = /^(rut|run|email|correo|telefono|celular|fono|paciente|api_key|secreto)$/i;
+
+function redactarTexto(s) {
+  return PATRONES.reduce((t, [re, reemplazo]) => t.replace(re, reemplazo), String(s));
+}
+
+function redactar(valor, profundidad = 0) {
+  if (typeof valor === 'string') return redactarTexto(valor);
+  if (!valor || typeof valor !== 'object' || profundidad > 6) return valor;
+  if (Array.isArray(valor)) return valor.map(v => redactar(v, profundidad + 1));
+  const out = {};
+  Object.entries(valor).forEach(([k, v]) => {
+    out[k] = CLAVES_SENSIBLES.test(k) && v !== null && v !== undefined ? '[redactado]' : redactar(v, profundidad + 1);
+  });
+  return out;
+}
+
+function serializarError(e) {
+  return { mensaje: e.message, nombre: e.name, code: e.code, stack: e.stack };
+}
+
+class Logger {
+  constructor({ nivel = 'info', formato = 'json', campos = {}, escribir } = {}) {
+    this.nivel = NIVELES[nivel] ? nivel : 'info';
+    this.formato = formato;
+    this.campos = campos;
+    this.escribir = escribir || ((nivelLinea, linea) => (nivelLinea === 'error' ? process.stderr : process.stdout).write(linea + '\n'));
+  }
+
+  // logger hijo con campos fijos (request_id en callbacks de Puppeteer, módulo, ...)
+  con(campos) {
+    return new Logger({ nivel: this.nivel, formato: this.formato, campos: { ...this.campos, ...campos }, escribir: this.escribir });
+  }
+
+  // congela request_id/cliente del request actual
+  fijarContexto() {
+    const traza = trazaActual();
+    return this.con({ request_id: traza ? traza.id : undefined, cliente: (traza && traza.cliente) || undefined });
+  }
+
+  activo(nivel) {
+    return NIVELES[nivel] >= NIVELES[this.nivel];
+  }
+
+  registrar(nivel, args) {
+    if (!this.activo(nivel)) return;
+    const partes = [];
+    let datos = {};
+    let error = null;
+    args.forEach(a => {
+      if (a instanceof Error) error = serializarError(a);
+      else if (a && typeof a === 'object') datos = { ...datos, ...a };
+      else if (a !== undefined) partes.push(String(a));
+    });
+
+    const traza = 'request_id' in this.campos ? null : trazaActual();
+    const registro = redactar({
+      ts: new Date().toISOString(),
+      nivel,
+      msg: partes.join(' '),
+      ...(traza ? { request_id: traza.id, cliente: traza.cliente || undefined } : {}),
+      ...this.campos,
+      ...datos,
+      ...(error ? { error } : {})
+    });
+
+    if (this.formato === 'texto') {
+      const { ts, nivel: n, msg, request_id, ...resto } = registro;
+      const json = JSON.stringify(resto);
+      const extra = json === '{}' ? '' : ' ' + json;
+      this.escribir(nivel, `[${ts}] ${n.toUpperCase()}${request_id ? ` [${request_id}]` : ''} ${msg}${extra}`);
+    } else {
+      this.escribir(nivel, JSON.stringify(registro));
+    }
+  }
+
+  debug(...args) { this.registrar('debug', args); }
+  info(...args) { this.registrar('info', args); }
+  warn(...args) { this.registrar('warn', args); }
+  error(...args) { this.registrar('error', args); }
+}
+
+const logger = new Logger({ nivel: process.env.LOG_LEVEL || 'info', formato: process.env.LOG_FORMAT || 'json' });
+
+module.exports = { logger, Logger, redactar, redactarTexto };
@@ -0,0 +1,124 @@
+// lib/matching.js - Coincidencia difusa insensible a tildes para nombres de especialidades y profesionales
+//
+// Puntaje 0..1 por tipo de coincidencia: exacto > prefijo > solapamiento de tokens > distancia de edición.
+const { normalizeStringNode } = require('./texto');
+
+const STOPWORDS = new Set([
+  'el', 'la', 'los', 'las', 'de', 'del', 'y', 'a', 'al', 'con', 'en', 'por', 'para',
+  'dr', 'dra', 'doctor', 'doctora', 'klgo', 'klga', 'kine', 'sr', 'sra', 'don', 'dona'
+]);
+
+function tokens(s, { sinStopwords = true } = {}) {
+  const t = normalizeStringNode(s).replace(/[^a-z0-9ñ\s]/g, ' ').split(/\s+/).filter(Boolean);
+  if (!sinStopwords) return t;
+  const filtrados = t.filter(x => !STOPWORDS.has(x));
+  // "kine" sola es una consulta válida (kinesiología); solo se descartan stopwords si queda algo
+  return filtrados.length > 0 ? filtrados : t;
+}
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+function similitud(a, b) {
+  const max = Math.max(a.length, b.length);
+  return max === 0 ? 1 : 1 - levenshtein(a, b) / max;
+}
+
+// -> { score, tipo } con tipo 'exacto' | 'prefijo' | 'tokens' | 'distancia' | null ('tokens' agrega cobertura: fracción de la consulta presente)
+function puntuar(consulta, candidato) {
+  const q = normalizeStringNode(consulta);
+  const c = normalizeStringNode(candidato);
+  if (!q || !c) return { score: 0, tipo: null };
+  if (q === c) return { score: 1, tipo: 'exacto' };
+
+  const qt = tokens(q);
+  const ct = tokens(c, { sinStopwords: false });
+  const qs = qt.join(' ');
+
+  if (c.startsWith(qs) || ct.some(t => t.startsWith(qs) && qs.length >= 3)) {
+    // prefijo más largo = más seguro
+    return { score: 0.85 + 0.1 * Math.min(1, qs.length / c.length), tipo: 'prefijo' };
+  }
+
+  const coinciden = qt.filter(t => ct.some(x => x === t || (t.length >= 3 && x.startsWith(t))));
+  if (coinciden.length > 0) {
+    const cobertura = coinciden.length / qt.length;
+    const precision = coinciden.length / ct.length;
+    return { score: 0.5 + 0.3 * cobertura + 0.05 * precision, tipo: 'tokens', cobertura };
+  }
+
+  // mejor similitud token a token (tolerante a errores de tipeo: "kinesiolgia", "sotto")
+  let mejor = 0;
+  qt.forEach(t => ct.forEach(x => { mejor = Math.max(mejor, similitud(t, x)); }));
+  mejor = Math.max(mejor, similitud(qs, c));
+  if (mejor >= 0.6) return { score: 0.5 * mejor, tipo: 'distancia' };
+  return { score: 0, tipo: null };
+}
+
+// candidatos: strings u objetos (texto(item) obtiene el nombre). -> [{ item, index, score, tipo }] ordenado
+function rankear(consulta, candidatos, texto = x => x) {
+  return candidatos
+    .map((item, index) => ({ item, index, ...puntuar(consulta, texto(item)) }))
+    .filter(r => r.score > 0)
+    .sort((a, b) => b.score - a.score || a.index - b.index);
+}
+
+const UMBRAL_MATCH = 0.85;
+const MARGEN_MATCH = 0.1;
+const UMBRAL_CANDIDATO = 0.4;
+
+// -> { estado: 'match' | 'ambiguo' | 'sin_match', match, candidatos }
+function resolverCoincidencia(consulta, candidatos, texto = x => x) {
+  const ranking = rankear(consulta, candidatos, texto).filter(r => r.score >= UMBRAL_CANDIDATO);
+  if (ranking.length === 0) return { estado: 'sin_match', match: null, candidatos: [] };
+  const [primero, segundo] = ranking;
+  const claro = primero.score >= UMBRAL_MATCH && (!segundo || primero.score - segundo.score >= MARGEN_MATCH);
+  if (claro || primero.tipo === 'exacto') return { estado: 'match', match: primero, candidatos: ranking };
+  // un único candidato se acepta si contiene toda la consulta ("ana soto" -> "Ana Soto Pérez"),
+  // no por compartir un apellido ("juan perez" -> "Ana Soto Pérez" queda como candidato a confirmar)
+  const completo = primero.tipo === 'prefijo' || (primero.tipo === 'tokens' && primero.cobertura === 1);
+  if (ranking.length === 1 && completo) return { estado: 'match', match: primero, candidatos: ranking };
+  return { estado: 'ambiguo', match: null, candidatos: ranking };
+}
+
+const CODIGOS_SELECCION = {
+  especialidad: { sin_match: 'ESPECIALIDAD_NO_ENCONTRADA', ambiguo: 'ESPECIALIDAD_AMBIGUA', etiqueta: 'Especialidad no encontrada', varias: 'Hay varias especialidades' },
+  profesional: { sin_match: 'PROFESIONAL_NO_ENCONTRADO', ambiguo: 'PROFESIONAL_AMBIGUO', etiqueta: 'Profesional no encontrado', varias: 'Hay varios profesionales' }
+};
+
+// Selección por texto sin resultado único: 404 si nada coincide, 409 si hay que elegir entre candidatos
+class SeleccionError extends Error {
+  constructor(tipo, consulta, candidatos = []) {
+    const c = CODIGOS_SELECCION[tipo];
+    const ambiguo = candidatos.length > 0;
+    super(ambiguo ? `${c.varias} que coinciden con "${consulta}"` : `${c.etiqueta}: ${consulta}`);
+    this.name = 'SeleccionError';
+    this.tipo = tipo;
+    this.consulta = consulta;
+    this.code = ambiguo ? c.ambiguo : c.sin_match;
+    this.status = ambiguo ? 409 : 404;
+    this.candidatos = candidatos;
+    this.details = { candidatos };
+  }
+}
+
+// Como resolverCoincidencia pero lanza SeleccionError si no hay un único ganador
+function elegirUnico(tipo, consulta, candidatos, texto = x => x) {
+  const r = resolverCoincidencia(consulta, candidatos, texto);
+  if (r.estado === 'match') return r.match.item;
+  throw new SeleccionError(tipo, consulta, r.candidatos.map(x => texto(x.item)));
+}
+
+module.exports = { puntuar, rankear, resolverCoincidencia, elegirUnico, SeleccionError, levenshtein, tokens };
@@ -0,0 +1,163 @@
+// lib/metricas.js - Contadores, gauges e histogramas en el formato de texto de Prometheus (sin dependencias)
+//
+// const registro = new Registro({ prefijo: 'philaxmed_' });
+// const fallos = registro.contador('scrape_fallos_total', 'Fallos de scraping', ['flujo', 'causa']);
+// fallos.inc({ flujo: 'horas', causa: 'layout' });
+// registro.alColectar(() => enCola.set({}, pool.stats().waiting));   // valores que se leen al exponer
+// res.type(CONTENT_TYPE).send(await registro.exponer());
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+// segundos: los scrapes van de ~1 s a más de un minuto
+const BUCKETS_DEFECTO = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60, 120];
+
+function escapar(valor) {
+  return String(valor === undefined || valor === null ? '' : valor).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatoEtiquetas(nombres, valores, extra = '') {
+  const partes = nombres.map((n, i) => `${n}="${escapar(valores[i])}"`);
+  if (extra) partes.push(extra);
+  return partes.length ? `{${partes.join(',')}}` : '';
+}
+
+function formatoNumero(n) {
+  if (n === Infinity) return '+Inf';
+  if (n === -Infinity) return '-Inf';
+  return String(n);
+}
+
+class Metrica {
+  constructor(tipo, nombre, ayuda, etiquetas) {
+    this.tipo = tipo;
+    this.nombre = nombre;
+    this.ayuda = ayuda;
+    this.etiquetas = etiquetas;
+    this.series = new Map();
+  }
+
+  clave(valores = {}) {
+    return JSON.stringify(this.etiquetas.map(e => valores[e] === undefined || valores[e] === null ? '' : String(valores[e])));
+  }
+
+  encabezado() {
+    return [`# HELP ${this.nombre} ${this.ayuda.replace(/\n/g, ' ')}`, `# TYPE ${this.nombre} ${this.tipo}`];
+  }
+}
+
+class Contador extends Metrica {
+  constructor(nombre, ayuda, etiquetas) {
+    super('counter', nombre, ayuda, etiquetas);
+  }
+
+  inc(valores = {}, n = 1) {
+    const k = this.clave(valores);
+    this.series.set(k, (this.series.get(k) || 0) + n);
+  }
+
+  // solo para reflejar un contador que lleva otro módulo (p. ej. pool.restarts) desde alColectar
+  set(valores = {}, n) {
+    this.series.set(this.clave(valores), n);
+  }
+
+  lineas() {
+    const out = this.encabezado();
+    this.series.forEach((v, k) => out.push(`${this.nombre}${formatoEtiquetas(this.etiquetas, JSON.parse(k))} ${formatoNumero(v)}`));
+    return out;
+  }
+}
+
+class Gauge extends Contador {
+  constructor(nombre, ayuda, etiquetas) {
+    super(nombre, ayuda, etiquetas);
+    this.tipo = 'gauge';
+  }
+
+  // gauges recalculados en cada exposición: se descartan las series que ya no existen
+  reiniciar() {
+    this.series.clear();
+  }
+}
+
+class Histograma extends Metrica {
+  constructor(nombre, ayuda, etiquetas, buckets = BUCKETS_DEFECTO) {
+    super('histogram', nombre, ayuda, etiquetas);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(valores = {}, valor) {
+    const k = this.clave(valores);
+    let s = this.series.get(k);
+    if (!s) {
+      s = { conteos: this.buckets.map(() => 0), suma: 0, total: 0 };
+      this.series.set(k, s);
+    }
+    this.buckets.forEach((b, i) => { if (valor <= b) s.conteos[i]++; });
+    s.suma += valor;
+    s.total++;
+  }
+
+  // Mide una promesa en segundos
+  async medir(valores, fn) {
+    const startTs = Date.now();
+    try {
+      return await fn();
+    } finally {
+      this.observe(valores, (Date.now() - startTs) / 1000);
+    }
+  }
+
+  lineas() {
+    const out = this.encabezado();
+    this.series.forEach((s, k) => {
+      const valores = JSON.parse(k);
+      this.buckets.forEach((b, i) => out.push(`${this.nombre}_bucket${formatoEtiquetas(this.etiquetas, valores, `le="${formatoNumero(b)}"`)} ${s.conteos[i]}`));
+      out.push(`${this.nombre}_bucket${formatoEtiquetas(this.etiquetas, valores, 'le="+Inf"')} ${s.total}`);
+      out.push(`${this.nombre}_sum${formatoEtiquetas(this.etiquetas, valores)} ${formatoNumero(s.suma)}`);
+      out.push(`${this.nombre}_count${formatoEtiquetas(this.etiquetas, valores)} ${s.total}`);
+    });
+    return out;
+  }
+}
+
+class Registro {
+  constructor({ prefijo = '' } = {}) {
+    this.prefijo = prefijo;
+    this.metricas = new Map();
+    this.colectores = [];
+  }
+
+  registrar(metrica) {
+    if (this.metricas.has(metrica.nombre)) throw new Error(`Métrica duplicada: ${metrica.nombre}`);
+    this.metricas.set(metrica.nombre, metrica);
+    return metrica;
+  }
+
+  contador(nombre, ayuda, etiquetas = []) {
+    return this.registrar(new Contador(this.prefijo + nombre, ayuda, etiquetas));
+  }
+
+  gauge(nombre, ayuda, etiquetas = []) {
+    return this.registrar(new Gauge(this.prefijo + nombre, ayuda, etiquetas));
+  }
+
+  histograma(nombre, ayuda, etiquetas = [], buckets) {
+    return this.registrar(new Histograma(this.prefijo + nombre, ayuda, etiquetas, buckets));
+  }
+
+  alColectar(fn) {
+    this.colectores.push(fn);
+  }
+
+  async exponer() {
+    for (const fn of this.colectores) {
+      try {
+        await fn();
+      } catch (e) {}
+    }
+    const out = [];
+    this.metricas.forEach(m => out.push(...m.lineas()));
+    return out.join('\n') + '\n';
+  }
+}
+
+module.exports = { Registro, Contador, Gauge, Histograma, CONTENT_TYPE, BUCKETS_DEFECTO };
@@ -0,0 +1,124 @@
+// lib/paciente.js - Validación y normalización de los datos del paciente (RUT, teléfono, email, previsión)
+//
+// Cada validador devuelve { ok, valor (normalizado) } o { ok: false, error } con un mensaje en español
+// que el bot puede mostrar tal cual. La lista de previsiones sale de la config de la agenda
+// ("previsiones" en config/agendas.json); sin config se usa PREVISIONES_DEFAULT.
+const { normalizeStringNode } = require('./texto');
+const { resolverCoincidencia } = require('./matching');
+
+const CAMPOS = ['rut', 'nombre', 'telefono', 'email', 'prevision'];
+
+const PREVISIONES_DEFAULT = [
+  'FONASA A', 'FONASA B', 'FONASA C', 'FONASA D',
+  'Banmédica', 'Colmena', 'Consalud', 'Cruz Blanca', 'Cruz del Norte', 'Esencial', 'Fundación',
+  'Isalud', 'Nueva Masvida', 'Vida Tres', 'Particular'
+];
+
+function ok(valor, extra = {}) {
+  return { ok: true, valor, ...extra };
+}
+
+function error(mensaje) {
+  return { ok: false, error: mensaje };
+}
+
+function vacio(v) {
+  return v === undefined || v === null || String(v).trim() === '';
+}
+
+// Módulo 11: 12345678 -> '5'
+function digitoVerificador(cuerpo) {
+  let suma = 0;
+  let factor = 2;
+  for (let i = cuerpo.length - 1; i >= 0; i--) {
+    suma += Number(cuerpo[i]) * factor;
+    factor = factor === 7 ? 2 : factor + 1;
+  }
+  const dv = 11 - (suma % 11);
+  return dv === 11 ? '0' : dv === 10 ? 'K' : String(dv);
+}
+
+// "12.345.678-5", "12345678-5", "123456785" -> "12345678-5"
+function validarRut(v) {
+  if (vacio(v)) return error('Ingrese el RUT del paciente.');
+  const limpio = String(v).trim().toUpperCase().replace(/[.\s]/g, '');
+  const m = /^(\d{7,8})-?([\dK])$/.exec(limpio);
+  if (!m) return error('El RUT no tiene un formato válido. Escríbalo así: 12.345.678-5.');
+  if (digitoVerificador(m[1]) !== m[2]) return error('El RUT no es válido: revise el dígito verificador (el que va después del guion).');
+  return ok(`${m[1]}-${m[2]}`);
+}
+
+// Números chilenos a E.164: "9 8765 4321", "+56 9 8765 4321", "(2) 2345 6789" -> "+56987654321"
+function validarTelefono(v) {
+  if (vacio(v)) return error('Ingrese un teléfono de contacto.');
+  const texto = String(v).trim();
+  if (/[^\d\s()+.-]/.test(texto)) return error('El teléfono sólo puede contener números, por ejemplo +56 9 1234 5678.');
+  let digitos = texto.replace(/\D/g, '');
+  if (texto.startsWith('+') && !digitos.startsWith('56')) return error('Sólo se aceptan teléfonos de Chile (+56).');
+  if (digitos.length === 11 && digitos.startsWith('56')) digitos = digitos.slice(2);
+  if (digitos.length === 8) return error('Faltan dígitos: los celulares tienen 9 dígitos y empiezan con 9, por ejemplo 9 1234 5678.');
+  if (!/^[2-9]\d{8}$/.test(digitos)) return error('El teléfono no es válido. Use un número chileno de 9 dígitos, por ejemplo +56 9 1234 5678.');
+  return ok(`+56${digitos}`, { tipo: digitos.startsWith('9') ? 'movil' : 'fijo' });
+}
+
+function validarEmail(v) {
+  if (vacio(v)) return error('Ingrese un correo electrónico.');
+  const email = String(v).trim().toLowerCase();
+  if (!/^[a-z0-9._%+-]+@[a-z0-9-]+(\.[a-z0-9-]+)*\.[a-z]{2,}$/.test(email) || email.includes('..')) {
+    return error('El correo electrónico no es válido. Escríbalo así: nombre@dominio.cl.');
+  }
+  return ok(email);
+}
+
+// El formulario separa nombres y apellidos: se pide al menos un nombre y un apellido
+function validarNombre(v) {
+  if (vacio(v)) return error('Ingrese el nombre completo del paciente.');
+  const nombre = String(v).trim().replace(/\s+/g, ' ');
+  if (/[^\p{L}\s'.-]/u.test(nombre)) return error('El nombre sólo puede contener letras.');
+  if (nombre.split(' ').length < 2) return error('Ingrese nombre y apellido del paciente.');
+  return ok(nombre);
+}
+
+// "isapre colmena", "fonasa tramo b" -> la opción de la lista tal como está escrita
+function validarPrevision(v, previsiones = PREVISIONES_DEFAULT) {
+  if (vacio(v)) return error('Indique la previsión del paciente.');
+  const texto = normalizeStringNode(v).replace(/\b(isapre|tramo|grupo)\b/g, ' ').replace(/\s+/g, ' ').trim();
+  const exacta = previsiones.find(p => normalizeStringNode(p) === texto);
+  if (exacta) return ok(exacta);
+  const r = resolverCoincidencia(texto, previsiones);
+  if (r.estado === 'match') return ok(previsiones[r.match.index]);
+  if (r.estado === 'ambiguo') {
+    return error(`¿Cuál previsión? Puede ser: ${r.candidatos.map(c => previsiones[c.index]).join(', ')}.`);
+  }
+  return error(`No reconocemos esa previsión. Las opciones son: ${previsiones.join(', ')}.`);
+}
+
+const VALIDADORES = { rut: validarRut, nombre: validarNombre, telefono: validarTelefono, email: validarEmail, prevision: validarPrevision };
+
+function validarCampo(campo, valor, { previsiones } = {}) {
+  if (!VALIDADORES[campo]) return ok(valor);
+  return campo === 'prevision' ? validarPrevision(valor, previsiones) : VALIDADORES[campo](valor);
+}
+
+// Valida los campos presentes -> { ok, paciente (normalizado), errores: { campo: mensaje }, faltantes }
+function validarPaciente(paciente = {}, { previsiones, campos = CAMPOS } = {}) {
+  const normalizado = { ...paciente };
+  const errores = {};
+  const faltantes = [];
+  campos.forEach(campo => {
+    if (vacio(paciente[campo])) {
+      faltantes.push(campo);
+      return;
+    }
+    const r = validarCampo(campo, paciente[campo], { previsiones });
+    if (r.ok) normalizado[campo] = r.valor;
+    else errores[campo] = r.error;
+  });
+  return { ok: Object.keys(errores).length === 0, paciente: normalizado, errores, faltantes };
+}
+
+module.exports = {
+  CAMPOS, PREVISIONES_DEFAULT,
+  validarRut, validarTelefono, validarEmail, validarNombre, validarPrevision, validarCampo, validarPaciente,
+  digitoVerificador
+};
@@ -0,0 +1,133 @@
+// lib/prewarm.js - Recorre todas las agendas en segundo plano para dejar la cache caliente
+//
+// Orden: especialidades -> profesionales por especialidad -> horas por profesional.
+// Antes de cada paso espera a que no haya usuarios esperando en la cola (puedeCorrer()),
+// así el pre-calentamiento nunca le quita turno a una petición real.
+// incluirHoras: boolean o (agenda) => boolean, para saltar horas donde su TTL no alcanza al intervalo.
+
+function esperar(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+class PrewarmScheduler {
+  constructor({ intervalMs, agendas, tareas, puedeCorrer = () => true, incluirHoras = true, log = () => {} }) {
+    this.intervalMs = intervalMs;
+    this.agendas = agendas;
+    this.tareas = tareas;
+    this.puedeCorrer = puedeCorrer;
+    this.incluirHoras = incluirHoras;
+    this.log = log;
+
+    this.timer = null;
+    this.running = false;
+    this.detener = false;
+    this.currentRun = null;
+    this.lastRun = null;
+    this.nextRunAt = null;
+  }
+
+  start() {
+    if (!this.intervalMs || this.timer) return;
+    this.programar(Math.min(this.intervalMs, 1000*30));
+  }
+
+  stop() {
+    this.detener = true;
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+    this.nextRunAt = null;
+  }
+
+  programar(ms) {
+    this.nextRunAt = new Date(Date.now() + ms).toISOString();
+    this.timer = setTimeout(async () => {
+      this.timer = null;
+      await this.runOnce().catch(e => this.log(`❌ Prewarm falló: ${e.message}`));
+      if (!this.detener) this.programar(this.intervalMs);
+    }, ms);
+    if (this.timer.unref) this.timer.unref();
+  }
+
+  async turno() {
+    while (!this.puedeCorrer()) {
+      if (this.detener) throw new Error('prewarm detenido');
+      await esperar(1000);
+    }
+  }
+
+  async paso(run, tipo, etiqueta, fn) {
+    await this.turno();
+    try {
+      const r = await fn();
+      if (r && r.success === false) throw new Error(r.error || 'respuesta sin éxito');
+      run.counts[tipo]++;
+      return r;
+    } catch (e) {
+      run.errors.push({ tipo, objetivo: etiqueta, error: e.message });
+      return null;
+    }
+  }
+
+  async runOnce() {
+    if (this.running) return this.currentRun;
+    this.running = true;
+    this.detener = false;
+    const startTs = Date.now();
+    const run = {
+      startedAt: new Date(startTs).toISOString(),
+      finishedAt: null,
+      durationMs: null,
+      ok: false,
+      counts: { especialidades: 0, profesionales: 0, horas: 0 },
+      errors: []
+    };
+    this.currentRun = run;
+    this.log('🔥 Prewarm iniciado');
+
+    try {
+      for (const agenda of this.agendas()) {
+        const conHoras = this.conHoras(agenda);
+        const esp = await this.paso(run, 'especialidades', agenda, () => this.tareas.especialidades(agenda));
+        if (!esp) continue;
+        for (const especialidad of esp.especialidades || []) {
+          const profs = await this.paso(run, 'profesionales', `${agenda}|${especialidad}`, () => this.tareas.profesionales(agenda, especialidad));
+          if (!profs || !conHoras) continue;
+          for (const profesional of profs.profesionales || []) {
+            await this.paso(run, 'horas', `${agenda}|${especialidad}|${profesional}`, () => this.tareas.horas(agenda, especialidad, profesional));
+          }
+        }
+      }
+      run.ok = run.errors.length === 0;
+    } catch (e) {
+      run.errors.push({ tipo: 'run', objetivo: null, error: e.message });
+    } finally {
+      run.finishedAt = new Date().toISOString();
+      run.durationMs = Date.now() - startTs;
+      this.lastRun = run;
+      this.currentRun = null;
+      this.running = false;
+      this.log(`🔥 Prewarm terminado en ${run.durationMs} ms - ${JSON.stringify(run.counts)}, ${run.errors.length} error(es)`);
+    }
+    return run;
+  }
+
+  conHoras(agenda) {
+    return typeof this.incluirHoras === 'function' ? !!this.incluirHoras(agenda) : !!this.incluirHoras;
+  }
+
+  status() {
+    return {
+      enabled: !!this.intervalMs,
+      intervalMs: this.intervalMs,
+      incluirHoras: typeof this.incluirHoras === 'function'
+        ? Object.fromEntries(this.agendas().map(a => [a, this.conHoras(a)]))
+        : this.incluirHoras,
+      running: this.running,
+      currentRun: this.currentRun,
+      lastRun: this.lastRun,
+      nextRunAt: this.nextRunAt
+    };
+  }
+}
+
+module.exports = { PrewarmScheduler };
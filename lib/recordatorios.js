@@ -0,0 +1,389 @@
+// lib/recordatorios.js - Recordatorios de citas (24 h y 2 h antes, configurable) por canales enchufables
+//
+// Cada reserva genera un recordatorio por antelación y canal (si el paciente tiene destino para ese canal).
+// Un loop envía los que vencen; los errores transitorios se reintentan con espera exponencial sin pasar
+// de la hora de la cita. Config en config/recordatorios.json (RECORDATORIOS_CONFIG para otra ruta):
+//
+// {
+//   "antelaciones": [{ "tipo": "24h", "horas": 24 }, { "tipo": "2h", "horas": 2 }],
+//   "canales": {
+//     "email":    { "tipo": "smtp", "host": "localhost", "port": 1025, "from": "Agenda <no-responder@clinica.cl>" },
+//     "whatsapp": { "tipo": "whatsapp", "url": "http://localhost:4600/messages", "token": "...", "formato": "meta" },
+//     "crm":      { "tipo": "webhook", "url": "http://localhost:4601/recordatorios", "secreto": "..." }
+//   },
+//   "plantillas": { "24h": { "asunto": "...", "texto": "Hola {{nombre}}, ..." } }
+// }
+// Sin canales configurados no se programa nada. Ejemplo completo en config/recordatorios.example.json.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { crearCanal } = require('./canales');
+const { fechaLocal } = require('./slots');
+
+const ANTELACIONES_DEFAULT = [{ tipo: '24h', horas: 24 }, { tipo: '2h', horas: 2 }];
+const RETENCION_MS = 7 * 24 * 3600 * 1000;
+
+// Variables: {{nombre}} {{nombre_completo}} {{especialidad}} {{profesional}} {{fecha}} {{fecha_texto}}
+// {{cuando}} ("hoy", "mañana", "el martes 20 de octubre") {{hora}} {{agenda}} {{reserva_id}}
+const PLANTILLAS_DEFAULT = {
+  '24h': {
+    asunto: 'Recordatorio: su hora de {{especialidad}} {{cuando}}',
+    texto: 'Hola {{nombre}}, le recordamos su hora de {{especialidad}} con {{profesional}} {{cuando}} a las {{hora}} ({{agenda}}). ' +
+      'Si no puede asistir, por favor anule su hora para que otro paciente pueda usarla.'
+  },
+  '2h': {
+    asunto: 'Su hora de {{especialidad}} es hoy a las {{hora}}',
+    texto: 'Hola {{nombre}}, le recordamos que hoy a las {{hora}} tiene hora de {{especialidad}} con {{profesional}} ({{agenda}}). Le esperamos.'
+  },
+  otro: {
+    asunto: 'Recordatorio de su hora de {{especialidad}}',
+    texto: 'Hola {{nombre}}, le recordamos su hora de {{especialidad}} con {{profesional}} {{cuando}} a las {{hora}} ({{agenda}}).'
+  }
+};
+
+const DIAS = ['domingo', 'lunes', 'martes', 'miércoles', 'jueves', 'viernes', 'sábado'];
+const MESES = ['enero', 'febrero', 'marzo', 'abril', 'mayo', 'junio', 'julio', 'agosto', 'septiembre', 'octubre', 'noviembre', 'diciembre'];
+
+class RecordatorioConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RecordatorioConfigError';
+  }
+}
+
+// Fecha y hora locales de la agenda -> instante (ms)
+function instanteLocal(fecha, hora, zona) {
+  const aprox = new Date(`${fecha}T${hora}:00Z`);
+  const parte = new Intl.DateTimeFormat('en-US', { timeZone: zona, timeZoneName: 'longOffset' })
+    .formatToParts(aprox)
+    .find(p => p.type === 'timeZoneName');
+  const m = parte && parte.value.match(/GMT([+-]\d{2}:\d{2})/);
+  return Date.parse(`${fecha}T${hora}:00${m ? m[1] : 'Z'}`);
+}
+
+// "2026-10-20" -> "martes 20 de octubre"
+function fechaTexto(fecha) {
+  const [a, m, d] = fecha.split('-').map(Number);
+  const dia = new Date(Date.UTC(a, m - 1, d)).getUTCDay();
+  return `${DIAS[dia]} ${d} de ${MESES[m - 1]}`;
+}
+
+function renderizar(plantilla, variables) {
+  return String(plantilla).replace(/\{\{\s*(\w+)\s*\}\}/g, (_, k) => (variables[k] === undefined || variables[k] === null ? '' : String(variables[k])));
+}
+
+function leerConfig(file) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    if (e.code === 'ENOENT') return { canales: {}, antelaciones: ANTELACIONES_DEFAULT, plantillas: {} };
+    throw new RecordatorioConfigError(`${file}: ${e.message}`);
+  }
+  const antelaciones = raw.antelaciones || ANTELACIONES_DEFAULT;
+  if (!Array.isArray(antelaciones) || antelaciones.some(a => !a || !/^[\w-]+$/.test(String(a.tipo)) || !(a.horas > 0))) {
+    throw new RecordatorioConfigError('antelaciones debe ser una lista de { tipo, horas > 0 }');
+  }
+  return { canales: raw.canales || {}, antelaciones, plantillas: raw.plantillas || {} };
+}
+
+// Persistencia en un JSON local (escritura atómica)
+class RecordatorioStore {
+  constructor({ file }) {
+    this.file = file;
+    this.items = {};
+    try {
+      this.items = JSON.parse(fs.readFileSync(file, 'utf8')).recordatorios || {};
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+    }
+  }
+
+  // filtro: campos exactos; los undefined no filtran
+  listar(filtro = {}) {
+    return Object.values(this.items)
+      .filter(r => Object.entries(filtro).every(([k, v]) => v === undefined || r[k] === v))
+      .sort((a, b) => a.enviar_en.localeCompare(b.enviar_en));
+  }
+
+  get(id) {
+    return this.items[id] || null;
+  }
+
+  crear(datos) {
+    const ahora = new Date().toISOString();
+    const r = { id: crypto.randomUUID(), ...datos, estado: 'pendiente', intentos: 0, ultimo_error: null, enviado_en: null, creado: ahora, actualizado: ahora };
+    this.items[r.id] = r;
+    this.guardar();
+    return r;
+  }
+
+  actualizar(id, cambios) {
+    if (!this.items[id]) return null;
+    this.items[id] = { ...this.items[id], ...cambios, actualizado: new Date().toISOString() };
+    this.guardar();
+    return this.items[id];
+  }
+
+  eliminar(ids) {
+    ids.forEach(id => delete this.items[id]);
+    if (ids.length > 0) this.guardar();
+  }
+
+  guardar() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ recordatorios: this.items }, null, 2));
+    fs.renameSync(tmp, this.file);
+  }
+}
+
+function enmascarar(destino) {
+  if (!destino) return destino;
+  if (/^https?:/.test(destino)) return destino.replace(/\?.*$/, '');
+  if (destino.includes('@')) return destino.replace(/^(.).*?@/, '$1***@');
+  return destino.replace(/^(\+?\d{4})\d+(\d{4})$/, '$1****$2');
+}
+
+// Vista pública: sin RUT ni contacto del paciente
+function publico(r) {
+  const { rut, paciente, destino, ...resto } = r;
+  return { ...resto, paciente: { nombre: paciente && paciente.nombre }, destino: enmascarar(destino) };
+}
+
+class RecordatorioDespachador {
+  constructor({ store, canales = {}, antelaciones = ANTELACIONES_DEFAULT, plantillas = {}, zona = 'America/Santiago',
+    intervalMs, reintentos = 3, esperaReintentoMs = 5 * 60000, reloj = Date.now, crearCanalImpl = crearCanal, log = () => {} }) {
+    this.store = store;
+    this.zona = zona;
+    this.intervalMs = intervalMs;
+    this.reintentos = reintentos;
+    this.esperaReintentoMs = esperaReintentoMs;
+    this.reloj = reloj;
+    this.crearCanal = crearCanalImpl;
+    this.log = log;
+    this.configurar({ canales, antelaciones, plantillas });
+
+    this.timer = null;
+    this.running = false;
+    this.lastRun = null;
+    this.nextRunAt = null;
+  }
+
+  // Lanza RecordatorioConfigError si un canal es inválido (la configuración anterior queda intacta)
+  configurar({ canales = {}, antelaciones = ANTELACIONES_DEFAULT, plantillas = {} }) {
+    const nuevos = {};
+    Object.entries(canales).forEach(([nombre, cfg]) => {
+      try {
+        nuevos[nombre] = this.crearCanal(nombre, cfg);
+      } catch (e) {
+        throw new RecordatorioConfigError(e.message);
+      }
+    });
+    this.canales = nuevos;
+    this.antelaciones = antelaciones;
+    this.plantillas = { ...PLANTILLAS_DEFAULT, ...plantillas };
+  }
+
+  get activo() {
+    return Object.keys(this.canales).length > 0;
+  }
+
+  inicio(r) {
+    return instanteLocal(r.fecha, r.hora, this.zona);
+  }
+
+  // reserva: { agenda, especialidad, profesional, fecha, hora, reserva_id, paciente: { rut, nombre, email, telefono }, cliente }
+  // cliente: quien hizo la reserva (API key); sólo él y los admin ven sus recordatorios
+  // Sólo las antelaciones que aún no pasaron; omitir: Set de "canal|tipo" a saltar. -> recordatorios creados
+  programar(reserva, { canales, omitir } = {}) {
+    const ahora = this.reloj();
+    const inicio = instanteLocal(reserva.fecha, reserva.hora, this.zona);
+    const p = reserva.paciente || {};
+    const creados = [];
+    Object.values(this.canales)
+      .filter(c => !canales || canales.includes(c.nombre))
+      .forEach(canal => {
+        const base = {
+          agenda: reserva.agenda,
+          especialidad: reserva.especialidad,
+          profesional: reserva.profesional,
+          fecha: reserva.fecha,
+          hora: reserva.hora,
+          reserva_id: reserva.reserva_id ? String(reserva.reserva_id) : null,
+          rut: p.rut || null,
+          paciente: { nombre: p.nombre || null, email: p.email || null, telefono: p.telefono || null },
+          canal: canal.nombre,
+          cliente: reserva.cliente || null
+        };
+        const destino = canal.destino(base);
+        if (!destino) return;
+        this.antelaciones.forEach(a => {
+          const enviarEn = inicio - a.horas * 3600 * 1000;
+          if (enviarEn <= ahora || (omitir && omitir.has(`${canal.nombre}|${a.tipo}`))) return;
+          creados.push(this.store.crear({ ...base, destino, tipo: a.tipo, enviar_en: new Date(enviarEn).toISOString() }));
+        });
+      });
+    if (creados.length > 0) this.log(`⏰ ${creados.length} recordatorio(s) programado(s) para ${reserva.agenda} ${reserva.fecha} ${reserva.hora}`);
+    return creados;
+  }
+
+  // filtro de una reserva: { agenda, reserva_id } o { agenda, rut, fecha, hora }; estado undefined = todos.
+  // Con filtro.cliente (null incluido) sólo los de ese cliente
+  deReserva(filtro, estado) {
+    const f = filtro.reserva_id
+      ? { agenda: filtro.agenda, reserva_id: String(filtro.reserva_id) }
+      : { agenda: filtro.agenda, rut: filtro.rut, fecha: filtro.fecha, hora: filtro.hora };
+    if (Object.values(f).some(v => !v)) return [];
+    return this.store.listar({ ...f, estado }).filter(r => filtro.cliente === undefined || (r.cliente || null) === filtro.cliente);
+  }
+
+  pendientesDe(filtro) {
+    return this.deReserva(filtro, 'pendiente');
+  }
+
+  // Vuelve a programar una reserva hecha por esta API (p. ej. tras cancelarlos o con un canal nuevo).
+  // Los datos de la cita y del paciente salen de sus recordatorios, no del que lo pide; no se duplican
+  // los canal + antelación que siguen pendientes. -> creados, o null si la reserva no tiene recordatorios
+  programarDeNuevo(filtro, { canales } = {}) {
+    const previos = this.deReserva(filtro);
+    if (previos.length === 0) return null;
+    // reprogramar sólo mueve los pendientes: el último actualizado tiene la fecha y hora vigentes
+    const r = previos.reduce((a, b) => (b.actualizado > a.actualizado ? b : a));
+    const pendientes = new Set(previos.filter(x => x.estado === 'pendiente').map(x => `${x.canal}|${x.tipo}`));
+    const reserva = {
+      agenda: r.agenda,
+      especialidad: r.especialidad,
+      profesional: r.profesional,
+      fecha: r.fecha,
+      hora: r.hora,
+      reserva_id: r.reserva_id,
+      paciente: { rut: r.rut, ...r.paciente },
+      cliente: r.cliente
+    };
+    return this.programar(reserva, { canales, omitir: pendientes });
+  }
+
+  cancelar(filtro, motivo = 'cancelado') {
+    return this.pendientesDe(filtro).map(r => this.store.actualizar(r.id, { estado: 'cancelado', ultimo_error: motivo }));
+  }
+
+  // La cita se movió: cada pendiente se recalcula con su antelación; si ya pasó, se cancela
+  reprogramar(filtro, { fecha, hora }) {
+    const inicio = instanteLocal(fecha, hora, this.zona);
+    return this.pendientesDe(filtro).map(r => {
+      const a = this.antelaciones.find(x => x.tipo === r.tipo);
+      const antelacion = a ? a.horas * 3600 * 1000 : this.inicio(r) - Date.parse(r.enviar_en);
+      const enviarEn = inicio - antelacion;
+      if (enviarEn <= this.reloj()) return this.store.actualizar(r.id, { fecha, hora, estado: 'cancelado', ultimo_error: 'la nueva hora está más cerca que la antelación' });
+      return this.store.actualizar(r.id, { fecha, hora, enviar_en: new Date(enviarEn).toISOString(), intentos: 0, ultimo_error: null });
+    });
+  }
+
+  mensaje(r) {
+    const hoy = fechaLocal(this.reloj(), this.zona);
+    const manana = fechaLocal(this.reloj() + 24 * 3600 * 1000, this.zona);
+    const nombreCompleto = (r.paciente && r.paciente.nombre) || '';
+    const variables = {
+      nombre: nombreCompleto.split(/\s+/)[0] || '',
+      nombre_completo: nombreCompleto,
+      especialidad: r.especialidad,
+      profesional: r.profesional,
+      fecha: r.fecha.split('-').reverse().join('/'),
+      fecha_texto: fechaTexto(r.fecha),
+      cuando: r.fecha === hoy ? 'hoy' : r.fecha === manana ? 'mañana' : `el ${fechaTexto(r.fecha)}`,
+      hora: r.hora,
+      agenda: r.agenda,
+      reserva_id: r.reserva_id || ''
+    };
+    const p = this.plantillas[r.tipo] || this.plantillas.otro;
+    return { asunto: renderizar(p.asunto || PLANTILLAS_DEFAULT.otro.asunto, variables), texto: renderizar(p.texto, variables), variables };
+  }
+
+  async enviar(r, ahora) {
+    const canal = this.canales[r.canal];
+    if (!canal) return this.store.actualizar(r.id, { estado: 'fallido', ultimo_error: `Canal "${r.canal}" no configurado` });
+    const intentos = r.intentos + 1;
+    try {
+      await canal.enviar(r, this.mensaje(r));
+      this.log(`📨 Recordatorio ${r.tipo} enviado por ${r.canal} (${r.agenda} ${r.fecha} ${r.hora})`);
+      return this.store.actualizar(r.id, { estado: 'enviado', intentos, enviado_en: new Date(ahora).toISOString(), ultimo_error: null });
+    } catch (e) {
+      const reintento = ahora + this.esperaReintentoMs * Math.pow(2, intentos - 1);
+      if (e.reintentable !== false && intentos < this.reintentos && reintento < this.inicio(r)) {
+        this.log(`⚠️ Recordatorio ${r.id} por ${r.canal} falló (intento ${intentos}): ${e.message}`);
+        return this.store.actualizar(r.id, { intentos, ultimo_error: e.message, enviar_en: new Date(reintento).toISOString() });
+      }
+      this.log(`❌ Recordatorio ${r.id} por ${r.canal} descartado tras ${intentos} intento(s): ${e.message}`);
+      return this.store.actualizar(r.id, { estado: 'fallido', intentos, ultimo_error: e.message });
+    }
+  }
+
+  start() {
+    if (!this.intervalMs || this.timer) return;
+    this.programarTimer(0);
+  }
+
+  stop() {
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+    this.nextRunAt = null;
+  }
+
+  programarTimer(ms) {
+    this.nextRunAt = new Date(Date.now() + ms).toISOString();
+    this.timer = setTimeout(async () => {
+      await this.runOnce().catch(e => this.log(`❌ Despacho de recordatorios falló: ${e.message}`));
+      if (this.timer) this.programarTimer(this.intervalMs);
+    }, ms);
+    if (this.timer.unref) this.timer.unref();
+  }
+
+  async runOnce() {
+    if (this.running) return null;
+    this.running = true;
+    const ahora = this.reloj();
+    const run = { startedAt: new Date(ahora).toISOString(), enviados: 0, fallidos: 0, reintentos: 0, vencidos: 0, purgados: 0 };
+    try {
+      for (const r of this.store.listar({ estado: 'pendiente' })) {
+        if (Date.parse(r.enviar_en) > ahora) break;
+        // el servidor estuvo abajo hasta después de la cita: ya no sirve
+        if (this.inicio(r) <= ahora) {
+          this.store.actualizar(r.id, { estado: 'vencido' });
+          run.vencidos++;
+          continue;
+        }
+        const res = await this.enviar(r, ahora);
+        if (res.estado === 'enviado') run.enviados++;
+        else if (res.estado === 'fallido') run.fallidos++;
+        else run.reintentos++;
+      }
+      const viejos = this.store.listar().filter(r => r.estado !== 'pendiente' && this.inicio(r) < ahora - RETENCION_MS).map(r => r.id);
+      this.store.eliminar(viejos);
+      run.purgados = viejos.length;
+    } finally {
+      this.running = false;
+    }
+    this.lastRun = run;
+    return run;
+  }
+
+  status() {
+    const porEstado = {};
+    this.store.listar().forEach(r => { porEstado[r.estado] = (porEstado[r.estado] || 0) + 1; });
+    return {
+      canales: Object.values(this.canales).map(c => ({ nombre: c.nombre, tipo: c.tipo })),
+      antelaciones: this.antelaciones,
+      intervalMs: this.intervalMs,
+      running: this.running,
+      lastRun: this.lastRun,
+      nextRunAt: this.nextRunAt,
+      porEstado
+    };
+  }
+}
+
+module.exports = {
+  RecordatorioStore, RecordatorioDespachador, RecordatorioConfigError,
+  leerConfig, renderizar, fechaTexto, instanteLocal, publico, PLANTILLAS_DEFAULT
+};
@@ -0,0 +1,110 @@
+// lib/resolver.js - Interpreta la respuesta libre de un usuario de chatbot contra una lista numerada
+// ("1. X\n2. Y"): "2", "la segunda", "kine", "la doctora soto", "a las 10", "10 y media".
+const { normalizeStringNode } = require('./texto');
+const { resolverCoincidencia } = require('./matching');
+
+const TIPOS = ['especialidades', 'profesionales', 'horas'];
+const ALIAS_TIPOS = { especialidad: 'especialidades', profesional: 'profesionales', hora: 'horas' };
+
+function normalizarTipo(tipo) {
+  const t = normalizeStringNode(tipo);
+  return TIPOS.includes(t) ? t : (ALIAS_TIPOS[t] || null);
+}
+
+const ORDINALES = {
+  primer: 1, primero: 1, primera: 1, segundo: 2, segunda: 2, tercer: 3, tercero: 3, tercera: 3,
+  cuarto: 4, cuarta: 4, quinto: 5, quinta: 5, sexto: 6, sexta: 6, septimo: 7, septima: 7,
+  setimo: 7, setima: 7, octavo: 8, octava: 8, noveno: 9, novena: 9, decimo: 10, decima: 10
+};
+
+// "2", "2.", "opcion 2", "la 2", "#2", "el segundo", "la ultima" -> índice 1-based (o -1 = última)
+function parsearIndice(respuesta) {
+  const s = normalizeStringNode(respuesta)
+    .replace(/^(?:(?:la|el|opcion|numero|nro|n°|#)\s*)+/, '')
+    .replace(/[.)!]+$/, '')
+    .trim();
+  if (/^\d{1,3}$/.test(s)) return Number(s);
+  const palabra = s.replace(/\s+(?:opcion|hora|profesional|especialidad)$/, '');
+  if (ORDINALES[palabra]) return ORDINALES[palabra];
+  if (palabra === 'ultimo' || palabra === 'ultima') return -1;
+  return null;
+}
+
+// "a las 10", "10:30", "10.30", "10 hrs", "10 y media", "3 de la tarde", "15h" -> { hora, minuto | null, tarde }
+function parsearHora(respuesta) {
+  const s = normalizeStringNode(respuesta);
+  const m = s.match(/(?:^|\D)(\d{1,2})(?:\s*[:.h]\s*(\d{2}))?(?:\s*(?:hrs?|horas?|h)\b)?(?:\s+y\s+(media|cuarto))?/);
+  if (!m) return null;
+  const hora = Number(m[1]);
+  if (hora > 23) return null;
+  let minuto = m[2] !== undefined ? Number(m[2]) : null;
+  if (m[3] === 'media') minuto = 30;
+  if (m[3] === 'cuarto') minuto = 15;
+  if (minuto !== null && minuto > 59) return null;
+  const tarde = /\b(tarde|noche|pm|p\.m)\b/.test(s);
+  return { hora: tarde && hora < 12 ? hora + 12 : hora, minuto, tarde };
+}
+
+function partesHora(h) {
+  const m = String(h).match(/(\d{1,2}):(\d{2})/);
+  return m ? { hora: Number(m[1]), minuto: Number(m[2]) } : null;
+}
+
+function candidato(opciones, index, extra = {}) {
+  return { indice: index + 1, valor: opciones[index], ...extra };
+}
+
+function resolverHora(opciones, respuesta) {
+  const p = parsearHora(respuesta);
+  if (!p) return null;
+  const buscar = (hora) => opciones
+    .map((o, index) => ({ index, partes: partesHora(o) }))
+    .filter(x => x.partes && x.partes.hora === hora && (p.minuto === null || x.partes.minuto === p.minuto));
+
+  let encontradas = buscar(p.hora);
+  // "a las 3" sin "de la tarde": en una agenda médica es casi siempre 15:00
+  if (encontradas.length === 0 && !p.tarde && p.hora < 8) encontradas = buscar(p.hora + 12);
+  // "a las 10" es las 10:00 si existe; si no, cualquier hora de las 10 es candidata
+  if (p.minuto === null && encontradas.length > 1) {
+    const enPunto = encontradas.filter(x => x.partes.minuto === 0);
+    if (enPunto.length === 1) encontradas = enPunto;
+  }
+
+  if (encontradas.length === 1) {
+    return { estado: 'match', match: candidato(opciones, encontradas[0].index, { metodo: 'hora' }), candidatos: [] };
+  }
+  if (encontradas.length > 1) {
+    return { estado: 'ambiguo', match: null, candidatos: encontradas.map(x => candidato(opciones, x.index, { metodo: 'hora' })) };
+  }
+  return { estado: 'sin_match', match: null, candidatos: [] };
+}
+
+// opciones: lista de strings tal como sale en *_list / *_text. -> { estado, match, candidatos }
+function resolverRespuesta(tipo, opciones, respuesta) {
+  const texto = String(respuesta || '').trim();
+  if (!texto || opciones.length === 0) return { estado: 'sin_match', match: null, candidatos: [] };
+
+  // el número de la lista manda: "10" con 12 horas listadas es la opción 10, no las 10:00
+  const indice = parsearIndice(texto);
+  if (indice !== null) {
+    const i = indice === -1 ? opciones.length - 1 : indice - 1;
+    if (i >= 0 && i < opciones.length) {
+      return { estado: 'match', match: candidato(opciones, i, { metodo: 'indice' }), candidatos: [] };
+    }
+  }
+
+  if (tipo === 'horas') {
+    const r = resolverHora(opciones, texto);
+    if (r) return r;
+  }
+
+  const r = resolverCoincidencia(texto, opciones);
+  const aCandidato = x => candidato(opciones, x.index, { metodo: x.tipo, score: Math.round(x.score * 100) / 100 });
+  return {
+    estado: r.estado,
+    match: r.match ? aCandidato(r.match) : null,
+    candidatos: r.candidatos.slice(0, 5).map(aCandidato)
+  };
+}
+
+module.exports = { TIPOS, normalizarTipo, resolverRespuesta, parsearIndice, parsearHora };
@@ -0,0 +1,265 @@
+// lib/slots.js - Interpreta las horas de un día: respuesta de /onlineBooking/application (JSON o
+// GWT-RPC "//OK[...]") y, de respaldo, la grilla de horas del DOM.
+//
+// Slot: { hora, hora_fin, duracion_min, estado: 'DISPONIBLE' | 'OCUPADO' | 'DESCONOCIDO',
+//         box, sede, modalidad: 'presencial' | 'telemedicina' | null }
+// Solo cuentan horas en campos de hora o strings que son una hora completa ("09:00", "09:00 - 09:30"):
+// un "08:00" suelto dentro de otro texto no es un slot. Si la respuesta no se reconoce se devuelve
+// interpretable: false con el motivo, en vez de una lista vacía que parece un día sin horas.
+
+const DURACION_DEFAULT_MIN = Number(process.env.SLOT_DURACION_MIN || 30);
+
+const CLAVES = {
+  inicio: ['hora', 'horaInicio', 'hora_inicio', 'inicio', 'start', 'startTime', 'time', 'slot', 'hour', 'timeSlot', 'availableTime'],
+  fin: ['horaFin', 'hora_fin', 'fin', 'end', 'endTime', 'termino', 'hasta'],
+  duracion: ['duracion_min', 'duracion', 'duracionMin', 'duration', 'minutos'],
+  box: ['box', 'boxNombre', 'nombreBox', 'sala', 'consulta', 'room'],
+  sede: ['sede', 'nombreSede', 'sucursal', 'centro', 'lugar', 'location'],
+  modalidad: ['modalidad', 'tipoAtencion', 'tipo_atencion', 'tipoConsulta', 'modality'],
+  telemedicina: ['telemedicina', 'online', 'virtual', 'remota'],
+  libre: ['disponible', 'available', 'libre', 'isAvailable'],
+  tomada: ['ocupado', 'reservado', 'tomado', 'booked', 'taken'],
+  estado: ['estado', 'status', 'state']
+};
+// arreglos vacíos con estos nombres son "día sin horas", no una respuesta desconocida
+const CLAVE_LISTA = /hora|slot|cupo|disponib|bloque|turno/i;
+// mensajes de la grilla cuando el día no tiene horas
+const SIN_HORAS = /no (hay|existen|quedan|se encontraron) (horas|cupos)|sin (horas|cupos)|no hay disponibilidad/i;
+const ORDEN_ESTADO = { DISPONIBLE: 0, DESCONOCIDO: 1, OCUPADO: 2 };
+
+function aMinutos(hora) {
+  const [h, m] = hora.split(':').map(Number);
+  return h * 60 + m;
+}
+
+function sumarMinutos(hora, minutos) {
+  const total = aMinutos(hora) + minutos;
+  return { hora: `${String(Math.floor(total / 60) % 24).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`, diaSiguiente: total >= 24 * 60 };
+}
+
+// Fecha (YYYY-MM-DD) y hora (HH:MM) locales de la agenda en el instante ms
+function fechaLocal(ms, zona) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone: zona, year: 'numeric', month: '2-digit', day: '2-digit' }).format(new Date(ms));
+}
+
+function horaLocal(ms, zona) {
+  return new Intl.DateTimeFormat('en-GB', { timeZone: zona, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }).format(new Date(ms));
+}
+
+function hhmm(h, m) {
+  return Number(h) < 24 && Number(m) < 60 ? `${String(h).padStart(2, '0')}:${m}` : null;
+}
+
+// "09:00", "9:00:00", "09:00 - 09:30", "2026-10-20T09:00:00" -> { inicio, fin, resto } | null
+// exacta: el string completo debe ser la hora (o el rango); si no, basta con que empiece con ella
+function leerHora(valor, exacta = false) {
+  const s = String(valor === undefined || valor === null ? '' : valor).trim();
+  const iso = /^\d{4}-\d{2}-\d{2}[T ](\d{2}):(\d{2})/.exec(s);
+  if (iso) return hhmm(iso[1], iso[2]) ? { inicio: hhmm(iso[1], iso[2]), fin: null, resto: '' } : null;
+  const m = /^(\d{1,2}):(\d{2})(?::\d{2})?(?:\s*(?:-|–|—|a|hasta)\s*(\d{1,2}):(\d{2})(?::\d{2})?)?(?:\s*hrs?\.?)?(.*)$/i.exec(s);
+  if (!m || (exacta && m[5].trim())) return null;
+  // "09:00abc": la hora tiene que terminar ahí
+  if (m[5] && /^[\w]/.test(m[5])) return null;
+  const inicio = hhmm(m[1], m[2]);
+  if (!inicio) return null;
+  return { inicio, fin: m[3] ? hhmm(m[3], m[4]) : null, resto: m[5].trim() };
+}
+
+// Sin fin ni duración explícita se infiere del menor salto entre horas consecutivas
+function inferirDuracion(horas) {
+  const mins = horas.map(aMinutos).sort((a, b) => a - b);
+  let min = null;
+  for (let i = 1; i < mins.length; i++) {
+    const d = mins[i] - mins[i - 1];
+    if (d > 0 && (min === null || d < min)) min = d;
+  }
+  return min || DURACION_DEFAULT_MIN;
+}
+
+function estadoDeTexto(s) {
+  if (/ocupad|reservad|tomad|bloquead|no disponible|unavailable|taken|booked/i.test(s)) return 'OCUPADO';
+  if (/disponible|libre|available|free/i.test(s)) return 'DISPONIBLE';
+  return null;
+}
+
+function modalidadDeTexto(s) {
+  if (/tele|online|en l[ií]nea|virtual|remot|video/i.test(s)) return 'telemedicina';
+  if (/presencial/i.test(s)) return 'presencial';
+  return null;
+}
+
+// valor de la primera clave presente (sin distinguir mayúsculas)
+function campo(o, claves) {
+  const porMinuscula = {};
+  Object.keys(o).forEach(k => { porMinuscula[k.toLowerCase()] = k; });
+  for (const c of claves) {
+    const k = porMinuscula[c.toLowerCase()];
+    if (k !== undefined && o[k] !== undefined && o[k] !== null && o[k] !== '') return o[k];
+  }
+  return null;
+}
+
+function texto(v) {
+  if (v && typeof v === 'object') v = campo(v, ['nombre', 'name', 'descripcion', 'glosa']);
+  return typeof v === 'string' || typeof v === 'number' ? String(v).trim() || null : null;
+}
+
+function slotDesdeObjeto(o) {
+  const h = leerHora(campo(o, CLAVES.inicio), true);
+  if (!h) return null;
+  const fin = h.fin || (leerHora(campo(o, CLAVES.fin), true) || {}).inicio || null;
+
+  let estado = null;
+  const libre = campo(o, CLAVES.libre);
+  const tomada = campo(o, CLAVES.tomada);
+  if (typeof libre === 'boolean') estado = libre ? 'DISPONIBLE' : 'OCUPADO';
+  else if (typeof tomada === 'boolean') estado = tomada ? 'OCUPADO' : 'DISPONIBLE';
+  else if (campo(o, CLAVES.estado) !== null) estado = estadoDeTexto(String(campo(o, CLAVES.estado)));
+
+  const tele = campo(o, CLAVES.telemedicina);
+  const modalidad = typeof tele === 'boolean'
+    ? (tele ? 'telemedicina' : 'presencial')
+    : modalidadDeTexto(texto(campo(o, CLAVES.modalidad)) || '');
+
+  return {
+    hora: h.inicio,
+    hora_fin: fin,
+    duracion_min: Number(campo(o, CLAVES.duracion)) || null,
+    estado: estado || 'DESCONOCIDO',
+    box: texto(campo(o, CLAVES.box)),
+    sede: texto(campo(o, CLAVES.sede)),
+    modalidad
+  };
+}
+
+function slotSimple(h, extra = {}) {
+  return { hora: h.inicio, hora_fin: h.fin, duracion_min: null, estado: 'DESCONOCIDO', box: null, sede: null, modalidad: null, ...extra };
+}
+
+// JSON (o el arreglo de un GWT-RPC) -> { slots, vacio } (vacio: había una lista de horas sin elementos)
+function slotsDesdeJson(json) {
+  const slots = [];
+  let vacio = false;
+  (function recorrer(o, clave) {
+    if (Array.isArray(o)) {
+      if (o.length === 0 && CLAVE_LISTA.test(clave)) vacio = true;
+      o.forEach(item => {
+        if (typeof item === 'string') {
+          const h = leerHora(item, true);
+          if (h) slots.push(slotSimple(h));
+        } else {
+          recorrer(item, clave);
+        }
+      });
+      return;
+    }
+    if (!o || typeof o !== 'object') return;
+    const s = slotDesdeObjeto(o);
+    if (s) {
+      slots.push(s);
+      return;
+    }
+    Object.entries(o).forEach(([k, v]) => recorrer(v, k));
+  })(json, '');
+  return { slots, vacio };
+}
+
+// "//OK[...]" de GWT-RPC; null si el texto no es GWT-RPC
+function slotsDesdeRpc(txt) {
+  const t = String(txt || '').trim();
+  if (t.startsWith('//EX')) return { slots: [], vacio: false, motivo: 'excepcion-rpc' };
+  if (!t.startsWith('//OK')) return null;
+  let datos = null;
+  try { datos = JSON.parse(t.slice(4)); } catch (e) {}
+  if (datos) return { slots: slotsDesdeJson(datos).slots, vacio: true };
+  // no es JSON válido: solo los strings que son una hora completa
+  const slots = (t.match(/"[^"]{4,20}"/g) || []).map(s => leerHora(s.slice(1, -1), true)).filter(Boolean).map(h => slotSimple(h));
+  return { slots, vacio: true };
+}
+
+// xhr: { url, json, text } -> { slots, vacio, motivo } | null si no hay respuesta de la agenda
+function slotsDesdeXHR(xhr) {
+  if (!xhr) return null;
+  if (xhr.json) {
+    const r = slotsDesdeJson(xhr.json);
+    return { ...r, motivo: r.slots.length || r.vacio ? null : 'json-sin-horas' };
+  }
+  if (xhr.text && /\/onlinebooking\/application/i.test(xhr.url || '')) {
+    return slotsDesdeRpc(xhr.text) || { slots: [], vacio: false, motivo: 'respuesta-desconocida' };
+  }
+  return null;
+}
+
+// Grilla del DOM: una hora (o rango) al inicio de la línea con su estado y, opcional, box, sede y modalidad.
+// Sin estado no es una celda de la grilla (encabezados, pies, avisos "10:00 Cierre de agenda")
+function slotsDesdeTexto(txt) {
+  const slots = [];
+  String(txt || '').split('\n').map(l => l.trim()).filter(Boolean).forEach(linea => {
+    const h = leerHora(linea);
+    if (!h) return;
+    const resto = h.resto;
+    const estado = estadoDeTexto(resto);
+    if (!estado) return;
+    const box = /\bbox\s*[:#]?\s*[\w-]+/i.exec(resto);
+    const sede = /\bsede\s*:?\s*([^|·,;()]+)/i.exec(resto);
+    slots.push(slotSimple(h, {
+      estado,
+      box: box ? box[0] : null,
+      sede: sede ? sede[1].trim() : null,
+      modalidad: modalidadDeTexto(resto)
+    }));
+  });
+  return slots;
+}
+
+// Completa fin/duración, quita repetidas (gana la más libre) y ordena por hora
+function completar(slots) {
+  const duracion = inferirDuracion(slots.map(s => s.hora));
+  const porHora = new Map();
+  slots.forEach(s => {
+    const previo = porHora.get(s.hora);
+    if (!previo || ORDEN_ESTADO[s.estado] < ORDEN_ESTADO[previo.estado]) porHora.set(s.hora, s);
+  });
+  return [...porHora.values()]
+    .sort((a, b) => aMinutos(a.hora) - aMinutos(b.hora))
+    .map(s => {
+      let dur = s.duracion_min;
+      if (s.hora_fin) {
+        const d = (aMinutos(s.hora_fin) - aMinutos(s.hora) + 24 * 60) % (24 * 60);
+        if (d > 0) dur = d;
+      }
+      dur = dur || duracion;
+      return { ...s, hora_fin: sumarMinutos(s.hora, dur).hora, duracion_min: dur };
+    });
+}
+
+function resultado(fuente, slots) {
+  const todos = completar(slots);
+  return { fuente, slots: todos, horas: todos.filter(s => s.estado !== 'OCUPADO'), interpretable: true, motivo: null };
+}
+
+// { xhr, texto } -> { fuente: 'xhr'|'dom'|null, slots (todos), horas (sin las ocupadas), interpretable, motivo }
+// El XHR manda; el DOM es el respaldo
+function interpretarHoras({ xhr, texto } = {}) {
+  const desdeXhr = slotsDesdeXHR(xhr);
+  if (desdeXhr && desdeXhr.slots.length > 0) return resultado('xhr', desdeXhr.slots);
+  const desdeDom = slotsDesdeTexto(texto);
+  if (desdeDom.length > 0) return resultado('dom', desdeDom);
+  if (desdeXhr && desdeXhr.vacio) return resultado('xhr', []);
+  if (SIN_HORAS.test(texto || '')) return resultado('dom', []);
+  return { fuente: null, slots: [], horas: [], interpretable: false, motivo: (desdeXhr && desdeXhr.motivo) || 'sin-respuesta' };
+}
+
+module.exports = {
+  interpretarHoras,
+  slotsDesdeXHR,
+  slotsDesdeJson,
+  slotsDesdeTexto,
+  completar,
+  leerHora,
+  inferirDuracion,
+  sumarMinutos,
+  fechaLocal,
+  horaLocal,
+  DURACION_DEFAULT_MIN
+};
@@ -0,0 +1,186 @@
+// lib/smtp.js - Cliente SMTP mínimo, sin dependencias, para los recordatorios por email
+//
+// { host, port, secure (TLS directo, puerto 465), starttls (defecto true: se usa si el servidor lo ofrece),
+//   user, pass, from, timeout, rejectUnauthorized }
+// Contra un servidor local de pruebas (MailHog, smtp4dev) basta { host: 'localhost', port: 1025, from }.
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+class SmtpError extends Error {
+  constructor(message, codigo = null) {
+    super(message);
+    this.name = 'SmtpError';
+    this.codigo = codigo;
+    // 4xx del servidor o problema de red: vale la pena reintentar; 5xx no
+    this.reintentable = codigo === null || codigo < 500;
+  }
+}
+
+// Una sesión SMTP sobre un socket (reemplazable tras STARTTLS)
+class Sesion {
+  constructor(timeout) {
+    this.timeout = timeout;
+    this.buffer = '';
+    this.lineas = [];
+    this.respuestas = [];
+    this.esperando = [];
+    this.error = null;
+  }
+
+  usar(socket) {
+    this.socket = socket;
+    this.alRecibir = chunk => this.recibir(chunk);
+    this.alCerrar = () => this.fallar(new SmtpError('El servidor SMTP cerró la conexión'));
+    socket.setTimeout(this.timeout, () => socket.destroy(new SmtpError(`Timeout SMTP (${this.timeout} ms)`)));
+    socket.on('data', this.alRecibir);
+    socket.on('error', e => this.fallar(e instanceof SmtpError ? e : new SmtpError(e.message)));
+    socket.on('close', this.alCerrar);
+  }
+
+  // antes de STARTTLS: el socket pasa a manos de TLS
+  soltar() {
+    this.socket.removeListener('data', this.alRecibir);
+    this.socket.removeListener('close', this.alCerrar);
+    this.socket.setTimeout(0);
+  }
+
+  recibir(chunk) {
+    this.buffer += chunk.toString('utf8');
+    let i;
+    while ((i = this.buffer.indexOf('\n')) !== -1) {
+      const linea = this.buffer.slice(0, i).replace(/\r$/, '');
+      this.buffer = this.buffer.slice(i + 1);
+      this.lineas.push(linea);
+      // "250-..." sigue; "250 ..." cierra la respuesta
+      if (/^\d{3}(?: |$)/.test(linea)) {
+        const r = { codigo: Number(linea.slice(0, 3)), lineas: this.lineas.map(l => l.slice(4)) };
+        this.lineas = [];
+        if (this.esperando.length > 0) this.esperando.shift().resolve(r);
+        else this.respuestas.push(r);
+      }
+    }
+  }
+
+  fallar(e) {
+    if (!this.error) this.error = e;
+    this.esperando.splice(0).forEach(p => p.reject(this.error));
+  }
+
+  leer() {
+    if (this.respuestas.length > 0) return Promise.resolve(this.respuestas.shift());
+    if (this.error) return Promise.reject(this.error);
+    return new Promise((resolve, reject) => this.esperando.push({ resolve, reject }));
+  }
+
+  async esperar(esperados, contexto) {
+    const r = await this.leer();
+    if (!esperados.includes(r.codigo)) {
+      throw new SmtpError(`SMTP ${contexto}: ${r.codigo} ${r.lineas.join(' ')}`.trim(), r.codigo);
+    }
+    return r;
+  }
+
+  async comando(linea, esperados, contexto = linea.split(' ')[0]) {
+    this.socket.write(linea + '\r\n');
+    return this.esperar(esperados, contexto);
+  }
+}
+
+function conectar(opciones) {
+  return new Promise((resolve, reject) => {
+    const socket = opciones.secure
+      ? tls.connect({ host: opciones.host, port: opciones.port, servername: opciones.host, rejectUnauthorized: opciones.rejectUnauthorized !== false })
+      : net.connect({ host: opciones.host, port: opciones.port });
+    const evento = opciones.secure ? 'secureConnect' : 'connect';
+    const timer = setTimeout(() => socket.destroy(new Error(`Timeout conectando a ${opciones.host}:${opciones.port}`)), opciones.timeout);
+    socket.once(evento, () => { clearTimeout(timer); resolve(socket); });
+    socket.once('error', e => { clearTimeout(timer); reject(new SmtpError(e.message)); });
+  });
+}
+
+function subirTls(socket, opciones) {
+  return new Promise((resolve, reject) => {
+    const seguro = tls.connect({ socket, servername: opciones.host, rejectUnauthorized: opciones.rejectUnauthorized !== false });
+    seguro.once('secureConnect', () => resolve(seguro));
+    seguro.once('error', e => reject(new SmtpError(`STARTTLS: ${e.message}`)));
+  });
+}
+
+// "Agenda <no-responder@clinica.cl>" -> "no-responder@clinica.cl"
+function direccion(s) {
+  const m = /<([^>]+)>/.exec(String(s));
+  return (m ? m[1] : String(s)).trim();
+}
+
+// Encabezado con tildes (RFC 2047)
+function encabezado(s) {
+  return /^[\x20-\x7e]*$/.test(s) ? s : `=?UTF-8?B?${Buffer.from(s, 'utf8').toString('base64')}?=`;
+}
+
+function remitente(from) {
+  const m = /^\s*(.*?)\s*<([^>]+)>\s*$/.exec(String(from));
+  return m && m[1] ? `${encabezado(m[1].replace(/^"|"$/g, ''))} <${m[2]}>` : direccion(from);
+}
+
+// Cuerpo en base64: sin problemas de 8 bits ni de líneas que empiezan con "."
+function armarMensaje({ from, to, asunto, texto, fecha = new Date() }) {
+  const dominio = direccion(from).split('@')[1] || 'localhost';
+  const cuerpo = Buffer.from(texto, 'utf8').toString('base64').replace(/.{1,76}/g, '$&\r\n');
+  return [
+    `From: ${remitente(from)}`,
+    `To: ${to}`,
+    `Subject: ${encabezado(asunto)}`,
+    `Date: ${fecha.toUTCString().replace('GMT', '+0000')}`,
+    `Message-ID: <${crypto.randomUUID()}@${dominio}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    cuerpo
+  ].join('\r\n');
+}
+
+// -> { aceptado: true, respuesta } o lanza SmtpError
+async function enviarCorreo(opciones, { to, asunto, texto }) {
+  const o = { port: opciones.secure ? 465 : 587, timeout: 15000, starttls: true, ...opciones };
+  const sesion = new Sesion(o.timeout);
+  let socket = await conectar(o);
+  sesion.usar(socket);
+  try {
+    await sesion.esperar([220], 'saludo');
+    const ehlo = () => sesion.comando(`EHLO ${o.nombreHost || os.hostname() || 'localhost'}`, [250], 'EHLO');
+    let capacidades = (await ehlo()).lineas.map(l => l.toUpperCase());
+
+    if (!o.secure && o.starttls && capacidades.some(l => l.startsWith('STARTTLS'))) {
+      await sesion.comando('STARTTLS', [220]);
+      sesion.soltar();
+      socket = await subirTls(socket, o);
+      sesion.usar(socket);
+      capacidades = (await ehlo()).lineas.map(l => l.toUpperCase());
+    }
+
+    if (o.user) {
+      const auth = capacidades.find(l => l.startsWith('AUTH')) || '';
+      if (/\bPLAIN\b/.test(auth) || !/\bLOGIN\b/.test(auth)) {
+        await sesion.comando(`AUTH PLAIN ${Buffer.from(`\0${o.user}\0${o.pass || ''}`).toString('base64')}`, [235], 'AUTH');
+      } else {
+        await sesion.comando('AUTH LOGIN', [334], 'AUTH');
+        await sesion.comando(Buffer.from(o.user).toString('base64'), [334], 'AUTH');
+        await sesion.comando(Buffer.from(o.pass || '').toString('base64'), [235], 'AUTH');
+      }
+    }
+
+    await sesion.comando(`MAIL FROM:<${direccion(o.from)}>`, [250], 'MAIL FROM');
+    await sesion.comando(`RCPT TO:<${direccion(to)}>`, [250, 251], 'RCPT TO');
+    await sesion.comando('DATA', [354]);
+    const r = await sesion.comando(armarMensaje({ from: o.from, to, asunto, texto }) + '\r\n.', [250], 'DATA');
+    socket.write('QUIT\r\n');
+    return { aceptado: true, respuesta: r.lineas.join(' ') };
+  } finally {
+    socket.end();
+  }
+}
+
+module.exports = { enviarCorreo, armarMensaje, SmtpError };
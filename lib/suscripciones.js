@@ -0,0 +1,334 @@
+// lib/suscripciones.js - Avisos de horas nuevas: un watcher consulta periódicamente las horas de cada
+// suscripción, compara con la foto anterior y hace POST al callback con las que aparecieron.
+//
+// Firma: X-Signature-256 = "sha256=" + HMAC-SHA256(secreto, `${X-Signature-Timestamp}.${body}`)
+// El secreto se entrega una sola vez al crear la suscripción.
+// El callback no puede apuntar a loopback ni a redes privadas: se revisa al crear y antes de cada envío
+// (el DNS puede cambiar entre medio). Las redirecciones no se siguen: un 3xx cuenta como envío fallido.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const net = require('net');
+const dns = require('dns');
+const { fechaLocal } = require('./slots');
+
+const REDES_PRIVADAS = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]].forEach(([red, bits]) => REDES_PRIVADAS.addSubnet(red, bits, 'ipv4'));
+[['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]].forEach(([red, bits]) => REDES_PRIVADAS.addSubnet(red, bits, 'ipv6'));
+
+function esperar(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function firmar(secreto, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secreto).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function direccionPrivada(ip) {
+  const v4 = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(ip);
+  if (v4) return REDES_PRIVADAS.check(v4[1], 'ipv4');
+  return REDES_PRIVADAS.check(ip, net.isIPv6(ip) ? 'ipv6' : 'ipv4');
+}
+
+// -> null si se puede usar, o el motivo. permitirPrivadas: sólo para pruebas contra servidores locales
+async function validarCallback(url, { lookup = dns.promises.lookup, permitirPrivadas = false } = {}) {
+  let u;
+  try {
+    u = new URL(url);
+  } catch (e) {
+    return 'callback_url debe ser una URL http(s)';
+  }
+  if (!['http:', 'https:'].includes(u.protocol)) return 'callback_url debe ser una URL http(s)';
+  if (permitirPrivadas) return null;
+  const host = u.hostname.replace(/^\[|\]$/g, '');
+  let direcciones;
+  try {
+    direcciones = net.isIP(host) ? [host] : (await lookup(host, { all: true })).map(d => d.address);
+  } catch (e) {
+    return `No se pudo resolver ${host}`;
+  }
+  if (direcciones.length === 0 || direcciones.some(direccionPrivada)) {
+    return 'callback_url no puede apuntar a localhost ni a direcciones privadas';
+  }
+  return null;
+}
+
+// Persistencia en un JSON local (escritura atómica)
+class SuscripcionStore {
+  constructor({ file }) {
+    this.file = file;
+    this.items = {};
+    try {
+      this.items = JSON.parse(fs.readFileSync(file, 'utf8')).suscripciones || {};
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+    }
+  }
+
+  listar(filtro = {}) {
+    return Object.values(this.items).filter(s => Object.entries(filtro).every(([k, v]) => !v || s[k] === v));
+  }
+
+  get(id) {
+    return this.items[id] || null;
+  }
+
+  crear(datos) {
+    const s = {
+      id: crypto.randomUUID(),
+      ...datos,
+      secreto: crypto.randomBytes(24).toString('hex'),
+      creada: new Date().toISOString(),
+      snapshot: null,
+      ultimaRevision: null,
+      ultimoEnvio: null,
+      ultimoError: null,
+      notificaciones: 0
+    };
+    this.items[s.id] = s;
+    this.guardar();
+    return s;
+  }
+
+  actualizar(id, cambios) {
+    if (!this.items[id]) return null;
+    this.items[id] = { ...this.items[id], ...cambios };
+    this.guardar();
+    return this.items[id];
+  }
+
+  eliminar(id) {
+    if (!this.items[id]) return false;
+    delete this.items[id];
+    this.guardar();
+    return true;
+  }
+
+  guardar() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ suscripciones: this.items }, null, 2));
+    fs.renameSync(tmp, this.file);
+  }
+}
+
+// Vista pública: sin secreto, dueño ni foto (resumida)
+function publica(s) {
+  const { secreto, snapshot, cliente, ...resto } = s;
+  const horas = snapshot ? Object.values(snapshot).reduce((n, h) => n + h.length, 0) : null;
+  return { ...resto, horas_conocidas: horas };
+}
+
+// { fecha: [horas] } nuevas en "actual" respecto de "anterior"
+function diferencia(anterior, actual) {
+  const nuevas = [];
+  Object.entries(actual).forEach(([fecha, horas]) => {
+    const antes = new Set(anterior[fecha] || []);
+    horas.filter(h => !antes.has(h)).forEach(hora => nuevas.push({ fecha, hora }));
+  });
+  return nuevas.sort((a, b) => (a.fecha + a.hora).localeCompare(b.fecha + b.hora));
+}
+
+class SuscripcionWatcher {
+  constructor({ store, intervalMs, consultarHoras, puedeCorrer = () => true, fetchImpl, reintentos = 3, esperaReintentoMs = 2000, timeout = 10000,
+    validarDestino = url => validarCallback(url), zona = 'America/Santiago', log = () => {} }) {
+    this.store = store;
+    this.zona = zona; // "hoy" para vencer suscripciones es el de la agenda, no el de UTC
+    this.validarDestino = validarDestino;
+    this.intervalMs = intervalMs;
+    this.consultarHoras = consultarHoras; // ({ agenda, especialidad, profesional }, fechas) -> { success, porFecha }
+    this.puedeCorrer = puedeCorrer;
+    this.fetch = fetchImpl || fetch;
+    this.reintentos = reintentos;
+    this.esperaReintentoMs = esperaReintentoMs;
+    this.timeout = timeout;
+    this.log = log;
+
+    this.timer = null;
+    this.running = false;
+    this.detener = false;
+    this.lastRun = null;
+    this.nextRunAt = null;
+  }
+
+  start() {
+    if (!this.intervalMs || this.timer) return;
+    this.programar(this.intervalMs);
+  }
+
+  stop() {
+    this.detener = true;
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+    this.nextRunAt = null;
+  }
+
+  programar(ms) {
+    this.nextRunAt = new Date(Date.now() + ms).toISOString();
+    this.timer = setTimeout(async () => {
+      this.timer = null;
+      await this.runOnce().catch(e => this.log(`❌ Watcher de suscripciones falló: ${e.message}`));
+      if (!this.detener) this.programar(this.intervalMs);
+    }, ms);
+    if (this.timer.unref) this.timer.unref();
+  }
+
+  async turno() {
+    while (!this.puedeCorrer()) {
+      if (this.detener) throw new Error('watcher detenido');
+      await esperar(1000);
+    }
+  }
+
+  // POST firmado con reintentos y espera exponencial. -> { ok, status, intentos, error }
+  async enviar(s, payload) {
+    const invalido = await this.validarDestino(s.callback_url);
+    if (invalido) return { ok: false, status: null, intentos: 0, error: invalido, en: new Date().toISOString() };
+    const body = JSON.stringify(payload);
+    let ultimo = { ok: false, status: null, intentos: 0, error: null };
+    for (let intento = 1; intento <= this.reintentos; intento++) {
+      const timestamp = String(Math.floor(Date.now() / 1000));
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), this.timeout);
+      try {
+        const response = await this.fetch(s.callback_url, {
+          method: 'POST',
+          redirect: 'manual',
+          signal: controller.signal,
+          headers: {
+            'Content-Type': 'application/json',
+            'X-Signature-Timestamp': timestamp,
+            'X-Signature-256': firmar(s.secreto, timestamp, body),
+            'X-Suscripcion-Id': s.id
+          },
+          body
+        });
+        const redirige = response.status >= 300 && response.status < 400;
+        ultimo = { ok: response.ok, status: response.status, intentos: intento,
+          error: response.ok ? null : redirige ? `HTTP ${response.status} (redirección no permitida)` : `HTTP ${response.status}` };
+        // 3xx y 4xx (salvo 408/429) no mejoran reintentando
+        if (response.ok || (response.status < 500 && response.status !== 408 && response.status !== 429)) break;
+      } catch (e) {
+        ultimo = { ok: false, status: null, intentos: intento, error: e.name === 'AbortError' ? `Timeout (${this.timeout} ms)` : e.message };
+      } finally {
+        clearTimeout(timer);
+      }
+      if (intento < this.reintentos) await esperar(this.esperaReintentoMs * Math.pow(2, intento - 1));
+    }
+    return { ...ultimo, en: new Date().toISOString() };
+  }
+
+  fechasDe(s, hoy) {
+    const fechas = [];
+    const desde = s.desde > hoy ? s.desde : hoy;
+    for (const d = new Date(`${desde}T00:00:00Z`); d <= new Date(`${s.hasta}T00:00:00Z`); d.setUTCDate(d.getUTCDate() + 1)) {
+      fechas.push(d.toISOString().split('T')[0]);
+    }
+    return fechas;
+  }
+
+  async revisarGrupo(subs, hoy, run) {
+    const { agenda, especialidad, profesional } = subs[0];
+    const fechas = [...new Set(subs.flatMap(s => this.fechasDe(s, hoy)))].sort();
+    if (fechas.length === 0) return;
+
+    await this.turno();
+    let r;
+    try {
+      r = await this.consultarHoras({ agenda, especialidad, profesional }, fechas);
+      if (!r || !r.success) throw new Error((r && r.error) || 'respuesta sin éxito');
+    } catch (e) {
+      run.errores.push({ agenda, especialidad, profesional, error: e.message });
+      subs.forEach(s => this.store.actualizar(s.id, { ultimaRevision: new Date().toISOString(), ultimoError: e.message }));
+      return;
+    }
+    run.consultas++;
+
+    for (const s of subs) {
+      const actual = {};
+      this.fechasDe(s, hoy).forEach(f => {
+        const dia = r.porFecha[f] || {};
+        // respuesta sin interpretar: se mantiene la foto del día para no anunciar después todas sus horas como nuevas
+        actual[f] = (dia.sin_interpretar && s.snapshot ? s.snapshot[f] || [] : dia.horas || []).slice();
+      });
+      const ahora = new Date().toISOString();
+
+      // la primera revisión solo fija la línea base
+      if (!s.snapshot) {
+        this.store.actualizar(s.id, { snapshot: actual, ultimaRevision: ahora, ultimoError: null });
+        continue;
+      }
+      const nuevas = diferencia(s.snapshot, actual);
+      if (nuevas.length === 0) {
+        this.store.actualizar(s.id, { snapshot: actual, ultimaRevision: ahora, ultimoError: null });
+        continue;
+      }
+
+      const envio = await this.enviar(s, {
+        evento: 'horas.nuevas',
+        suscripcion_id: s.id,
+        agenda, especialidad, profesional,
+        horas: nuevas,
+        detectadas_en: ahora
+      });
+      run.envios++;
+      if (envio.ok) {
+        this.log(`📣 Suscripción ${s.id}: ${nuevas.length} hora(s) nueva(s) notificadas a ${s.callback_url}`);
+        this.store.actualizar(s.id, { snapshot: actual, ultimaRevision: ahora, ultimoEnvio: envio, ultimoError: null, notificaciones: s.notificaciones + 1 });
+      } else {
+        // sin avanzar la foto: las mismas horas se vuelven a intentar en la próxima pasada
+        run.errores.push({ suscripcion: s.id, error: envio.error });
+        this.log(`⚠️ Suscripción ${s.id}: callback falló tras ${envio.intentos} intento(s): ${envio.error}`);
+        this.store.actualizar(s.id, { ultimaRevision: ahora, ultimoEnvio: envio, ultimoError: envio.error });
+      }
+    }
+  }
+
+  async runOnce() {
+    if (this.running) return null;
+    this.running = true;
+    this.detener = false;
+    const startTs = Date.now();
+    const run = { startedAt: new Date(startTs).toISOString(), finishedAt: null, durationMs: null, consultas: 0, envios: 0, vencidas: 0, errores: [] };
+
+    try {
+      const hoy = fechaLocal(Date.now(), this.zona);
+      const grupos = {};
+      for (const s of this.store.listar()) {
+        if (s.hasta < hoy) {
+          this.store.eliminar(s.id);
+          run.vencidas++;
+          continue;
+        }
+        const k = `${s.agenda}|${s.especialidad}|${s.profesional}`;
+        (grupos[k] = grupos[k] || []).push(s);
+      }
+      for (const subs of Object.values(grupos)) {
+        await this.revisarGrupo(subs, hoy, run);
+      }
+    } catch (e) {
+      run.errores.push({ error: e.message });
+    } finally {
+      run.finishedAt = new Date().toISOString();
+      run.durationMs = Date.now() - startTs;
+      this.lastRun = run;
+      this.running = false;
+      this.log(`🔔 Suscripciones revisadas en ${run.durationMs} ms - ${run.consultas} consulta(s), ${run.envios} envío(s), ${run.errores.length} error(es)`);
+    }
+    return run;
+  }
+
+  status() {
+    return {
+      enabled: !!this.intervalMs,
+      intervalMs: this.intervalMs,
+      running: this.running,
+      total: this.store.listar().length,
+      lastRun: this.lastRun,
+      nextRunAt: this.nextRunAt
+    };
+  }
+}
+
+module.exports = { SuscripcionStore, SuscripcionWatcher, publica, firmar, diferencia, validarCallback };
@@ -0,0 +1,22 @@
+// lib/texto.js - helpers de texto compartidos
+
+function normalizeStringNode(s) {
+  if (!s) return '';
+  try {
+    return String(s)
+      .normalize('NFD')
+      .replace(/\p{Diacritic}/gu, '')
+      .toLowerCase()
+      .trim()
+      .replace(/\s+/g, ' ');
+  } catch (e) {
+    return String(s).toLowerCase().trim();
+  }
+}
+
+// "KINESIOLOGÍA Y FISIOTERAPIA" -> "kinesiologia-y-fisioterapia"
+function slug(s) {
+  return normalizeStringNode(s).replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+module.exports = { normalizeStringNode, slug };
@@ -1,138 +1,404 @@
-// server.js - Versión con CACHE en memoria + campos de compatibilidad
+// server.js - Versión con CACHE (memoria/archivo) + campos de compatibilidad
+const path = require('path');
+const { AsyncResource } = require('async_hooks');
 const express = require('express');
 const cors = require('cors');
 const puppeteerCore = require('puppeteer-core');
 const chromium = require('@sparticuz/chromium');
+const { normalizeStringNode } = require('./lib/texto');
+const { BrowserPool, PoolOcupadoError } = require('./lib/browserPool');
+const { CachePolicy, crearCache } = require('./lib/cache');
+const { PrewarmScheduler } = require('./lib/prewarm');
+const { AgendaRegistry, AgendaConfigError } = require('./lib/agendas');
+const { crearRouterV2, ApiError, enviarError: enviarErrorV2 } = require('./lib/apiV2');
+const { KommoClient, opcionesKommo } = require('./lib/kommo');
+const { TIPOS: TIPOS_RESOLVER, normalizarTipo, resolverRespuesta } = require('./lib/resolver');
+const { resolverCoincidencia, elegirUnico, rankear, SeleccionError } = require('./lib/matching');
+const { SuscripcionStore, SuscripcionWatcher, publica, validarCallback } = require('./lib/suscripciones');
+const { FlujoStore, FlujoMotor, FlujoError } = require('./lib/flujo');
+const { CAMPOS: CAMPOS_PACIENTE, PREVISIONES_DEFAULT, validarCampo, validarPaciente, validarRut } = require('./lib/paciente');
+const { especialidadesDesdePagina, profesionalesDesdePagina, resultadoReservaDesdeTexto, filasDeReserva } = require('./lib/extraccion');
+const { interpretarHoras, sumarMinutos, fechaLocal, horaLocal, DURACION_DEFAULT_MIN } = require('./lib/slots');
+const { calendario, uid: uidIcs, TZ_DEFAULT } = require('./lib/ics');
+const { RecordatorioStore, RecordatorioDespachador, RecordatorioConfigError, leerConfig: leerConfigRecordatorios, publico: recordatorioPublico } = require('./lib/recordatorios');
+const { crearSesionFixture, nombreFlujo } = require('./lib/fixtures');
+const { DiagnosticoStore, trazaActual, paso } = require('./lib/diagnostico');
+const { Registro, CONTENT_TYPE: METRICAS_CONTENT_TYPE } = require('./lib/metricas');
+const { ClienteRegistry, ClienteConfigError, CuotaColaError, LimitadorTasa, leerApiKey } = require('./lib/clientes');
+const { logger, redactar, redactarTexto } = require('./lib/logger');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-app.use(cors());
+// CORS_ORIGINS: orígenes permitidos separados por coma; sin definir (o con "*") queda abierto
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '*').split(',').map(o => o.trim()).filter(Boolean);
+app.use(cors(CORS_ORIGINS.includes('*') ? {} : { origin: CORS_ORIGINS }));
 app.use(express.json());
 
-let browser = null;
 let requestCount = 0;
-let isProcessing = false;
-const requestQueue = [];
 
-const AGENDAS = {
-  kineyfisio: 'https://web.philaxmed.cl/ReservaOnline.html?mc=kineyfisio#_',
-  cesmed: 'https://s2.philaxmed.cl/ReservaOnline.html?mc=cesmed#_'
-};
+// -------------------- LOGS --------------------
+// JSON por línea (lib/logger.js: LOG_LEVEL, LOG_FORMAT), con request_id y RUT/email/teléfono redactados.
+// LOG_PAGINA: consola de Philaxmed -> off | errores (defecto) | todo
+// LOG_XHR: respuestas capturadas -> off | resumen (defecto: URL y tamaño, nivel debug) | completo (cuerpo hasta LOG_XHR_MAX bytes)
+const LOG_PAGINA = process.env.LOG_PAGINA || 'errores';
+const LOG_XHR = process.env.LOG_XHR || 'resumen';
+const LOG_XHR_MAX = Number(process.env.LOG_XHR_MAX || 2000);
+// sondas de monitoreo: solo en debug
+const RUTAS_SONDA = /^\/(health|ready|metrics)(\/|$)/;
+
+function volcarXhr(lg, tipo, url, cuerpo) {
+  if (LOG_XHR === 'off') return;
+  const texto = typeof cuerpo === 'string' ? cuerpo : JSON.stringify(cuerpo);
+  if (LOG_XHR === 'completo') {
+    lg.info('🛰️ XHR capturado', { tipo, url, bytes: texto.length, cuerpo: texto.length > LOG_XHR_MAX ? texto.slice(0, LOG_XHR_MAX) + '...[truncado]' : texto });
+  } else {
+    lg.debug('🛰️ XHR capturado', { tipo, url, bytes: texto.length });
+  }
+}
+
+// -------------------- DIAGNÓSTICO --------------------
+// Traza por request (X-Request-Id) con los pasos del flujo; si falla, screenshot + HTML en DEBUG_DIR.
+// Se consulta en GET /api/debug/:requestId
+const diagnostico = new DiagnosticoStore({
+  dir: process.env.DEBUG_DIR || path.join(__dirname, 'data', 'debug'),
+  max: Number(process.env.DEBUG_MAX_TRAZAS || 200),
+  ttlMs: Number(process.env.DEBUG_TTL_HORAS || 24) * 1000*60*60,
+  redactar,
+  log: (...args) => log(...args)
+});
+app.use('/api', diagnostico.middleware());
+setInterval(() => diagnostico.limpiar(), 1000*60*60).unref();
+
+// -------------------- MÉTRICAS --------------------
+// GET /metrics (formato Prometheus). Los gauges del pool, cache y agendas se leen al exponer
+const metricas = new Registro({ prefijo: 'philaxmed_' });
+const mHttp = metricas.histograma('http_request_duration_seconds', 'Duración de las respuestas HTTP por endpoint y agenda', ['method', 'route', 'agenda', 'status']);
+const mCache = metricas.contador('cache_lookups_total', 'Consultas a la cache por tipo y estado (fresh, stale, dead, miss)', ['type', 'state']);
+const mCacheEntradas = metricas.gauge('cache_entries', 'Entradas en la cache');
+const mColaEspera = metricas.histograma('queue_wait_seconds', 'Espera en la cola hasta obtener turno de navegador', ['agenda']);
+const mColaEnEspera = metricas.gauge('queue_waiting', 'Trabajos esperando turno de navegador');
+const mColaRechazos = metricas.contador('queue_rejected_total', 'Trabajos rechazados por cola llena o sin turno a tiempo');
+const mActivos = metricas.gauge('pool_active', 'Trabajos de navegador en curso');
+const mNavegadorUp = metricas.gauge('browser_up', '1 si hay un navegador abierto');
+const mLanzamientos = metricas.contador('browser_launches_total', 'Navegadores lanzados');
+const mReinicios = metricas.contador('browser_restarts_total', 'Navegadores descartados por reciclaje (páginas/memoria) o caída', ['reason']);
+const mFallos = metricas.contador('scrape_failures_total', 'Flujos de navegador fallidos por causa (layout, no-encontrado, ambiguo, timeout, ...)', ['flow', 'agenda', 'cause']);
+const mAgendaUp = metricas.gauge('agenda_up', '1 si el último contacto con la URL de la agenda fue exitoso', ['agenda']);
+const mAgendaContacto = metricas.gauge('agenda_last_contact_timestamp_seconds', 'Momento del último contacto con la URL de la agenda', ['agenda']);
+const mMemoria = metricas.gauge('process_resident_memory_bytes', 'Memoria RSS del proceso Node');
+
+function rutaDe(req) {
+  return req.route ? req.baseUrl + req.route.path : 'sin_ruta';
+}
+
+// ruta = patrón de Express (/api/v2/agendas/:agenda/...), no la URL: acota la cardinalidad
+app.use((req, res, next) => {
+  const startTs = Date.now();
+  const traza = trazaActual();
+  res.on('finish', () => {
+    const agenda = req.query.agenda || (req.params && req.params.agenda) || (req.body && req.body.agenda);
+    mHttp.observe({
+      method: req.method,
+      route: rutaDe(req),
+      agenda: agendas.existe(agenda) ? agenda : '',
+      status: res.statusCode
+    }, (Date.now() - startTs) / 1000);
+    // el cliente se conoce recién después de la autenticación: se lee de la traza al terminar
+    logger[RUTAS_SONDA.test(req.path) ? 'debug' : 'info'](`${req.method} ${rutaDe(req)} ${res.statusCode}`, {
+      request_id: traza ? traza.id : undefined,
+      cliente: (traza && traza.cliente) || undefined,
+      url: req.originalUrl.replace(/([?&]api_key=)[^&]*/i, '$1***'),
+      status: res.statusCode,
+      ms: Date.now() - startTs
+    });
+  });
+  next();
+});
+
+// -------------------- CLIENTES (API keys, límites y uso) --------------------
+// Ver lib/clientes.js. Con clientes definidos todo /api exige API key; /api/admin y /api/debug solo admin.
+// Cada cliente tiene un límite por minuto (429 + Retry-After) y una cuota de trabajos de navegador
+// en curso o en cola (queueRequest), para que una integración no acapare el pool.
+const clientes = new ClienteRegistry({
+  file: process.env.CLIENTES_CONFIG || path.join(__dirname, 'config', 'clientes.json'),
+  env: process.env.API_KEYS,
+  log: (...args) => log(...args)
+});
+clientes.load();
+const limitador = new LimitadorTasa();
+const usoClientes = {};
+const RUTA_ADMIN = /^\/(admin|debug)(\/|$)/;
+const mClienteRequests = metricas.contador('client_requests_total', 'Requests por cliente (API key) y clase de status', ['client', 'status']);
+const mClienteRechazos = metricas.contador('client_rejected_total', 'Requests o trabajos rechazados por API key, límite por minuto o cuota de cola', ['client', 'reason']);
+
+function usoDe(nombre) {
+  if (!usoClientes[nombre]) {
+    usoClientes[nombre] = { requests: 0, porRuta: {}, porStatus: {}, rechazos: {}, trabajosNavegador: 0, enCola: 0, ultimoRequest: null };
+  }
+  return usoClientes[nombre];
+}
+
+function registrarRechazo(cliente, code) {
+  mClienteRechazos.inc({ client: cliente || '', reason: code });
+  if (cliente) {
+    const uso = usoDe(cliente);
+    uso.rechazos[code] = (uso.rechazos[code] || 0) + 1;
+  }
+}
+
+function rechazarCliente(req, res, status, code, mensaje, cliente) {
+  registrarRechazo(cliente, code);
+  // baseUrl + path: también desde rutas montadas fuera de /api
+  if ((req.baseUrl + req.path).startsWith('/api/v2/')) return enviarErrorV2(res, new ApiError(status, code, mensaje));
+  return res.status(status).json({ success:false, error: mensaje, code });
+}
+
+app.use('/api', (req, res, next) => {
+  if (!clientes.activo) return next();
+  const traza = trazaActual();
+  if (traza && req.query.api_key) traza.ruta = traza.ruta.replace(/([?&]api_key=)[^&]*/, '$1***');
+
+  const key = leerApiKey(req);
+  const cliente = clientes.autenticar(key);
+  if (!cliente) return rechazarCliente(req, res, 401, 'NO_AUTORIZADO', key ? 'API key inválida' : 'Falta la API key (header X-API-Key)');
+  if (RUTA_ADMIN.test(req.path) && !cliente.admin) {
+    return rechazarCliente(req, res, 403, 'PROHIBIDO', 'La API key no tiene acceso de administración', cliente.nombre);
+  }
+
+  const limite = limitador.consumir(cliente.nombre, cliente.porMinuto, cliente.rafaga);
+  res.set('X-RateLimit-Limit', String(cliente.porMinuto));
+  res.set('X-RateLimit-Remaining', String(limite.restantes));
+  if (!limite.ok) {
+    res.set('Retry-After', String(limite.retryAfter));
+    return rechazarCliente(req, res, 429, 'LIMITE_EXCEDIDO', `Límite de ${cliente.porMinuto} requests por minuto excedido`, cliente.nombre);
+  }
+
+  req.cliente = cliente.nombre;
+  if (traza) traza.cliente = cliente.nombre;
+  res.on('finish', () => {
+    const uso = usoDe(cliente.nombre);
+    const ruta = rutaDe(req);
+    const status = `${Math.floor(res.statusCode / 100)}xx`;
+    uso.requests++;
+    uso.porRuta[ruta] = (uso.porRuta[ruta] || 0) + 1;
+    uso.porStatus[status] = (uso.porStatus[status] || 0) + 1;
+    uso.ultimoRequest = now();
+    mClienteRequests.inc({ client: cliente.nombre, status });
+  });
+  next();
+});
+
+// Rutas que nunca quedan abiertas: sin un cliente admin configurado se rechazan aunque el resto de /api lo esté
+// (con clientes configurados el middleware de arriba ya exige la key y, en /admin y /debug, que sea admin)
+function requiereAdmin(req, res, next) {
+  if (clientes.hayAdmin) return next();
+  return rechazarCliente(req, res, 403, 'REQUIERE_API_KEY', 'Esta ruta requiere un cliente admin con API key (config/clientes.json o API_KEYS)');
+}
+
+// Igual, para rutas que cualquier cliente puede usar pero que nunca quedan abiertas: las que reservan,
+// anulan o mueven horas y las que leen o guardan datos de pacientes
+function requiereApiKey(req, res, next) {
+  if (clientes.activo) return next();
+  return rechazarCliente(req, res, 403, 'REQUIERE_API_KEY', 'Esta ruta requiere una API key (config/clientes.json o API_KEYS)');
+}
+
+// Suscripciones y recordatorios guardan el cliente que los creó: un admin ve todos, el resto sólo los propios
+function esAdmin(req) {
+  const cliente = req.cliente ? clientes.clientes[req.cliente] : null;
+  return Boolean(cliente && cliente.admin);
+}
+
+function esDelCliente(req, item) {
+  return esAdmin(req) || (item.cliente || null) === (req.cliente || null);
+}
+
+// -------------------- AGENDAS --------------------
+// Definidas en config/agendas.json (AGENDAS_CONFIG para otra ruta); se pueden recargar en caliente.
+// Lo que se cambia por /api/admin/agendas va a AGENDAS_OVERRIDES (data/agendas.json), no al archivo versionado.
+const agendas = new AgendaRegistry({
+  file: process.env.AGENDAS_CONFIG || path.join(__dirname, 'config', 'agendas.json'),
+  overridesFile: process.env.AGENDAS_OVERRIDES || path.join(__dirname, 'data', 'agendas.json'),
+  log: (...args) => log(...args)
+});
+
+function agendaConfig(agenda) {
+  return agendas.get(agenda);
+}
+
+// "previsiones" de la agenda (las que acepta su formulario) o la lista por defecto
+function previsionesDe(agenda) {
+  return (agendas.existe(agenda) && agendaConfig(agenda).previsiones) || PREVISIONES_DEFAULT;
+}
 
 // -------------------- HELPERS --------------------
 function now() { return new Date().toISOString(); }
-function log(...args) { console.log(`[${now()}]`, ...args); }
+function log(...args) { logger.info(...args); }
+
+// 502 cuando la consulta a la agenda no trae un error propio
+const ERROR_AGENDA = 'Respuesta inválida de la agenda';
 
-function normalizeStringNode(s) {
-  if (!s) return '';
+// Variables de entorno con JSON (CACHE_CONFIG, KOMMO_CAMPOS, ...); inválido o ausente -> {}
+function leerJsonEnv(nombre) {
   try {
-    return String(s)
-      .normalize('NFD')
-      .replace(/\p{Diacritic}/gu, '')
-      .toLowerCase()
-      .trim()
-      .replace(/\s+/g, ' ');
+    return process.env[nombre] ? JSON.parse(process.env[nombre]) : {};
   } catch (e) {
-    return String(s).toLowerCase().trim();
+    logger.warn(`❌ ${nombre} no es JSON válido, se usan valores por defecto:`, e.message);
+    return {};
   }
 }
 
-async function getBrowser() {
-  if (browser && requestCount >= 6) {
-    log('🔄 Reiniciando navegador para liberar memoria (threshold alcanzado)...');
-    try { await browser.close(); } catch (e) {}
-    browser = null;
-    requestCount = 0;
-  }
-
-  if (!browser) {
-    try {
-      log('🚀 Iniciando navegador...');
-      browser = await puppeteerCore.launch({
-        args: [
-          ...chromium.args,
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-dev-shm-usage',
-          '--disable-gpu',
-          '--single-process',
-          '--no-zygote'
-        ],
-        defaultViewport: chromium.defaultViewport,
-        executablePath: await chromium.executablePath(),
-        headless: chromium.headless,
-      });
-      log('✅ Navegador iniciado');
-    } catch (error) {
-      console.error('❌ Error al iniciar navegador:', error);
-      throw error;
-    }
+async function lanzarNavegador() {
+  try {
+    log('🚀 Iniciando navegador...');
+    const b = await puppeteerCore.launch({
+      args: [
+        ...chromium.args,
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-dev-shm-usage',
+        '--disable-gpu',
+        '--single-process',
+        '--no-zygote'
+      ],
+      defaultViewport: chromium.defaultViewport,
+      executablePath: await chromium.executablePath(),
+      headless: chromium.headless,
+    });
+    log('✅ Navegador iniciado');
+    return b;
+  } catch (error) {
+    logger.error('❌ Error al iniciar navegador:', error);
+    throw error;
   }
-  return browser;
 }
 
-// -------------------- SIMPLE CACHE EN MEMORIA (para demo) --------------------
-const CACHE = {
-  especialidades: { ts:0, ttl: 1000*60*5, data: null },      // 5 min
-  profesionales: {}, // map: key = agenda|especialidad -> { ts, ttl, data }
-  horas: {}          // map: key = agenda|especialidad|profesional -> { ts, ttl, data }
-};
+// -------------------- CACHE --------------------
+// Claves: `${type}:${agenda}|...`. CACHE_BACKEND=memory|file, CACHE_CONFIG = JSON con TTLs
+// por tipo y por agenda (ver lib/cache.js). Entradas vencidas dentro de la ventana "stale"
+// se sirven al instante y se refrescan en segundo plano.
+const cacheConfig = leerJsonEnv('CACHE_CONFIG');
+const cachePolicy = new CachePolicy({
+  ttl: { especialidades: 1000*60*5, profesionales: 1000*60*5, horas: 1000*60, catalogo: 1000*60*60, ...(cacheConfig.ttl || {}) },
+  stale: { especialidades: 1000*60*60*24, profesionales: 1000*60*60*24, horas: 0, catalogo: 1000*60*60*24, ...(cacheConfig.stale || {}) },
+  agendas: cacheConfig.agendas || {}
+});
+const cache = crearCache({
+  backend: process.env.CACHE_BACKEND || 'memory',
+  file: process.env.CACHE_FILE || path.join(__dirname, 'data', 'cache.json'),
+  maxEntries: Number(process.env.CACHE_MAX_ENTRIES || 500),
+  log
+});
+setInterval(() => cache.purgar(), 1000*60*10).unref();
 
-function nowTs(){ return Date.now(); }
-
-function getCache({ type, key, ttl }) {
-  if (type === 'especialidades') {
-    const c = CACHE.especialidades;
-    if (c.data && (nowTs() - c.ts) < (ttl || c.ttl)) return c.data;
-    return null;
-  } else if (type === 'profesionales') {
-    const c = CACHE.profesionales[key];
-    if (c && (nowTs() - c.ts) < (ttl || c.ttl)) return c.data;
-    return null;
-  } else if (type === 'horas') {
-    const c = CACHE.horas[key];
-    if (c && (nowTs() - c.ts) < (ttl || c.ttl)) return c.data;
-    return null;
-  }
+function agendaDeKey(key) {
+  return String(key || '').split('|')[0];
+}
+
+// Solo entradas frescas
+function getCache({ type, key }) {
+  const entry = cache.get(`${type}:${key}`);
+  const estado = entry ? cache.estado(entry) : 'miss';
+  mCache.inc({ type, state: estado });
+  if (estado === 'fresh') return entry.value;
   return null;
 }
 
 function setCache({ type, key, ttl }, data) {
-  if (type === 'especialidades') {
-    CACHE.especialidades = { ts: nowTs(), ttl: ttl || CACHE.especialidades.ttl, data };
-  } else if (type === 'profesionales') {
-    CACHE.profesionales[key] = { ts: nowTs(), ttl: ttl || (1000*60*5), data };
-  } else if (type === 'horas') {
-    CACHE.horas[key] = { ts: nowTs(), ttl: ttl || (1000*30), data };
-  }
+  const agenda = agendaDeKey(key);
+  cache.set(`${type}:${key}`, data, {
+    ttl: ttl || cachePolicy.ttl(type, agenda),
+    stale: cachePolicy.stale(type, agenda)
+  });
 }
 
-// -------------------- COLA DE PETICIONES --------------------
-async function processQueue() {
-  if (isProcessing || requestQueue.length === 0) return;
-  isProcessing = true;
-  const { handler, resolve, reject } = requestQueue.shift();
-  try {
-    const result = await handler();
-    resolve(result);
-  } catch (error) {
-    reject(error);
-  } finally {
-    isProcessing = false;
-    setTimeout(processQueue, 1500);
+function borrarCache({ type, prefix }) {
+  cache.keys().filter(k => k.startsWith(`${type}:${prefix}`)).forEach(k => cache.delete(k));
+}
+
+// Stale-while-revalidate: devuelve el valor fresco o vencido-servible; en el segundo caso
+// lanza refrescar() en segundo plano (una sola vez por clave). null si no hay nada.
+function getCacheSWR({ type, key }, refrescar) {
+  const fullKey = `${type}:${key}`;
+  const { estado, value } = cache.leerSWR(fullKey, refrescar, {
+    alRevalidar: k => log('🔁 Revalidando en segundo plano', k),
+    alFallar: e => log(`⚠️ No se pudo revalidar ${fullKey}: ${e.message}`)
+  });
+  paso('cache', { clave: fullKey, estado });
+  mCache.inc({ type, state: estado });
+  return value;
+}
+
+// -------------------- POOL DE NAVEGADOR --------------------
+const pool = new BrowserPool({
+  launch: lanzarNavegador,
+  size: Number(process.env.POOL_SIZE || 2),
+  perAgenda: Number(process.env.POOL_POR_AGENDA || 2),
+  maxQueue: Number(process.env.POOL_MAX_COLA || 20),
+  queueTimeout: Number(process.env.POOL_TIMEOUT_COLA_MS || 60000),
+  maxPages: Number(process.env.BROWSER_MAX_PAGINAS || 30),
+  maxMemoryMb: Number(process.env.BROWSER_MAX_MEMORIA_MB || 500),
+  log
+});
+
+function getBrowser() {
+  return pool.getBrowser();
+}
+
+// opts.agenda aplica el límite de concurrencia por agenda; el cliente del request (API key), su cuota maxCola.
+// El handler corre cuando hay turno (a veces desde el contexto de otro request): se ata a la traza de quien encola
+function queueRequest(handler, opts = {}) {
+  const traza = trazaActual();
+  const cliente = traza && traza.cliente ? clientes.clientes[traza.cliente] : null;
+  if (cliente && usoDe(cliente.nombre).enCola >= cliente.maxCola) {
+    registrarRechazo(cliente.nombre, 'CUOTA_COLA_EXCEDIDA');
+    return Promise.reject(new CuotaColaError(cliente.nombre, cliente.maxCola));
+  }
+
+  const encoladoTs = Date.now();
+  const trabajo = pool.run(AsyncResource.bind(() => {
+    paso('turno-navegador', { agenda: opts.agenda || null, esperaMs: Date.now() - encoladoTs });
+    mColaEspera.observe({ agenda: opts.agenda }, (Date.now() - encoladoTs) / 1000);
+    return handler();
+  }), opts);
+
+  if (cliente) {
+    const uso = usoDe(cliente.nombre);
+    uso.enCola++;
+    uso.trabajosNavegador++;
+    const liberar = () => { uso.enCola--; };
+    trabajo.then(liberar, liberar);
   }
+  return trabajo;
+}
+
+// 503 si el pool está lleno; 429 si es la cuota del cliente (CuotaColaError)
+function responderOcupado(res, error) {
+  log(`⏳ ${error.message} (reintentar en ${error.retryAfter}s)`);
+  res.set('Retry-After', String(error.retryAfter));
+  return res.status(error.status || 503).json({
+    success:false,
+    error: error.status ? error.message : 'Servicio ocupado, reintente más tarde',
+    code: error.code,
+    retry_after: error.retryAfter
+  });
 }
 
-function queueRequest(handler) {
-  return new Promise((resolve, reject) => {
-    requestQueue.push({ handler, resolve, reject });
-    processQueue();
+// 404 (nada coincide) o 409 (varios candidatos: el bot debe preguntar cuál)
+function responderSeleccion(res, error) {
+  log(`🔎 ${error.message}${error.candidatos.length ? ` -> ${error.candidatos.join(' | ')}` : ''}`);
+  return res.status(error.status).json({
+    success:false,
+    error: error.message,
+    code: error.code,
+    candidatos: error.candidatos,
+    candidatos_text: error.candidatos.map((c, i) => `${i+1}. ${c}`).join('\n')
   });
 }
 
 // -------------------- PUPPETEER UTILITIES --------------------
 async function clickButtonByText(page, text, timeout = 20000) {
+  const startTs = Date.now();
   try {
     const textLower = String(text).toLowerCase();
     const xpath = `//button[contains(translate(normalize-space(.), 'ABCDEFGHIJKLMNOPQRSTUVWXYZ', 'abcdefghijklmnopqrstuvwxyz'), '${textLower}')] | //a[contains(translate(normalize-space(.), 'ABCDEFGHIJKLMNOPQRSTUVWXYZ', 'abcdefghijklmnopqrstuvwxyz'), '${textLower}')]`;
@@ -141,6 +407,7 @@ async function clickButtonByText(page, text, timeout = 20000) {
     if (el) {
       await el.evaluate(e => e.scrollIntoView({ behavior: 'auto', block: 'center' }));
       await el.click();
+      paso('click-boton', { texto: text, ok: true, via: 'xpath', ms: Date.now() - startTs });
       return true;
     }
   } catch (e) {
@@ -155,47 +422,445 @@ async function clickButtonByText(page, text, timeout = 20000) {
         }
         return false;
       }, text);
+      paso('click-boton', { texto: text, ok: clicked, via: 'texto', ms: Date.now() - startTs });
       return clicked;
     } catch (e2) {}
   }
+  paso('click-boton', { texto: text, ok: false, ms: Date.now() - startTs });
   return false;
 }
 
+// Marca los candidatos de la página con data-pxm-cand y devuelve sus textos.
+// modo 'selector': elementos de selector; 'tarjeta': bloques de profesional (nombre + "Especialidad:");
+// 'hoja': cualquier elemento con texto corto propio (último recurso).
+async function marcarCandidatos(page, modo, selector) {
+  return page.evaluate((modo, sel) => {
+    document.querySelectorAll('[data-pxm-cand]').forEach(el => el.removeAttribute('data-pxm-cand'));
+    const lineas = (el) => (el.innerText || el.textContent || '').split('\n').map(l => l.trim()).filter(Boolean);
+
+    let elementos;
+    if (modo === 'selector') {
+      elementos = Array.from(document.querySelectorAll(sel));
+    } else if (modo === 'tarjeta') {
+      const conEsp = Array.from(document.querySelectorAll('div, li')).filter(el => /especialidad[:\s]/i.test(el.textContent || '') && lineas(el).length >= 2);
+      elementos = conEsp.filter(el => !conEsp.some(o => o !== el && el.contains(o)));
+    } else {
+      elementos = Array.from(document.querySelectorAll('div, li, span, button, a')).filter(el => {
+        const t = (el.textContent || '').trim();
+        return t && t.length <= 80 && !Array.from(el.children).some(c => (c.textContent || '').trim() === t);
+      });
+    }
+
+    const textos = [];
+    elementos.forEach(el => {
+      const ls = lineas(el);
+      const i = modo === 'tarjeta' ? ls.findIndex(l => /especialidad[:\s]/i.test(l)) : -1;
+      const txt = (el.getAttribute('title') || (i > 0 ? ls[i - 1] : ls[0]) || '').trim();
+      if (!txt) return;
+      el.setAttribute('data-pxm-cand', String(textos.length));
+      textos.push(txt);
+    });
+    return textos;
+  }, modo, selector || null);
+}
+
+async function clickCandidato(page, indice) {
+  return page.evaluate((i) => {
+    const el = document.querySelector(`[data-pxm-cand="${i}"]`);
+    if (!el) return false;
+    const clickable = el.querySelector('button, a') || el;
+    clickable.scrollIntoView({behavior: 'auto', block: 'center'});
+    clickable.click();
+    return true;
+  }, indice);
+}
+
+// Puntúa los candidatos marcados (lib/matching) y hace click en el ganador.
+// -> { ok, estado: 'match' | 'ambiguo' | 'sin_match' | 'sin-candidatos', elegido, candidatos }
+async function elegirEnPagina(page, texto, modo, selector) {
+  const r = await elegirCandidato(page, texto, modo, selector);
+  paso('elegir', { consulta: texto, modo, selector: selector || null, estado: r.estado, elegido: r.elegido, candidatos: r.candidatos.slice(0, 10) });
+  return r;
+}
+
+async function elegirCandidato(page, texto, modo, selector) {
+  const textos = await marcarCandidatos(page, modo, selector);
+  // el mismo texto puede aparecer en varios elementos anidados: se deja el primero
+  const vistos = new Set();
+  const unicos = textos.map((t, i) => ({ t, i })).filter(({ t }) => {
+    const k = normalizeStringNode(t);
+    if (vistos.has(k)) return false;
+    vistos.add(k);
+    return true;
+  });
+  if (unicos.length === 0) return { ok:false, estado:'sin-candidatos', elegido:null, candidatos:[] };
+
+  const r = resolverCoincidencia(texto, unicos, c => c.t);
+  const candidatos = r.candidatos.map(c => c.item.t);
+  if (r.estado !== 'match') return { ok:false, estado:r.estado, elegido:null, candidatos };
+  const ok = await clickCandidato(page, r.match.item.i);
+  return { ok, estado:r.estado, elegido:r.match.item.t, candidatos };
+}
+
 async function clickElementInSelectorByText(page, selector, text, timeout = 20000) {
   try {
-    const tNorm = normalizeStringNode(text);
     await page.waitForSelector(selector, { timeout });
-    const clicked = await page.evaluate((sel, tNorm) => {
+    return await elegirEnPagina(page, text, 'selector', selector);
+  } catch (e) {
+    paso('esperar-selector', { selector, ok: false, error: e.message });
+    return { ok:false, estado:'sin-candidatos', elegido:null, candidatos:[] };
+  }
+}
+
+// -------------------- FLUJO COMÚN (navegación ReservaOnline) --------------------
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+// fixture: { agenda, flujo } para grabar/reproducir el flujo (PHILAXMED_FIXTURES). Devuelve la sesión de fixture
+async function prepararPagina(page, fixture = {}) {
+  try {
+    await page.setUserAgent(USER_AGENT);
+    await page.setExtraHTTPHeaders({ 'Accept-Language': 'es-CL,es;q=0.9,en;q=0.8' });
+    await page.setViewport({ width: 1200, height: 900 });
+  } catch (e) {}
+
+  // los eventos de la página no traen el contexto del request: traza y logger se capturan aquí
+  const traza = trazaActual();
+  const lg = logger.fijarContexto();
+  page.on('console', msg => {
+    try {
+      const tipo = msg.type();
+      const texto = redactarTexto(msg.text());
+      if (traza) traza.registrarConsola(tipo, texto);
+      if (LOG_PAGINA === 'todo' || (LOG_PAGINA === 'errores' && tipo === 'error')) lg.info('📄 Consola de la página', { tipo, texto });
+    } catch (e) {}
+  });
+  page.on('pageerror', err => {
+    const texto = redactarTexto(err && err.message ? err.message : String(err));
+    if (traza) traza.registrarConsola('pageerror', texto);
+    if (LOG_PAGINA !== 'off') lg.warn('📄 Error de JavaScript en la página', { texto });
+  });
+  page.on('requestfailed', req => {
+    const f = req.failure && req.failure();
+    // las imágenes bloqueadas a propósito no aportan
+    if (/BLOCKED_BY_CLIENT/.test((f && f.errorText) || '')) return;
+    if (traza) traza.registrarConsola('requestfailed', redactarTexto(`${req.url()} ${f && f.errorText}`));
+    if (LOG_PAGINA !== 'off') lg.warn('📄 Request fallido en la página', { url: req.url(), motivo: f && f.errorText });
+  });
+
+  const fx = crearSesionFixture({ ...fixture, log });
+  await fx.instalar(page);
+  return fx;
+}
+
+// Datos crudos para lib/extraccion: texto visible y celdas de un selector
+async function leerPagina(page, selector) {
+  return page.evaluate((sel) => ({
+    texto: document.body.innerText || '',
+    celdas: sel ? Array.from(document.querySelectorAll(sel)).map(el => ({ text: el.textContent || '', title: el.getAttribute('title') || '' })) : []
+  }), selector || null);
+}
+
+async function navegar(page, agenda) {
+  const cfg = agendaConfig(agenda);
+  const startTs = Date.now();
+  try {
+    const response = await page.goto(cfg.url, { waitUntil: 'domcontentloaded', timeout: cfg.timeouts.navegacion });
+    const status = response ? response.status() : null;
+    paso('navegar', { url: cfg.url, status, ms: Date.now() - startTs });
+    registrarContacto(agenda, !status || status < 500, 'navegador', { status });
+  } catch (e) {
+    paso('navegar', { url: cfg.url, ok: false, error: e.message, ms: Date.now() - startTs });
+    registrarContacto(agenda, false, 'navegador', { error: e.message });
+    throw e;
+  }
+}
+
+// Causa del fallo para la traza. 'layout': la página no tiene lo que el flujo espera (¿cambió Philaxmed?);
+// 'no-encontrado' / 'ambiguo' / 'no-disponible': la página está bien pero lo pedido no está o no es único
+const CAUSA_POR_CODIGO = {
+  FORMULARIO_NO_ENCONTRADO: 'layout',
+  FORMULARIO_NO_ENVIADO: 'layout',
+  ANULACION_NO_DISPONIBLE: 'layout',
+  FECHA_NO_DISPONIBLE: 'no-disponible',
+  HORA_NO_DISPONIBLE: 'no-disponible',
+  RESERVA_NO_ENCONTRADA: 'no-encontrado',
+  RESERVA_AMBIGUA: 'ambiguo'
+};
+
+function causaFallo(error, traza) {
+  if (error instanceof SeleccionError) {
+    if (error.candidatos.length > 0) return 'ambiguo';
+    // si el selector configurado (o las tarjetas) mostró una lista, el nombre simplemente no está
+    const huboLista = !traza || traza.pasos.some(p => p.paso === 'elegir' && p.consulta === error.consulta && p.modo !== 'hoja' && p.estado !== 'sin-candidatos');
+    return huboLista ? 'no-encontrado' : 'layout';
+  }
+  if (error && CAUSA_POR_CODIGO[error.code]) return CAUSA_POR_CODIGO[error.code];
+  if (error && error.name === 'TimeoutError') return 'timeout';
+  return 'error';
+}
+
+// En estos flujos la página tiene el formulario del paciente (RUT, nombre, teléfono, email): solo traza, sin screenshot ni HTML
+const FLUJOS_CON_PACIENTE = new Set(['reserva', 'anulacion']);
+
+// Cuenta el fallo y, dentro de un request, marca su traza y guarda screenshot + HTML de la página
+async function diagnosticarFallo(page, error, { flujo, agenda, causa } = {}) {
+  const traza = trazaActual();
+  causa = causa || causaFallo(error, traza);
+  mFallos.inc({ flow: flujo, agenda, cause: causa });
+  if (!traza) return;
+  traza.fallo(error, causa);
+  if (FLUJOS_CON_PACIENTE.has(flujo)) diagnostico.persistir(traza);
+  else await diagnostico.capturar(traza, page, causa);
+  log(`🧪 Diagnóstico ${traza.error.causa}: GET /api/debug/${traza.id}`);
+}
+
+// Prueba cada texto en orden; solo el primero espera el timeout completo
+async function clickPrimerBotonPorTexto(page, textos, timeout = 10000) {
+  const lista = [].concat(textos || []);
+  for (let i = 0; i < lista.length; i++) {
+    if (await clickButtonByText(page, lista[i], i === 0 ? timeout : 3000)) return true;
+  }
+  return false;
+}
+
+async function abrirReservaPorEspecialidad(page, agenda) {
+  const cfg = agendaConfig(agenda);
+  await navegar(page, agenda);
+  await clickButtonByText(page, cfg.botones.reservarHora, cfg.timeouts.selector).catch(()=>{});
+  await page.waitForTimeout(600);
+  await clickButtonByText(page, cfg.botones.porEspecialidad, cfg.timeouts.selector).catch(()=>{});
+  await page.waitForTimeout(800);
+}
+
+// Devuelven el resultado de elegirEnPagina; usar exigirSeleccion para convertirlo en error
+async function seleccionarEspecialidad(page, especialidad, cfg) {
+  const r = await clickElementInSelectorByText(page, cfg.selectores.especialidad, especialidad, cfg.timeouts.selector);
+  if (r.estado !== 'sin-candidatos') return r;
+  return elegirEnPagina(page, especialidad, 'hoja');
+}
+
+async function seleccionarProfesional(page, profesional, cfg) {
+  let r = await elegirEnPagina(page, profesional, 'tarjeta');
+  if (r.estado === 'sin-candidatos') r = await elegirEnPagina(page, profesional, 'selector', cfg.selectores.profesional);
+  if (r.estado === 'sin-candidatos') r = await elegirEnPagina(page, profesional, 'hoja');
+  return r;
+}
+
+// Sin un único candidato no se sigue: nunca se hace click "en el primero que aparezca"
+function exigirSeleccion(r, tipo, consulta) {
+  if (r.ok) {
+    if (normalizeStringNode(r.elegido) !== normalizeStringNode(consulta)) log(`🎯 ${tipo} "${consulta}" -> "${r.elegido}"`);
+    return r.elegido;
+  }
+  if (r.estado === 'match') throw new Error(`No se pudo hacer click en ${tipo} "${r.elegido}"`);
+  throw new SeleccionError(tipo, consulta, r.estado === 'ambiguo' ? r.candidatos : []);
+}
+
+// fecha en formato YYYY-MM-DD. Avanza/retrocede el calendario por mes y hace click en el día.
+// Devuelve { ok, reason }; reason 'dia-no-disponible' significa que el día existe pero no tiene agenda.
+async function seleccionarFecha(page, fecha) {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(fecha || ''));
+  if (!m) return { ok:false, reason:'fecha-invalida' };
+  const target = { year: Number(m[1]), month: Number(m[2]) - 1, day: Number(m[3]) };
+
+  for (let intento = 0; intento < 13; intento++) {
+    const estado = await page.evaluate((target) => {
+      const MESES = ['enero','febrero','marzo','abril','mayo','junio','julio','agosto','septiembre','octubre','noviembre','diciembre'];
       function n(s){ return String(s||'').normalize('NFD').replace(/\p{Diacritic}/gu,'').toLowerCase().trim().replace(/\s+/g,' '); }
-      const elements = Array.from(document.querySelectorAll(sel));
-      const target = elements.find(el => {
-        const title = el.getAttribute('title') || '';
-        const txt = el.textContent || '';
-        return n(title) === tNorm || n(txt) === tNorm || n(txt).includes(tNorm);
-      });
-      if (target) {
-        const clickable = target.querySelector('button, a') || target;
-        clickable.scrollIntoView({behavior: 'auto', block:'center'});
+      function click(el) {
+        const clickable = el.querySelector('button, a') || el;
+        clickable.scrollIntoView({behavior: 'auto', block: 'center'});
         clickable.click();
-        return true;
       }
-      return false;
-    }, selector, tNorm);
-    return clicked;
+
+      // cabecera del calendario: "<mes> <año>" o "<mes> de <año>"
+      let actual = null;
+      const headers = Array.from(document.querySelectorAll('.datePickerMonth, .calendar-header, .month, th, td, div, span'));
+      for (const h of headers) {
+        const t = n(h.textContent);
+        if (t.length > 30) continue;
+        const hm = t.match(/([a-z]+)\s+(?:de\s+)?(\d{4})/);
+        if (hm && MESES.indexOf(hm[1]) >= 0) {
+          actual = { year: Number(hm[2]), month: MESES.indexOf(hm[1]) };
+          break;
+        }
+      }
+      if (!actual) return { ok:false, reason:'sin-calendario' };
+
+      const diff = (target.year - actual.year) * 12 + (target.month - actual.month);
+      if (diff !== 0) {
+        const sel = diff > 0
+          ? '.datePickerNextButton, .next, [title*="iguiente"], [aria-label*="iguiente"]'
+          : '.datePickerPreviousButton, .prev, [title*="nterior"], [aria-label*="nterior"]';
+        let btn = document.querySelector(sel);
+        if (!btn) {
+          const txt = diff > 0 ? ['>', '»', '›'] : ['<', '«', '‹'];
+          btn = Array.from(document.querySelectorAll('button, a, div, td')).find(e => txt.includes((e.textContent || '').trim()));
+        }
+        if (!btn) return { ok:false, reason:'sin-navegacion' };
+        click(btn);
+        return { ok:false, reason:'navegando' };
+      }
+
+      const dias = Array.from(document.querySelectorAll('.datePickerDay, .day, td, button')).filter(el => {
+        if ((el.textContent || '').trim() !== String(target.day)) return false;
+        const cls = String(el.className || '');
+        return !/IsFiller|otherMonth|disabled|Disabled/.test(cls) && !el.disabled;
+      });
+      if (dias.length === 0) return { ok:false, reason:'dia-no-disponible' };
+      click(dias[0]);
+      return { ok:true };
+    }, target);
+
+    if (estado.ok) {
+      paso('fecha', { fecha, ok: true, meses: intento });
+      await page.waitForTimeout(1000);
+      return estado;
+    }
+    if (estado.reason !== 'navegando') {
+      paso('fecha', { fecha, ok: false, reason: estado.reason, meses: intento });
+      log(`⚠️ No se pudo seleccionar la fecha ${fecha}: ${estado.reason}`);
+      return estado;
+    }
+    await page.waitForTimeout(700);
+  }
+  paso('fecha', { fecha, ok: false, reason: 'fuera-de-rango' });
+  return { ok:false, reason:'fuera-de-rango' };
+}
+
+function normalizarHora(h) {
+  const m = /^(\d{1,2}):(\d{2})/.exec(String(h || '').trim());
+  if (!m) return null;
+  return `${m[1].padStart(2, '0')}:${m[2]}`;
+}
+
+function isFechaISO(s) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(String(s || '')) && !isNaN(Date.parse(s));
+}
+
+function listarFechas(desde, hasta) {
+  const fechas = [];
+  const d = new Date(`${desde}T00:00:00Z`);
+  const fin = new Date(`${hasta}T00:00:00Z`);
+  while (d <= fin) {
+    fechas.push(d.toISOString().split('T')[0]);
+    d.setUTCDate(d.getUTCDate() + 1);
+  }
+  return fechas;
+}
+
+// Al (re)cargar agendas: TTLs por agenda a la política de cache (CACHE_CONFIG tiene prioridad)
+agendas.onChange(() => {
+  const envAgendas = cacheConfig.agendas || {};
+  agendas.nombres().forEach(nombre => {
+    const cfgCache = agendaConfig(nombre).cache || {};
+    const env = envAgendas[nombre] || {};
+    cachePolicy.setAgenda(nombre, {
+      ttl: { ...(cfgCache.ttl || {}), ...(env.ttl || {}) },
+      stale: { ...(cfgCache.stale || {}), ...(env.stale || {}) }
+    });
+  });
+});
+agendas.load();
+
+// -------------------- SALUD / READY / MÉTRICAS --------------------
+// Último contacto con la URL de cada agenda (navegación o sondeo de /ready)
+const READY_VENTANA_MS = Number(process.env.READY_VENTANA_MIN || 15) * 1000*60;
+const READY_TIMEOUT_MS = Number(process.env.READY_TIMEOUT_MS || 20000);
+const contactoAgendas = {};
+
+function registrarContacto(agenda, ok, via, detalle = {}) {
+  contactoAgendas[agenda] = { ok, via, en: Date.now(), ...detalle };
+}
+
+async function sondearAgenda(agenda) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), Math.min(READY_TIMEOUT_MS, 10000));
+  try {
+    const response = await fetch(agendaConfig(agenda).url, { signal: controller.signal, headers: { 'User-Agent': USER_AGENT } });
+    registrarContacto(agenda, response.status < 500, 'sondeo', { status: response.status });
+  } catch (e) {
+    registrarContacto(agenda, false, 'sondeo', { error: e.name === 'AbortError' ? 'timeout' : (e.cause && e.cause.code) || e.message });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Obtiene (o lanza) el navegador de verdad, con tope de tiempo
+async function verificarNavegador() {
+  const startTs = Date.now();
+  let timer = null;
+  try {
+    const tope = new Promise((_, reject) => { timer = setTimeout(() => reject(new Error(`Sin navegador tras ${READY_TIMEOUT_MS} ms`)), READY_TIMEOUT_MS); });
+    const b = await Promise.race([getBrowser(), tope]);
+    return { ok: true, version: await b.version(), ms: Date.now() - startTs };
   } catch (e) {
-    return false;
+    return { ok: false, error: e.message, ms: Date.now() - startTs };
+  } finally {
+    clearTimeout(timer);
   }
 }
 
+metricas.alColectar(() => {
+  const s = pool.stats();
+  mColaEnEspera.set({}, s.waiting);
+  mColaRechazos.set({}, s.rejected);
+  mActivos.set({}, s.active);
+  mNavegadorUp.set({}, s.browser ? 1 : 0);
+  mLanzamientos.set({}, s.launches);
+  mReinicios.set({ reason: 'reciclaje' }, s.restarts);
+  mReinicios.set({ reason: 'caida' }, s.crashes);
+  mCacheEntradas.set({}, cache.stats().entries);
+  mMemoria.set({}, process.memoryUsage().rss);
+  mAgendaUp.reiniciar();
+  mAgendaContacto.reiniciar();
+  agendas.nombres().forEach(agenda => {
+    const c = contactoAgendas[agenda];
+    if (!c) return;
+    mAgendaUp.set({ agenda }, c.ok ? 1 : 0);
+    mAgendaContacto.set({ agenda }, Math.floor(c.en / 1000));
+  });
+});
+
 // -------------------- ENDPOINTS --------------------
 
+app.get('/metrics', async (req, res) => {
+  res.type(METRICAS_CONTENT_TYPE).send(await metricas.exponer());
+});
+
+// Readiness: hay navegador y cada agenda respondió hace menos de READY_VENTANA_MIN (si no, se sondea ahora)
+app.get('/ready', async (req, res) => {
+  const pendientes = agendas.nombres().filter(a => {
+    const c = contactoAgendas[a];
+    return !c || !c.ok || Date.now() - c.en > READY_VENTANA_MS;
+  });
+  const [navegador] = await Promise.all([verificarNavegador(), ...pendientes.map(sondearAgenda)]);
+
+  const estadoAgendas = {};
+  agendas.nombres().forEach(a => {
+    const { en, ...c } = contactoAgendas[a] || { ok: false };
+    estadoAgendas[a] = { ...c, hace_s: en ? Math.round((Date.now() - en) / 1000) : null };
+  });
+  const listo = navegador.ok && Object.values(estadoAgendas).every(a => a.ok);
+  res.status(listo ? 200 : 503).json({
+    status: listo ? 'ready' : 'not_ready',
+    timestamp: new Date().toISOString(),
+    navegador,
+    agendas: estadoAgendas
+  });
+});
+
+// Liveness: no lanza nada; "degraded" si el último intento de abrir el navegador falló
 app.get('/health', (req, res) => {
+  const stats = pool.stats();
   res.json({
-    status: 'ok',
+    status: !stats.browser && stats.lastLaunchError ? 'degraded' : 'ok',
     timestamp: new Date().toISOString(),
     service: 'Philaxmed Multi-Agenda Automation',
     requestCount: requestCount,
-    queueLength: requestQueue.length
+    queueLength: pool.stats().waiting,
+    pool: pool.stats(),
+    cache: cache.stats()
   });
 });
 
@@ -203,264 +868,681 @@ app.get('/', (req, res) => {
   res.json({
     service: 'Philaxmed Multi-Agenda API',
     version: '4.2.0',
-    agendas: Object.keys(AGENDAS),
+    agendas: agendas.nombres(),
     endpoints: {
       health: '/health',
+      ready: '/ready',
+      metrics: '/metrics',
       especialidades: '/api/especialidades?agenda=kineyfisio',
       profesionales: '/api/profesionales?agenda=kineyfisio&especialidad=KINESIOLOGÍA',
-      horas: '/api/horas?agenda=kineyfisio&especialidad=KINESIOLOGÍA&profesional=NOMBRE'
+      catalogo: '/api/catalogo?agenda=kineyfisio[&refrescar=1]',
+      buscar_profesional: '/api/buscar-profesional?nombre=NOMBRE[&agenda=kineyfisio,cesmed]',
+      horas: '/api/horas?agenda=kineyfisio&especialidad=KINESIOLOGÍA&profesional=NOMBRE&fecha=YYYY-MM-DD',
+      horas_rango: '/api/horas/rango?agenda=kineyfisio&especialidad=KINESIOLOGÍA&profesional=NOMBRE&desde=YYYY-MM-DD&hasta=YYYY-MM-DD',
+      proxima_hora: '/api/proxima-hora?agenda=kineyfisio&especialidad=KINESIOLOGÍA&n=3&dias=7',
+      prewarm: 'GET|POST /api/admin/prewarm',
+      v2: '/api/v2/agendas/:agenda/especialidades[/:especialidad/profesionales[/:profesional/slots?fecha=|desde=&hasta=]], POST /api/v2/agendas/:agenda/reservas (ver docs/api-v2.md)',
+      agendas: 'GET|POST /api/admin/agendas, DELETE /api/admin/agendas/:nombre, POST /api/admin/agendas/reload',
+      clientes: 'GET /api/admin/clientes, POST /api/admin/clientes/reload (API key: header X-API-Key)',
+      validar_paciente: 'POST /api/validar-paciente { agenda?, paciente: { rut?, nombre?, telefono?, email?, prevision? } }',
+      horas_ics: '/api/horas.ics?agenda=kineyfisio&especialidad=...&profesional=...[&desde=YYYY-MM-DD&hasta=YYYY-MM-DD] (iCalendar; sin fechas: próximos días)',
+      reservar: 'POST /api/reservar { agenda, especialidad, profesional, fecha, hora, paciente: { rut, nombre, telefono, email, prevision }, kommo_lead_id? }',
+      kommo: '/api/kommo/especialidades|profesionales|horas?agenda=kineyfisio&...',
+      cancelar: 'POST /api/reservas/cancelar { agenda, rut, reserva_id | fecha + hora }',
+      reagendar: 'POST /api/reservas/reagendar { agenda, rut, reserva_id | fecha_actual + hora_actual, especialidad, profesional, fecha, hora, paciente }',
+      resolver: 'POST /api/resolver { tipo: especialidades|profesionales|horas, agenda, especialidad?, profesional?, fecha?, respuesta, opciones? }',
+      flujo: 'POST /api/flujo { agenda?, paciente? }, POST /api/flujo/:id/paso { respuesta } ("atrás", "cancelar"), GET|DELETE /api/flujo/:id',
+      recordatorios: 'GET /api/recordatorios, POST /api/recordatorios { agenda, reserva_id | rut + fecha + hora, canales? }, GET|PATCH { enviar_en }|DELETE /api/recordatorios/:id, POST /api/recordatorios/cancelar|reprogramar { agenda, reserva_id | rut + fecha + hora }, POST /api/admin/recordatorios/reload',
+      suscripciones: 'POST /api/suscripciones { agenda, especialidad, profesional, desde, hasta, callback_url }, GET /api/suscripciones[/:id], DELETE /api/suscripciones/:id',
+      debug: 'GET /api/debug/:requestId (X-Request-Id de cualquier respuesta /api), GET /api/debug/:requestId/:archivo'
     },
     status: 'running',
-    queue: requestQueue.length
+    queue: pool.stats().waiting
   });
 });
 
 // -------------------- ESPECIALIDADES --------------------
 
+function armarRespuestaEspecialidades(agenda, especialidades) {
+  const especialidades_list = especialidades.map(e => e.text || e.value || JSON.stringify(e));
+  const especialidades_text = especialidades_list.map((s,i) => `${i+1}. ${s}`).join('\n');
+
+  return {
+    success: true,
+    agenda: agenda,
+    total: especialidades.length,
+    // claves principales: strings para compatibilidad
+    especialidades: especialidades_list,
+    especialidades_objects: especialidades,
+    especialidades_text: especialidades_text,
+    // compatibilidad extra
+    especialidades_values: especialidades_list,
+    especialidades_raw: JSON.stringify(especialidades)
+  };
+}
+
+// Debe ejecutarse dentro de queueRequest
+async function scrapeEspecialidades({ agenda }) {
+  const cfg = agendaConfig(agenda);
+  const startTs = Date.now();
+  log(`📋 Obteniendo especialidades de ${agenda}...`);
+
+  const browserInstance = await getBrowser();
+  const page = await browserInstance.newPage();
+
+  const fx = await prepararPagina(page, { agenda, flujo: nombreFlujo('especialidades') });
+
+  try {
+    await navegar(page, agenda);
+    await page.waitForSelector(cfg.selectores.especialidad, { timeout: cfg.timeouts.selector }).catch(()=>{});
+    await fx.paso(page, 'inicio');
+    await clickButtonByText(page, cfg.botones.reservarHora, cfg.timeouts.selector).catch(()=>{});
+    await page.waitForTimeout(600);
+    await clickButtonByText(page, cfg.botones.porEspecialidad, cfg.timeouts.selector).catch(()=>{});
+    await page.waitForTimeout(800);
+    await page.waitForSelector(cfg.selectores.especialidad, { timeout: cfg.timeouts.selector }).catch(()=>{});
+    await fx.paso(page, 'especialidades');
+
+    const entrada = await leerPagina(page, cfg.selectores.especialidadesLista);
+    fx.entrada('especialidades', entrada);
+    const especialidades = especialidadesDesdePagina(entrada);
+    paso('extraer', { tipo: 'especialidades', celdas: entrada.celdas.length, total: especialidades.length });
+
+    logger.debug('Especialidades extraídas', { especialidades });
+    // toda agenda tiene especialidades: una lista vacía es casi siempre un cambio en la página
+    if (especialidades.length === 0) await diagnosticarFallo(page, new Error('No se encontraron especialidades'), { flujo: 'especialidades', agenda, causa: 'layout' });
+
+    requestCount++;
+    log(`✅ Encontradas ${especialidades.length} especialidades - tiempo: ${Date.now() - startTs} ms`);
+
+    const responseObj = armarRespuestaEspecialidades(agenda, especialidades);
+    await fx.guardar({ url: cfg.url, parametros: { agenda }, resultado: especialidades });
+
+    // set cache
+    setCache({ type:'especialidades', key: agenda }, responseObj);
+    return responseObj;
+  } catch (error) {
+    await diagnosticarFallo(page, error, { flujo: 'especialidades', agenda });
+    throw error;
+  } finally {
+    try { await page.close(); } catch (e) {}
+  }
+}
+
+// Navegador a través de la cola
+async function consultarEspecialidades(agenda) {
+  return queueRequest(() => scrapeEspecialidades({ agenda }), { agenda });
+}
+
+// Devuelve la respuesta de /api/especialidades desde cache (stale-while-revalidate) o consultando Philaxmed
+async function obtenerEspecialidades(agenda) {
+  const cached = getCacheSWR({ type:'especialidades', key: agenda }, () => consultarEspecialidades(agenda));
+  if (cached) return cached;
+  return consultarEspecialidades(agenda);
+}
+
 app.get('/api/especialidades', async (req, res) => {
   const { agenda } = req.query;
-  if (!agenda || !AGENDAS[agenda]) {
-    return res.status(400).json({ success:false, error:'Agenda no válida. Opciones: ' + Object.keys(AGENDAS).join(', ') });
+  if (!agendas.existe(agenda)) {
+    return res.status(400).json({ success:false, error:'Agenda no válida. Opciones: ' + agendas.nombres().join(', ') });
   }
 
   // cache check
-  const cached = getCache({ type:'especialidades' });
+  const cached = getCacheSWR({ type:'especialidades', key: agenda }, () => consultarEspecialidades(agenda));
   if (cached) {
     log('♻️ /api/especialidades - returning cached result');
     return res.json(cached);
   }
 
   try {
-    const result = await queueRequest(async () => {
-      const startTs = Date.now();
-      log(`📋 Obteniendo especialidades de ${agenda}...`);
+    const result = await consultarEspecialidades(agenda);
+    res.json(result);
+  } catch (error) {
+    if (error instanceof PoolOcupadoError) return responderOcupado(res, error);
+    logger.error('❌ Error al obtener especialidades:', error);
+    res.status(500).json({ success:false, error: error.message });
+  }
+});
 
-      const browserInstance = await getBrowser();
-      const page = await browserInstance.newPage();
+// -------------------- PROFESIONALES --------------------
 
-      try {
-        await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
-        await page.setExtraHTTPHeaders({ 'Accept-Language': 'es-CL,es;q=0.9,en;q=0.8' });
-        await page.setViewport({ width: 1200, height: 900 });
-      } catch (e) {}
+function profesionalesCacheKey(agenda, especialidad) {
+  return `${agenda}|${especialidad}`;
+}
 
-      page.on('console', msg => { try{ console.log('PAGE LOG>', msg.type(), msg.text()); }catch(e){} });
-      page.on('pageerror', err => { console.log('PAGE ERROR>', err && err.stack ? err.stack : String(err)); });
-      page.on('requestfailed', req => { const f = req.failure && req.failure(); console.log('REQUEST FAILED>', req.url(), f && f.errorText); });
+function armarRespuestaProfesionales({ agenda, especialidad }, profesionales) {
+  const profesionales_list = profesionales.map(p => p.nombre || p.value || JSON.stringify(p));
+  const profesionales_text = profesionales_list.map((s, i) => `${i+1}. ${s}`).join('\n');
+
+  return {
+    success: true,
+    agenda: agenda,
+    especialidad: especialidad,
+    total: profesionales.length,
+    profesionales: profesionales_list,
+    profesionales_objects: profesionales,
+    profesionales_text: profesionales_text,
+    // compatibilidad extra
+    profesionales_values: profesionales_list,
+    profesionales_raw: JSON.stringify(profesionales)
+  };
+}
 
-      try {
-        await page.goto(AGENDAS[agenda], { waitUntil: 'domcontentloaded', timeout: 60000 });
-        await page.waitForSelector('.cellWidget, .especialidad, .service-item', { timeout: 20000 }).catch(()=>{});
-        await clickButtonByText(page, 'reservar hora').catch(()=>{});
-        await page.waitForTimeout(600);
-        await clickButtonByText(page, 'por especialidad').catch(()=>{});
-        await page.waitForTimeout(800);
-        await page.waitForSelector('.cellWidget', { timeout: 20000 }).catch(()=>{});
-
-        const especialidades = await page.evaluate(() => {
-          const especialidadesData = [];
-          const elems = Array.from(document.querySelectorAll('.cellWidget, .especialidad, .service-item, .item'));
-          elems.forEach(cell => {
-            const text = (cell.textContent || '').trim();
-            const title = cell.getAttribute('title') || '';
-            if (text && text.length > 3) {
-              especialidadesData.push({ text: title || text, value: title || text });
-            }
-          });
-          if (especialidadesData.length === 0) {
-            const lines = (document.body.innerText || '').split('\n').map(l => l.trim()).filter(Boolean);
-            lines.forEach(l => {
-              if (l.length > 4 && !/reservar|especialidad|por especialidad/i.test(l)) {
-                especialidadesData.push({ text: l, value: l });
-              }
-            });
-          }
-          return especialidadesData;
-        });
-
-        log('DEBUG especialidades raw', JSON.stringify(especialidades));
-
-        const especialidades_list = especialidades.map(e => e.text || e.value || JSON.stringify(e));
-        const especialidades_text = especialidades_list.map((s,i) => `${i+1}. ${s}`).join('\n');
-
-        requestCount++;
-        log(`✅ Encontradas ${especialidades.length} especialidades - tiempo: ${Date.now() - startTs} ms`);
-
-        const responseObj = {
-          success: true,
-          agenda: agenda,
-          total: especialidades.length,
-          // claves principales: strings para compatibilidad
-          especialidades: especialidades_list,
-          especialidades_objects: especialidades,
-          especialidades_text: especialidades_text,
-          // compatibilidad extra
-          especialidades_values: especialidades_list,
-          especialidades_raw: JSON.stringify(especialidades)
-        };
-
-        // set cache
-        setCache({ type:'especialidades' }, responseObj);
-        return responseObj;
-      } finally {
-        try { await page.close(); } catch (e) {}
-      }
-    });
+// Debe ejecutarse dentro de queueRequest
+async function scrapeProfesionales({ agenda, especialidad }) {
+  const startTs = Date.now();
+  log(`👨‍⚕️ Obteniendo profesionales de ${agenda} para: ${especialidad}`);
 
-    res.json(result);
+  const browserInstance = await getBrowser();
+  const page = await browserInstance.newPage();
+
+  const fx = await prepararPagina(page, { agenda, flujo: nombreFlujo('profesionales', especialidad) });
+
+  try {
+    await abrirReservaPorEspecialidad(page, agenda);
+    await fx.paso(page, 'especialidades');
+
+    exigirSeleccion(await seleccionarEspecialidad(page, especialidad, agendaConfig(agenda)), 'especialidad', especialidad);
+
+    await page.waitForTimeout(1200);
+    log(`⏱ after select especialidad: ${Date.now() - startTs} ms`);
+    await fx.paso(page, 'profesionales');
+
+    const entrada = await leerPagina(page, agendaConfig(agenda).selectores.profesional);
+    fx.entrada('profesionales', entrada);
+    const profesionales = profesionalesDesdePagina(entrada);
+    paso('extraer', { tipo: 'profesionales', celdas: entrada.celdas.length, total: profesionales.length });
+
+    logger.debug('Profesionales extraídos', { profesionales });
+
+    requestCount++;
+    log(`✅ Encontrados ${profesionales.length} profesionales - tiempo: ${Date.now() - startTs} ms`);
+
+    const responseObj = armarRespuestaProfesionales({ agenda, especialidad }, profesionales);
+    await fx.guardar({ url: agendaConfig(agenda).url, parametros: { agenda, especialidad }, resultado: profesionales });
+
+    setCache({ type:'profesionales', key: profesionalesCacheKey(agenda, especialidad) }, responseObj);
+    return responseObj;
   } catch (error) {
-    console.error('❌ Error al obtener especialidades:', error);
-    res.status(500).json({ success:false, error: error.message });
+    await diagnosticarFallo(page, error, { flujo: 'profesionales', agenda });
+    throw error;
+  } finally {
+    try { await page.close(); } catch (e) {}
   }
-});
+}
 
-// -------------------- PROFESIONALES --------------------
+// Navegador a través de la cola
+async function consultarProfesionales(agenda, especialidad) {
+  return queueRequest(() => scrapeProfesionales({ agenda, especialidad }), { agenda });
+}
+
+// Devuelve la respuesta de /api/profesionales desde cache o consultando Philaxmed
+async function obtenerProfesionales(agenda, especialidad) {
+  const cached = getCacheSWR({ type:'profesionales', key: profesionalesCacheKey(agenda, especialidad) }, () => consultarProfesionales(agenda, especialidad));
+  if (cached) return cached;
+  return consultarProfesionales(agenda, especialidad);
+}
 
 app.get('/api/profesionales', async (req, res) => {
   const { agenda, especialidad } = req.query;
-  if (!agenda || !AGENDAS[agenda]) {
+  if (!agendas.existe(agenda)) {
     return res.status(400).json({ success:false, error:'Agenda no válida' });
   }
   if (!especialidad) {
     return res.status(400).json({ success:false, error:'Especialidad es requerida' });
   }
 
-  const cacheKey = `${agenda}|${especialidad}`;
-  const cached = getCache({ type:'profesionales', key: cacheKey });
+  const cacheKey = profesionalesCacheKey(agenda, especialidad);
+  const cached = getCacheSWR({ type:'profesionales', key: cacheKey }, () => consultarProfesionales(agenda, especialidad));
   if (cached) {
     log('♻️ /api/profesionales - returning cached result for', cacheKey);
     return res.json(cached);
   }
 
   try {
-    const result = await queueRequest(async () => {
-      const startTs = Date.now();
-      log(`👨‍⚕️ Obteniendo profesionales de ${agenda} para: ${especialidad}`);
+    const result = await consultarProfesionales(agenda, especialidad);
+    res.json(result);
+  } catch (error) {
+    if (error instanceof PoolOcupadoError) return responderOcupado(res, error);
+    if (error instanceof SeleccionError) return responderSeleccion(res, error);
+    logger.error('❌ Error al obtener profesionales:', error);
+    res.status(500).json({ success:false, error: error.message });
+  }
+});
 
-      const browserInstance = await getBrowser();
-      const page = await browserInstance.newPage();
+// -------------------- CATÁLOGO --------------------
+// Árbol especialidades -> profesionales de una agenda en una sola consulta: una sola sesión de navegador
+// recorre todas las especialidades. Cada rama queda además en la cache de /api/especialidades y /api/profesionales.
+
+const catalogosEnCurso = new Map();
+
+// arbol: [{ especialidad: { text, value }, profesionales: [{ nombre, especialidad }], error? }]
+function armarCatalogo(agenda, arbol) {
+  const porProfesional = new Map();
+  arbol.forEach(r => r.profesionales.forEach(p => {
+    const item = porProfesional.get(p.nombre) || { nombre: p.nombre, especialidades: [] };
+    if (!item.especialidades.includes(r.especialidad.text)) item.especialidades.push(r.especialidad.text);
+    porProfesional.set(p.nombre, item);
+  }));
+  const errores = arbol.filter(r => r.error).map(r => ({ especialidad: r.especialidad.text, error: r.error }));
+
+  return {
+    success: true,
+    agenda: agenda,
+    generado: now(),
+    total_especialidades: arbol.length,
+    total_profesionales: porProfesional.size,
+    // especialidad del profesional: el texto de su tarjeta (o la especialidad elegida si la tarjeta no lo muestra)
+    especialidades: arbol.map(r => ({
+      nombre: r.especialidad.text,
+      total: r.profesionales.length,
+      profesionales: r.profesionales.map(p => ({ nombre: p.nombre, especialidad: p.especialidad || r.especialidad.text }))
+    })),
+    profesionales: [...porProfesional.values()],
+    ...(errores.length ? { errores } : {})
+  };
+}
 
-      try {
-        await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
-        await page.setExtraHTTPHeaders({ 'Accept-Language': 'es-CL,es;q=0.9,en;q=0.8' });
-        await page.setViewport({ width: 1200, height: 900 });
-      } catch (e) {}
+function guardarCatalogo(agenda, arbol, catalogo) {
+  setCache({ type:'especialidades', key: agenda }, armarRespuestaEspecialidades(agenda, arbol.map(r => r.especialidad)));
+  arbol.filter(r => !r.error).forEach(r => {
+    const especialidad = r.especialidad.text;
+    setCache({ type:'profesionales', key: profesionalesCacheKey(agenda, especialidad) }, armarRespuestaProfesionales({ agenda, especialidad }, r.profesionales));
+  });
+  // con ramas fallidas el catálogo no se guarda: la próxima consulta lo vuelve a armar
+  if (!catalogo.errores) setCache({ type:'catalogo', key: agenda }, catalogo);
+}
 
-      page.on('console', msg => { try{ console.log('PAGE LOG>', msg.type(), msg.text()); }catch(e){} });
-      page.on('pageerror', err => { console.log('PAGE ERROR>', err && err.stack ? err.stack : String(err)); });
-      page.on('requestfailed', req => { const f = req.failure && req.failure(); console.log('REQUEST FAILED>', req.url(), f && f.errorText); });
+// Debe ejecutarse dentro de queueRequest. -> { success, arbol }
+async function scrapeCatalogo({ agenda }) {
+  const cfg = agendaConfig(agenda);
+  const startTs = Date.now();
+  log(`🗂️ Armando catálogo de ${agenda}...`);
 
-      try {
-        await page.goto(AGENDAS[agenda], { waitUntil: 'domcontentloaded', timeout: 60000 });
-        await clickButtonByText(page, 'reservar hora').catch(()=>{});
-        await page.waitForTimeout(600);
-        await clickButtonByText(page, 'por especialidad').catch(()=>{});
-        await page.waitForTimeout(800);
-
-        const clickedEspecialidad = await clickElementInSelectorByText(page, '.cellWidget, .especialidad, .service-item', especialidad);
-        if (!clickedEspecialidad) {
-          const tried = await page.evaluate((esp) => {
-            function n(s){ return String(s||'').normalize('NFD').replace(/\p{Diacritic}/gu,'').toLowerCase().trim().replace(/\s+/g,' '); }
-            const txt = n(esp);
-            const all = Array.from(document.querySelectorAll('div, li, span, button, a'));
-            const el = all.find(e => n(e.textContent || '').includes(txt));
-            if (el) {
-              const clickable = el.querySelector('button, a') || el;
-              clickable.scrollIntoView({behavior: 'auto', block:'center'});
-              clickable.click();
-              return true;
-            }
-            return false;
-          }, especialidad);
-          if (!tried) return { success:false, error:'No se pudo seleccionar la especialidad' };
-        }
+  const browserInstance = await getBrowser();
+  const page = await browserInstance.newPage();
+  await prepararPagina(page);
 
+  try {
+    await abrirReservaPorEspecialidad(page, agenda);
+    await page.waitForSelector(cfg.selectores.especialidad, { timeout: cfg.timeouts.selector }).catch(()=>{});
+    const especialidades = especialidadesDesdePagina(await leerPagina(page, cfg.selectores.especialidadesLista));
+    paso('extraer', { tipo: 'especialidades', total: especialidades.length });
+    if (especialidades.length === 0) {
+      const error = new Error('No se encontraron especialidades');
+      await diagnosticarFallo(page, error, { flujo: 'catalogo', agenda, causa: 'layout' });
+      return { success:false, error: error.message };
+    }
+
+    const arbol = [];
+    for (const [i, especialidad] of especialidades.entries()) {
+      // una especialidad que falla no corta el resto: queda con su error en el catálogo
+      try {
+        if (i > 0) await abrirReservaPorEspecialidad(page, agenda);
+        exigirSeleccion(await seleccionarEspecialidad(page, especialidad.text, cfg), 'especialidad', especialidad.text);
         await page.waitForTimeout(1200);
-        log(`⏱ after select especialidad: ${Date.now() - startTs} ms`);
-
-        const profesionales = await page.evaluate(() => {
-          const profesionalesData = [];
-          const bodyText = document.body.innerText || '';
-          const lines = bodyText.split('\n').map(l => l.trim()).filter(l => l);
-
-          for (let i = 0; i < lines.length; i++) {
-            const line = lines[i];
-            if (/especialidad[:\s]/i.test(line) && i > 0) {
-              const nombre = lines[i - 1] || '';
-              if (nombre && nombre.length > 3 && !/especialidad|seleccione/i.test(nombre)) {
-                profesionalesData.push({ nombre: nombre, value: nombre });
-              }
-            }
-          }
-          if (profesionalesData.length === 0) {
-            const possible = Array.from(document.querySelectorAll('.profesional, .medico, .practitioner, .list-item, .item'));
-            possible.forEach(el => {
-              const txt = el.textContent || '';
-              if (txt && txt.length > 5) {
-                const first = txt.split('\n').map(l=>l.trim()).filter(Boolean)[0] || txt;
-                profesionalesData.push({ nombre: first, value: first });
-              }
-            });
-          }
-          const seen = new Set();
-          const unique = [];
-          profesionalesData.forEach(p => {
-            const key = (p.nombre || p.value || '').trim();
-            if (key && !seen.has(key)) {
-              seen.add(key);
-              unique.push({ nombre: key, value: key, especialidad: p.especialidad || '' });
-            }
-          });
-          return unique;
-        });
-
-        log('DEBUG profesionales raw', JSON.stringify(profesionales));
-
-        const profesionales_list = profesionales.map(p => p.nombre || p.value || JSON.stringify(p));
-        const profesionales_text = profesionales_list.map((s, i) => `${i+1}. ${s}`).join('\n');
-
-        requestCount++;
-        log(`✅ Encontrados ${profesionales.length} profesionales - tiempo: ${Date.now() - startTs} ms`);
-
-        const responseObj = {
-          success: true,
-          agenda: agenda,
-          especialidad: especialidad,
-          total: profesionales.length,
-          profesionales: profesionales_list,
-          profesionales_objects: profesionales,
-          profesionales_text: profesionales_text,
-          // compatibilidad extra
-          profesionales_values: profesionales_list,
-          profesionales_raw: JSON.stringify(profesionales)
-        };
-
-        setCache({ type:'profesionales', key: cacheKey }, responseObj);
-        return responseObj;
-      } finally {
-        try { await page.close(); } catch (e) {}
+        const profesionales = profesionalesDesdePagina(await leerPagina(page, cfg.selectores.profesional));
+        arbol.push({ especialidad, profesionales });
+        paso('catalogo', { especialidad: especialidad.text, total: profesionales.length });
+      } catch (error) {
+        arbol.push({ especialidad, profesionales: [], error: error.message });
+        paso('catalogo', { especialidad: especialidad.text, ok: false, error: error.message });
       }
-    });
+    }
 
-    res.json(result);
+    requestCount++;
+    log(`✅ Catálogo de ${agenda}: ${arbol.length} especialidades - tiempo: ${Date.now() - startTs} ms`);
+    return { success: true, arbol };
   } catch (error) {
-    console.error('❌ Error al obtener profesionales:', error);
-    res.status(500).json({ success:false, error: error.message });
+    await diagnosticarFallo(page, error, { flujo: 'catalogo', agenda });
+    throw error;
+  } finally {
+    try { await page.close(); } catch (e) {}
   }
-});
+}
 
-// -------------------- HORAS --------------------
+// Navegador a través de la cola. Pedidos simultáneos de la misma agenda comparten el trabajo
+function consultarCatalogo(agenda) {
+  if (catalogosEnCurso.has(agenda)) return catalogosEnCurso.get(agenda);
+  const trabajo = (async () => {
+    const scraped = await queueRequest(() => scrapeCatalogo({ agenda }), { agenda });
+    if (!scraped.success) return scraped;
+    const catalogo = armarCatalogo(agenda, scraped.arbol);
+    guardarCatalogo(agenda, scraped.arbol, catalogo);
+    return catalogo;
+  })();
+  catalogosEnCurso.set(agenda, trabajo);
+  const fin = () => catalogosEnCurso.delete(agenda);
+  trabajo.then(fin, fin);
+  return trabajo;
+}
 
-app.get('/api/horas', async (req, res) => {
-  const { agenda, especialidad, profesional, fecha } = req.query;
-  if (!agenda || !AGENDAS[agenda]) {
-    return res.status(400).json({ success:false, error:'Agenda no válida' });
+async function obtenerCatalogo(agenda, { forzar = false } = {}) {
+  if (!forzar) {
+    const cached = getCacheSWR({ type:'catalogo', key: agenda }, () => consultarCatalogo(agenda));
+    if (cached) return cached;
   }
-  if (!especialidad || !profesional) {
-    return res.status(400).json({ success:false, error:'Especialidad y profesional son requeridos' });
+  return consultarCatalogo(agenda);
+}
+
+// ?refrescar=1 vuelve a armarlo aunque esté en cache
+app.get('/api/catalogo', async (req, res) => {
+  const { agenda } = req.query;
+  if (!agendas.existe(agenda)) {
+    return res.status(400).json({ success:false, error:'Agenda no válida. Opciones: ' + agendas.nombres().join(', ') });
+  }
+
+  try {
+    const result = await obtenerCatalogo(agenda, { forzar: ['1', 'true'].includes(String(req.query.refrescar)) });
+    res.json(result);
+  } catch (error) {
+    if (error instanceof PoolOcupadoError) return responderOcupado(res, error);
+    logger.error('❌ Error al armar catálogo:', error);
+    res.status(500).json({ success:false, error: error.message });
+  }
+});
+
+const BUSCAR_PROFESIONAL_UMBRAL = 0.6;
+
+// En qué agenda(s) y especialidades atiende un profesional, a partir del catálogo de cada agenda.
+// Si algún nombre contiene toda la búsqueda solo se devuelven esos ("jorge perez" no trae a "Ana Soto Pérez")
+app.get('/api/buscar-profesional', async (req, res) => {
+  const nombre = String(req.query.nombre || '').trim();
+  if (normalizeStringNode(nombre).length < 3) {
+    return res.status(400).json({ success:false, error:'Parámetro nombre requerido (mínimo 3 caracteres)' });
+  }
+  const lista = req.query.agenda ? String(req.query.agenda).split(',').map(a => a.trim()).filter(Boolean) : agendas.nombres();
+  const invalidas = lista.filter(a => !agendas.existe(a));
+  if (invalidas.length > 0) {
+    return res.status(400).json({ success:false, error:`Agenda no válida: ${invalidas.join(', ')}. Opciones: ${agendas.nombres().join(', ')}` });
+  }
+
+  const fallos = [];
+  const catalogos = await Promise.all(lista.map(agenda => obtenerCatalogo(agenda)
+    .then(c => {
+      if (c.success) return c;
+      fallos.push({ agenda, error: new Error(c.error) });
+      return null;
+    })
+    .catch(error => {
+      fallos.push({ agenda, error });
+      return null;
+    })));
+
+  if (catalogos.every(c => !c) && fallos.length > 0) {
+    const ocupado = fallos.find(f => f.error instanceof PoolOcupadoError);
+    if (ocupado) return responderOcupado(res, ocupado.error);
+    logger.error('❌ Error en /api/buscar-profesional:', fallos[0].error);
+    return res.status(502).json({ success:false, error:'No se pudo consultar ninguna agenda', errores: fallos.map(f => ({ agenda: f.agenda, error: f.error.message })) });
+  }
+
+  const candidatos = [];
+  catalogos.filter(Boolean).forEach(c => {
+    c.profesionales.forEach(p => candidatos.push({ agenda: c.agenda, ...p }));
+    // catálogo con especialidades que no se pudieron leer: el profesional podría estar en ellas
+    if (c.errores) fallos.push({ agenda: c.agenda, error: new Error(`Catálogo incompleto, sin leer: ${c.errores.map(e => e.especialidad).join(', ')}`) });
+  });
+  let ranking = rankear(nombre, candidatos, p => p.nombre).filter(r => r.score >= BUSCAR_PROFESIONAL_UMBRAL);
+  const completos = ranking.filter(r => r.tipo === 'exacto' || r.tipo === 'prefijo' || r.cobertura === 1);
+  if (completos.length > 0) ranking = completos;
+
+  const resultados = ranking.map(r => ({
+    agenda: r.item.agenda,
+    profesional: r.item.nombre,
+    especialidades: r.item.especialidades,
+    score: Math.round(r.score * 100) / 100
+  }));
+  log(`🔎 /api/buscar-profesional "${nombre}": ${resultados.length} resultado(s) en ${lista.length} agenda(s)`);
+
+  res.json({
+    success: true,
+    nombre: nombre,
+    total: resultados.length,
+    resultados: resultados,
+    resultados_text: resultados.map((r, i) => `${i+1}. ${r.profesional} - ${r.especialidades.join(', ')} (${r.agenda})`).join('\n'),
+    agendas: lista,
+    ...(fallos.length ? { errores: fallos.map(f => ({ agenda: f.agenda, error: f.error.message })) } : {})
+  });
+});
+
+// -------------------- HORAS --------------------
+
+function horasCacheKey(agenda, especialidad, profesional, fecha) {
+  return `${agenda}|${especialidad}|${profesional}|${fecha || ''}`;
+}
+
+// invalidarHoras(agenda) borra toda la agenda; con especialidad/profesional se acota
+function invalidarHoras(...partes) {
+  const prefix = partes.join('|') + '|';
+  borrarCache({ type:'horas', prefix });
+}
+
+// sinInterpretar: motivo si la respuesta de la agenda no se reconoció (no es lo mismo que "sin horas")
+function armarRespuestaHoras({ agenda, especialidad, profesional, fecha }, uniqueHoras, sinInterpretar = null) {
+  const horas_list = uniqueHoras.map(h => h.hora || String(h));
+  const horas_text = horas_list.map((s,i) => `${i+1}. ${s}`).join('\n');
+
+  return {
+    success: true,
+    agenda: agenda,
+    especialidad: especialidad,
+    profesional: profesional,
+    fecha: fecha || new Date().toISOString().split('T')[0],
+    horas: horas_list,
+    horas_objects: uniqueHoras,
+    horas_text: horas_text,
+    total: uniqueHoras.length,
+    // compatibilidad extra
+    horas_values: horas_list,
+    horas_raw: JSON.stringify(uniqueHoras),
+    ...(sinInterpretar ? { sin_interpretar: sinInterpretar, advertencia: 'No se pudo interpretar la respuesta de la agenda: la lista vacía no significa que no haya horas' } : {})
+  };
+}
+
+// las respuestas sin interpretar no se guardan: la próxima consulta vuelve a intentar
+function guardarHoras({ agenda, especialidad, profesional, fecha }, responseObj) {
+  if (responseObj.sin_interpretar) return;
+  setCache({ type:'horas', key: horasCacheKey(agenda, especialidad, profesional, fecha) }, responseObj);
+}
+
+// Bloquea recursos pesados y guarda en xhr.last la última respuesta de /onlineBooking/application
+function capturarApplicationXHR(page) {
+  const xhr = { last: null };
+  const lg = logger.fijarContexto();
+
+  // interception cooperativa (prioridad 0): el modo replay de fixtures responde con prioridad mayor
+  page.on('request', req => {
+    if (req.isInterceptResolutionHandled()) return;
+    try {
+      const url = req.url().toLowerCase();
+      const rtype = req.resourceType();
+      if (rtype === 'image' || rtype === 'media' || rtype === 'font' ||
+          /(\.png|\.jpg|\.jpeg|\.gif|\.svg|\.webp|\.mp4|\.mp3)$/i.test(url)) {
+        req.abort('blockedbyclient', 0).catch(() => {});
+        return;
+      }
+    } catch (e) {}
+    req.continue(req.continueRequestOverrides(), 0).catch(() => {});
+  });
+
+  page.on('response', async (response) => {
+    try {
+      const url = response.url();
+      const urlLow = url.toLowerCase();
+      const headers = response.headers ? (response.headers()['content-type'] || response.headers()['Content-Type'] || '') : '';
+      let json = null;
+      if ((headers && headers.toLowerCase().includes('application/json')) || urlLow.includes('/api/') || urlLow.includes('/application')) {
+        json = await response.json().catch(() => null);
+        if (json) {
+          volcarXhr(lg, 'json', url, json);
+          xhr.last = { url, json, text: null };
+        } else {
+          const txt = await response.text().catch(() => null);
+          if (txt) {
+            volcarXhr(lg, 'texto', url, txt);
+            xhr.last = { url, json: null, text: txt };
+          }
+        }
+      } else {
+        if (urlLow.includes('/onlinebooking/application')) {
+          const txt = await response.text().catch(() => '');
+          volcarXhr(lg, 'application', url, txt);
+          xhr.last = { url, json: null, text: txt };
+        } else if (/hora|horas|slot|available|availability|getavailable|reserva|agenda|timeslot|getslots|disponible/.test(urlLow)) {
+          const txt = await response.text().catch(() => null);
+          if (txt) {
+            volcarXhr(lg, 'texto', url, txt);
+            xhr.last = { url, json: null, text: txt };
+          }
+        }
+      }
+    } catch (e) {}
+  });
+
+  return xhr;
+}
+
+// Espera la respuesta de la agenda e interpreta las horas (lib/slots: XHR o, si no, el DOM).
+// fx: sesión de fixture del flujo, para guardar la entrada del extractor.
+// -> { horas (libres), interpretable, motivo }
+async function extraerHoras(page, xhr, timeout = 60000, fx = null) {
+  const startTs = Date.now();
+  const espera = { xhr: false, dom: false };
+  // Wait for application response and/or DOM pattern HH:MM
+  try {
+    await page.waitForResponse(
+      r => (r.url().toLowerCase().includes('/onlinebooking/application') || r.url().toLowerCase().includes('/application')) && r.status() === 200,
+      { timeout }
+    );
+    espera.xhr = true;
+    log('ℹ️ Capturada response /onlineBooking/application (waitForResponse)');
+  } catch (e) {
+    log('⚠️ Timeout esperando /onlineBooking/application response (waitForResponse)');
+  }
+
+  try {
+    await page.waitForFunction(
+      () => /\b\d{1,2}:\d{2}\b/.test(document.body.innerText),
+      { timeout }
+    );
+    espera.dom = true;
+    log('ℹ️ Detectado patrón HH:MM en el DOM (waitForFunction)');
+  } catch (e) {
+    log('⚠️ Timeout esperando patrón HH:MM en el DOM (waitForFunction)');
+  }
+
+  const entrada = { xhr: xhr.last, texto: await page.evaluate(() => document.body.innerText || '') };
+  if (fx) fx.entrada('horas', entrada);
+  const r = interpretarHoras(entrada);
+  if (r.fuente === 'xhr') {
+    log('ℹ️ USING XHR for horas, found', r.horas.length);
+  } else if (entrada.xhr) {
+    log('ℹ️ lastXHR captured but no time strings found, using DOM. lastXHR.url=', entrada.xhr.url);
+  }
+  if (!r.interpretable) logger.warn(`⚠️ No se pudo interpretar la respuesta de horas (${r.motivo})`, { url: entrada.xhr && entrada.xhr.url });
+  paso('horas', { respuestaXhr: espera.xhr, patronDom: espera.dom, fuente: r.fuente, total: r.horas.length, ocupadas: r.slots.length - r.horas.length, interpretable: r.interpretable, motivo: r.motivo, ms: Date.now() - startTs });
+  return r;
+}
+
+// Scrapea las horas de un profesional para cada fecha pedida en una sola sesión de navegador.
+// fechas vacías/null = el día con que abre el calendario. Debe ejecutarse dentro de queueRequest.
+async function scrapeHoras({ agenda, especialidad, profesional, fechas }) {
+  const startTs = Date.now();
+  log(`📅 Obteniendo horas de ${agenda} para: ${profesional} (especialidad: ${especialidad}) fechas: ${fechas.filter(Boolean).join(', ') || 'inicial'}`);
+
+  const browserInstance = await getBrowser();
+  const page = await browserInstance.newPage();
+
+  const fx = await prepararPagina(page, { agenda, flujo: nombreFlujo('horas', especialidad, profesional) });
+
+  // Try to reduce load
+  try { await page.setRequestInterception(true); } catch (e) {}
+  const xhr = capturarApplicationXHR(page);
+
+  try {
+    await abrirReservaPorEspecialidad(page, agenda);
+
+    exigirSeleccion(await seleccionarEspecialidad(page, especialidad, agendaConfig(agenda)), 'especialidad', especialidad);
+
+    await page.waitForTimeout(1200);
+    await fx.paso(page, 'profesionales');
+
+    // sin coincidencia única se responde "profesional no encontrado" (404) o los candidatos (409)
+    exigirSeleccion(await seleccionarProfesional(page, profesional, agendaConfig(agenda)), 'profesional', profesional);
+
+    await page.waitForTimeout(1200);
+    await fx.paso(page, 'calendario');
+
+    const dias = [];
+    for (const fecha of fechas) {
+      if (fecha) {
+        xhr.last = null;
+        const sel = await seleccionarFecha(page, fecha);
+        if (!sel.ok) {
+          if (sel.reason === 'dia-no-disponible') {
+            dias.push({ fecha, horas: [] });
+            continue;
+          }
+          const error = new Error(`No se pudo seleccionar la fecha ${fecha}`);
+          await diagnosticarFallo(page, error, { flujo: 'horas', agenda, causa: sel.reason === 'fuera-de-rango' ? 'no-disponible' : 'layout' });
+          return { success:false, error: error.message };
+        }
+      }
+      // con varias fechas no vale la pena esperar 60s por un día sin horas
+      const r = await extraerHoras(page, xhr, fechas.length > 1 ? 15000 : agendaConfig(agenda).timeouts.horas, fx);
+      await fx.paso(page, `horas ${fecha || 'inicial'}`);
+      dias.push(r.interpretable ? { fecha, horas: r.horas } : { fecha, horas: [], sin_interpretar: r.motivo });
+    }
+
+    requestCount++;
+    log(`✅ Horas obtenidas para ${dias.length} día(s) - tiempo total handler: ${Date.now() - startTs} ms`);
+    await fx.guardar({ url: agendaConfig(agenda).url, parametros: { agenda, especialidad, profesional, fechas }, resultado: dias });
+    return { success: true, dias };
+  } catch (error) {
+    await diagnosticarFallo(page, error, { flujo: 'horas', agenda });
+    throw error;
+  } finally {
+    try { await page.close(); } catch (e) {}
+  }
+}
+
+// Scrapea un solo día y deja la respuesta de /api/horas en cache. Debe ejecutarse dentro de queueRequest
+async function scrapeHorasDia({ agenda, especialidad, profesional, fecha }) {
+  const scraped = await scrapeHoras({ agenda, especialidad, profesional, fechas: [fecha || null] });
+  if (!scraped.success) return scraped;
+
+  const responseObj = armarRespuestaHoras({ agenda, especialidad, profesional, fecha }, scraped.dias[0].horas, scraped.dias[0].sin_interpretar);
+  log(`✅ Encontradas ${responseObj.total} horas disponibles`);
+
+  guardarHoras({ agenda, especialidad, profesional, fecha }, responseObj);
+  return responseObj;
+}
+
+// Navegador a través de la cola
+async function consultarHorasDia(params) {
+  return queueRequest(() => scrapeHorasDia(params), { agenda: params.agenda });
+}
+
+// Devuelve la respuesta de /api/horas desde cache o consultando Philaxmed
+async function obtenerHoras({ agenda, especialidad, profesional, fecha }) {
+  const cached = getCache({ type:'horas', key: horasCacheKey(agenda, especialidad, profesional, fecha) });
+  if (cached) return cached;
+  return consultarHorasDia({ agenda, especialidad, profesional, fecha });
+}
+
+app.get('/api/horas', async (req, res) => {
+  const { agenda, especialidad, profesional, fecha } = req.query;
+  if (!agendas.existe(agenda)) {
+    return res.status(400).json({ success:false, error:'Agenda no válida' });
+  }
+  if (!especialidad || !profesional) {
+    return res.status(400).json({ success:false, error:'Especialidad y profesional son requeridos' });
+  }
+  if (fecha && !isFechaISO(fecha)) {
+    return res.status(400).json({ success:false, error:'Fecha inválida, use formato YYYY-MM-DD' });
   }
 
-  const cacheKey = `${agenda}|${especialidad}|${profesional}`;
+  const cacheKey = horasCacheKey(agenda, especialidad, profesional, fecha);
   const cached = getCache({ type:'horas', key: cacheKey });
   if (cached) {
     log('♻️ /api/horas - returning cached result for', cacheKey);
@@ -468,291 +1550,1414 @@ app.get('/api/horas', async (req, res) => {
   }
 
   try {
-    const result = await queueRequest(async () => {
-      const startTs = Date.now();
-      log(`📅 Obteniendo horas de ${agenda} para: ${profesional} (especialidad: ${especialidad})`);
+    const result = await consultarHorasDia({ agenda, especialidad, profesional, fecha });
 
-      const browserInstance = await getBrowser();
-      const page = await browserInstance.newPage();
+    res.json(result);
+  } catch (error) {
+    if (error instanceof PoolOcupadoError) return responderOcupado(res, error);
+    if (error instanceof SeleccionError) return responderSeleccion(res, error);
+    logger.error('❌ Error al obtener horas:', error);
+    res.status(500).json({ success:false, error:error.message });
+  }
+});
 
-      try {
-        await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
-        await page.setExtraHTTPHeaders({ 'Accept-Language': 'es-CL,es;q=0.9,en;q=0.8' });
-        await page.setViewport({ width: 1200, height: 900 });
-      } catch (e) {}
+// Horas de varios días: usa la cache salvo { forzar: true } y consulta los días que
+// falten en una sola sesión de navegador. -> { success, porFecha }
+async function consultarHorasFechas({ agenda, especialidad, profesional }, fechas, { forzar = false } = {}) {
+  const porFecha = {};
+  if (!forzar) {
+    fechas.forEach(f => {
+      const cached = getCache({ type:'horas', key: horasCacheKey(agenda, especialidad, profesional, f) });
+      if (cached) porFecha[f] = cached;
+    });
+  }
+  const faltantes = fechas.filter(f => !porFecha[f]);
+
+  if (faltantes.length > 0) {
+    const scraped = await queueRequest(() => scrapeHoras({ agenda, especialidad, profesional, fechas: faltantes }), { agenda });
+    if (!scraped.success) return scraped;
+    scraped.dias.forEach(d => {
+      const responseObj = armarRespuestaHoras({ agenda, especialidad, profesional, fecha: d.fecha }, d.horas, d.sin_interpretar);
+      guardarHoras({ agenda, especialidad, profesional, fecha: d.fecha }, responseObj);
+      porFecha[d.fecha] = responseObj;
+    });
+  } else {
+    log('♻️ horas de todos los días pedidos desde cache/HTTP');
+  }
+  return { success: true, porFecha };
+}
 
-      // Try to reduce load
-      try { await page.setRequestInterception(true); } catch (e) {}
-      let lastXHR = null;
+const HORAS_RANGO_MAX_DIAS = Number(process.env.HORAS_RANGO_MAX_DIAS || 14);
 
-      page.on('console', msg => { try{ console.log('PAGE LOG>', msg.type(), msg.text()); }catch(e){} });
-      page.on('pageerror', err => { console.log('PAGE ERROR>', err && err.stack ? err.stack : String(err)); });
-      page.on('requestfailed', req => { const f = req.failure && req.failure(); console.log('REQUEST FAILED>', req.url(), f && f.errorText); });
+app.get('/api/horas/rango', async (req, res) => {
+  const { agenda, especialidad, profesional, desde, hasta } = req.query;
+  if (!agendas.existe(agenda)) {
+    return res.status(400).json({ success:false, error:'Agenda no válida' });
+  }
+  if (!especialidad || !profesional) {
+    return res.status(400).json({ success:false, error:'Especialidad y profesional son requeridos' });
+  }
+  if (!isFechaISO(desde) || !isFechaISO(hasta) || desde > hasta) {
+    return res.status(400).json({ success:false, error:'Parámetros desde y hasta requeridos (YYYY-MM-DD, desde <= hasta)' });
+  }
+  const fechas = listarFechas(desde, hasta);
+  if (fechas.length > HORAS_RANGO_MAX_DIAS) {
+    return res.status(400).json({ success:false, error:`El rango no puede superar ${HORAS_RANGO_MAX_DIAS} días` });
+  }
 
-      page.on('request', req => {
-        try {
-          const url = req.url().toLowerCase();
-          const rtype = req.resourceType();
-          if (rtype === 'image' || rtype === 'media' || rtype === 'font' ||
-              /(\.png|\.jpg|\.jpeg|\.gif|\.svg|\.webp|\.mp4|\.mp3)$/i.test(url)) {
-            try { req.abort(); return; } catch(e) {}
-          }
-        } catch (e) {}
-        try { req.continue(); } catch (e) {}
-      });
+  try {
+    const consulta = await consultarHorasFechas({ agenda, especialidad, profesional }, fechas);
+    if (!consulta.success) return res.json(consulta);
+    const porFecha = consulta.porFecha;
+
+    const dias = fechas.map(f => ({
+      fecha: f,
+      total: porFecha[f].total,
+      horas: porFecha[f].horas,
+      horas_objects: porFecha[f].horas_objects,
+      ...(porFecha[f].sin_interpretar ? { sin_interpretar: porFecha[f].sin_interpretar } : {})
+    }));
+    const planas = [];
+    dias.forEach(d => d.horas.forEach(h => planas.push(`${d.fecha} ${h}`)));
+
+    res.json({
+      success: true,
+      agenda: agenda,
+      especialidad: especialidad,
+      profesional: profesional,
+      desde: desde,
+      hasta: hasta,
+      total: planas.length,
+      dias: dias,
+      horas_por_fecha: dias.reduce((acc, d) => { acc[d.fecha] = d.horas; return acc; }, {}),
+      horas_text: planas.map((s,i) => `${i+1}. ${s}`).join('\n')
+    });
+  } catch (error) {
+    if (error instanceof PoolOcupadoError) return responderOcupado(res, error);
+    if (error instanceof SeleccionError) return responderSeleccion(res, error);
+    logger.error('❌ Error al obtener rango de horas:', error);
+    res.status(500).json({ success:false, error:error.message });
+  }
+});
 
-      page.on('response', async (response) => {
-        try {
-          const req = response.request();
-          const url = response.url();
-          const urlLow = url.toLowerCase();
-          const headers = response.headers ? (response.headers()['content-type'] || response.headers()['Content-Type'] || '') : '';
-          let json = null;
-          if ((headers && headers.toLowerCase().includes('application/json')) || urlLow.includes('/api/') || urlLow.includes('/application')) {
-            json = await response.json().catch(() => null);
-            if (json) {
-              console.log('DEBUG horas raw', JSON.stringify({ url, body: json }));
-              lastXHR = { url, json, text: null };
-            } else {
-              const txt = await response.text().catch(() => null);
-              if (txt) {
-                const sample = txt.length > 20000 ? txt.slice(0,20000) + '...[truncated]' : txt;
-                console.log('DEBUG horas raw-text', JSON.stringify({ url, body: sample }));
-                lastXHR = { url, json: null, text: txt };
-              }
-            }
-          } else {
-            if (urlLow.includes('/onlinebooking/application')) {
-              const txt = await response.text().catch(() => '');
-              const sample = txt.length > 20000 ? txt.slice(0,20000) + '...[truncated]' : txt;
-              console.log('DEBUG horas-application', JSON.stringify({ url, sample }));
-              lastXHR = { url, json: null, text: txt };
-            } else if (/hora|horas|slot|available|availability|getavailable|reserva|agenda|timeslot|getslots|disponible/.test(urlLow)) {
-              const txt = await response.text().catch(() => null);
-              if (txt) {
-                const sample = txt.length > 20000 ? txt.slice(0,20000) + '...[truncated]' : txt;
-                console.log('DEBUG horas raw-text (interesting)', JSON.stringify({ url, body: sample }));
-                lastXHR = { url, json: null, text: txt };
-              }
-            }
-          }
-        } catch (e) {}
-      });
+// -------------------- CALENDARIO (.ics) --------------------
+// Feed suscribible desde Google Calendar / Outlook: sin desde/hasta muestra una ventana móvil
+// desde hoy (HORAS_ICS_DIAS), así la misma URL sirve siempre.
+const AGENDA_TZ = process.env.AGENDA_TIMEZONE || TZ_DEFAULT;
+const HORAS_ICS_DIAS = Number(process.env.HORAS_ICS_DIAS || 7);
+const ICS_CONTENT_TYPE = 'text/calendar; charset=utf-8';
+
+function sumarDias(fecha, dias) {
+  const d = new Date(`${fecha}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + dias);
+  return d.toISOString().split('T')[0];
+}
 
-      try {
-        await page.goto(AGENDAS[agenda], { waitUntil: 'domcontentloaded', timeout: 60000 });
-        await clickButtonByText(page, 'reservar hora').catch(()=>{});
-        await page.waitForTimeout(600);
-        await clickButtonByText(page, 'por especialidad').catch(()=>{});
-        await page.waitForTimeout(800);
-
-        let clickedEspecialidad = await clickElementInSelectorByText(page, '.cellWidget, .especialidad, .service-item', especialidad);
-        if (!clickedEspecialidad) {
-          const tried = await page.evaluate((esp) => {
-            function n(s){ return String(s||'').normalize('NFD').replace(/\p{Diacritic}/gu,'').toLowerCase().trim().replace(/\s+/g,' '); }
-            const txt = n(esp);
-            const all = Array.from(document.querySelectorAll('div, li, span, button, a'));
-            const el = all.find(e => n(e.textContent || '').includes(txt));
-            if (el) {
-              const clickable = el.querySelector('button, a') || el;
-              clickable.scrollIntoView({behavior: 'auto', block:'center'});
-              clickable.click();
-              return true;
-            }
-            return false;
-          }, especialidad);
-          if (!tried) return { success:false, error:'No se pudo seleccionar la especialidad' };
-        }
+// inicio/fin de un slot (lib/slots); las respuestas en cache sin hora_fin usan la duración por defecto
+function tramoSlot(fecha, slot) {
+  const fin = slot.hora_fin
+    ? { hora: slot.hora_fin, diaSiguiente: slot.hora_fin <= slot.hora }
+    : sumarMinutos(slot.hora, slot.duracion_min || DURACION_DEFAULT_MIN);
+  return { fecha, hora: slot.hora, horaFin: fin.hora, fechaFin: fin.diaSiguiente ? sumarDias(fecha, 1) : undefined };
+}
 
-        await page.waitForTimeout(1200);
+function lugarSlot(agenda, slot = {}) {
+  return [slot.sede, slot.box, slot.modalidad === 'telemedicina' ? 'Telemedicina' : null].filter(Boolean).join(' - ') || agenda;
+}
 
-        const profNorm = normalizeStringNode(profesional);
-        const clickedProfesional = await page.evaluate((profNorm) => {
-          function n(s){ return String(s||'').normalize('NFD').replace(/\p{Diacritic}/gu,'').toLowerCase().trim().replace(/\s+/g,' '); }
-          const candidates = Array.from(document.querySelectorAll('div, li, span, button, a')).filter(el => {
-            const t = (el.textContent || '').trim();
-            return t && n(t).includes(profNorm);
-          });
-          if (candidates.length === 0) return false;
-          let chosen = candidates.find(c => /especialidad[:\s]/i.test(c.textContent)) || candidates[0];
-          try {
-            const clickable = chosen.querySelector('button, a') || chosen;
-            clickable.scrollIntoView({behavior: 'auto', block: 'center'});
-            clickable.click();
-            return true;
-          } catch (e) {
-            try { chosen.click(); return true; } catch (e2) { return false; }
-          }
-        }, profNorm);
-
-        if (!clickedProfesional) {
-          log('⚠️ No se pudo seleccionar el profesional por click directo. Intentando fallback por índice.');
-          const fallback = await page.evaluate(() => {
-            const all = Array.from(document.querySelectorAll('div, li, .list-item, .profesional, .medico'));
-            const el = all[0];
-            if (!el) return false;
-            const clickable = el.querySelector('button, a') || el;
-            clickable.scrollIntoView({behavior:'auto', block:'center'});
-            clickable.click();
-            return true;
-          });
-          if (!fallback) return { success:false, error:'No se pudo seleccionar el profesional' };
-        }
+app.get('/api/horas.ics', async (req, res) => {
+  const { agenda, especialidad, profesional } = req.query;
+  if (!agendas.existe(agenda)) {
+    return res.status(400).json({ success:false, error:'Agenda no válida' });
+  }
+  if (!especialidad || !profesional) {
+    return res.status(400).json({ success:false, error:'Especialidad y profesional son requeridos' });
+  }
+  const desde = req.query.desde || fechaLocal(Date.now(), AGENDA_TZ);
+  const hasta = req.query.hasta || sumarDias(desde, Math.min(HORAS_ICS_DIAS, HORAS_RANGO_MAX_DIAS) - 1);
+  if (!isFechaISO(desde) || !isFechaISO(hasta) || desde > hasta) {
+    return res.status(400).json({ success:false, error:'desde y hasta inválidos (YYYY-MM-DD, desde <= hasta)' });
+  }
+  const fechas = listarFechas(desde, hasta);
+  if (fechas.length > HORAS_RANGO_MAX_DIAS) {
+    return res.status(400).json({ success:false, error:`El rango no puede superar ${HORAS_RANGO_MAX_DIAS} días` });
+  }
 
-        await page.waitForTimeout(1200);
+  try {
+    const consulta = await consultarHorasFechas({ agenda, especialidad, profesional }, fechas);
+    if (!consulta.success) return res.status(502).json({ success:false, error: consulta.error || ERROR_AGENDA });
+
+    const eventos = [];
+    const sinInterpretar = [];
+    fechas.forEach(f => {
+      const dia = consulta.porFecha[f];
+      if (dia.sin_interpretar) sinInterpretar.push(f);
+      (dia.horas_objects || [])
+        .filter(slot => slot.hora && slot.estado !== 'OCUPADO')
+        .forEach(slot => eventos.push({
+          ...tramoSlot(f, slot),
+          uid: uidIcs('hora', agenda, especialidad, profesional, f, slot.hora),
+          resumen: `Hora libre: ${especialidad} - ${profesional}`,
+          descripcion: `Hora disponible en la agenda ${agenda}${slot.modalidad ? ` (${slot.modalidad})` : ''}.`,
+          ubicacion: lugarSlot(agenda, slot),
+          estado: 'TENTATIVE',
+          transparente: true
+        }));
+    });
+    // días cuya respuesta no se entendió: el feed no los muestra vacíos como si no hubiera horas
+    if (sinInterpretar.length > 0) res.set('X-Horas-Sin-Interpretar', sinInterpretar.join(','));
+
+    log(`📅 /api/horas.ics ${agenda} - ${profesional} ${desde}..${hasta}: ${eventos.length} horas`);
+    res.type(ICS_CONTENT_TYPE).send(calendario(eventos, {
+      nombre: `Horas libres ${profesional} (${especialidad})`,
+      tzid: AGENDA_TZ,
+      refrescarMin: Math.max(1, Math.round(cachePolicy.ttl('horas', agenda) / 60000))
+    }));
+  } catch (error) {
+    if (error instanceof PoolOcupadoError) return responderOcupado(res, error);
+    if (error instanceof SeleccionError) return responderSeleccion(res, error);
+    logger.error('❌ Error al generar horas.ics:', error);
+    res.status(500).json({ success:false, error:error.message });
+  }
+});
 
-        // Wait for application response and/or DOM pattern HH:MM
-        try {
-          await page.waitForResponse(
-            r => (r.url().toLowerCase().includes('/onlinebooking/application') || r.url().toLowerCase().includes('/application')) && r.status() === 200,
-            { timeout: 60000 }
-          );
-          log('ℹ️ Capturada response /onlineBooking/application (waitForResponse)');
-        } catch (e) {
-          log('⚠️ Timeout esperando /onlineBooking/application response (waitForResponse)');
-        }
+function slotEnCache(agenda, especialidad, profesional, fecha, hora) {
+  const cached = getCache({ type:'horas', key: horasCacheKey(agenda, especialidad, profesional, fecha) });
+  return ((cached && cached.horas_objects) || []).find(h => h && normalizarHora(h.hora) === hora) || null;
+}
+
+// Adjunto "agregar al calendario" de una reserva confirmada (va en la respuesta de la reserva)
+function icsReserva({ agenda, especialidad, profesional, fecha, hora, reserva_id }, slot) {
+  const evento = {
+    ...tramoSlot(fecha, { hora, ...(slot || {}) }),
+    uid: uidIcs('reserva', agenda, reserva_id || '', profesional, fecha, hora),
+    resumen: `${especialidad} con ${profesional}`,
+    descripcion: `Reserva${reserva_id ? ` N° ${reserva_id}` : ''} en ${agenda}. Si no puede asistir, anule la hora con anticipación.`,
+    ubicacion: lugarSlot(agenda, slot || {}),
+    estado: 'CONFIRMED',
+    alarma: '-P1D'
+  };
+  return {
+    archivo: `reserva-${reserva_id || fecha.replace(/-/g, '') + hora.replace(':', '')}.ics`,
+    content_type: ICS_CONTENT_TYPE,
+    contenido: calendario([evento], { tzid: AGENDA_TZ, metodo: 'PUBLISH' })
+  };
+}
+
+// -------------------- PRÓXIMA HORA --------------------
+
+const PROXIMA_HORA_MAX_MS = Number(process.env.PROXIMA_HORA_MAX_MS || 90000);
+
+// Recorre día por día (todos los profesionales de la especialidad) y se detiene apenas
+// completa N horas: lo que falte en días posteriores nunca puede ser más temprano.
+app.get('/api/proxima-hora', async (req, res) => {
+  const { agenda, especialidad } = req.query;
+  if (!agendas.existe(agenda)) {
+    return res.status(400).json({ success:false, error:'Agenda no válida' });
+  }
+  if (!especialidad) {
+    return res.status(400).json({ success:false, error:'Especialidad es requerida' });
+  }
+  const n = Math.min(Math.max(parseInt(req.query.n, 10) || 3, 1), 20);
+  const dias = Math.min(Math.max(parseInt(req.query.dias, 10) || 7, 1), HORAS_RANGO_MAX_DIAS);
+  // "hoy" y "ahora" en la hora local de la agenda, no en UTC
+  const hoy = fechaLocal(Date.now(), AGENDA_TZ);
+  const ahora = horaLocal(Date.now(), AGENDA_TZ);
+  const desde = req.query.desde || hoy;
+  if (!isFechaISO(desde)) {
+    return res.status(400).json({ success:false, error:'Fecha desde inválida, use formato YYYY-MM-DD' });
+  }
 
+  const startTs = Date.now();
+  try {
+    const profs = await obtenerProfesionales(agenda, especialidad);
+    if (!profs.success) return res.json(profs);
+    const nombres = profs.profesionales || [];
+
+    const fin = new Date(`${desde}T00:00:00Z`);
+    fin.setUTCDate(fin.getUTCDate() + dias - 1);
+    const fechas = listarFechas(desde, fin.toISOString().split('T')[0]);
+
+    const encontradas = [];
+    const errores = [];
+    let completo = true;
+
+    buscar:
+    for (const fecha of fechas) {
+      for (const profesional of nombres) {
+        if (Date.now() - startTs > PROXIMA_HORA_MAX_MS) {
+          completo = false;
+          break buscar;
+        }
+        let r;
         try {
-          await page.waitForFunction(
-            () => /\b\d{1,2}:\d{2}\b/.test(document.body.innerText),
-            { timeout: 60000 }
-          );
-          log('ℹ️ Detectado patrón HH:MM en el DOM (waitForFunction)');
+          r = await obtenerHoras({ agenda, especialidad, profesional, fecha });
         } catch (e) {
-          log('⚠️ Timeout esperando patrón HH:MM en el DOM (waitForFunction)');
+          if (!(e instanceof SeleccionError)) throw e;
+          r = { success:false, error: e.message };
         }
-
-        // Try extract times from intercepted XHR
-        function findTimesInObject(o, results = []) {
-          if (!o) return results;
-          if (Array.isArray(o)) {
-            o.forEach(item => {
-              if (typeof item === 'string') {
-                const m = item.match(/\d{1,2}:\d{2}/);
-                if (m) results.push(m[0]);
-              } else if (typeof item === 'object') {
-                for (const k of ['time','hora','start','slot','hour','available','schedule','timeSlot','availableTime']) {
-                  if (item[k]) {
-                    if (typeof item[k] === 'string') {
-                      const m = item[k].match(/\d{1,2}:\d{2}/);
-                      if (m) results.push(m[0]);
-                    }
-                  }
-                }
-                findTimesInObject(item, results);
-              }
-            });
-          } else if (typeof o === 'object') {
-            Object.values(o).forEach(v => findTimesInObject(v, results));
-          }
-          return results;
+        if (!r.success) {
+          errores.push({ profesional, fecha, error: r.error });
+          continue;
         }
+        (r.horas || [])
+          .filter(h => fecha > hoy || (fecha === hoy && normalizarHora(h) > ahora))
+          .forEach(h => encontradas.push({ profesional, fecha, hora: h }));
+      }
+      if (encontradas.length >= n) break;
+    }
 
-        let horasFromXHR = [];
-        if (lastXHR && lastXHR.json) {
-          try {
-            horasFromXHR = findTimesInObject(lastXHR.json, []);
-            if (horasFromXHR && horasFromXHR.length > 0) {
-              log('ℹ️ USING XHR JSON for horas, found', horasFromXHR.length);
-            } else {
-              log('ℹ️ lastXHR captured but no direct time strings found. lastXHR.url=', lastXHR.url);
-            }
-          } catch (e) {
-            log('WARN: error processing lastXHR json', e && e.message);
-          }
-        } else if (lastXHR && lastXHR.text && lastXHR.url && lastXHR.url.toLowerCase().includes('/onlinebooking/application')) {
-          try {
-            const m = lastXHR.text.match(/\d{1,2}:\d{2}/g);
-            if (m) horasFromXHR = Array.from(new Set(m));
-            if (horasFromXHR.length > 0) {
-              log('ℹ️ USING application TEXT for horas, found', horasFromXHR.length);
-            }
-          } catch (e) {}
-        }
+    encontradas.sort((a, b) => (a.fecha + normalizarHora(a.hora)).localeCompare(b.fecha + normalizarHora(b.hora)));
+    const horas = encontradas.slice(0, n);
+    log(`✅ /api/proxima-hora ${agenda}/${especialidad}: ${horas.length} horas - tiempo: ${Date.now() - startTs} ms`);
+
+    res.json({
+      success: true,
+      agenda: agenda,
+      especialidad: especialidad,
+      desde: desde,
+      total: horas.length,
+      completo: completo,
+      horas: horas,
+      horas_text: horas.map((h,i) => `${i+1}. ${h.fecha} ${h.hora} - ${h.profesional}`).join('\n'),
+      errores: errores
+    });
+  } catch (error) {
+    if (error instanceof PoolOcupadoError) return responderOcupado(res, error);
+    if (error instanceof SeleccionError) return responderSeleccion(res, error);
+    logger.error('❌ Error al buscar próxima hora:', error);
+    res.status(500).json({ success:false, error:error.message });
+  }
+});
 
-        let uniqueHoras = [];
-        if (horasFromXHR && horasFromXHR.length > 0) {
-          const seen = new Set();
-          horasFromXHR.forEach(h => {
-            const key = h;
-            if (!seen.has(key)) {
-              seen.add(key);
-              uniqueHoras.push({ hora: key, estado: 'DESCONOCIDO' });
-            }
-          });
-        } else {
-          const horas = await page.evaluate(() => {
-            const horasData = [];
-            const bodyText = document.body.innerText || '';
-            const lines = bodyText.split('\n').map(l => l.trim()).filter(l => l);
-            const regex = /(?:^|\s)(\d{1,2}:\d{2})(?:\s*[-–—]?\s*(DISPONIBLE|OCUPADO|RESERVADO)?)?/i;
-            for (const line of lines) {
-              const m = line.match(regex);
-              if (m) {
-                const hora = m[1];
-                const estadoRaw = (m[2] || '').toUpperCase();
-                const estado = estadoRaw === 'OCUPADO' ? 'OCUPADO' : (estadoRaw === 'DISPONIBLE' ? 'DISPONIBLE' : 'DESCONOCIDO');
-                const disponible = estado === 'DISPONIBLE' || (estado === 'DESCONOCIDO' && !/OCUPADO/i.test(line));
-                horasData.push({ hora: hora, disponible: disponible, estado: estado });
-              }
-            }
-            return horasData;
-          });
-          const horasDisponibles = (horas || []).filter(h => h.disponible).map(h => ({ hora: h.hora, estado: h.estado }));
-          const seen = new Set();
-          for (const h of horasDisponibles) {
-            const key = h.hora;
-            if (!seen.has(key)) {
-              seen.add(key);
-              uniqueHoras.push(h);
-            }
-          }
-        }
+// -------------------- PREWARM --------------------
+// PREWARM_INTERVAL_MIN=0 lo desactiva. PREWARM_HORAS_DIAS = cuántos días desde hoy se precargan
+// (0 por defecto). Aun así se saltan las horas de las agendas cuyo TTL de horas (CACHE_CONFIG) es
+// más corto que el intervalo: vencerían mucho antes de la siguiente pasada.
+const PREWARM_HORAS_DIAS = Number(process.env.PREWARM_HORAS_DIAS || 0);
+const PREWARM_INTERVAL_MS = Number(process.env.PREWARM_INTERVAL_MIN || 30) * 1000*60;
+
+const prewarm = new PrewarmScheduler({
+  intervalMs: PREWARM_INTERVAL_MS,
+  incluirHoras: (agenda) => PREWARM_HORAS_DIAS > 0 && cachePolicy.ttl('horas', agenda) >= PREWARM_INTERVAL_MS,
+  agendas: () => agendas.nombres(),
+  tareas: {
+    especialidades: (agenda) => consultarEspecialidades(agenda),
+    profesionales: (agenda, especialidad) => consultarProfesionales(agenda, especialidad),
+    horas: (agenda, especialidad, profesional) => {
+      const hoy = fechaLocal(Date.now(), AGENDA_TZ);
+      const fechas = listarFechas(hoy, sumarDias(hoy, PREWARM_HORAS_DIAS - 1));
+      return consultarHorasFechas({ agenda, especialidad, profesional }, fechas, { forzar: true });
+    }
+  },
+  // deja al menos un puesto libre del pool para usuarios reales
+  puedeCorrer: () => {
+    const st = pool.stats();
+    return st.waiting === 0 && st.active < Math.max(1, st.size - 1);
+  },
+  log
+});
 
-        requestCount++;
-        log(`✅ Encontradas ${uniqueHoras.length} horas disponibles - tiempo total handler: ${Date.now() - startTs} ms`);
-
-        const horas_list = uniqueHoras.map(h => h.hora || String(h));
-        const horas_text = horas_list.map((s,i) => `${i+1}. ${s}`).join('\n');
-
-        const responseObj = {
-          success: true,
-          agenda: agenda,
-          especialidad: especialidad,
-          profesional: profesional,
-          fecha: fecha || new Date().toISOString().split('T')[0],
-          horas: horas_list,
-          horas_objects: uniqueHoras,
-          horas_text: horas_text,
-          total: uniqueHoras.length,
-          // compatibilidad extra
-          horas_values: horas_list,
-          horas_raw: JSON.stringify(uniqueHoras)
-        };
-
-        setCache({ type:'horas', key: cacheKey, ttl: 1000*60 }, responseObj); // cache 60s por defecto
-        return responseObj;
-      } finally {
-        try { await page.close(); } catch (e) {}
-      }
-    });
+app.get('/api/admin/prewarm', (req, res) => {
+  res.json({ success: true, ...prewarm.status() });
+});
 
-    res.json(result);
+app.post('/api/admin/prewarm', (req, res) => {
+  if (prewarm.running) {
+    return res.status(409).json({ success:false, error:'Ya hay un prewarm en curso', ...prewarm.status() });
+  }
+  prewarm.runOnce().catch(e => log(`❌ Prewarm falló: ${e.message}`));
+  res.status(202).json({ success: true, ...prewarm.status() });
+});
+
+// -------------------- SUSCRIPCIONES (avisos de horas nuevas) --------------------
+// Watcher apagado por defecto (SUSCRIPCIONES_INTERVAL_MIN=0): cada pasada consulta las horas sin cache
+// de cada agenda/especialidad/profesional suscrito y hace POST firmado al callback con las horas nuevas.
+// Cada suscripción pertenece al cliente (API key) que la creó; sin clientes configurados, a "anónimo".
+// SUSCRIPCIONES_MAX_POR_CLIENTE acota cuántas puede tener cada uno.
+const SUSCRIPCIONES_MAX_POR_CLIENTE = Number(process.env.SUSCRIPCIONES_MAX_POR_CLIENTE || 10);
+// sólo para probar contra un servidor local
+const SUSCRIPCIONES_CALLBACK_PRIVADO = process.env.SUSCRIPCIONES_CALLBACK_PRIVADO === '1';
+const suscripciones = new SuscripcionStore({
+  file: process.env.SUSCRIPCIONES_FILE || path.join(__dirname, 'data', 'suscripciones.json')
+});
+
+const watcherSuscripciones = new SuscripcionWatcher({
+  store: suscripciones,
+  intervalMs: Number(process.env.SUSCRIPCIONES_INTERVAL_MIN || 0) * 1000*60,
+  consultarHoras: (params, fechas) => consultarHorasFechas(params, fechas, { forzar: true }),
+  reintentos: Number(process.env.SUSCRIPCIONES_REINTENTOS || 3),
+  validarDestino: url => validarCallback(url, { permitirPrivadas: SUSCRIPCIONES_CALLBACK_PRIVADO }),
+  zona: AGENDA_TZ,
+  // mismo criterio que el prewarm: nunca le quita turno a una petición real
+  puedeCorrer: () => {
+    const st = pool.stats();
+    return st.waiting === 0 && st.active < Math.max(1, st.size - 1);
+  },
+  log
+});
+
+app.post('/api/suscripciones', async (req, res) => {
+  const { agenda, especialidad, profesional, desde, hasta, callback_url } = req.body || {};
+  if (!agendas.existe(agenda)) {
+    return res.status(400).json({ success:false, error:'Agenda no válida' });
+  }
+  if (!especialidad || !profesional) {
+    return res.status(400).json({ success:false, error:'Especialidad y profesional son requeridos' });
+  }
+  if (!isFechaISO(desde) || !isFechaISO(hasta) || desde > hasta) {
+    return res.status(400).json({ success:false, error:'desde y hasta son requeridos (YYYY-MM-DD, desde <= hasta)' });
+  }
+  if (hasta < fechaLocal(Date.now(), AGENDA_TZ)) {
+    return res.status(400).json({ success:false, error:'El rango ya terminó' });
+  }
+  if (listarFechas(desde, hasta).length > HORAS_RANGO_MAX_DIAS) {
+    return res.status(400).json({ success:false, error:`El rango no puede superar ${HORAS_RANGO_MAX_DIAS} días` });
+  }
+  const callbackInvalido = await validarCallback(callback_url, { permitirPrivadas: SUSCRIPCIONES_CALLBACK_PRIVADO });
+  if (callbackInvalido) {
+    return res.status(400).json({ success:false, error: callbackInvalido });
+  }
+  const propias = suscripciones.listar().filter(s => (s.cliente || null) === (req.cliente || null)).length;
+  if (propias >= SUSCRIPCIONES_MAX_POR_CLIENTE) {
+    return res.status(409).json({ success:false, error:`Límite de ${SUSCRIPCIONES_MAX_POR_CLIENTE} suscripciones alcanzado; elimine alguna antes de crear otra`, code:'LIMITE_SUSCRIPCIONES' });
+  }
+
+  try {
+    // se guardan los nombres tal como los muestra Philaxmed para no depender del texto del usuario
+    const esps = await obtenerEspecialidades(agenda);
+    if (!esps.success) return res.status(502).json({ success:false, error: esps.error || ERROR_AGENDA });
+    const esp = elegirUnico('especialidad', especialidad, esps.especialidades);
+    const profs = await obtenerProfesionales(agenda, esp);
+    if (!profs.success) return res.status(502).json({ success:false, error: profs.error || ERROR_AGENDA });
+    const prof = elegirUnico('profesional', profesional, profs.profesionales);
+
+    const s = suscripciones.crear({ cliente: req.cliente || null, agenda, especialidad: esp, profesional: prof, desde, hasta, callback_url });
+    log(`🔔 Suscripción ${s.id} creada: ${agenda}/${esp}/${prof} ${desde}..${hasta} -> ${callback_url}`);
+    // el secreto para verificar X-Signature-256 solo se entrega aquí
+    res.status(201).json({ success: true, suscripcion: { ...publica(s), secreto: s.secreto } });
   } catch (error) {
-    console.error('❌ Error al obtener horas:', error);
-    res.status(500).json({ success:false, error:error.message });
+    if (error instanceof PoolOcupadoError) return responderOcupado(res, error);
+    if (error instanceof SeleccionError) return responderSeleccion(res, error);
+    logger.error('❌ Error al crear suscripción:', error);
+    res.status(500).json({ success:false, error: error.message });
   }
 });
 
-// -------------------- START SERVER --------------------
-app.listen(PORT, () => {
-  log(`🚀 Servidor corriendo en puerto ${PORT}`);
-  log(`📋 Agendas disponibles: ${Object.keys(AGENDAS).join(', ')}`);
+app.get('/api/suscripciones', (req, res) => {
+  const { agenda, especialidad, profesional } = req.query;
+  const lista = suscripciones.listar({ agenda, especialidad, profesional }).filter(s => esDelCliente(req, s)).map(publica);
+  res.json({ success: true, total: lista.length, suscripciones: lista, watcher: watcherSuscripciones.status() });
+});
+
+app.get('/api/suscripciones/:id', (req, res) => {
+  const s = suscripciones.get(req.params.id);
+  if (!s || !esDelCliente(req, s)) return res.status(404).json({ success:false, error:'Suscripción no encontrada' });
+  res.json({ success: true, suscripcion: publica(s) });
+});
+
+app.delete('/api/suscripciones/:id', (req, res) => {
+  const s = suscripciones.get(req.params.id);
+  if (!s || !esDelCliente(req, s) || !suscripciones.eliminar(s.id)) {
+    return res.status(404).json({ success:false, error:'Suscripción no encontrada' });
+  }
+  log(`🔕 Suscripción ${req.params.id} eliminada`);
+  res.json({ success: true, id: req.params.id });
+});
+
+// -------------------- DEBUG (trazas de diagnóstico) --------------------
+// requestId: el X-Request-Id de la respuesta (también viene como request_id en los errores)
+// Nunca abierto: las trazas muestran lo que pidió cada usuario
+app.get('/api/debug/:requestId', requiereAdmin, (req, res) => {
+  const traza = diagnostico.get(req.params.requestId);
+  if (!traza) return res.status(404).json({ success:false, error:'Traza no encontrada (id desconocido o ya expiró)' });
+  res.json({
+    success: true,
+    ...traza,
+    artefactos: traza.artefactos.map(a => ({ ...a, href: `/api/debug/${traza.id}/${a.archivo}` }))
+  });
+});
+
+app.get('/api/debug/:requestId/:archivo', requiereAdmin, (req, res) => {
+  const file = diagnostico.archivo(req.params.requestId, req.params.archivo);
+  if (!file) return res.status(404).json({ success:false, error:'Artefacto no encontrado' });
+  res.sendFile(file, (err) => {
+    if (err && !res.headersSent) res.status(404).json({ success:false, error:'Artefacto no encontrado' });
+  });
+});
+
+// -------------------- ADMIN AGENDAS --------------------
+
+app.get('/api/admin/agendas', (req, res) => {
+  res.json({
+    success: true,
+    file: agendas.file,
+    overridesFile: agendas.overridesFile,
+    loadedAt: agendas.loadedAt,
+    total: agendas.nombres().length,
+    agendas: agendas.nombres().map(n => agendaConfig(n))
+  });
+});
+
+// body: { nombre, url, selectores?, botones?, timeouts?, cache? } - crea o reemplaza y persiste.
+// Puppeteer navega a la url que se guarde aquí: sólo con un cliente admin configurado
+app.post('/api/admin/agendas', requiereAdmin, (req, res) => {
+  const { nombre, ...cfg } = req.body || {};
+  try {
+    const existia = agendas.existe(nombre);
+    const agenda = agendas.upsert(nombre, cfg);
+    log(`📋 Agenda ${existia ? 'actualizada' : 'agregada'}: ${nombre}`);
+    res.status(existia ? 200 : 201).json({ success: true, agenda });
+  } catch (error) {
+    if (error instanceof AgendaConfigError) return res.status(400).json({ success:false, error: error.message });
+    logger.error('❌ Error al guardar agenda:', error);
+    res.status(500).json({ success:false, error: error.message });
+  }
+});
+
+app.delete('/api/admin/agendas/:nombre', requiereAdmin, (req, res) => {
+  try {
+    if (!agendas.remove(req.params.nombre)) {
+      return res.status(404).json({ success:false, error:'Agenda no encontrada' });
+    }
+    log(`📋 Agenda eliminada: ${req.params.nombre}`);
+    res.json({ success: true, agendas: agendas.nombres() });
+  } catch (error) {
+    logger.error('❌ Error al eliminar agenda:', error);
+    res.status(500).json({ success:false, error: error.message });
+  }
+});
+
+// Relee el archivo; si es inválido se mantiene la configuración actual
+app.post('/api/admin/agendas/reload', (req, res) => {
+  try {
+    const nombres = agendas.load();
+    res.json({ success: true, loadedAt: agendas.loadedAt, agendas: nombres });
+  } catch (error) {
+    logger.error('❌ Error al recargar agendas:', error);
+    res.status(error instanceof AgendaConfigError ? 400 : 500).json({ success:false, error: error.message, agendas: agendas.nombres() });
+  }
+});
+
+// -------------------- ADMIN CLIENTES --------------------
+
+app.get('/api/admin/clientes', (req, res) => {
+  res.json({
+    success: true,
+    autenticacion: clientes.activo,
+    cors: CORS_ORIGINS,
+    loadedAt: clientes.loadedAt,
+    clientes: clientes.listar().map(c => ({ ...c, uso: usoDe(c.nombre) }))
+  });
 });
 
-process.on('SIGINT', async () => {
-  if (browser) {
-    try { await browser.close(); } catch (e) {}
+// Relee CLIENTES_CONFIG + API_KEYS; si es inválido se mantiene la configuración actual
+app.post('/api/admin/clientes/reload', (req, res) => {
+  try {
+    const nombres = clientes.load();
+    res.json({ success: true, loadedAt: clientes.loadedAt, clientes: nombres });
+  } catch (error) {
+    logger.error('❌ Error al recargar clientes:', error);
+    res.status(error instanceof ClienteConfigError ? 400 : 500).json({ success:false, error: error.message });
   }
-  process.exit();
 });
+
+// -------------------- RESERVAR --------------------
+
+class ReservaError extends Error {
+  constructor(code, message, status = 422) {
+    super(message);
+    this.name = 'ReservaError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+async function seleccionarHora(page, hora) {
+  return page.evaluate((hora) => {
+    function hhmm(s) {
+      const m = /(\d{1,2}):(\d{2})/.exec(String(s || ''));
+      return m ? `${m[1].padStart(2, '0')}:${m[2]}` : null;
+    }
+    const candidates = Array.from(document.querySelectorAll('button, a, td, li, div, span')).filter(el => {
+      const t = (el.textContent || '').trim();
+      return t.length <= 40 && hhmm(t) === hora;
+    });
+    if (candidates.length === 0) return { ok:false, reason:'no-encontrada' };
+    const libre = candidates.find(el => {
+      const cls = String(el.className || '');
+      return !el.disabled && !/ocupad|reservad|disabled|taken/i.test(cls + ' ' + el.textContent);
+    });
+    if (!libre) return { ok:false, reason:'ocupada' };
+    const clickable = libre.querySelector('button, a') || libre;
+    clickable.scrollIntoView({behavior: 'auto', block: 'center'});
+    clickable.click();
+    return { ok:true };
+  }, hora);
+}
+
+async function completarFormularioPaciente(page, paciente) {
+  return page.evaluate((p) => {
+    function n(s){ return String(s||'').normalize('NFD').replace(/\p{Diacritic}/gu,'').toLowerCase().trim().replace(/\s+/g,' '); }
+    function describir(el) {
+      const label = el.id ? document.querySelector(`label[for="${el.id}"]`) : null;
+      const prev = el.closest('tr, .form-group, .field, div');
+      return n([el.name, el.id, el.placeholder, el.getAttribute('aria-label'), label && label.textContent, prev && prev.textContent.slice(0, 60)].join(' '));
+    }
+    function setValue(el, value) {
+      el.focus();
+      el.value = value;
+      el.dispatchEvent(new Event('input', { bubbles: true }));
+      el.dispatchEvent(new Event('change', { bubbles: true }));
+      el.dispatchEvent(new Event('blur', { bubbles: true }));
+    }
+
+    const partes = String(p.nombre || '').trim().split(/\s+/);
+    const nombres = p.apellidos ? p.nombre : partes.slice(0, Math.max(1, partes.length - 2)).join(' ');
+    const apellidos = p.apellidos || partes.slice(Math.max(1, partes.length - 2)).join(' ');
+
+    const reglas = [
+      { campo: 'rut', re: /\brut\b|run\b|documento/, valor: p.rut },
+      { campo: 'email', re: /e-?mail|correo/, valor: p.email },
+      { campo: 'telefono', re: /telefono|celular|fono|movil/, valor: p.telefono },
+      { campo: 'apellidos', re: /apellido/, valor: apellidos },
+      { campo: 'nombre', re: /nombre/, valor: nombres }
+    ];
+
+    const llenados = [];
+    const usados = new Set();
+    const inputs = Array.from(document.querySelectorAll('input[type="text"], input[type="email"], input[type="tel"], input:not([type])'))
+      .filter(el => el.offsetParent !== null);
+
+    reglas.forEach(r => {
+      const el = inputs.find(i => !usados.has(i) && r.re.test(describir(i)));
+      if (el && r.valor) {
+        setValue(el, r.valor);
+        usados.add(el);
+        llenados.push(r.campo);
+      }
+    });
+
+    const selects = Array.from(document.querySelectorAll('select')).filter(el => el.offsetParent !== null);
+    const selPrevision = selects.find(s => /prevision|isapre|fonasa|convenio/.test(describir(s))) || (selects.length === 1 ? selects[0] : null);
+    if (selPrevision && p.prevision) {
+      const target = n(p.prevision);
+      const opt = Array.from(selPrevision.options).find(o => n(o.textContent) === target) ||
+                  Array.from(selPrevision.options).find(o => n(o.textContent).includes(target) || target.includes(n(o.textContent)));
+      if (opt) {
+        selPrevision.value = opt.value;
+        selPrevision.dispatchEvent(new Event('change', { bubbles: true }));
+        llenados.push('prevision');
+      }
+    }
+    return llenados;
+  }, paciente);
+}
+
+async function leerResultadoReserva(page) {
+  return resultadoReservaDesdeTexto(await page.evaluate(() => document.body.innerText || ''));
+}
+
+// Devuelve { error } o los parámetros normalizados de una reserva
+function validarSolicitudReserva(body) {
+  const { agenda, especialidad, profesional, fecha } = body;
+  const paciente = body.paciente || {};
+  const hora = normalizarHora(body.hora);
+
+  if (!agendas.existe(agenda)) {
+    return { error: { success:false, error:'Agenda no válida', code:'AGENDA_INVALIDA' } };
+  }
+  if (!especialidad || !profesional || !isFechaISO(fecha) || !hora) {
+    return { error: { success:false, error:'Especialidad, profesional, fecha (YYYY-MM-DD) y hora (HH:MM) son requeridos', code:'PARAMETROS_INVALIDOS' } };
+  }
+  const faltantes = CAMPOS_PACIENTE.filter(c => !paciente[c]);
+  if (faltantes.length > 0) {
+    return { error: { success:false, error:'Faltan datos del paciente: ' + faltantes.join(', '), code:'PACIENTE_INCOMPLETO', campos: faltantes } };
+  }
+  const v = validarPaciente(paciente, { previsiones: previsionesDe(agenda) });
+  if (!v.ok) {
+    return { error: { success:false, error:'Datos del paciente inválidos: ' + Object.values(v.errores).join(' '), code:'PACIENTE_INVALIDO', campos: Object.keys(v.errores), errores: v.errores } };
+  }
+  return { agenda, especialidad, profesional, fecha, hora, paciente: v.paciente };
+}
+
+function responderErrorReserva(res, error, contexto) {
+  if (error instanceof PoolOcupadoError) return responderOcupado(res, error);
+  if (error instanceof SeleccionError) return responderSeleccion(res, error);
+  if (error instanceof ReservaError) {
+    log(`⚠️ ${contexto} rechazada (${error.code}): ${error.message}`);
+    return res.status(error.status).json({ success:false, error: error.message, code: error.code });
+  }
+  logger.error(`❌ Error en ${contexto}:`, error);
+  res.status(500).json({ success:false, error: error.message, code:'ERROR_INTERNO' });
+}
+
+// Completa una reserva de punta a punta. Lanza ReservaError o SeleccionError. Debe ejecutarse dentro de queueRequest
+async function ejecutarReserva({ agenda, especialidad, profesional, fecha, hora, paciente }) {
+  const startTs = Date.now();
+  log(`📝 Reservando ${agenda} - ${especialidad} / ${profesional} - ${fecha} ${hora}`);
+
+  const browserInstance = await getBrowser();
+  const page = await browserInstance.newPage();
+
+  await prepararPagina(page);
+
+  try {
+    await abrirReservaPorEspecialidad(page, agenda);
+
+    exigirSeleccion(await seleccionarEspecialidad(page, especialidad, agendaConfig(agenda)), 'especialidad', especialidad);
+    await page.waitForTimeout(1200);
+
+    exigirSeleccion(await seleccionarProfesional(page, profesional, agendaConfig(agenda)), 'profesional', profesional);
+    await page.waitForTimeout(1200);
+
+    if (!(await seleccionarFecha(page, fecha)).ok) {
+      throw new ReservaError('FECHA_NO_DISPONIBLE', `La fecha ${fecha} no está disponible para este profesional`, 409);
+    }
+    await page.waitForFunction(() => /\b\d{1,2}:\d{2}\b/.test(document.body.innerText), { timeout: 30000 }).catch(()=>{});
+
+    const slot = await seleccionarHora(page, hora);
+    if (!slot.ok) {
+      throw new ReservaError('HORA_NO_DISPONIBLE', `La hora ${hora} del ${fecha} ya no está disponible`, 409);
+    }
+    await page.waitForTimeout(1200);
+
+    const llenados = await completarFormularioPaciente(page, paciente);
+    log('ℹ️ Campos del formulario completados:', llenados.join(', '));
+    if (!llenados.includes('rut')) {
+      throw new ReservaError('FORMULARIO_NO_ENCONTRADO', 'No se encontró el formulario de datos del paciente', 502);
+    }
+
+    const enviado = await clickPrimerBotonPorTexto(page, agendaConfig(agenda).botones.confirmarReserva, 10000);
+    if (!enviado) {
+      throw new ReservaError('FORMULARIO_NO_ENVIADO', 'No se encontró el botón para confirmar la reserva', 502);
+    }
+
+    await page.waitForFunction(() => {
+      const t = (document.body.innerText || '').toLowerCase();
+      return /comprobante|confirmad|realizada|exito|éxito|no est[aá] disponible|tomada|ocupada/.test(t);
+    }, { timeout: 30000 }).catch(()=>{});
+
+    const resultado = await leerResultadoReserva(page);
+    if (resultado.tomada) {
+      throw new ReservaError('HORA_NO_DISPONIBLE', `La hora ${hora} del ${fecha} fue tomada por otro paciente`, 409);
+    }
+    if (!resultado.confirmada) {
+      throw new ReservaError('CONFIRMACION_NO_RECIBIDA', 'Philaxmed no confirmó la reserva', 502);
+    }
+
+    requestCount++;
+    log(`✅ Reserva confirmada ${resultado.id || '(sin id)'} - tiempo: ${Date.now() - startTs} ms`);
+
+    // duración, sede y box para el .ics: de la lista de horas antes de invalidarla
+    const slotReservado = slotEnCache(agenda, especialidad, profesional, fecha, hora);
+    // la hora ya no está libre
+    invalidarHoras(agenda, especialidad, profesional);
+
+    return {
+      success: true,
+      agenda: agenda,
+      especialidad: especialidad,
+      profesional: profesional,
+      fecha: fecha,
+      hora: hora,
+      reserva_id: resultado.id,
+      comprobante_text: resultado.texto,
+      ics: icsReserva({ agenda, especialidad, profesional, fecha, hora, reserva_id: resultado.id }, slotReservado)
+    };
+  } catch (error) {
+    await diagnosticarFallo(page, error, { flujo: 'reserva', agenda });
+    throw error;
+  } finally {
+    try { await page.close(); } catch (e) {}
+  }
+}
+
+// body: { agenda?, paciente: { rut?, nombre?, telefono?, email?, prevision? } } (o los campos sueltos).
+// Valida sólo los campos presentes: sirve para validar campo a campo mientras el bot conversa.
+app.post('/api/validar-paciente', (req, res) => {
+  const body = req.body || {};
+  const paciente = body.paciente !== undefined ? body.paciente : body;
+  if (!paciente || typeof paciente !== 'object' || Array.isArray(paciente)) {
+    return res.status(400).json({ success:false, error:'paciente debe ser un objeto' });
+  }
+  if (body.agenda !== undefined && !agendas.existe(body.agenda)) {
+    return res.status(400).json({ success:false, error:'Agenda no válida' });
+  }
+  const v = validarPaciente(paciente, { previsiones: previsionesDe(body.agenda) });
+  const validados = {};
+  CAMPOS_PACIENTE.filter(c => !v.faltantes.includes(c) && !v.errores[c]).forEach(c => { validados[c] = v.paciente[c]; });
+  res.json({
+    success: true,
+    valido: v.ok && v.faltantes.length < CAMPOS_PACIENTE.length,
+    completo: v.ok && v.faltantes.length === 0,
+    paciente: validados,
+    errores: v.errores,
+    errores_text: Object.values(v.errores).join('\n'),
+    faltantes: v.faltantes
+  });
+});
+
+// Reserva + recordatorios al paciente. La usan /api/reservar, reagendar, la API v2 y el flujo guiado;
+// cliente: el de la API key, dueño de los recordatorios
+async function reservarConRecordatorios(params, { cliente } = {}) {
+  const result = await queueRequest(() => ejecutarReserva(params), { agenda: params.agenda });
+  result.recordatorios = programarRecordatorios({ ...params, reserva_id: result.reserva_id, cliente });
+  return result;
+}
+
+// kommo_lead_id (opcional): el resultado se escribe en los campos del lead
+app.post('/api/reservar', requiereApiKey, async (req, res) => {
+  const params = validarSolicitudReserva(req.body || {});
+  if (params.error) return res.status(400).json(params.error);
+  const leadId = (req.body || {}).kommo_lead_id;
+
+  try {
+    const result = await reservarConRecordatorios(params, { cliente: req.cliente });
+    if (leadId) {
+      result.kommo = await sincronizarLeadKommo(leadId, { ...params, reserva_id: result.reserva_id, estado: 'RESERVADA' });
+    }
+    res.json(result);
+  } catch (error) {
+    if (leadId && (error instanceof ReservaError || error instanceof SeleccionError)) {
+      await sincronizarLeadKommo(leadId, { ...params, estado: error.code });
+    }
+    responderErrorReserva(res, error, 'Reserva');
+  }
+});
+
+// -------------------- ANULAR / REAGENDAR --------------------
+
+function fechaISOaDMY(fecha) {
+  const [y, m, d] = String(fecha).split('-');
+  return `${d}/${m}/${y}`;
+}
+
+// Entra por "anular/modificar hora" e identifica al paciente por RUT
+async function abrirReservasPaciente(page, agenda, rut) {
+  const cfg = agendaConfig(agenda);
+  await navegar(page, agenda);
+  const abierto = await clickPrimerBotonPorTexto(page, cfg.botones.anularHora, 15000);
+  if (!abierto) {
+    throw new ReservaError('ANULACION_NO_DISPONIBLE', 'La agenda no ofrece anular/modificar horas en línea', 502);
+  }
+  await page.waitForTimeout(800);
+
+  const rutIngresado = await page.evaluate((rut) => {
+    function n(s){ return String(s||'').normalize('NFD').replace(/\p{Diacritic}/gu,'').toLowerCase().trim().replace(/\s+/g,' '); }
+    const inputs = Array.from(document.querySelectorAll('input[type="text"], input:not([type])')).filter(el => el.offsetParent !== null);
+    const el = inputs.find(i => /rut|run|documento/.test(n([i.name, i.id, i.placeholder, i.getAttribute('aria-label')].join(' ')))) || inputs[0];
+    if (!el) return false;
+    el.focus();
+    el.value = rut;
+    el.dispatchEvent(new Event('input', { bubbles: true }));
+    el.dispatchEvent(new Event('change', { bubbles: true }));
+    return true;
+  }, rut);
+  if (!rutIngresado) {
+    throw new ReservaError('FORMULARIO_NO_ENCONTRADO', 'No se encontró el campo RUT para buscar reservas', 502);
+  }
+
+  const buscado = await clickPrimerBotonPorTexto(page, cfg.botones.buscarReservas, 5000);
+  if (!buscado) log('⚠️ No se encontró botón para buscar reservas, se continúa con la página actual');
+  await page.waitForTimeout(1500);
+}
+
+// Busca la fila de la reserva (por id, o por fecha + hora + RUT) y hace click en su botón "anular".
+// Si más de una fila calza no se toca nada: anular la equivocada no tiene vuelta atrás
+async function anularReservaEnPagina(page, cfg, { rut, reserva_id, fecha, hora }) {
+  // filas = los elementos más internos con un botón anular/cancelar (no el contenedor de toda la lista)
+  const textos = await page.evaluate(() => {
+    function n(s){ return String(s||'').normalize('NFD').replace(/\p{Diacritic}/gu,'').toLowerCase().trim().replace(/\s+/g,' '); }
+    const conBoton = Array.from(document.querySelectorAll('tr, li, .reserva, .cita, div'))
+      .filter(el => Array.from(el.querySelectorAll('button, a')).some(b => /anular|cancelar/.test(n(b.textContent))));
+    const filas = conBoton.filter(el => !conBoton.some(otro => otro !== el && el.contains(otro)));
+    document.querySelectorAll('[data-pxm-fila]').forEach(el => el.removeAttribute('data-pxm-fila'));
+    filas.forEach((el, i) => el.setAttribute('data-pxm-fila', String(i)));
+    return filas.map(el => el.textContent);
+  });
+  const indices = filasDeReserva(textos, { id: reserva_id || null, rut, fecha: fecha ? fechaISOaDMY(fecha) : '', hora: hora || '' });
+  if (indices.length > 1) {
+    throw new ReservaError('RESERVA_AMBIGUA', `Hay ${indices.length} reservas que calzan con los datos indicados; no se anuló ninguna`, 409);
+  }
+
+  // el sitio puede confirmar con un diálogo nativo: sólo se acepta durante este paso
+  const aceptarDialogo = dialog => { dialog.accept().catch(()=>{}); };
+  page.on('dialog', aceptarDialogo);
+  try {
+    const clicked = indices.length === 1 && await page.evaluate((i) => {
+      function n(s){ return String(s||'').normalize('NFD').replace(/\p{Diacritic}/gu,'').toLowerCase().trim().replace(/\s+/g,' '); }
+      const fila = document.querySelector(`[data-pxm-fila="${i}"]`);
+      const btn = fila && Array.from(fila.querySelectorAll('button, a')).find(b => /anular|cancelar/.test(n(b.textContent)));
+      if (!btn) return false;
+      btn.scrollIntoView({behavior: 'auto', block: 'center'});
+      btn.click();
+      return true;
+    }, indices[0]);
+
+    if (!clicked) {
+      throw new ReservaError('RESERVA_NO_ENCONTRADA', 'No se encontró la reserva para el RUT indicado', 404);
+    }
+    await page.waitForTimeout(800);
+    await clickPrimerBotonPorTexto(page, cfg.botones.confirmarAnulacion, 5000);
+  } finally {
+    page.off('dialog', aceptarDialogo);
+  }
+
+  await page.waitForFunction(() => /anulad|cancelad|eliminad/i.test(document.body.innerText || ''), { timeout: 20000 }).catch(()=>{});
+  return page.evaluate(() => {
+    const text = (document.body.innerText || '').trim();
+    return { anulada: /(hora|reserva|cita)[^.\n]*(fue |ha sido )?(anulad|cancelad|eliminad)/i.test(text), texto: text.slice(0, 2000) };
+  });
+}
+
+// Anula una reserva existente. Lanza ReservaError. Debe ejecutarse dentro de queueRequest
+async function ejecutarAnulacion({ agenda, rut, reserva_id, fecha, hora }) {
+  const startTs = Date.now();
+  log(`🗑️ Anulando reserva ${reserva_id || `${fecha} ${hora}`} en ${agenda}`);
+
+  const browserInstance = await getBrowser();
+  const page = await browserInstance.newPage();
+
+  await prepararPagina(page);
+
+  try {
+    await abrirReservasPaciente(page, agenda, rut);
+    const resultado = await anularReservaEnPagina(page, agendaConfig(agenda), { rut, reserva_id, fecha, hora });
+    if (!resultado.anulada) {
+      throw new ReservaError('ANULACION_NO_CONFIRMADA', 'Philaxmed no confirmó la anulación', 502);
+    }
+
+    requestCount++;
+    log(`✅ Reserva anulada - tiempo: ${Date.now() - startTs} ms`);
+
+    // no sabemos de qué profesional era la hora liberada: se invalida toda la agenda
+    invalidarHoras(agenda);
+
+    return { success: true, agenda: agenda, reserva_id: reserva_id || null, anulacion_text: resultado.texto };
+  } catch (error) {
+    await diagnosticarFallo(page, error, { flujo: 'anulacion', agenda });
+    throw error;
+  } finally {
+    try { await page.close(); } catch (e) {}
+  }
+}
+
+function validarSolicitudAnulacion(body) {
+  const { agenda, rut, reserva_id, fecha } = body;
+  const hora = normalizarHora(body.hora);
+  if (!agendas.existe(agenda)) {
+    return { error: { success:false, error:'Agenda no válida', code:'AGENDA_INVALIDA' } };
+  }
+  if (!rut) {
+    return { error: { success:false, error:'RUT del paciente es requerido', code:'PARAMETROS_INVALIDOS' } };
+  }
+  const vRut = validarRut(rut);
+  if (!vRut.ok) {
+    return { error: { success:false, error: vRut.error, code:'PACIENTE_INVALIDO', campos: ['rut'], errores: { rut: vRut.error } } };
+  }
+  if (!reserva_id && !(isFechaISO(fecha) && hora)) {
+    return { error: { success:false, error:'Se requiere reserva_id, o fecha (YYYY-MM-DD) y hora (HH:MM) de la reserva', code:'PARAMETROS_INVALIDOS' } };
+  }
+  return { agenda, rut: vRut.valor, reserva_id, fecha, hora };
+}
+
+app.post('/api/reservas/cancelar', requiereApiKey, async (req, res) => {
+  const params = validarSolicitudAnulacion(req.body || {});
+  if (params.error) return res.status(400).json(params.error);
+
+  try {
+    const result = await queueRequest(() => ejecutarAnulacion(params), { agenda: params.agenda });
+    result.recordatorios_cancelados = cancelarRecordatorios(params);
+    res.json(result);
+  } catch (error) {
+    responderErrorReserva(res, error, 'Anulación');
+  }
+});
+
+// body: { agenda, rut, reserva_id (o fecha_actual + hora_actual), especialidad, profesional, fecha, hora, paciente }
+// Orden: verificar hora nueva (lógica de /api/horas, sin cache) -> reservar nueva -> anular la anterior.
+// Si la reserva nueva falla la anterior queda intacta.
+app.post('/api/reservas/reagendar', requiereApiKey, async (req, res) => {
+  const body = req.body || {};
+  const anterior = validarSolicitudAnulacion({
+    agenda: body.agenda,
+    rut: body.rut || (body.paciente && body.paciente.rut),
+    reserva_id: body.reserva_id,
+    fecha: body.fecha_actual,
+    hora: body.hora_actual
+  });
+  if (anterior.error) return res.status(400).json(anterior.error);
+  const nueva = validarSolicitudReserva({ ...body, paciente: { rut: anterior.rut, ...(body.paciente || {}) } });
+  if (nueva.error) return res.status(400).json(nueva.error);
+
+  try {
+    const disponibilidad = await consultarHorasDia(nueva);
+    if (!disponibilidad.success) {
+      throw new ReservaError('HORAS_NO_DISPONIBLES', disponibilidad.error, 404);
+    }
+    if (!disponibilidad.horas.some(h => normalizarHora(h) === nueva.hora)) {
+      throw new ReservaError('HORA_NO_DISPONIBLE', `La hora ${nueva.hora} del ${nueva.fecha} no está disponible`, 409);
+    }
+
+    const reserva = await reservarConRecordatorios(nueva, { cliente: req.cliente });
+
+    try {
+      const anulacion = await queueRequest(() => ejecutarAnulacion(anterior), { agenda: anterior.agenda });
+      cancelarRecordatorios(anterior);
+      res.json({ ...reserva, reserva_anterior: { reserva_id: anterior.reserva_id || null, anulada: true, anulacion_text: anulacion.anulacion_text } });
+    } catch (error) {
+      log(`⚠️ Nueva reserva ${reserva.reserva_id || ''} creada pero no se pudo anular la anterior: ${error.message}`);
+      res.status(502).json({
+        success: false,
+        error: 'La nueva hora quedó reservada, pero no se pudo anular la reserva anterior',
+        code: 'ANULACION_FALLIDA',
+        reserva_nueva: reserva,
+        reserva_anterior: { reserva_id: anterior.reserva_id || null, anulada: false, motivo: error.message }
+      });
+    }
+  } catch (error) {
+    responderErrorReserva(res, error, 'Reagendamiento');
+  }
+});
+
+// -------------------- RECORDATORIOS --------------------
+// Avisos al paciente antes de la cita (24 h y 2 h por defecto) por los canales de RECORDATORIOS_CONFIG.
+// RECORDATORIOS_INTERVAL_MIN=0 desactiva el despacho (se siguen programando).
+const RECORDATORIOS_CONFIG = process.env.RECORDATORIOS_CONFIG || path.join(__dirname, 'config', 'recordatorios.json');
+
+const despachador = new RecordatorioDespachador({
+  store: new RecordatorioStore({ file: process.env.RECORDATORIOS_FILE || path.join(__dirname, 'data', 'recordatorios.json') }),
+  zona: AGENDA_TZ,
+  intervalMs: Number(process.env.RECORDATORIOS_INTERVAL_MIN || 1) * 1000*60,
+  reintentos: Number(process.env.RECORDATORIOS_REINTENTOS || 3),
+  log
+});
+
+function cargarRecordatorios() {
+  const cfg = leerConfigRecordatorios(RECORDATORIOS_CONFIG);
+  despachador.configurar(cfg);
+  log(despachador.activo
+    ? `⏰ Recordatorios por: ${Object.keys(despachador.canales).join(', ')}`
+    : '⚠️ Sin canales de recordatorio configurados: no se programan recordatorios');
+}
+
+try {
+  cargarRecordatorios();
+} catch (error) {
+  // sin recordatorios pero con el servidor arriba: se corrige el archivo y /api/admin/recordatorios/reload
+  logger.error('❌ Configuración de recordatorios inválida:', error);
+}
+
+// Nunca lanza: la reserva ya ocurrió
+function programarRecordatorios(reserva) {
+  if (!despachador.activo) return [];
+  try {
+    return despachador.programar(reserva).map(r => ({ id: r.id, tipo: r.tipo, canal: r.canal, enviar_en: r.enviar_en }));
+  } catch (error) {
+    logger.error('❌ No se pudieron programar los recordatorios:', error);
+    return [];
+  }
+}
+
+// Por reserva_id y, si vienen, también por rut + fecha + hora (reservas cuyo id no se conoció al programar)
+function cancelarRecordatorios({ agenda, rut, reserva_id, fecha, hora }) {
+  try {
+    const porId = reserva_id ? despachador.cancelar({ agenda, reserva_id }, 'reserva anulada') : [];
+    return porId.length + despachador.cancelar({ agenda, rut, fecha, hora }, 'reserva anulada').length;
+  } catch (error) {
+    logger.error('❌ No se pudieron cancelar los recordatorios:', error);
+    return 0;
+  }
+}
+
+// { agenda, reserva_id } o { agenda, rut, fecha, hora } -> filtro, o { error }
+function filtroReservaRecordatorio({ agenda, reserva_id, rut, fecha, hora }) {
+  if (!agendas.existe(agenda)) return { error: 'Agenda no válida' };
+  if (reserva_id) return { agenda, reserva_id: String(reserva_id) };
+  const vRut = validarRut(rut);
+  if (!vRut.ok || !isFechaISO(fecha) || !normalizarHora(hora)) {
+    return { error: 'Se requiere reserva_id, o rut, fecha (YYYY-MM-DD) y hora (HH:MM) de la reserva' };
+  }
+  return { agenda, rut: vRut.valor, fecha, hora: normalizarHora(hora) };
+}
+
+// Tienen datos de contacto de pacientes y permiten enviarles mensajes: nunca quedan abiertas,
+// y cada cliente sólo ve y toca los de sus reservas
+app.use('/api/recordatorios', requiereApiKey);
+
+function recordatorioDelCliente(req) {
+  const r = despachador.store.get(req.params.id);
+  return r && esDelCliente(req, r) ? r : null;
+}
+
+// filtro de reserva acotado al cliente (deReserva); un admin no se acota
+function deReservaDelCliente(req, filtro) {
+  return esAdmin(req) ? filtro : { ...filtro, cliente: req.cliente || null };
+}
+
+app.get('/api/recordatorios', (req, res) => {
+  const { agenda, estado, reserva_id, fecha } = req.query;
+  const items = despachador.store.listar({ agenda, estado, reserva_id, fecha }).filter(r => esDelCliente(req, r));
+  res.json({ success: true, total: items.length, recordatorios: items.map(recordatorioPublico), despacho: despachador.status() });
+});
+
+app.get('/api/recordatorios/:id', (req, res) => {
+  const r = recordatorioDelCliente(req);
+  if (!r) return res.status(404).json({ success:false, error:'Recordatorio no encontrado' });
+  res.json({ success: true, recordatorio: recordatorioPublico(r) });
+});
+
+// Vuelve a programar los recordatorios de una reserva hecha por esta API (los cancelados o un canal nuevo):
+// { agenda, reserva_id | rut + fecha + hora, canales? }. La cita y el contacto salen de sus recordatorios
+app.post('/api/recordatorios', (req, res) => {
+  const { canales } = req.body || {};
+  if (!despachador.activo) return res.status(409).json({ success:false, error:'No hay canales de recordatorio configurados' });
+  const filtro = filtroReservaRecordatorio(req.body || {});
+  if (filtro.error) return res.status(400).json({ success:false, error: filtro.error });
+  if (canales !== undefined && (!Array.isArray(canales) || canales.some(c => !despachador.canales[c]))) {
+    return res.status(400).json({ success:false, error:'canales inválidos. Opciones: ' + Object.keys(despachador.canales).join(', ') });
+  }
+  const creados = despachador.programarDeNuevo(deReservaDelCliente(req, filtro), { canales });
+  if (!creados) return res.status(404).json({ success:false, error:'No hay una reserva hecha por esta API con esos datos' });
+  res.status(201).json({ success: true, total: creados.length, recordatorios: creados.map(recordatorioPublico) });
+});
+
+// body: { enviar_en } (ISO 8601): mueve un recordatorio pendiente
+app.patch('/api/recordatorios/:id', (req, res) => {
+  const r = recordatorioDelCliente(req);
+  if (!r) return res.status(404).json({ success:false, error:'Recordatorio no encontrado' });
+  if (r.estado !== 'pendiente') return res.status(409).json({ success:false, error:`El recordatorio ya está ${r.estado}` });
+  const enviarEn = Date.parse((req.body || {}).enviar_en);
+  if (isNaN(enviarEn) || enviarEn <= Date.now() || enviarEn >= despachador.inicio(r)) {
+    return res.status(400).json({ success:false, error:'enviar_en debe ser una fecha ISO 8601 futura y anterior a la cita' });
+  }
+  const actualizado = despachador.store.actualizar(r.id, { enviar_en: new Date(enviarEn).toISOString(), intentos: 0, ultimo_error: null });
+  res.json({ success: true, recordatorio: recordatorioPublico(actualizado) });
+});
+
+app.delete('/api/recordatorios/:id', (req, res) => {
+  const r = recordatorioDelCliente(req);
+  if (!r) return res.status(404).json({ success:false, error:'Recordatorio no encontrado' });
+  if (r.estado !== 'pendiente') return res.status(409).json({ success:false, error:`El recordatorio ya está ${r.estado}` });
+  res.json({ success: true, recordatorio: recordatorioPublico(despachador.store.actualizar(r.id, { estado: 'cancelado', ultimo_error: 'cancelado manualmente' })) });
+});
+
+// Todos los pendientes de una reserva: { agenda, reserva_id | rut + fecha + hora }
+app.post('/api/recordatorios/cancelar', (req, res) => {
+  const filtro = filtroReservaRecordatorio(req.body || {});
+  if (filtro.error) return res.status(400).json({ success:false, error: filtro.error });
+  const cancelados = despachador.cancelar(deReservaDelCliente(req, filtro), 'cancelado manualmente');
+  res.json({ success: true, total: cancelados.length, recordatorios: cancelados.map(recordatorioPublico) });
+});
+
+// La cita cambió de fecha/hora: { agenda, reserva_id | rut + fecha_actual + hora_actual, fecha, hora }
+app.post('/api/recordatorios/reprogramar', (req, res) => {
+  const body = req.body || {};
+  const filtro = filtroReservaRecordatorio({ ...body, fecha: body.fecha_actual, hora: body.hora_actual });
+  if (filtro.error) return res.status(400).json({ success:false, error: filtro.error });
+  const hora = normalizarHora(body.hora);
+  if (!isFechaISO(body.fecha) || !hora) return res.status(400).json({ success:false, error:'fecha (YYYY-MM-DD) y hora (HH:MM) nuevas son requeridas' });
+  const movidos = despachador.reprogramar(deReservaDelCliente(req, filtro), { fecha: body.fecha, hora });
+  res.json({ success: true, total: movidos.length, recordatorios: movidos.map(recordatorioPublico) });
+});
+
+app.post('/api/admin/recordatorios/reload', requiereAdmin, (req, res) => {
+  try {
+    cargarRecordatorios();
+    res.json({ success: true, ...despachador.status() });
+  } catch (error) {
+    logger.error('❌ Error al recargar recordatorios:', error);
+    res.status(error instanceof RecordatorioConfigError ? 400 : 500).json({ success:false, error: error.message });
+  }
+});
+
+// -------------------- RESOLVER (respuestas de chatbot) --------------------
+// POST /api/resolver { tipo, agenda, especialidad?, profesional?, fecha?, respuesta, opciones? }
+// Si el bot envía "opciones" (la lista que le mostró al usuario) se usa tal cual; si no, se
+// obtiene la misma lista que devuelven /api/especialidades|profesionales|horas (cache incluida).
+
+async function opcionesResolver({ tipo, agenda, especialidad, profesional, fecha }) {
+  if (tipo === 'especialidades') return obtenerEspecialidades(agenda);
+  if (tipo === 'profesionales') return obtenerProfesionales(agenda, especialidad);
+  return obtenerHoras({ agenda, especialidad, profesional, fecha });
+}
+
+app.post('/api/resolver', async (req, res) => {
+  const { agenda, especialidad, profesional, fecha, respuesta, opciones } = req.body || {};
+  const tipo = normalizarTipo(req.body && req.body.tipo);
+  if (!tipo) {
+    return res.status(400).json({ success:false, error:'tipo inválido. Opciones: ' + TIPOS_RESOLVER.join(', ') });
+  }
+  if (typeof respuesta !== 'string' || !respuesta.trim()) {
+    return res.status(400).json({ success:false, error:'respuesta es requerida' });
+  }
+  if (opciones !== undefined && (!Array.isArray(opciones) || opciones.some(o => typeof o !== 'string'))) {
+    return res.status(400).json({ success:false, error:'opciones debe ser una lista de strings' });
+  }
+
+  let lista = opciones;
+  if (!lista) {
+    if (!agendas.existe(agenda)) return res.status(400).json({ success:false, error:'Agenda no válida' });
+    if (tipo !== 'especialidades' && !especialidad) return res.status(400).json({ success:false, error:'Especialidad es requerida' });
+    if (tipo === 'horas' && !profesional) return res.status(400).json({ success:false, error:'Profesional es requerido' });
+    if (fecha && !isFechaISO(fecha)) return res.status(400).json({ success:false, error:'Fecha inválida, use formato YYYY-MM-DD' });
+    try {
+      const r = await opcionesResolver({ tipo, agenda, especialidad, profesional, fecha });
+      if (!r.success) return res.status(502).json({ success:false, error: r.error || ERROR_AGENDA });
+      lista = r[tipo];
+    } catch (error) {
+      if (error instanceof PoolOcupadoError) return responderOcupado(res, error);
+      if (error instanceof SeleccionError) return responderSeleccion(res, error);
+      logger.error('❌ Error en /api/resolver:', error);
+      return res.status(500).json({ success:false, error: error.message });
+    }
+  }
+
+  const r = resolverRespuesta(tipo, lista, respuesta);
+  log(`🧩 /api/resolver ${tipo} "${respuesta}" -> ${r.estado}${r.match ? ` (${r.match.valor})` : ''}`);
+  res.json({
+    success: true,
+    tipo,
+    respuesta,
+    estado: r.estado,
+    match: r.match,
+    candidatos: r.candidatos,
+    candidatos_text: r.candidatos.map(c => `${c.indice}. ${c.valor}`).join('\n'),
+    total_opciones: lista.length
+  });
+});
+
+// -------------------- FLUJO GUIADO --------------------
+// El bot ya no guarda el estado de la conversación: POST /api/flujo abre una sesión y cada
+// POST /api/flujo/:id/paso { respuesta } devuelve la siguiente pregunta con sus opciones.
+const flujos = new FlujoStore({
+  file: process.env.FLUJO_FILE || path.join(__dirname, 'data', 'flujos.json'),
+  ttlMs: Number(process.env.FLUJO_TTL_MIN || 30) * 1000*60
+});
+
+const motorFlujo = new FlujoMotor({
+  camposPaciente: CAMPOS_PACIENTE,
+  servicios: {
+    agendas: () => agendas.nombres(),
+    especialidades: obtenerEspecialidades,
+    profesionales: obtenerProfesionales,
+    horas: obtenerHoras,
+    validarCampo: (campo, valor, datos) => validarCampo(campo, valor, { previsiones: previsionesDe(datos.agenda) }),
+    reservar: reservarConRecordatorios
+  }
+});
+
+let timerFlujos = null;
+
+// un paso a la vez por sesión: dos mensajes seguidos del mismo usuario no se pisan
+const flujosEnCurso = new Set();
+
+function responderFlujo(res, s, r = {}) {
+  res.json({
+    success: true,
+    aceptado: r.aceptado,
+    mensaje: r.mensaje || undefined,
+    ...motorFlujo.preguntar(s),
+    expira: flujos.expira(s)
+  });
+}
+
+function errorFlujo(res, error, contexto) {
+  if (error instanceof FlujoError) {
+    log(`⚠️ ${contexto}: ${error.message}`);
+    return res.status(error.status).json({ success:false, error: error.message });
+  }
+  responderErrorReserva(res, error, contexto);
+}
+
+async function conSesionFlujo(req, res, fn) {
+  const s = flujos.get(req.params.id);
+  if (!s) return res.status(404).json({ success:false, error:'Sesión no encontrada o expirada' });
+  if (flujosEnCurso.has(s.id)) return res.status(409).json({ success:false, error:'La sesión está procesando otro paso' });
+  flujosEnCurso.add(s.id);
+  try {
+    await fn(s);
+  } catch (error) {
+    errorFlujo(res, error, `Flujo ${s.id}`);
+  } finally {
+    // lo avanzado hasta el error también se guarda (si no la borraron entretanto)
+    flujos.tocar(s);
+    flujosEnCurso.delete(s.id);
+  }
+}
+
+// Piden y guardan RUT, teléfono y email del paciente, y terminan en una reserva: nunca sin API key
+app.use('/api/flujo', requiereApiKey);
+
+app.post('/api/flujo', async (req, res) => {
+  const { agenda, paciente } = req.body || {};
+  if (agenda !== undefined && !agendas.existe(agenda)) return res.status(400).json({ success:false, error:'Agenda no válida' });
+  if (paciente !== undefined && (!paciente || typeof paciente !== 'object' || Array.isArray(paciente))) {
+    return res.status(400).json({ success:false, error:'paciente debe ser un objeto' });
+  }
+  // lo que ya se sabe del paciente se valida ahora y no se vuelve a preguntar
+  const v = validarPaciente(paciente || {}, { previsiones: previsionesDe(agenda) });
+  if (!v.ok) {
+    return res.status(400).json({ success:false, error:'Datos del paciente inválidos: ' + Object.values(v.errores).join(' '), code:'PACIENTE_INVALIDO', errores: v.errores });
+  }
+  const datosPaciente = {};
+  CAMPOS_PACIENTE.filter(c => !v.faltantes.includes(c)).forEach(c => { datosPaciente[c] = v.paciente[c]; });
+
+  const s = flujos.crear({ ...(agenda ? { agenda } : {}), paciente: datosPaciente }, { cliente: req.cliente });
+  log(`🧭 Flujo ${s.id} iniciado${agenda ? ` (${agenda})` : ''}`);
+  flujosEnCurso.add(s.id);
+  try {
+    await motorFlujo.prepararPaso(s);
+    res.status(201);
+    responderFlujo(res, s);
+  } catch (error) {
+    errorFlujo(res, error, `Flujo ${s.id}`);
+  } finally {
+    flujos.tocar(s);
+    flujosEnCurso.delete(s.id);
+  }
+});
+
+app.get('/api/flujo/:id', (req, res) => conSesionFlujo(req, res, async (s) => {
+  if (s.estado === 'activo') await motorFlujo.prepararPaso(s);
+  responderFlujo(res, s);
+}));
+
+app.post('/api/flujo/:id/paso', (req, res) => conSesionFlujo(req, res, async (s) => {
+  const respuesta = (req.body || {}).respuesta;
+  if (respuesta !== undefined && typeof respuesta !== 'string' && typeof respuesta !== 'number') {
+    return res.status(400).json({ success:false, error:'respuesta debe ser texto' });
+  }
+  if (s.estado !== 'activo') {
+    return res.status(409).json({ success:false, error:`La sesión ya está ${s.estado}`, estado: s.estado });
+  }
+  const pasoAnterior = s.paso;
+  const r = await motorFlujo.avanzar(s, respuesta);
+  log(`🧭 Flujo ${s.id} ${pasoAnterior} -> ${s.estado === 'activo' ? s.paso : s.estado}${r.aceptado ? '' : ' (no aceptado)'}`);
+  responderFlujo(res, s, r);
+}));
+
+app.delete('/api/flujo/:id', (req, res) => {
+  if (!flujos.eliminar(req.params.id)) return res.status(404).json({ success:false, error:'Sesión no encontrada o expirada' });
+  res.json({ success: true });
+});
+
+// -------------------- KOMMO --------------------
+// Fuente de datos para los dropdowns del widget/Salesbot ({ nombre, value }) y
+// actualización de leads. Reemplaza al proxy separado que apuntaba a Render.
+const KOMMO_AGENDA_DEFAULT = process.env.KOMMO_AGENDA_DEFAULT || 'kineyfisio';
+
+const kommo = new KommoClient({
+  baseUrl: process.env.KOMMO_BASE_URL,
+  token: process.env.KOMMO_TOKEN,
+  campos: leerJsonEnv('KOMMO_CAMPOS')
+});
+
+// Nunca lanza: la reserva ya ocurrió (o falló) y eso es lo que importa al paciente
+async function sincronizarLeadKommo(leadId, datos) {
+  try {
+    const r = await kommo.actualizarLead(leadId, datos);
+    log(`🔗 Lead Kommo ${leadId} actualizado (${r.campos} campos, estado ${datos.estado})`);
+    return { actualizado: true, lead_id: r.lead_id };
+  } catch (e) {
+    log(`⚠️ No se pudo actualizar lead Kommo ${leadId}: ${e.message}`);
+    return { actualizado: false, lead_id: leadId, error: e.message };
+  }
+}
+
+function responderKommo(res, clave, r, campoNombre) {
+  if (!r.success) return res.status(502).json({ success:false, error: r.error || ERROR_AGENDA });
+  const items = opcionesKommo(r[`${clave}_objects`] || r[clave], campoNombre);
+  res.json({ success: true, total: items.length, [clave]: items });
+}
+
+function errorKommo(res, error, contexto) {
+  if (error instanceof PoolOcupadoError) return responderOcupado(res, error);
+  if (error instanceof SeleccionError) return responderSeleccion(res, error);
+  logger.error(`❌ error /api/kommo/${contexto}`, error);
+  res.status(500).json({ success:false, error: String(error && error.message || error) });
+}
+
+app.get('/api/kommo/especialidades', async (req, res) => {
+  const agenda = req.query.agenda || KOMMO_AGENDA_DEFAULT;
+  if (!agendas.existe(agenda)) return res.status(400).json({ success:false, error:'Agenda no válida' });
+  try {
+    responderKommo(res, 'especialidades', await obtenerEspecialidades(agenda), 'text');
+  } catch (error) {
+    errorKommo(res, error, 'especialidades');
+  }
+});
+
+app.get('/api/kommo/profesionales', async (req, res) => {
+  const agenda = req.query.agenda || KOMMO_AGENDA_DEFAULT;
+  const especialidad = req.query.especialidad || 'KINESIOLOGÍA';
+  if (!agendas.existe(agenda)) return res.status(400).json({ success:false, error:'Agenda no válida' });
+  try {
+    responderKommo(res, 'profesionales', await obtenerProfesionales(agenda, especialidad), 'nombre');
+  } catch (error) {
+    errorKommo(res, error, 'profesionales');
+  }
+});
+
+app.get('/api/kommo/horas', async (req, res) => {
+  const agenda = req.query.agenda || KOMMO_AGENDA_DEFAULT;
+  const { especialidad, profesional, fecha } = req.query;
+  if (!agendas.existe(agenda)) return res.status(400).json({ success:false, error:'Agenda no válida' });
+  if (!especialidad || !profesional) return res.status(400).json({ success:false, error:'Especialidad y profesional son requeridos' });
+  if (fecha && !isFechaISO(fecha)) return res.status(400).json({ success:false, error:'Fecha inválida, use formato YYYY-MM-DD' });
+  try {
+    responderKommo(res, 'horas', await obtenerHoras({ agenda, especialidad, profesional, fecha }), 'hora');
+  } catch (error) {
+    errorKommo(res, error, 'horas');
+  }
+});
+
+// -------------------- API V2 --------------------
+
+// reserva igual que POST /api/reservar: nunca sin API key
+app.post('/api/v2/agendas/:agenda/reservas', requiereApiKey);
+
+app.use('/api/v2', crearRouterV2({
+  agendas,
+  servicios: {
+    especialidades: obtenerEspecialidades,
+    profesionales: obtenerProfesionales,
+    horas: obtenerHoras,
+    horasFechas: consultarHorasFechas,
+    reservar: reservarConRecordatorios
+  },
+  validarReserva: validarSolicitudReserva,
+  maxDiasRango: HORAS_RANGO_MAX_DIAS
+}));
+
+// -------------------- START SERVER --------------------
+async function cerrar() {
+  prewarm.stop();
+  watcherSuscripciones.stop();
+  despachador.stop();
+  clearInterval(timerFlujos);
+  if (cache.flush) cache.flush();
+  await pool.close();
+}
+
+// require('./server') (tests) no levanta el puerto ni los procesos de fondo
+if (require.main === module) {
+  app.listen(PORT, () => {
+    log(`🚀 Servidor corriendo en puerto ${PORT}`);
+    log(`📋 Agendas disponibles: ${agendas.nombres().join(', ')}`);
+    prewarm.start();
+    watcherSuscripciones.start();
+    despachador.start();
+    timerFlujos = setInterval(() => {
+      const n = flujos.limpiar();
+      if (n > 0) log(`🧹 ${n} sesión(es) de flujo expirada(s)`);
+    }, 1000*60);
+  });
+
+  const salir = () => cerrar().then(() => process.exit());
+  process.on('SIGINT', salir);
+  process.on('SIGTERM', salir);
+}
+
+module.exports = { app, cerrar, getBrowser, scrapeEspecialidades, scrapeProfesionales, scrapeHoras };
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AgendaRegistry, AgendaConfigError } = require('../lib/agendas');
+
+function directorio() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pxm-agendas-'));
+  const file = path.join(dir, 'agendas.json');
+  fs.writeFileSync(file, JSON.stringify({
+    defaults: { timeouts: { navegacion: 30000 } },
+    agendas: { cesmed: { url: 'https://web.philaxmed.cl/ReservaOnline.html?mc=cesmed' }, kine: { url: 'https://web.philaxmed.cl/ReservaOnline.html?mc=kine' } }
+  }));
+  return { file, overridesFile: path.join(dir, 'data', 'agendas.json') };
+}
+
+test('agendas: los cambios en caliente van al archivo de overrides, no al versionado', () => {
+  const { file, overridesFile } = directorio();
+  const original = fs.readFileSync(file, 'utf8');
+  const r = new AgendaRegistry({ file, overridesFile });
+  r.load();
+
+  r.upsert('nueva', { url: 'https://web.philaxmed.cl/ReservaOnline.html?mc=nueva' });
+  assert.equal(r.remove('kine'), true);
+  assert.equal(r.remove('nada'), false);
+  assert.deepEqual(r.nombres().sort(), ['cesmed', 'nueva']);
+  assert.equal(r.get('nueva').timeouts.navegacion, 30000);
+  assert.equal(fs.readFileSync(file, 'utf8'), original);
+  assert.deepEqual(JSON.parse(fs.readFileSync(overridesFile, 'utf8')).eliminadas, ['kine']);
+
+  // al recargar se aplican encima del archivo versionado; volver a crear una eliminada la restaura
+  const r2 = new AgendaRegistry({ file, overridesFile });
+  r2.load();
+  assert.deepEqual(r2.nombres().sort(), ['cesmed', 'nueva']);
+  r2.upsert('kine', { url: 'https://otra.example/ReservaOnline.html?mc=kine' });
+  assert.equal(r2.get('kine').url, 'https://otra.example/ReservaOnline.html?mc=kine');
+  assert.deepEqual(JSON.parse(fs.readFileSync(overridesFile, 'utf8')).eliminadas, []);
+});
+
+test('agendas: sin archivo de overrides no se puede escribir', () => {
+  const { file } = directorio();
+  const r = new AgendaRegistry({ file });
+  r.load();
+  assert.throws(() => r.upsert('x', { url: 'https://a.example/' }), AgendaConfigError);
+  assert.deepEqual(r.nombres(), ['cesmed', 'kine']);
+});
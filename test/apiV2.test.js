@@ -0,0 +1,17 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { toSlots } = require('../lib/apiV2');
+
+test('apiV2: toSlots informa el estado de Philaxmed, "desconocido" si no lo dijo', () => {
+  const slots = toSlots({ agenda: 'cesmed', profesionalId: 'paula-diaz', fecha: '2026-10-21' }, [
+    { hora: '15:00', estado: 'DISPONIBLE', duracion_min: 45 },
+    { hora: '15:45', estado: 'DESCONOCIDO' },
+    { hora: '16:30', estado: 'OCUPADO' },
+    '17:15'
+  ]);
+  assert.deepEqual(slots.map(s => [s.hora, s.estado]), [
+    ['15:00', 'disponible'], ['15:45', 'desconocido'], ['16:30', 'ocupado'], ['17:15', 'desconocido']
+  ]);
+  assert.equal(slots[0].inicio, '2026-10-21T15:00:00-03:00');
+  assert.equal(slots[0].fin, '2026-10-21T15:45:00-03:00');
+});
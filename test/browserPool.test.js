@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { BrowserPool, PoolOcupadoError } = require('../lib/browserPool');
+
+// navegador falso: abrirPagina() emite targetcreated como puppeteer
+function fakeLaunch() {
+  const navegadores = [];
+  const launch = async () => {
+    const b = new EventEmitter();
+    b.cerrado = 0;
+    b.process = () => null;
+    b.close = async () => { b.cerrado++; b.emit('disconnected'); };
+    b.abrirPagina = () => b.emit('targetcreated', { type: () => 'page' });
+    navegadores.push(b);
+    return b;
+  };
+  return { launch, navegadores };
+}
+
+function diferido() {
+  let resolve;
+  const promise = new Promise(r => { resolve = r; });
+  return { promise, resolve };
+}
+
+test('browserPool: dos trabajos que terminan a la vez reciclan el navegador una sola vez', async () => {
+  const { launch, navegadores } = fakeLaunch();
+  const pool = new BrowserPool({ launch, size: 2, perAgenda: 2, maxPages: 2 });
+  const fin = diferido();
+  const trabajo = () => pool.run(async () => {
+    const b = await pool.getBrowser();
+    b.abrirPagina();
+    await fin.promise;
+    return 'ok';
+  });
+
+  const a = trabajo();
+  const b = trabajo();
+  await new Promise(r => setImmediate(r));
+  assert.equal(pool.stats().active, 2);
+  fin.resolve();
+  assert.deepEqual(await Promise.all([a, b]), ['ok', 'ok']);
+  await new Promise(r => setImmediate(r));
+
+  const s = pool.stats();
+  assert.equal(s.restarts, 1);
+  assert.equal(s.crashes, 0);
+  assert.equal(s.browser, false);
+  assert.equal(s.pagesSinceLaunch, 0);
+  assert.equal(s.draining, false);
+  assert.equal(navegadores[0].cerrado, 1);
+
+  // el siguiente trabajo levanta un navegador nuevo
+  await pool.run(async () => { (await pool.getBrowser()).abrirPagina(); });
+  assert.equal(pool.stats().launches, 2);
+  assert.equal(pool.stats().pagesSinceLaunch, 1);
+  await pool.close();
+});
+
+test('browserPool: si el navegador se cae durante un reciclaje la cola no queda trabada', async () => {
+  const { launch, navegadores } = fakeLaunch();
+  const pool = new BrowserPool({ launch, size: 2, perAgenda: 2, maxPages: 1, queueTimeout: 200 });
+  const finA = diferido();
+  const finB = diferido();
+  const a = pool.run(async () => { (await pool.getBrowser()).abrirPagina(); await finA.promise; });
+  const b = pool.run(async () => { await pool.getBrowser(); await finB.promise; });
+  await new Promise(r => setImmediate(r));
+
+  // A termina: empieza el reciclaje y espera a B
+  finA.resolve();
+  await a;
+  await new Promise(r => setImmediate(r));
+  assert.equal(pool.stats().draining, true);
+  const c = pool.run(async () => { (await pool.getBrowser()).abrirPagina(); return 'c'; });
+
+  // el navegador se cae antes de que B termine
+  navegadores[0].emit('disconnected');
+  assert.equal(pool.stats().draining, false);
+  finB.resolve();
+  await b;
+
+  assert.equal(await c, 'c');
+  assert.equal(await pool.run(async () => 'd'), 'd');
+  assert.deepEqual([pool.stats().crashes, pool.stats().launches], [1, 2]);
+  await pool.close();
+});
+
+test('browserPool: respeta size y perAgenda; cola llena rechaza con PoolOcupadoError', async () => {
+  const { launch } = fakeLaunch();
+  const pool = new BrowserPool({ launch, size: 2, perAgenda: 1, maxQueue: 1, maxPages: 100 });
+  const fin = diferido();
+  const orden = [];
+  const trabajo = (agenda, id) => pool.run(async () => { orden.push(id); await fin.promise; }, { agenda });
+
+  const t1 = trabajo('a', 1);
+  const t2 = trabajo('a', 2); // espera: 'a' ya tiene uno activo
+  await new Promise(r => setImmediate(r));
+  assert.deepEqual(orden, [1]);
+  await assert.rejects(trabajo('b', 3), PoolOcupadoError);
+
+  fin.resolve();
+  await Promise.all([t1, t2]);
+  assert.deepEqual(orden, [1, 2]);
+  assert.equal(pool.stats().rejected, 1);
+  await pool.close();
+});
@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryLRUCache, FileCache, CachePolicy } = require('../lib/cache');
+
+function reloj(inicio = 1000000) {
+  let ahora = inicio;
+  const r = () => ahora;
+  r.avanzar = ms => { ahora += ms; };
+  return r;
+}
+
+function archivo() {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'pxm-cache-')), 'cache.json');
+}
+
+test('cache: fresca -> vencida servible -> descartada', () => {
+  const r = reloj();
+  const c = new MemoryLRUCache({ reloj: r });
+  c.set('horas:a', [1], { ttl: 1000, stale: 500 });
+
+  assert.equal(c.estado(c.get('horas:a')), 'fresh');
+  r.avanzar(1000);
+  assert.equal(c.estado(c.get('horas:a')), 'stale');
+  r.avanzar(499);
+  assert.equal(c.estado(c.get('horas:a')), 'stale');
+  r.avanzar(1);
+  assert.equal(c.get('horas:a'), null);
+  assert.deepEqual(c.keys(), []);
+  assert.deepEqual([c.stats().hits, c.stats().misses], [3, 1]);
+
+  // sin ventana stale pasa directo de fresca a descartada; purgar limpia sin leer
+  c.set('horas:b', [2], { ttl: 1000 });
+  c.set('horas:c', [3], { ttl: 5000 });
+  r.avanzar(1000);
+  assert.equal(c.purgar(), 1);
+  assert.deepEqual(c.keys(), ['horas:c']);
+});
+
+test('cache: LRU desaloja la menos usada', () => {
+  const c = new MemoryLRUCache({ maxEntries: 2, reloj: reloj() });
+  c.set('a', 1, { ttl: 1000 });
+  c.set('b', 2, { ttl: 1000 });
+  c.get('a');
+  c.set('c', 3, { ttl: 1000 });
+  assert.deepEqual(c.keys(), ['a', 'c']);
+  assert.equal(c.stats().evictions, 1);
+
+  // volver a escribir una clave también la renueva
+  c.set('a', 10, { ttl: 1000 });
+  c.set('d', 4, { ttl: 1000 });
+  assert.deepEqual(c.keys(), ['a', 'd']);
+});
+
+test('cache: el backend de archivo persiste y al cargar descarta lo vencido', () => {
+  const file = archivo();
+  const r = reloj();
+  const c = new FileCache({ file, reloj: r });
+  c.set('especialidades:a', ['KINE'], { ttl: 1000, stale: 1000 });
+  c.set('horas:a|x', ['09:00'], { ttl: 100 });
+  c.flush();
+  assert.ok(!fs.existsSync(`${file}.tmp`));
+
+  r.avanzar(500);
+  const c2 = new FileCache({ file, reloj: r });
+  assert.deepEqual(c2.keys().sort(), ['especialidades:a']);
+  assert.deepEqual(c2.get('especialidades:a').value, ['KINE']);
+
+  r.avanzar(1000);
+  assert.equal(c2.estado(c2.get('especialidades:a')), 'stale');
+  assert.deepEqual(new FileCache({ file, reloj: r }).keys(), ['especialidades:a']);
+  r.avanzar(500);
+  assert.deepEqual(new FileCache({ file, reloj: r }).keys(), []);
+});
+
+test('cache: leerSWR revalida en segundo plano una sola vez por clave', async () => {
+  const r = reloj();
+  const c = new MemoryLRUCache({ reloj: r });
+  let refrescos = 0;
+  let terminar;
+  const refrescar = () => {
+    refrescos++;
+    return new Promise(resolve => { terminar = resolve; }).then(() => c.set('k', 'nuevo', { ttl: 1000, stale: 1000 }));
+  };
+
+  assert.deepEqual(c.leerSWR('k', refrescar), { estado: 'miss', value: null });
+  c.set('k', 'viejo', { ttl: 1000, stale: 1000 });
+  assert.deepEqual(c.leerSWR('k', refrescar), { estado: 'fresh', value: 'viejo' });
+  assert.equal(refrescos, 0);
+
+  r.avanzar(1500);
+  assert.deepEqual(c.leerSWR('k', refrescar), { estado: 'stale', value: 'viejo' });
+  assert.deepEqual(c.leerSWR('k', refrescar), { estado: 'stale', value: 'viejo' });
+  await new Promise(resolve => setImmediate(resolve));
+  assert.equal(refrescos, 1);
+
+  terminar();
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepEqual(c.leerSWR('k', refrescar), { estado: 'fresh', value: 'nuevo' });
+
+  // un refresco que falla libera la clave para el siguiente intento
+  const errores = [];
+  r.avanzar(1500);
+  c.leerSWR('k', () => Promise.reject(new Error('caído')), { alFallar: e => errores.push(e.message) });
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepEqual(errores, ['caído']);
+  assert.equal(c.revalidando.size, 0);
+});
+
+test('cache: la política usa el override de la agenda y si no, el del tipo', () => {
+  const p = new CachePolicy({ ttl: { horas: 60000 }, stale: { especialidades: 86400000 }, agendas: { cesmed: { ttl: { horas: 30000 } } } });
+  assert.equal(p.ttl('horas', 'cesmed'), 30000);
+  assert.equal(p.ttl('horas', 'otra'), 60000);
+  assert.equal(p.stale('horas', 'cesmed'), 0);
+  p.setAgenda('cesmed', null);
+  assert.equal(p.ttl('horas', 'cesmed'), 60000);
+});
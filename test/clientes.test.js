@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ClienteRegistry, ClienteConfigError, LimitadorTasa, hashKey } = require('../lib/clientes');
+
+const KEY = 'clave-de-prueba-suficientemente-larga';
+
+function registro(clientes, env) {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'pxm-clientes-')), 'clientes.json');
+  fs.writeFileSync(file, JSON.stringify({ defaults: { porMinuto: 10 }, clientes }));
+  return new ClienteRegistry({ file, env });
+}
+
+test('clientes: sin archivo ni API_KEYS la API queda abierta', () => {
+  const r = new ClienteRegistry({ file: path.join(os.tmpdir(), 'pxm-no-existe.json') });
+  assert.deepEqual(r.load(), []);
+  assert.equal(r.activo, false);
+});
+
+test('clientes: autentica keys en claro y como sha256, con defaults', () => {
+  const r = registro({ bot: { keys: [KEY] }, ops: { keys: ['sha256:' + hashKey('otra-clave-de-prueba-muy-larga')], admin: true, maxCola: 2 } });
+  r.load();
+  assert.equal(r.autenticar(KEY).nombre, 'bot');
+  assert.equal(r.autenticar(KEY).porMinuto, 10);
+  assert.equal(r.autenticar('otra-clave-de-prueba-muy-larga').admin, true);
+  assert.equal(r.autenticar('otra-clave-de-prueba-muy-larga').maxCola, 2);
+  assert.equal(r.autenticar('cualquier cosa'), null);
+  assert.equal(r.autenticar(null), null);
+});
+
+test('clientes: API_KEYS se suma al archivo y gana en el mismo nombre', () => {
+  const r = registro({ bot: { keys: [KEY] } }, JSON.stringify({ bot: { keys: ['nueva-clave-de-prueba-muy-larga'] } }));
+  r.load();
+  assert.equal(r.autenticar(KEY), null);
+  assert.equal(r.autenticar('nueva-clave-de-prueba-muy-larga').nombre, 'bot');
+});
+
+test('clientes: config inválida no reemplaza la anterior', () => {
+  const r = registro({ bot: { keys: [KEY] } });
+  r.load();
+  fs.writeFileSync(r.file, JSON.stringify({ clientes: { bot: { keys: ['corta'] } } }));
+  assert.throws(() => r.load(), ClienteConfigError);
+  fs.writeFileSync(r.file, JSON.stringify({ clientes: { a: { keys: [KEY] }, b: { keys: [KEY] } } }));
+  assert.throws(() => r.load(), /repetida/);
+  assert.equal(r.autenticar(KEY).nombre, 'bot');
+});
+
+test('limitador: ráfaga y luego Retry-After hasta recargar un token', () => {
+  let ahora = 1000;
+  const l = new LimitadorTasa({ reloj: () => ahora });
+  assert.equal(l.consumir('bot', 60, 2).ok, true);
+  assert.equal(l.consumir('bot', 60, 2).ok, true);
+  const r = l.consumir('bot', 60, 2);
+  assert.equal(r.ok, false);
+  assert.equal(r.retryAfter, 1);
+  ahora += 1000;
+  assert.equal(l.consumir('bot', 60, 2).ok, true);
+  // otro cliente tiene su propio balde
+  assert.equal(l.consumir('ops', 60, 2).ok, true);
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { DiagnosticoStore, trazaActual, paso } = require('../lib/diagnostico');
+
+function servidor(store, rutas) {
+  const app = express();
+  app.use('/api', store.middleware());
+  rutas(app);
+  return new Promise(resolve => {
+    const server = app.listen(0, () => resolve({ server, url: `http://127.0.0.1:${server.address().port}` }));
+  });
+}
+
+test('diagnóstico: la traza sigue al request a través de código async y los errores llevan request_id', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pxm-debug-'));
+  const store = new DiagnosticoStore({ dir });
+  const { server, url } = await servidor(store, (app) => {
+    app.get('/api/algo', async (req, res) => {
+      paso('inicio');
+      await new Promise(r => setTimeout(r, 5));
+      paso('despues', { ok: false });
+      trazaActual().fallo(new Error('falló'), 'layout');
+      res.status(500).json({ success:false, error:'falló' });
+    });
+  });
+  t.after(() => { server.close(); fs.rmSync(dir, { recursive: true, force: true }); });
+
+  const r = await fetch(`${url}/api/algo`, { headers: { 'X-Request-Id': 'cliente-1234' } });
+  assert.equal(r.headers.get('x-request-id'), 'cliente-1234');
+  assert.equal((await r.json()).request_id, 'cliente-1234');
+
+  const traza = store.get('cliente-1234');
+  assert.deepEqual(traza.pasos.map(p => p.paso), ['inicio', 'despues']);
+  assert.equal(traza.status, 500);
+  assert.equal(traza.error.causa, 'layout');
+  // fallida: queda en disco para después de un reinicio
+  assert.ok(fs.existsSync(path.join(dir, 'cliente-1234', 'traza.json')));
+});
+
+test('diagnóstico: id inválido o repetido del cliente se reemplaza', () => {
+  const store = new DiagnosticoStore({ dir: os.tmpdir() });
+  assert.notEqual(store.crear({ id: '../../etc' }).id, '../../etc');
+  const a = store.crear({ id: 'repetido-01' });
+  assert.equal(a.id, 'repetido-01');
+  assert.notEqual(store.crear({ id: 'repetido-01' }).id, 'repetido-01');
+});
+
+test('diagnóstico: solo se sirven artefactos listados en la traza', () => {
+  const store = new DiagnosticoStore({ dir: os.tmpdir() });
+  const traza = store.crear({ id: 'artefactos-01' });
+  traza.artefactos.push({ tipo: 'html', archivo: '01-layout.html' });
+  assert.equal(store.archivo('artefactos-01', '01-layout.html'), path.join(os.tmpdir(), 'artefactos-01', '01-layout.html'));
+  assert.equal(store.archivo('artefactos-01', 'traza.json'), null);
+  assert.equal(store.archivo('artefactos-01', '../../x'), null);
+});
+
+test('diagnóstico: se conservan solo las últimas trazas en memoria', () => {
+  const store = new DiagnosticoStore({ dir: path.join(os.tmpdir(), 'pxm-no-existe'), max: 2 });
+  const ids = [1, 2, 3].map(() => store.crear({}).id);
+  assert.equal(store.get(ids[0]), null);
+  assert.ok(store.get(ids[2]));
+});
+
+test('diagnóstico: traza.json, HTML y get() salen redactados', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pxm-debug-'));
+  const { redactar } = require('../lib/logger');
+  const store = new DiagnosticoStore({ dir, redactar });
+  const traza = store.crear({ id: 'redactar-1234', metodo: 'POST', ruta: '/api/horas' });
+  traza.paso('formulario', { rut: '12.345.678-5', nota: 'contacto maria@correo.cl' });
+  const page = {
+    url: () => 'https://web.philaxmed.cl/x',
+    screenshot: async ({ path: archivo }) => fs.writeFileSync(archivo, 'png'),
+    content: async () => '<p>12.345.678-5 · maria@correo.cl · +56 9 1234 5678</p>'
+  };
+  await store.capturar(traza, page, 'layout');
+
+  const html = fs.readFileSync(path.join(dir, 'redactar-1234', '01-layout.html'), 'utf8');
+  assert.equal(html, '<p>[rut] · [email] · [telefono]</p>');
+  const json = fs.readFileSync(path.join(dir, 'redactar-1234', 'traza.json'), 'utf8');
+  assert.doesNotMatch(json, /12\.345\.678|maria@/);
+  assert.deepEqual(store.get('redactar-1234').pasos[0], { t: store.get('redactar-1234').pasos[0].t, paso: 'formulario', rut: '[redactado]', nota: 'contacto [email]' });
+  fs.rmSync(dir, { recursive: true, force: true });
+});
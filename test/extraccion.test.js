@@ -0,0 +1,120 @@
+// Extractores (lib/extraccion) contra la entrada grabada en cada fixture: no necesita navegador
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const {
+  especialidadesDesdePagina,
+  profesionalesDesdePagina,
+  horasDesdePagina,
+  horasDesdeTexto,
+  horasDesdeXHR,
+  resultadoReservaDesdeTexto,
+  filasDeReserva
+} = require('../lib/extraccion');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+function flujos() {
+  return fs.readdirSync(FIXTURES, { withFileTypes: true })
+    .filter(d => d.isDirectory() && !d.name.startsWith('_'))
+    .flatMap(d => fs.readdirSync(path.join(FIXTURES, d.name)).map(f => path.join(FIXTURES, d.name, f)))
+    .filter(dir => fs.existsSync(path.join(dir, 'entrada.json')));
+}
+
+const leer = (dir, archivo) => JSON.parse(fs.readFileSync(path.join(dir, archivo), 'utf8'));
+
+// los sintéticos se marcan en el nombre: no prueban el HTML real de Philaxmed (docs/fixtures.md)
+const origen = dir => (leer(dir, 'manifest.json').sintetico ? ' (sintético)' : '');
+
+for (const dir of flujos()) {
+  test(`fixture ${path.relative(FIXTURES, dir)}${origen(dir)}`, () => {
+    const entrada = leer(dir, 'entrada.json');
+    const esperado = leer(dir, 'esperado.json');
+    const { parametros } = leer(dir, 'manifest.json');
+
+    if (entrada.especialidades) {
+      assert.deepEqual(especialidadesDesdePagina(entrada.especialidades), esperado);
+    } else if (entrada.profesionales) {
+      assert.deepEqual(profesionalesDesdePagina(entrada.profesionales), esperado);
+    } else {
+      const dias = entrada.horas.map((e, i) => ({ fecha: parametros.fechas[i] || null, horas: horasDesdePagina(e) }));
+      assert.deepEqual(dias, esperado);
+    }
+  });
+}
+
+test('hay fixtures de kineyfisio y cesmed', () => {
+  const agendas = new Set(flujos().map(dir => path.basename(path.dirname(dir))));
+  assert.ok(agendas.has('kineyfisio'));
+  assert.ok(agendas.has('cesmed'));
+});
+
+test('especialidades: sin celdas usa las líneas del texto sin los botones', () => {
+  const r = especialidadesDesdePagina({ celdas: [], texto: 'Reservar hora\nPor especialidad\nKINESIOLOGÍA\nNUTRICIÓN' });
+  assert.deepEqual(r.map(e => e.text), ['KINESIOLOGÍA', 'NUTRICIÓN']);
+});
+
+test('profesionales: sin "Especialidad:" usa la primera línea de cada celda y no repite', () => {
+  const r = profesionalesDesdePagina({ texto: '', celdas: [{ text: 'Ana Soto Pérez\nKinesióloga' }, { text: 'Ana Soto Pérez' }, { text: 'abc' }] });
+  assert.deepEqual(r, [{ nombre: 'Ana Soto Pérez', value: 'Ana Soto Pérez', especialidad: 'Kinesióloga' }]);
+});
+
+test('profesionales: la especialidad sale de la tarjeta, también con las líneas pegadas', () => {
+  const r = profesionalesDesdePagina({ texto: '', celdas: [{ text: 'Paula Díaz SotoEspecialidad: KINESIOLOGÍA' }] });
+  assert.deepEqual(r, [{ nombre: 'Paula Díaz Soto', value: 'Paula Díaz Soto', especialidad: 'KINESIOLOGÍA' }]);
+});
+
+test('horas: el DOM descarta OCUPADO y repetidas (gana el estado explícito)', () => {
+  const r = horasDesdeTexto('09:00 - DISPONIBLE\n09:30 - OCUPADO\n10:00\n10:00 - DISPONIBLE\n10:30 (OCUPADO)');
+  assert.deepEqual(r.map(h => [h.hora, h.estado]), [['09:00', 'DISPONIBLE'], ['10:00', 'DISPONIBLE']]);
+});
+
+test('horas: el XHR JSON manda sobre el DOM', () => {
+  const xhr = { url: 'https://x/onlineBooking/application', json: { data: { slots: [{ start: '08:15' }, { start: '08:45' }] } }, text: null };
+  assert.deepEqual(horasDesdePagina({ xhr, texto: '09:00 - DISPONIBLE' }).map(h => h.hora), ['08:15', '08:45']);
+});
+
+test('horas: XHR de texto solo cuenta si viene de /onlineBooking/application', () => {
+  assert.equal(horasDesdeXHR({ url: 'https://x/otra', json: null, text: '09:00' }).length, 0);
+  assert.deepEqual(horasDesdeXHR({ url: 'https://x/onlineBooking/application', json: null, text: '//OK["09:00","09:00"]' }).map(h => [h.hora, h.estado]), [['09:00', 'DESCONOCIDO']]);
+});
+
+test('reserva: el id sale sólo de una etiqueta explícita, no del RUT, teléfono ni "Nombre"', () => {
+  const comprobante = 'Reserva confirmada\nNombre: Juan Pérez Soto\nRUT: 12.345.678-5\nTeléfono: 56912345678\n' +
+    'Fecha: 20/10/2026 10:00\nN° de reserva: 12345\nFolio 998877';
+  const r = resultadoReservaDesdeTexto(comprobante);
+  assert.deepEqual([r.confirmada, r.tomada, r.id], [true, false, '12345']);
+
+  assert.equal(resultadoReservaDesdeTexto('Su hora fue reservada con éxito.\nTeléfono: 56912345678. Folio 998877').id, '998877');
+  assert.equal(resultadoReservaDesdeTexto('La reserva fue realizada. Código de reserva: AB-7781').id, 'AB-7781');
+  assert.equal(resultadoReservaDesdeTexto('Reserva exitosa. Número de atención #40021').id, '40021');
+  // sin etiqueta no hay id, aunque haya números
+  assert.equal(resultadoReservaDesdeTexto('Reserva confirmada para Juan Nombre 12345, fono 56912345678').id, null);
+  assert.equal(resultadoReservaDesdeTexto('Reserva confirmada. Folio: pendiente').id, null);
+});
+
+test('reserva: "comprobante" o "su reserva" no confirman; la hora tomada se detecta', () => {
+  assert.equal(resultadoReservaDesdeTexto('Descargue aquí el comprobante de su reserva anterior').confirmada, false);
+  assert.equal(resultadoReservaDesdeTexto('Complete los datos para su reserva').confirmada, false);
+  const tomada = resultadoReservaDesdeTexto('Lo sentimos, la hora ya no está disponible');
+  assert.deepEqual([tomada.tomada, tomada.confirmada], [true, false]);
+});
+
+test('anular: el id calza como palabra completa; fecha + hora exigen el RUT; varias filas = ambigua', () => {
+  const filas = [
+    'Kinesiología · Ana Soto · 20/10/2026 10:00 · N° 41234 · RUT 12.345.678-5 Anular',
+    'Kinesiología · Ana Soto · 21/10/2026 12:30 · N° 123 · RUT 12345678-5 Anular',
+    'Nutrición · Pablo Rojas · 20/10/2026 10:00 · N° AB-123 Anular'
+  ];
+  assert.deepEqual(filasDeReserva(filas, { id: '123' }), [1]);
+  assert.deepEqual(filasDeReserva(filas, { id: '12' }), []);
+  assert.deepEqual(filasDeReserva(filas, { id: '30' }), []);
+  assert.deepEqual(filasDeReserva(filas, { id: 'ab-123' }), [2]);
+
+  const porFecha = { rut: '12345678-5', fecha: '20/10/2026', hora: '10:00' };
+  assert.deepEqual(filasDeReserva(filas, porFecha), [0]);
+  assert.deepEqual(filasDeReserva(filas, { ...porFecha, rut: '11111111-1' }), []);
+  assert.deepEqual(filasDeReserva(filas, { ...porFecha, rut: null }), []);
+  assert.deepEqual(filasDeReserva([filas[0], filas[0]], porFecha), [0, 1]);
+});
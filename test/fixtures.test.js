@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ReplayIndex, nombreFlujo } = require('../lib/fixtures');
+
+const APP = 'https://web.philaxmed.cl/onlineBooking/application';
+
+test('replay: coincidencia exacta por método, URL y cuerpo', () => {
+  const index = new ReplayIndex([
+    { method: 'POST', url: APP, postData: '{"accion":"a"}', archivo: 'a' },
+    { method: 'POST', url: APP, postData: '{"accion":"b"}', archivo: 'b' }
+  ]);
+  assert.equal(index.buscar({ method: 'POST', url: APP, postData: '{"accion":"b"}' }).archivo, 'b');
+  assert.equal(index.buscar({ method: 'POST', url: APP, postData: '{"accion":"a"}' }).archivo, 'a');
+});
+
+test('replay: cuerpo distinto usa la siguiente respuesta no usada de la misma URL', () => {
+  const index = new ReplayIndex([
+    { method: 'POST', url: APP, postData: '{"fecha":"2026-10-20"}', archivo: '1' },
+    { method: 'POST', url: APP, postData: '{"fecha":"2026-10-21"}', archivo: '2' }
+  ]);
+  assert.equal(index.buscar({ method: 'POST', url: APP, postData: '{"fecha":"2027-01-01"}' }).archivo, '1');
+  assert.equal(index.buscar({ method: 'POST', url: APP, postData: '{"fecha":"2027-01-02"}' }).archivo, '2');
+  // agotadas: se repite la última
+  assert.equal(index.buscar({ method: 'POST', url: APP, postData: 'x' }).archivo, '2');
+});
+
+test('replay: lo no grabado no tiene respuesta', () => {
+  const index = new ReplayIndex([{ method: 'GET', url: 'https://a/x', archivo: 'x' }]);
+  assert.equal(index.buscar({ method: 'GET', url: 'https://a/y' }), null);
+  assert.equal(index.buscar({ method: 'POST', url: 'https://a/x' }), null);
+});
+
+test('nombreFlujo arma carpetas estables', () => {
+  assert.equal(nombreFlujo('horas', 'KINESIOLOGÍA', 'Ana Soto Pérez'), 'horas--kinesiologia--ana-soto-perez');
+  assert.equal(nombreFlujo('especialidades'), 'especialidades');
+});
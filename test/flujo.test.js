@@ -0,0 +1,146 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FlujoStore, FlujoMotor, FlujoError, parsearFecha } = require('../lib/flujo');
+
+const HOY = new Date(2026, 9, 19); // lunes
+const CAMPOS = ['rut', 'nombre'];
+
+function archivo() {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'pxm-flujo-')), 'flujos.json');
+}
+
+function motor(extra = {}) {
+  const reservas = [];
+  const clientes = [];
+  const servicios = {
+    agendas: () => ['kineyfisio', 'centro'],
+    especialidades: async () => ({ success: true, especialidades: ['KINESIOLOGÍA', 'NUTRICIÓN'] }),
+    profesionales: async () => ({ success: true, profesionales: ['Ana Soto Pérez', 'Andrea Soto Rivas', 'Carlos Muñoz'] }),
+    horas: async ({ fecha }) => ({ success: true, horas: fecha === '2026-10-20' ? ['09:00', '10:00', '10:30'] : [] }),
+    reservar: async (datos, { cliente }) => { reservas.push(datos); clientes.push(cliente); return { success: true, reserva_id: 'R-1' }; },
+    ...extra
+  };
+  return { m: new FlujoMotor({ servicios, camposPaciente: CAMPOS, hoy: () => HOY }), reservas, clientes };
+}
+
+test('flujo: parsearFecha entiende ISO, dd/mm, relativas y días de la semana', () => {
+  assert.equal(parsearFecha('2026-10-25', HOY), '2026-10-25');
+  assert.equal(parsearFecha('25/10', HOY), '2026-10-25');
+  assert.equal(parsearFecha('5-1', HOY), '2027-01-05');
+  assert.equal(parsearFecha('25/10/26', HOY), '2026-10-25');
+  assert.equal(parsearFecha('Mañana', HOY), '2026-10-20');
+  assert.equal(parsearFecha('pasado mañana', HOY), '2026-10-21');
+  assert.equal(parsearFecha('el miércoles', HOY), '2026-10-21');
+  assert.equal(parsearFecha('el lunes', HOY), '2026-10-26');
+  assert.equal(parsearFecha('31/02', HOY), null);
+  assert.equal(parsearFecha('cuando pueda', HOY), null);
+});
+
+test('flujo: recorre los pasos hasta la reserva, con ambigüedad, atrás y fecha sin horas', async () => {
+  const store = new FlujoStore({ file: archivo(), ttlMs: 60000 });
+  const { m, reservas, clientes } = motor();
+  const s = store.crear({}, { cliente: 'bot' });
+  await m.prepararPaso(s);
+  assert.equal(m.preguntar(s).opciones_text, '1. kineyfisio\n2. centro');
+
+  assert.equal((await m.avanzar(s, '1')).aceptado, true);
+  await m.avanzar(s, 'kine');
+  assert.equal(s.paso, 'profesional');
+
+  const ambiguo = await m.avanzar(s, 'soto');
+  assert.equal(ambiguo.aceptado, false);
+  assert.deepEqual(m.preguntar(s).opciones, ['Ana Soto Pérez', 'Andrea Soto Rivas']);
+  await m.avanzar(s, '2');
+  assert.equal(s.datos.profesional, 'Andrea Soto Rivas');
+
+  assert.equal((await m.avanzar(s, '18/10/2026')).aceptado, false);
+  await m.avanzar(s, 'pasado mañana');
+  assert.equal(s.paso, 'fecha');
+  assert.match(m.preguntar(s).pregunta, /^No hay horas disponibles el 2026-10-21/);
+  await m.avanzar(s, 'mañana');
+  await m.avanzar(s, 'a las 10');
+  assert.equal(s.datos.hora, '10:00');
+
+  await m.avanzar(s, '11.111.111-1');
+  assert.equal(m.preguntar(s).campo, 'nombre');
+  await m.avanzar(s, 'atrás');
+  assert.equal(m.preguntar(s).campo, 'rut');
+  await m.avanzar(s, '22.222.222-2');
+  await m.avanzar(s, 'Ana Pérez');
+  assert.equal(s.paso, 'confirmacion');
+  assert.equal(m.preguntar(s).paciente, undefined);
+
+  const fin = await m.avanzar(s, 'Sí');
+  assert.equal(fin.aceptado, true);
+  assert.equal(s.estado, 'finalizado');
+  assert.deepEqual(reservas, [{ agenda: 'kineyfisio', especialidad: 'KINESIOLOGÍA', profesional: 'Andrea Soto Rivas',
+    fecha: '2026-10-20', hora: '10:00', paciente: { rut: '22.222.222-2', nombre: 'Ana Pérez' } }]);
+  // la reserva (y sus recordatorios) quedan a nombre de quien abrió la sesión
+  assert.deepEqual(clientes, ['bot']);
+});
+
+test('flujo: hora tomada al confirmar vuelve a ofrecer horas; error de agenda deja el paso pendiente', async () => {
+  let tomada = true;
+  let caida = true;
+  const { m } = motor({
+    especialidades: async () => (caida ? { success: false, error: 'timeout' } : { success: true, especialidades: ['KINESIOLOGÍA'] }),
+    reservar: async () => {
+      if (tomada) throw Object.assign(new Error('La hora 09:00 del 2026-10-20 ya no está disponible'), { code: 'HORA_NO_DISPONIBLE' });
+      return { success: true };
+    }
+  });
+  const store = new FlujoStore({ file: archivo(), ttlMs: 60000 });
+  const s = store.crear({ agenda: 'centro', paciente: { rut: '1-9', nombre: 'Ana' } });
+  await assert.rejects(m.prepararPaso(s), FlujoError);
+  assert.equal(s.paso, 'especialidad');
+  caida = false;
+  assert.equal((await m.avanzar(s, '1')).aceptado, false);
+  assert.deepEqual(s.opciones, ['KINESIOLOGÍA']);
+
+  for (const r of ['1', '1', 'mañana', '09:00']) await m.avanzar(s, r);
+  assert.equal(s.paso, 'confirmacion');
+  const r = await m.avanzar(s, 'si');
+  assert.equal(r.aceptado, false);
+  assert.equal(s.paso, 'hora');
+  tomada = false;
+  await m.avanzar(s, '10:30');
+  await m.avanzar(s, 'si');
+  assert.equal(s.estado, 'finalizado');
+});
+
+test('flujo: las sesiones persisten en disco y expiran por inactividad', () => {
+  const file = archivo();
+  let ahora = Date.parse('2026-10-19T12:00:00Z');
+  const store = new FlujoStore({ file, ttlMs: 60000, reloj: () => ahora });
+  const a = store.crear({ agenda: 'kineyfisio' });
+  const b = store.crear();
+  ahora += 40000;
+  store.tocar(b);
+
+  const reabierto = new FlujoStore({ file, ttlMs: 60000, reloj: () => ahora });
+  assert.equal(reabierto.get(a.id).datos.agenda, 'kineyfisio');
+  ahora += 30000;
+  assert.equal(reabierto.get(a.id), null);
+  assert.notEqual(reabierto.get(b.id), null);
+  ahora += 60000;
+  assert.equal(reabierto.limpiar(), 1);
+  assert.equal(reabierto.total(), 0);
+});
+
+test('flujo: tocar no revive una sesión borrada y una terminada no guarda al paciente', () => {
+  const file = archivo();
+  const store = new FlujoStore({ file, ttlMs: 60000 });
+  const a = store.crear({ paciente: { rut: '11111111-1', nombre: 'Ana' } });
+  store.eliminar(a.id);
+  assert.equal(store.tocar(a), null);
+  assert.equal(store.get(a.id), null);
+
+  const b = store.crear({ paciente: { rut: '11111111-1', nombre: 'Ana' } });
+  b.estado = 'finalizado';
+  store.tocar(b);
+  assert.deepEqual(new FlujoStore({ file, ttlMs: 60000 }).get(b.id).datos.paciente, {});
+  assert.ok(!fs.readFileSync(file, 'utf8').includes('11111111-1'));
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calendario, uid, escapar, plegar } = require('../lib/ics');
+
+const AHORA = new Date('2026-10-19T12:00:00Z');
+
+test('ics: un VEVENT por hora con TZID, VTIMEZONE de Santiago y CRLF', () => {
+  const texto = calendario([
+    { uid: uid('hora', '09:00'), fecha: '2026-10-20', hora: '09:00', horaFin: '09:30', resumen: 'Hora libre', estado: 'TENTATIVE', transparente: true },
+    { uid: uid('hora', '23:45'), fecha: '2026-10-20', hora: '23:45', horaFin: '00:15', fechaFin: '2026-10-21', resumen: 'Tarde' }
+  ], { nombre: 'Horas', refrescarMin: 5, ahora: AHORA });
+
+  assert.ok(texto.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n'));
+  assert.ok(texto.endsWith('END:VCALENDAR\r\n'));
+  assert.equal(texto.split('\r\n').some(l => l.includes('\n')), false);
+  assert.equal(texto.match(/BEGIN:VEVENT/g).length, 2);
+  assert.match(texto, /^TZID:America\/Santiago$/m);
+  // "Sun>=2": en 2029 el primer domingo de abril es el 1°, pero el cambio es el 8
+  assert.match(texto, /^RRULE:FREQ=YEARLY;BYMONTH=4;BYMONTHDAY=2,3,4,5,6,7,8;BYDAY=SU\r$/m);
+  assert.match(texto, /^RRULE:FREQ=YEARLY;BYMONTH=9;BYMONTHDAY=2,3,4,5,6,7,8;BYDAY=SU\r$/m);
+  assert.match(texto, /^DTSTART;TZID=America\/Santiago:20261020T090000\r$/m);
+  assert.match(texto, /^DTEND;TZID=America\/Santiago:20261021T001500\r$/m);
+  assert.match(texto, /^DTSTAMP:20261019T120000Z\r$/m);
+  assert.match(texto, /^TRANSP:TRANSPARENT\r$/m);
+  assert.match(texto, /^REFRESH-INTERVAL;VALUE=DURATION:PT5M\r$/m);
+});
+
+test('ics: UID estable, escape de texto y líneas plegadas a 75 octetos sin cortar UTF-8', () => {
+  assert.equal(uid('a', 'b'), uid('a', 'b'));
+  assert.notEqual(uid('a', 'b'), uid('a', 'c'));
+  assert.equal(escapar('Box 3; Sede Centro, piso 2\nlínea'), 'Box 3\\; Sede Centro\\, piso 2\\nlínea');
+
+  const larga = 'DESCRIPTION:' + 'ñ'.repeat(60);
+  const lineas = plegar(larga).split('\r\n');
+  assert.ok(lineas.length > 1);
+  lineas.forEach((l, i) => {
+    assert.ok(Buffer.byteLength(l) <= 75);
+    if (i > 0) assert.ok(l.startsWith(' '));
+  });
+  assert.equal(lineas.map((l, i) => (i ? l.slice(1) : l)).join(''), larga);
+});
+
+test('ics: sin eventos no incluye VTIMEZONE y la alarma va dentro del evento', () => {
+  assert.doesNotMatch(calendario([], { ahora: AHORA }), /VTIMEZONE/);
+  const texto = calendario([{ uid: 'x@y', fecha: '2026-10-20', hora: '10:00', horaFin: '10:30', resumen: 'Kine', alarma: '-P1D', estado: 'CONFIRMED' }], { ahora: AHORA });
+  assert.match(texto, /BEGIN:VALARM\r\nACTION:DISPLAY\r\nDESCRIPTION:Kine\r\nTRIGGER:-P1D\r\nEND:VALARM\r\nEND:VEVENT/);
+});
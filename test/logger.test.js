@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const { Logger, redactar, redactarTexto } = require('../lib/logger');
+const { DiagnosticoStore, trazaActual } = require('../lib/diagnostico');
+
+function capturar(opciones = {}) {
+  const lineas = [];
+  const logger = new Logger({ ...opciones, escribir: (nivel, linea) => lineas.push(linea) });
+  return { logger, lineas };
+}
+
+test('logger: redacta RUT, email y teléfono sin tocar horas ni fechas', () => {
+  const texto = redactarTexto('Paciente 12.345.678-5 (9876543-K) ana.soto@mail.cl +56 9 8765 4321 el 2026-10-19 a las 09:30');
+  assert.equal(texto, 'Paciente [rut] ([rut]) [email] [telefono] el 2026-10-19 a las 09:30');
+  assert.equal(redactarTexto('llamar al 987654321'), 'llamar al [telefono]');
+  assert.deepEqual(redactar({ rut: '11111111-1', paciente: { nombre: 'Ana' }, hora: '10:00', notas: ['x@y.cl'] }),
+    { rut: '[redactado]', paciente: '[redactado]', hora: '10:00', notas: ['[email]'] });
+});
+
+test('logger: JSON por línea, filtra por nivel y serializa errores', () => {
+  const { logger, lineas } = capturar({ nivel: 'info' });
+  logger.debug('no sale');
+  logger.info('✅ Listo', 3, { agenda: 'kine' });
+  logger.error('❌ Falló', new Error('sin conexión con 11.111.111-1'));
+  assert.equal(lineas.length, 2);
+  const info = JSON.parse(lineas[0]);
+  assert.equal(info.nivel, 'info');
+  assert.equal(info.msg, '✅ Listo 3');
+  assert.equal(info.agenda, 'kine');
+  const error = JSON.parse(lineas[1]);
+  assert.equal(error.error.mensaje, 'sin conexión con [rut]');
+});
+
+test('logger: toma el request_id del contexto y fijarContexto lo conserva fuera de él', () => {
+  const { logger, lineas } = capturar();
+  const store = new DiagnosticoStore({ dir: os.tmpdir() });
+  const req = { path: '/algo', method: 'GET', originalUrl: '/api/algo', get: () => 'logger-test-01' };
+  const res = { set() {}, json() {}, on() {} };
+  let fijo;
+  store.middleware()(req, res, () => {
+    trazaActual().cliente = 'kommo';
+    logger.info('dentro');
+    fijo = logger.fijarContexto();
+  });
+  fijo.info('callback');
+  logger.info('fuera');
+  const [dentro, callback, fuera] = lineas.map(l => JSON.parse(l));
+  assert.equal(dentro.request_id, 'logger-test-01');
+  assert.equal(dentro.cliente, 'kommo');
+  assert.equal(callback.request_id, 'logger-test-01');
+  assert.equal(callback.cliente, 'kommo');
+  assert.equal(fuera.request_id, undefined);
+});
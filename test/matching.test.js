@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolverCoincidencia, elegirUnico, SeleccionError } = require('../lib/matching');
+
+test('matching: nombre parcial sin tildes elige al profesional', () => {
+  const r = resolverCoincidencia('ana soto', ['Ana Soto Pérez', 'Paula Díaz']);
+  assert.equal(r.estado, 'match');
+  assert.equal(r.match.item, 'Ana Soto Pérez');
+});
+
+test('matching: un único candidato que solo comparte apellido no se acepta', () => {
+  const r = resolverCoincidencia('juan perez', ['Ana Soto Pérez']);
+  assert.equal(r.estado, 'ambiguo');
+  assert.deepEqual(r.candidatos.map(c => c.item), ['Ana Soto Pérez']);
+});
+
+test('matching: un único candidato que contiene toda la consulta se acepta', () => {
+  assert.equal(resolverCoincidencia('soto perez', ['Ana Soto Pérez']).estado, 'match');
+  assert.equal(resolverCoincidencia('kine', ['KINESIOLOGÍA']).estado, 'match');
+});
+
+test('matching: elegirUnico lanza 409 con candidatos o 404 sin ellos', () => {
+  assert.throws(() => elegirUnico('profesional', 'perez', ['Ana Soto Pérez', 'Luis Pérez']), (e) => e instanceof SeleccionError && e.status === 409 && e.candidatos.length === 2);
+  assert.throws(() => elegirUnico('especialidad', 'cardiologia', ['KINESIOLOGÍA']), (e) => e.status === 404 && e.code === 'ESPECIALIDAD_NO_ENCONTRADA');
+});
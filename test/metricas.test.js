@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Registro } = require('../lib/metricas');
+
+test('métricas: contador con etiquetas escapadas', async () => {
+  const r = new Registro({ prefijo: 'px_' });
+  const c = r.contador('fallos_total', 'Fallos', ['causa']);
+  c.inc({ causa: 'layout' });
+  c.inc({ causa: 'layout' }, 2);
+  c.inc({ causa: 'con "comillas"\ny salto' });
+  const texto = await r.exponer();
+  assert.match(texto, /^# HELP px_fallos_total Fallos$/m);
+  assert.match(texto, /^# TYPE px_fallos_total counter$/m);
+  assert.match(texto, /^px_fallos_total\{causa="layout"\} 3$/m);
+  assert.match(texto, /^px_fallos_total\{causa="con \\"comillas\\"\\ny salto"\} 1$/m);
+});
+
+test('métricas: histograma acumulativo con +Inf, suma y conteo', async () => {
+  const r = new Registro();
+  const h = r.histograma('dur_seconds', 'Duración', ['ruta'], [0.5, 1]);
+  h.observe({ ruta: '/a' }, 0.2);
+  h.observe({ ruta: '/a' }, 0.7);
+  h.observe({ ruta: '/a' }, 3);
+  const texto = await r.exponer();
+  assert.match(texto, /^dur_seconds_bucket\{ruta="\/a",le="0.5"\} 1$/m);
+  assert.match(texto, /^dur_seconds_bucket\{ruta="\/a",le="1"\} 2$/m);
+  assert.match(texto, /^dur_seconds_bucket\{ruta="\/a",le="\+Inf"\} 3$/m);
+  assert.match(texto, /^dur_seconds_sum\{ruta="\/a"\} 3.9$/m);
+  assert.match(texto, /^dur_seconds_count\{ruta="\/a"\} 3$/m);
+});
+
+test('métricas: los gauges se recalculan al exponer y un colector que falla no corta la salida', async () => {
+  const r = new Registro();
+  const g = r.gauge('en_cola', 'En cola');
+  let n = 1;
+  r.alColectar(() => { throw new Error('x'); });
+  r.alColectar(() => g.set({}, n));
+  assert.match(await r.exponer(), /^en_cola 1$/m);
+  n = 4;
+  assert.match(await r.exponer(), /^en_cola 4$/m);
+  assert.throws(() => r.gauge('en_cola', 'otra vez'), /duplicada/);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validarRut, validarTelefono, validarEmail, validarNombre, validarPrevision, validarPaciente, digitoVerificador } = require('../lib/paciente');
+
+test('paciente: RUT con o sin puntos, dígito verificador y K', () => {
+  assert.equal(digitoVerificador('12345678'), '5');
+  assert.deepEqual(validarRut('12.345.678-5'), { ok: true, valor: '12345678-5' });
+  assert.equal(validarRut('123456785').valor, '12345678-5');
+  assert.equal(validarRut('10.000.013-k').valor, '10000013-K');
+  assert.match(validarRut('12.345.678-9').error, /dígito verificador/);
+  assert.match(validarRut('12-345').error, /formato/);
+  assert.match(validarRut('').error, /Ingrese el RUT/);
+});
+
+test('paciente: teléfonos chilenos a E.164', () => {
+  assert.deepEqual(validarTelefono('+56 9 8765 4321'), { ok: true, valor: '+56987654321', tipo: 'movil' });
+  assert.equal(validarTelefono('9-8765-4321').valor, '+56987654321');
+  assert.equal(validarTelefono('56987654321').valor, '+56987654321');
+  assert.deepEqual(validarTelefono('(2) 2345 6789'), { ok: true, valor: '+56223456789', tipo: 'fijo' });
+  assert.match(validarTelefono('8765 4321').error, /9 dígitos/);
+  assert.match(validarTelefono('+54 11 4567 8901').error, /Chile/);
+  assert.match(validarTelefono('llámame').error, /números/);
+});
+
+test('paciente: email y nombre', () => {
+  assert.equal(validarEmail(' Ana.Soto@Mail.CL ').valor, 'ana.soto@mail.cl');
+  assert.equal(validarEmail('ana@mail').ok, false);
+  assert.equal(validarEmail('ana..soto@mail.cl').ok, false);
+  assert.equal(validarNombre('  María José   Pérez ').valor, 'María José Pérez');
+  assert.match(validarNombre('Ana').error, /apellido/);
+  assert.match(validarNombre('Ana 123').error, /letras/);
+});
+
+test('paciente: previsión contra la lista (tramos de Fonasa, "isapre X")', () => {
+  assert.equal(validarPrevision('fonasa tramo b').valor, 'FONASA B');
+  assert.equal(validarPrevision('Isapre Colmena').valor, 'Colmena');
+  assert.equal(validarPrevision('banmedica').valor, 'Banmédica');
+  assert.match(validarPrevision('fonasa').error, /FONASA A, FONASA B, FONASA C, FONASA D/);
+  assert.match(validarPrevision('capredena').error, /No reconocemos/);
+  assert.equal(validarPrevision('capredena', ['CAPREDENA', 'Particular']).valor, 'CAPREDENA');
+});
+
+test('paciente: validarPaciente normaliza, junta errores por campo y separa faltantes', () => {
+  const r = validarPaciente({ rut: '12.345.678-5', nombre: 'Ana Soto', telefono: '123', prevision: 'particular' });
+  assert.equal(r.ok, false);
+  assert.deepEqual(Object.keys(r.errores), ['telefono']);
+  assert.deepEqual(r.faltantes, ['email']);
+  assert.equal(r.paciente.rut, '12345678-5');
+  assert.equal(r.paciente.prevision, 'Particular');
+});
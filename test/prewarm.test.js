@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PrewarmScheduler } = require('../lib/prewarm');
+
+test('prewarm: incluirHoras por agenda salta las horas donde no conviene', async () => {
+  const hechos = [];
+  const p = new PrewarmScheduler({
+    agendas: () => ['larga', 'corta'],
+    incluirHoras: agenda => agenda === 'larga',
+    tareas: {
+      especialidades: async agenda => { hechos.push(`esp:${agenda}`); return { success: true, especialidades: ['KINE'] }; },
+      profesionales: async agenda => { hechos.push(`prof:${agenda}`); return { success: true, profesionales: ['Ana'] }; },
+      horas: async agenda => { hechos.push(`horas:${agenda}`); return { success: true }; }
+    }
+  });
+  const run = await p.runOnce();
+  assert.deepEqual(hechos, ['esp:larga', 'prof:larga', 'horas:larga', 'esp:corta', 'prof:corta']);
+  assert.deepEqual(run.counts, { especialidades: 2, profesionales: 2, horas: 1 });
+  assert.deepEqual(p.status().incluirHoras, { larga: true, corta: false });
+});
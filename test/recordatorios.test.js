@@ -0,0 +1,289 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const net = require('net');
+const { RecordatorioStore, RecordatorioDespachador, RecordatorioConfigError, renderizar, fechaTexto, instanteLocal, publico } = require('../lib/recordatorios');
+const { crearCanal, CanalError } = require('../lib/canales');
+const { enviarCorreo } = require('../lib/smtp');
+const { firmar } = require('../lib/suscripciones');
+
+// lunes 19/10/2026 08:00 en Santiago (UTC-3)
+const AHORA = Date.parse('2026-10-19T11:00:00Z');
+const RESERVA = {
+  agenda: 'kineyfisio',
+  especialidad: 'KINESIOLOGÍA',
+  profesional: 'Ana Soto Pérez',
+  fecha: '2026-10-20',
+  hora: '10:00',
+  reserva_id: 'R-1',
+  paciente: { rut: '12345678-5', nombre: 'María José Pérez', email: 'maria@correo.cl', telefono: '+56912345678' }
+};
+
+function archivo() {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'pxm-recordatorios-')), 'recordatorios.json');
+}
+
+// canales falsos: cada envío queda registrado; fallas[nombre] = errores a lanzar en orden
+function despachador({ ahora = () => AHORA, fallas = {}, ...extra } = {}) {
+  const enviados = [];
+  const crearCanalImpl = (nombre, cfg) => ({
+    nombre,
+    tipo: cfg.tipo,
+    destino: r => (cfg.tipo === 'smtp' ? r.paciente.email : r.paciente.telefono),
+    enviar: async (r, mensaje) => {
+      const e = (fallas[nombre] || []).shift();
+      if (e) throw e;
+      enviados.push({ canal: nombre, id: r.id, mensaje });
+      return { status: 200 };
+    }
+  });
+  const d = new RecordatorioDespachador({
+    store: new RecordatorioStore({ file: archivo() }),
+    canales: { email: { tipo: 'smtp' }, whatsapp: { tipo: 'whatsapp' } },
+    reloj: ahora,
+    crearCanalImpl,
+    ...extra
+  });
+  return { d, enviados };
+}
+
+test('recordatorios: plantillas en español con "mañana" y fecha en palabras', () => {
+  assert.equal(fechaTexto('2026-10-20'), 'martes 20 de octubre');
+  assert.equal(renderizar('Hola {{ nombre }}{{nada}}', { nombre: 'Ana' }), 'Hola Ana');
+  assert.equal(new Date(instanteLocal('2026-10-20', '10:00', 'America/Santiago')).toISOString(), '2026-10-20T13:00:00.000Z');
+
+  const { d } = despachador();
+  const m = d.mensaje({ ...RESERVA, tipo: '24h' });
+  assert.equal(m.asunto, 'Recordatorio: su hora de KINESIOLOGÍA mañana');
+  assert.match(m.texto, /^Hola María, le recordamos su hora de KINESIOLOGÍA con Ana Soto Pérez mañana a las 10:00 \(kineyfisio\)/);
+  assert.match(d.mensaje({ ...RESERVA, fecha: '2026-10-23', tipo: 'otro' }).texto, /el viernes 23 de octubre a las 10:00/);
+});
+
+test('recordatorios: programar por canal y antelación; cancelar y reprogramar por reserva', () => {
+  const { d } = despachador();
+  const creados = d.programar(RESERVA);
+  assert.equal(creados.length, 4);
+  assert.deepEqual(creados.map(r => `${r.canal}:${r.tipo}:${r.enviar_en}`).sort(), [
+    'email:24h:2026-10-19T13:00:00.000Z',
+    'email:2h:2026-10-20T11:00:00.000Z',
+    'whatsapp:24h:2026-10-19T13:00:00.000Z',
+    'whatsapp:2h:2026-10-20T11:00:00.000Z'
+  ]);
+  assert.equal(creados.find(r => r.canal === 'email').destino, 'maria@correo.cl');
+
+  // la vista pública no expone RUT ni contacto
+  const p = publico(creados.find(r => r.canal === 'whatsapp'));
+  assert.equal(p.rut, undefined);
+  assert.deepEqual(p.paciente, { nombre: 'María José Pérez' });
+  assert.equal(p.destino, '+5691****5678');
+
+  // una hora para dentro de 3 h sólo alcanza el recordatorio de 2 h; sin teléfono no hay whatsapp
+  const pronto = d.programar({ ...RESERVA, reserva_id: null, fecha: '2026-10-19', hora: '11:00', paciente: { ...RESERVA.paciente, telefono: null } });
+  assert.deepEqual(pronto.map(r => `${r.canal}:${r.tipo}`), ['email:2h']);
+
+  // persistido
+  assert.equal(new RecordatorioStore({ file: d.store.file }).listar().length, 5);
+
+  const movidos = d.reprogramar({ agenda: 'kineyfisio', reserva_id: 'R-1' }, { fecha: '2026-10-19', hora: '12:00' });
+  assert.equal(movidos.filter(r => r.estado === 'pendiente').length, 2);
+  assert.equal(movidos.filter(r => r.estado === 'cancelado').length, 2);
+  assert.ok(movidos.filter(r => r.estado === 'pendiente').every(r => r.tipo === '2h' && r.enviar_en === '2026-10-19T13:00:00.000Z'));
+
+  const cancelados = d.cancelar({ agenda: 'kineyfisio', rut: '12345678-5', fecha: '2026-10-19', hora: '11:00' });
+  assert.equal(cancelados.length, 1);
+  assert.equal(d.cancelar({ agenda: 'kineyfisio', rut: '12345678-5' }).length, 0);
+  assert.equal(d.store.listar({ estado: 'pendiente' }).length, 2);
+});
+
+test('recordatorios: programarDeNuevo sólo para reservas conocidas, con sus datos y sin duplicar pendientes', () => {
+  const { d } = despachador();
+  assert.equal(d.programarDeNuevo({ agenda: 'kineyfisio', reserva_id: 'R-1' }), null);
+
+  d.programar(RESERVA);
+  assert.deepEqual(d.programarDeNuevo({ agenda: 'kineyfisio', reserva_id: 'R-1' }), []);
+
+  d.cancelar({ agenda: 'kineyfisio', reserva_id: 'R-1' });
+  const creados = d.programarDeNuevo({ agenda: 'kineyfisio', reserva_id: 'R-1' }, { canales: ['email'] });
+  assert.deepEqual(creados.map(r => `${r.canal}:${r.tipo}`).sort(), ['email:24h', 'email:2h']);
+  assert.ok(creados.every(r => r.destino === 'maria@correo.cl' && r.rut === '12345678-5' && r.especialidad === 'KINESIOLOGÍA' && r.fecha === '2026-10-20'));
+  assert.equal(d.programarDeNuevo({ agenda: 'kineyfisio', rut: '12345678-5', fecha: '2026-10-20', hora: '10:00' }).length, 2);
+  assert.equal(d.programarDeNuevo({ agenda: 'cesmed', reserva_id: 'R-1' }), null);
+});
+
+test('recordatorios: quedan a nombre del cliente que reservó y deReserva se puede acotar a él', () => {
+  const { d } = despachador();
+  const creados = d.programar({ ...RESERVA, cliente: 'bot' });
+  assert.ok(creados.length > 0 && creados.every(r => r.cliente === 'bot'));
+  assert.ok(d.programar({ ...RESERVA, reserva_id: 'R-2' }).every(r => r.cliente === null));
+
+  const filtro = { agenda: 'kineyfisio', reserva_id: 'R-1' };
+  assert.equal(d.deReserva(filtro).length, creados.length);
+  assert.equal(d.deReserva({ ...filtro, cliente: 'bot' }).length, creados.length);
+  assert.deepEqual(d.deReserva({ ...filtro, cliente: 'crm' }), []);
+  assert.deepEqual(d.deReserva({ agenda: 'kineyfisio', reserva_id: 'R-2', cliente: 'bot' }), []);
+
+  // otro cliente no cancela ni vuelve a programar los ajenos
+  assert.deepEqual(d.cancelar({ ...filtro, cliente: 'crm' }), []);
+  d.cancelar({ ...filtro, cliente: 'bot' });
+  assert.equal(d.programarDeNuevo({ ...filtro, cliente: 'crm' }), null);
+  assert.ok(d.programarDeNuevo({ ...filtro, cliente: 'bot' }).every(r => r.cliente === 'bot'));
+});
+
+test('recordatorios: runOnce envía, reintenta con espera, descarta errores permanentes y marca vencidos', async () => {
+  let ahora = AHORA;
+  const { d, enviados } = despachador({
+    ahora: () => ahora,
+    esperaReintentoMs: 60000,
+    fallas: { email: [new CanalError('HTTP 503')], whatsapp: [new CanalError('HTTP 400', { reintentable: false })] }
+  });
+  d.programar(RESERVA);
+
+  ahora = Date.parse('2026-10-19T13:00:30Z');
+  let run = await d.runOnce();
+  assert.deepEqual([run.enviados, run.reintentos, run.fallidos], [0, 1, 1]);
+  const email = d.store.listar({ canal: 'email', tipo: '24h' })[0];
+  assert.equal(email.intentos, 1);
+  assert.equal(email.enviar_en, '2026-10-19T13:01:30.000Z');
+  assert.equal(d.store.listar({ canal: 'whatsapp', tipo: '24h' })[0].estado, 'fallido');
+
+  // antes de la espera no se reintenta
+  run = await d.runOnce();
+  assert.equal(run.reintentos + run.enviados, 0);
+
+  ahora = Date.parse('2026-10-19T13:02:00Z');
+  run = await d.runOnce();
+  assert.equal(run.enviados, 1);
+  assert.equal(enviados[0].canal, 'email');
+  assert.equal(enviados[0].mensaje.asunto, 'Recordatorio: su hora de KINESIOLOGÍA mañana');
+  assert.equal(d.store.get(email.id).estado, 'enviado');
+
+  // servidor caído hasta después de la cita: los de 2 h vencen sin enviarse
+  ahora = Date.parse('2026-10-20T14:00:00Z');
+  run = await d.runOnce();
+  assert.equal(run.vencidos, 2);
+  assert.equal(enviados.length, 1);
+
+  // pasada la retención se purgan
+  ahora = Date.parse('2026-10-28T14:00:00Z');
+  run = await d.runOnce();
+  assert.equal(run.purgados, 4);
+  assert.equal(d.store.listar().length, 0);
+});
+
+test('recordatorios: canal mal configurado no reemplaza la configuración vigente', () => {
+  const d = new RecordatorioDespachador({ store: new RecordatorioStore({ file: archivo() }), canales: { crm: { tipo: 'webhook', url: 'http://localhost:1/x' } } });
+  assert.equal(d.activo, true);
+  assert.throws(() => d.configurar({ canales: { sms: { tipo: 'sms' } } }), RecordatorioConfigError);
+  assert.deepEqual(Object.keys(d.canales), ['crm']);
+});
+
+function escuchar(server) {
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+test('canales: webhook firmado y whatsapp formato meta contra un servidor local', async () => {
+  const recibidos = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', c => { body += c; });
+    req.on('end', () => {
+      recibidos.push({ url: req.url, headers: req.headers, body });
+      res.statusCode = req.url === '/caido' ? 503 : 200;
+      res.end('{}');
+    });
+  });
+  const port = await escuchar(server);
+  try {
+    const r = { ...RESERVA, id: 'rec-1', tipo: '24h' };
+    const mensaje = { asunto: 'Asunto', texto: 'Hola María', variables: { nombre: 'María', especialidad: 'KINESIOLOGÍA', profesional: 'Ana', cuando: 'mañana', hora: '10:00' } };
+
+    const webhook = crearCanal('crm', { tipo: 'webhook', url: `http://127.0.0.1:${port}/recordatorios`, secreto: 's3cr3t' });
+    await webhook.enviar(r, mensaje);
+    const w = recibidos.shift();
+    assert.equal(w.headers['x-recordatorio-id'], 'rec-1');
+    assert.equal(w.headers['x-signature-256'], firmar('s3cr3t', w.headers['x-signature-timestamp'], w.body));
+    assert.equal(JSON.parse(w.body).mensaje, 'Hola María');
+
+    const wa = crearCanal('wa', { tipo: 'whatsapp', url: `http://127.0.0.1:${port}/messages`, token: 'tk' });
+    await wa.enviar({ ...r, destino: wa.destino(r) }, mensaje);
+    const m = recibidos.shift();
+    assert.equal(m.headers.authorization, 'Bearer tk');
+    assert.deepEqual(JSON.parse(m.body), { messaging_product: 'whatsapp', recipient_type: 'individual', to: '56912345678', type: 'text', text: { body: 'Hola María' } });
+
+    const caido = crearCanal('wa', { tipo: 'whatsapp', formato: 'generico', url: `http://127.0.0.1:${port}/caido` });
+    await assert.rejects(caido.enviar({ ...r, destino: '+56912345678' }, mensaje), e => e instanceof CanalError && e.reintentable && e.status === 503);
+    assert.deepEqual(JSON.parse(recibidos.shift().body), { to: '+56912345678', message: 'Hola María' });
+  } finally {
+    server.close();
+  }
+});
+
+// servidor SMTP mínimo: acepta todo y guarda la conversación
+function servidorSmtp({ rechazarRcpt = false } = {}) {
+  const sesiones = [];
+  const server = net.createServer(socket => {
+    const s = { comandos: [], data: '' };
+    sesiones.push(s);
+    let enData = false;
+    let buffer = '';
+    socket.write('220 prueba ESMTP\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk.toString();
+      let i;
+      while ((i = buffer.indexOf('\r\n')) !== -1) {
+        const linea = buffer.slice(0, i);
+        buffer = buffer.slice(i + 2);
+        if (enData) {
+          if (linea === '.') {
+            enData = false;
+            socket.write('250 2.0.0 Ok: en cola\r\n');
+          } else {
+            s.data += linea + '\r\n';
+          }
+          continue;
+        }
+        s.comandos.push(linea);
+        const cmd = linea.split(' ')[0].toUpperCase();
+        if (cmd === 'EHLO') socket.write('250-prueba\r\n250-AUTH LOGIN PLAIN\r\n250 8BITMIME\r\n');
+        else if (cmd === 'AUTH') socket.write('235 ok\r\n');
+        else if (cmd === 'RCPT' && rechazarRcpt) socket.write('550 5.1.1 no existe\r\n');
+        else if (cmd === 'DATA') { enData = true; socket.write('354 adelante\r\n'); }
+        else if (cmd === 'QUIT') { socket.end('221 chao\r\n'); }
+        else socket.write('250 ok\r\n');
+      }
+    });
+    socket.on('error', () => {});
+  });
+  return { server, sesiones };
+}
+
+test('smtp: envía con AUTH PLAIN y cuerpo base64; un 5xx no es reintentable', async () => {
+  const { server, sesiones } = servidorSmtp();
+  const port = await escuchar(server);
+  try {
+    const opciones = { host: '127.0.0.1', port, from: 'Agenda Clínica <no-responder@clinica.cl>', user: 'u', pass: 'p', timeout: 5000 };
+    const r = await enviarCorreo(opciones, { to: 'maria@correo.cl', asunto: 'Su hora es mañana', texto: 'Hola María.\n.\nLe esperamos.' });
+    assert.equal(r.aceptado, true);
+    const s = sesiones[0];
+    assert.equal(s.comandos[1], `AUTH PLAIN ${Buffer.from('\0u\0p').toString('base64')}`);
+    assert.deepEqual(s.comandos.slice(2, 5), ['MAIL FROM:<no-responder@clinica.cl>', 'RCPT TO:<maria@correo.cl>', 'DATA']);
+    assert.match(s.data, /^Subject: =\?UTF-8\?B\?/m);
+    assert.match(s.data, /^From: =\?UTF-8\?B\?[^?]+\?= <no-responder@clinica\.cl>/m);
+    const cuerpo = s.data.split('\r\n\r\n')[1].replace(/\r\n/g, '');
+    assert.equal(Buffer.from(cuerpo, 'base64').toString('utf8'), 'Hola María.\n.\nLe esperamos.');
+  } finally {
+    server.close();
+  }
+
+  const rechazo = servidorSmtp({ rechazarRcpt: true });
+  const port2 = await escuchar(rechazo.server);
+  try {
+    const canal = crearCanal('email', { tipo: 'smtp', host: '127.0.0.1', port: port2, from: 'no-responder@clinica.cl', timeout: 5000 });
+    await assert.rejects(canal.enviar({ destino: 'nadie@correo.cl' }, { asunto: 'a', texto: 'b' }), e => e instanceof CanalError && e.reintentable === false && /550/.test(e.message));
+  } finally {
+    rechazo.server.close();
+  }
+});
@@ -0,0 +1,50 @@
+// Flujos completos de scraping (Puppeteer) reproducidos desde test/fixtures, sin red.
+// Se omite si Chromium no arranca en la máquina.
+process.env.PHILAXMED_FIXTURES = 'replay';
+process.env.AGENDAS_CONFIG = require('path').join(__dirname, 'fixtures', 'agendas.json');
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const srv = require('../server');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+const leer = (dir, archivo) => JSON.parse(fs.readFileSync(path.join(dir, archivo), 'utf8'));
+
+let sinNavegador = null;
+
+test.before(async () => {
+  try {
+    await srv.getBrowser();
+  } catch (e) {
+    sinNavegador = e.message;
+  }
+});
+
+test.after(() => srv.cerrar());
+
+const flujos = fs.readdirSync(FIXTURES, { withFileTypes: true })
+  .filter(d => d.isDirectory() && !d.name.startsWith('_'))
+  .flatMap(d => fs.readdirSync(path.join(FIXTURES, d.name)).map(f => path.join(FIXTURES, d.name, f)))
+  .filter(dir => fs.existsSync(path.join(dir, 'esperado.json')));
+
+for (const dir of flujos) {
+  test(`replay ${path.relative(FIXTURES, dir)}${leer(dir, 'manifest.json').sintetico ? ' (sintético)' : ''}`, async (t) => {
+    if (sinNavegador) return t.skip(`Chromium no disponible: ${sinNavegador}`);
+    const { parametros, flujo } = leer(dir, 'manifest.json');
+    const esperado = leer(dir, 'esperado.json');
+
+    if (flujo.startsWith('especialidades')) {
+      const r = await srv.scrapeEspecialidades(parametros);
+      assert.deepEqual(r.especialidades_objects, esperado);
+    } else if (flujo.startsWith('profesionales')) {
+      const r = await srv.scrapeProfesionales(parametros);
+      assert.deepEqual(r.profesionales_objects, esperado);
+    } else {
+      const r = await srv.scrapeHoras(parametros);
+      assert.equal(r.success, true, r.error);
+      assert.deepEqual(r.dias, esperado);
+    }
+  });
+}
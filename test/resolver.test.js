@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizarTipo, resolverRespuesta, parsearIndice, parsearHora } = require('../lib/resolver');
+const { elegirUnico, SeleccionError } = require('../lib/matching');
+
+const ESPECIALIDADES = ['KINESIOLOGÍA', 'NUTRICIÓN', 'TERAPIA OCUPACIONAL', 'FONOAUDIOLOGÍA'];
+const PROFESIONALES = ['Ana Soto Pérez', 'Luis Pérez Rojas', 'Paula Díaz Soto'];
+const HORAS = ['09:00', '09:30', '10:00', '10:30', '15:00', '15:45'];
+
+test('resolver: tipos en singular o plural; índices y ordinales', () => {
+  assert.equal(normalizarTipo('Especialidad'), 'especialidades');
+  assert.equal(normalizarTipo('horas'), 'horas');
+  assert.equal(normalizarTipo('sedes'), null);
+
+  assert.equal(parsearIndice('2'), 2);
+  assert.equal(parsearIndice('opción 3.'), 3);
+  assert.equal(parsearIndice('la segunda'), 2);
+  assert.equal(parsearIndice('el último'), -1);
+  assert.equal(parsearIndice('kine'), null);
+
+  assert.deepEqual(parsearHora('a las 10 y media'), { hora: 10, minuto: 30, tarde: false });
+  assert.deepEqual(parsearHora('3 de la tarde'), { hora: 15, minuto: null, tarde: true });
+  assert.equal(parsearHora('a las 25'), null);
+});
+
+test('resolver: match por índice, por nombre parcial sin tildes y por hora', () => {
+  let r = resolverRespuesta('especialidades', ESPECIALIDADES, '2');
+  assert.deepEqual([r.estado, r.match.valor, r.match.metodo], ['match', 'NUTRICIÓN', 'indice']);
+
+  r = resolverRespuesta('especialidades', ESPECIALIDADES, 'la última');
+  assert.equal(r.match.valor, 'FONOAUDIOLOGÍA');
+
+  r = resolverRespuesta('especialidades', ESPECIALIDADES, 'kine');
+  assert.deepEqual([r.estado, r.match.valor, r.match.indice], ['match', 'KINESIOLOGÍA', 1]);
+
+  r = resolverRespuesta('profesionales', PROFESIONALES, 'la doctora paula diaz');
+  assert.deepEqual([r.estado, r.match.valor], ['match', 'Paula Díaz Soto']);
+
+  r = resolverRespuesta('horas', HORAS, 'a las 3');
+  assert.deepEqual([r.estado, r.match.valor, r.match.metodo], ['match', '15:00', 'hora']);
+
+  // "a las 10" es las 10:00 aunque también haya 10:30
+  assert.equal(resolverRespuesta('horas', HORAS, 'a las 10').match.valor, '10:00');
+  // un número dentro de la lista es la opción, no la hora
+  assert.equal(resolverRespuesta('horas', HORAS, '5').match.valor, '15:00');
+});
+
+test('resolver: ambiguo devuelve los candidatos; sin coincidencia no inventa una', () => {
+  let r = resolverRespuesta('profesionales', PROFESIONALES, 'perez');
+  assert.equal(r.estado, 'ambiguo');
+  assert.equal(r.match, null);
+  assert.deepEqual(r.candidatos.map(c => c.valor).sort(), ['Ana Soto Pérez', 'Luis Pérez Rojas']);
+  assert.ok(r.candidatos.every(c => c.indice === PROFESIONALES.indexOf(c.valor) + 1));
+
+  // sin hora en punto, "a las 10" puede ser cualquiera de las 10
+  r = resolverRespuesta('horas', ['10:15', '10:45', '11:00'], 'a las 10');
+  assert.equal(r.estado, 'ambiguo');
+  assert.deepEqual(r.candidatos.map(c => c.valor), ['10:15', '10:45']);
+
+  r = resolverRespuesta('especialidades', ESPECIALIDADES, 'cardiología');
+  assert.deepEqual([r.estado, r.match, r.candidatos], ['sin_match', null, []]);
+  assert.equal(resolverRespuesta('horas', HORAS, 'a las 20').estado, 'sin_match');
+  assert.equal(resolverRespuesta('especialidades', ESPECIALIDADES, '9').estado, 'sin_match');
+  assert.equal(resolverRespuesta('especialidades', [], '1').estado, 'sin_match');
+  assert.equal(resolverRespuesta('especialidades', ESPECIALIDADES, '  ').estado, 'sin_match');
+});
+
+// v2 y las suscripciones resuelven el nombre sin lista numerada: ambiguo = 409, sin coincidencia = 404
+test('resolver: elegirUnico sobre las mismas listas responde 409 o 404', () => {
+  assert.equal(elegirUnico('especialidad', 'kinesiologia', ESPECIALIDADES), 'KINESIOLOGÍA');
+  assert.throws(() => elegirUnico('profesional', 'perez', PROFESIONALES), e =>
+    e instanceof SeleccionError && e.status === 409 && e.code === 'PROFESIONAL_AMBIGUO' && e.candidatos.length === 2);
+  assert.throws(() => elegirUnico('especialidad', 'cardiología', ESPECIALIDADES), e =>
+    e instanceof SeleccionError && e.status === 404 && e.code === 'ESPECIALIDAD_NO_ENCONTRADA');
+});
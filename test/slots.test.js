@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { interpretarHoras, leerHora, fechaLocal, horaLocal } = require('../lib/slots');
+
+const APP = 'https://web.philaxmed.cl/onlineBooking/application';
+
+test('slots: JSON con rango, box, sede, modalidad y estado explícito', () => {
+  const json = { data: { bloques: [
+    { horaInicio: '2026-10-20T09:00:00', horaFin: '2026-10-20T09:40:00', box: { nombre: 'Box 2' }, sede: 'Providencia', tipoAtencion: 'Presencial', disponible: true },
+    { horaInicio: '09:40', duracion: 40, telemedicina: true, estado: 'RESERVADA' },
+    { hora: '10:20 - 11:00', estado: 'Libre' }
+  ] } };
+  const r = interpretarHoras({ xhr: { url: APP, json, text: null } });
+  assert.equal(r.fuente, 'xhr');
+  assert.deepEqual(r.slots, [
+    { hora: '09:00', hora_fin: '09:40', duracion_min: 40, estado: 'DISPONIBLE', box: 'Box 2', sede: 'Providencia', modalidad: 'presencial' },
+    { hora: '09:40', hora_fin: '10:20', duracion_min: 40, estado: 'OCUPADO', box: null, sede: null, modalidad: 'telemedicina' },
+    { hora: '10:20', hora_fin: '11:00', duracion_min: 40, estado: 'DISPONIBLE', box: null, sede: null, modalidad: null }
+  ]);
+  assert.deepEqual(r.horas.map(h => h.hora), ['09:00', '10:20']);
+});
+
+test('slots: horas sueltas en otros textos no son slots', () => {
+  const json = { mensaje: 'Atención de 08:00 a 20:00', profesional: { nombre: 'Ana', horario: '08:00' }, horas: ['09:15', 'cerrado 13:00'] };
+  const r = interpretarHoras({ xhr: { url: APP, json, text: null } });
+  assert.deepEqual(r.slots.map(s => s.hora), ['09:15']);
+
+  const dom = interpretarHoras({ xhr: null, texto: 'Hoy 10:32\nHorario 08:00 a 20:00\n11:00 - DISPONIBLE - Box 3 - Telemedicina' });
+  assert.equal(dom.fuente, 'dom');
+  assert.deepEqual(dom.slots.map(s => [s.hora, s.box, s.modalidad]), [['11:00', 'Box 3', 'telemedicina']]);
+
+  // una hora al inicio de la línea sin estado es texto de la página, no una celda
+  const pie = interpretarHoras({ xhr: null, texto: '10:00 Cierre de agenda\n18:30 Atención telefónica\n12:00\n12:30 - OCUPADO' });
+  assert.deepEqual(pie.slots.map(s => [s.hora, s.estado]), [['12:30', 'OCUPADO']]);
+  assert.deepEqual(pie.horas, []);
+});
+
+test('slots: día sin horas es interpretable; una respuesta desconocida se marca', () => {
+  assert.equal(interpretarHoras({ xhr: { url: APP, json: { horas: [] }, text: null }, texto: '' }).interpretable, true);
+  assert.equal(interpretarHoras({ xhr: { url: APP, json: null, text: '//OK[0,[],0,7]' }, texto: '' }).interpretable, true);
+  assert.equal(interpretarHoras({ xhr: null, texto: 'No hay horas disponibles para este día' }).interpretable, true);
+
+  const excepcion = interpretarHoras({ xhr: { url: APP, json: null, text: '//EX[2,"java.lang.NullPointerException"]' }, texto: '' });
+  assert.deepEqual([excepcion.interpretable, excepcion.motivo, excepcion.horas], [false, 'excepcion-rpc', []]);
+  assert.equal(interpretarHoras({ xhr: { url: APP, json: null, text: '<html>Mantención 10:00</html>' }, texto: '' }).motivo, 'respuesta-desconocida');
+  assert.equal(interpretarHoras({ xhr: null, texto: 'Seleccione un día' }).motivo, 'sin-respuesta');
+});
+
+test('slots: leerHora valida la hora y el rango', () => {
+  assert.deepEqual(leerHora('9:05:00 hrs', true), { inicio: '09:05', fin: null, resto: '' });
+  assert.deepEqual(leerHora('23:30 a 00:10', true), { inicio: '23:30', fin: '00:10', resto: '' });
+  assert.equal(leerHora('25:00', true), null);
+  assert.equal(leerHora('10:00abc'), null);
+});
+
+test('slots: fecha y hora locales de la agenda, no UTC', () => {
+  // 22:30 del 19/10 en Santiago (UTC-3) ya es 20/10 en UTC
+  const ms = Date.parse('2026-10-20T01:30:00Z');
+  assert.equal(fechaLocal(ms, 'America/Santiago'), '2026-10-19');
+  assert.equal(horaLocal(ms, 'America/Santiago'), '22:30');
+  assert.equal(horaLocal(Date.parse('2026-10-20T03:05:00Z'), 'America/Santiago'), '00:05');
+});
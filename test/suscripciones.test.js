@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SuscripcionStore, SuscripcionWatcher, firmar, diferencia, validarCallback } = require('../lib/suscripciones');
+
+function store() {
+  return new SuscripcionStore({ file: path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'pxm-suscripciones-')), 'suscripciones.json') });
+}
+
+// fetch falso que responde con los status indicados, en orden
+function fetchCon(statuses) {
+  const llamadas = [];
+  const fetchImpl = async (url, opciones) => {
+    llamadas.push({ url, opciones });
+    const status = statuses.shift();
+    return { ok: status >= 200 && status < 300, status };
+  };
+  return { llamadas, fetchImpl };
+}
+
+function watcher(extra = {}) {
+  return new SuscripcionWatcher({ store: store(), esperaReintentoMs: 1, validarDestino: async () => null, ...extra });
+}
+
+test('suscripciones: diferencia sólo trae las horas nuevas, ordenadas', () => {
+  const anterior = { '2026-10-20': ['09:00', '10:00'], '2026-10-21': ['11:00'] };
+  const actual = { '2026-10-20': ['10:00', '09:30'], '2026-10-21': [], '2026-10-22': ['08:00'] };
+  assert.deepEqual(diferencia(anterior, actual), [
+    { fecha: '2026-10-20', hora: '09:30' },
+    { fecha: '2026-10-22', hora: '08:00' }
+  ]);
+  assert.deepEqual(diferencia(actual, actual), []);
+});
+
+test('suscripciones: firmar es HMAC-SHA256 de "timestamp.body"', () => {
+  const esperado = 'sha256=' + crypto.createHmac('sha256', 's3cr3t').update('1760000000.{"a":1}').digest('hex');
+  assert.equal(firmar('s3cr3t', '1760000000', '{"a":1}'), esperado);
+  assert.notEqual(firmar('s3cr3t', '1760000001', '{"a":1}'), esperado);
+});
+
+test('suscripciones: enviar reintenta 5xx, 408 y 429 pero no otros 4xx', async () => {
+  const s = { id: 'x', secreto: 'k', callback_url: 'https://cb.example/hook' };
+
+  let f = fetchCon([503, 429, 200]);
+  let r = await watcher({ fetchImpl: f.fetchImpl }).enviar(s, { a: 1 });
+  assert.deepEqual([r.ok, r.status, r.intentos], [true, 200, 3]);
+
+  f = fetchCon([404, 200]);
+  r = await watcher({ fetchImpl: f.fetchImpl }).enviar(s, { a: 1 });
+  assert.deepEqual([r.ok, r.status, r.intentos, r.error], [false, 404, 1, 'HTTP 404']);
+
+  f = fetchCon([408, 500, 502]);
+  r = await watcher({ fetchImpl: f.fetchImpl }).enviar(s, { a: 1 });
+  assert.deepEqual([r.ok, r.intentos, r.error], [false, 3, 'HTTP 502']);
+
+  // la firma va sobre el body enviado
+  const { headers, body } = f.llamadas[0].opciones;
+  assert.equal(headers['X-Signature-256'], firmar('k', headers['X-Signature-Timestamp'], body));
+
+  // destino que dejó de ser válido: no se llama
+  f = fetchCon([200]);
+  r = await watcher({ fetchImpl: f.fetchImpl, validarDestino: async () => 'privada' }).enviar(s, { a: 1 });
+  assert.deepEqual([r.ok, r.intentos, r.error, f.llamadas.length], [false, 0, 'privada', 0]);
+});
+
+// validarDestino revisa sólo la URL registrada: un 3xx hacia una red privada no se puede seguir
+test('suscripciones: enviar no sigue redirecciones y no las reintenta', async () => {
+  const recibidos = [];
+  const server = http.createServer((req, res) => {
+    recibidos.push(req.url);
+    if (req.url === '/hook') res.writeHead(307, { Location: '/interno' });
+    res.end();
+  });
+  const port = await new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+  try {
+    const s = { id: 'x', secreto: 'k', callback_url: `http://127.0.0.1:${port}/hook` };
+    const r = await watcher().enviar(s, { a: 1 });
+    assert.deepEqual([r.ok, r.status, r.intentos], [false, 307, 1]);
+    assert.match(r.error, /redirección no permitida/);
+    assert.deepEqual(recibidos, ['/hook']);
+  } finally {
+    server.close();
+  }
+
+  const f = fetchCon([302]);
+  await watcher({ fetchImpl: f.fetchImpl }).enviar({ id: 'x', secreto: 'k', callback_url: 'https://cb.example/hook' }, { a: 1 });
+  assert.equal(f.llamadas[0].opciones.redirect, 'manual');
+});
+
+test('suscripciones: la primera revisión sólo fija la línea base; después avisa lo nuevo', async () => {
+  let horas = { '2026-10-20': ['09:00'] };
+  const f = fetchCon([200]);
+  const w = watcher({ fetchImpl: f.fetchImpl, consultarHoras: async (p, fechas) => ({ success: true, porFecha: Object.fromEntries(fechas.map(d => [d, { horas: horas[d] || [] }])) }) });
+  const s = w.store.crear({ agenda: 'a', especialidad: 'KINE', profesional: 'Ana', desde: '2026-10-20', hasta: '2026-10-20', callback_url: 'https://cb.example/hook' });
+  const run = () => ({ consultas: 0, envios: 0, errores: [] });
+
+  await w.revisarGrupo([w.store.get(s.id)], '2026-10-19', run());
+  assert.equal(f.llamadas.length, 0);
+  assert.deepEqual(w.store.get(s.id).snapshot, { '2026-10-20': ['09:00'] });
+
+  horas = { '2026-10-20': ['09:00', '11:00'] };
+  const r = run();
+  await w.revisarGrupo([w.store.get(s.id)], '2026-10-19', r);
+  assert.equal(r.envios, 1);
+  assert.deepEqual(JSON.parse(f.llamadas[0].opciones.body).horas, [{ fecha: '2026-10-20', hora: '11:00' }]);
+  assert.equal(w.store.get(s.id).notificaciones, 1);
+});
+
+test('suscripciones: el callback no puede apuntar a loopback ni a redes privadas', async () => {
+  const lookup = async host => (host === 'interno.example' ? [{ address: '10.1.2.3' }] : [{ address: '93.184.216.34' }]);
+  assert.equal(await validarCallback('https://hooks.example/x', { lookup }), null);
+  for (const url of ['http://127.0.0.1:8080/', 'http://[::1]/', 'http://169.254.169.254/latest', 'http://192.168.1.10/', 'http://[::ffff:10.0.0.1]/', 'https://interno.example/x']) {
+    assert.match(await validarCallback(url, { lookup }), /privadas/, url);
+  }
+  assert.match(await validarCallback('ftp://hooks.example/x', { lookup }), /http/);
+  assert.equal(await validarCallback('http://127.0.0.1:8080/', { lookup, permitirPrivadas: true }), null);
+});